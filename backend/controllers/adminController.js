@@ -1,13 +1,51 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendMail } = require('../services/mail');
+const { logSecurityEvent } = require('../services/securityLog');
+const { organizerApplicationEmail } = require('../services/mail/templates');
+const { notifyAttendees } = require('../services/eventChanges');
+const { mergeTicketTiers } = require('../services/ticketTiers');
+const {
+  TWO_FACTOR_ROLES,
+  getRequiredRoles,
+  setRequiredRoles
+} = require('../services/twoFactor');
+const { escapeRegex } = require('../services/escapeRegex');
 
-// @desc    Get all events (Admin)
+// Email an applicant the decision on their organizer application.
+// The decision stands even if the email can't be sent.
+const notifyApplicant = async (user) => {
+  const { status, reviewNote } = user.organizerApplication;
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...organizerApplicationEmail({
+        name: user.name,
+        approved: status === 'approved',
+        note: reviewNote,
+        url: status === 'approved' ? `${clientUrl}/create-event` : `${clientUrl}/organizer/apply`
+      })
+    });
+  } catch (error) {
+    console.error('Error emailing organizer application decision:', error);
+  }
+};
+
+// @desc    Get all events, optionally filtered by ?status= (Admin)
 // @route   GET /api/admin/events
 // @access  Private/Admin
 const getAllEvents = async (req, res) => {
   try {
-    const events = await Event.find()
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const events = await Event.find(filter)
+      .select('+pendingChanges')
       .populate('createdBy', 'name email role')
       .sort({ createdAt: -1 });
 
@@ -82,6 +120,20 @@ const getDashboardStats = async (req, res) => {
     const totalBookings = await Booking.countDocuments();
     const totalAdmins = await User.countDocuments({ role: 'admin' });
     const totalOrganizers = await User.countDocuments({ role: 'organizer' });
+    const pendingEvents = await Event.countDocuments({ status: 'pending' });
+
+    // Revenue kept (net of refunds) and promo code discounts given, in minor units
+    const [sales] = await Payment.aggregate([
+      { $match: { status: { $in: ['paid', 'refunded'] } } },
+      {
+        $group: {
+          _id: null,
+          revenue: { $sum: { $subtract: ['$amount', '$amountRefunded'] } },
+          discounts: { $sum: { $ifNull: ['$charges.discount', 0] } },
+          promoOrders: { $sum: { $cond: [{ $ifNull: ['$promoCode', false] }, 1, 0] } }
+        }
+      }
+    ]);
 
     // Get recent events (last 5)
     const recentEvents = await Event.find()
@@ -103,7 +155,11 @@ const getDashboardStats = async (req, res) => {
           totalUsers,
           totalBookings,
           totalAdmins,
-          totalOrganizers
+          totalOrganizers,
+          pendingEvents,
+          totalRevenue: sales ? sales.revenue : 0,
+          totalDiscounts: sales ? sales.discounts : 0,
+          promoRedemptions: sales ? sales.promoOrders : 0
         },
         recentEvents,
         recentUsers
@@ -118,6 +174,137 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// Whether the event is live with edits awaiting review
+const hasPendingChanges = (event) =>
+  event.status === 'approved' && Boolean(event.pendingChanges);
+
+// @desc    Approve a pending event, or the pending changes to a live one (Admin)
+// @route   PUT /api/admin/events/:id/approve
+// @access  Private/Admin
+const approveEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('+pendingChanges');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const changes = hasPendingChanges(event) ? event.pendingChanges : null;
+
+    if (event.status !== 'pending' && !changes) {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending events can be approved (current status: ${event.status})`
+      });
+    }
+
+    // Old values of what changes, for the ticket holders' email
+    const previous = {};
+    if (changes) {
+      Object.keys(changes).forEach((key) => {
+        previous[key] = event.get(key);
+      });
+      // Tickets may have sold since the changes were submitted
+      if (changes.ticketTiers) {
+        changes.ticketTiers = mergeTicketTiers(event.ticketTiers, changes.ticketTiers);
+      }
+      event.set(changes);
+      event.pendingChanges = undefined;
+      event.changesSubmittedAt = undefined;
+    }
+
+    event.status = 'approved';
+    event.rejectionReason = '';
+    event.reviewedBy = req.user.id;
+    event.reviewedAt = new Date();
+    await event.save();
+
+    const notified = changes && event.seatsBooked > 0
+      ? await notifyAttendees(event, previous)
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      message: changes ? 'Event changes approved' : 'Event approved',
+      attendeesNotified: notified,
+      data: event
+    });
+  } catch (error) {
+    if (error.status || error.name === 'ValidationError') {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error approving event:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Reject a pending event, or the pending changes to a live one, with a reason (Admin)
+// @route   PUT /api/admin/events/:id/reject
+// @access  Private/Admin
+const rejectEvent = async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejection'
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('+pendingChanges');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const rejectingChanges = hasPendingChanges(event);
+
+    if (event.status !== 'pending' && !rejectingChanges) {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending events can be rejected (current status: ${event.status})`
+      });
+    }
+
+    // Rejected changes are dropped; the approved version stays live
+    if (rejectingChanges) {
+      event.pendingChanges = undefined;
+      event.changesSubmittedAt = undefined;
+    } else {
+      event.status = 'rejected';
+    }
+    event.rejectionReason = reason;
+    event.reviewedBy = req.user.id;
+    event.reviewedAt = new Date();
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      message: rejectingChanges ? 'Event changes rejected' : 'Event rejected',
+      data: event
+    });
+  } catch (error) {
+    console.error('Error rejecting event:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
 // @desc    Delete event by ID (Admin)
 // @route   DELETE /api/admin/events/:id
 // @access  Private/Admin
@@ -132,6 +319,14 @@ const deleteEvent = async (req, res) => {
       });
     }
 
+    // Bookings must keep their event
+    if (await Booking.exists({ event: event._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has bookings and cannot be deleted'
+      });
+    }
+
     await event.deleteOne();
 
     res.status(200).json({
@@ -207,12 +402,39 @@ const updateUserRole = async (req, res) => {
       });
     }
 
+    const previousRole = user.role;
     user.role = role;
+
+    // Making an applicant an organizer approves their application
+    const application = user.organizerApplication;
+    const approvesApplication = role === 'organizer' && application && application.status === 'pending';
+    if (approvesApplication) {
+      application.status = 'approved';
+      application.reviewedAt = new Date();
+      application.reviewedBy = req.user._id;
+      application.reviewNote = (req.body.note || '').trim();
+    }
+
     await user.save();
 
+    if (role !== previousRole) {
+      logSecurityEvent('role_changed', {
+        req,
+        user,
+        actor: req.user,
+        details: { from: previousRole, to: role }
+      });
+    }
+
+    if (approvesApplication) {
+      await notifyApplicant(user);
+    }
+
     res.status(200).json({
       success: true,
-      message: `User role updated to ${role}`,
+      message: approvesApplication
+        ? 'Organizer application approved'
+        : `User role updated to ${role}`,
       data: {
         id: user._id,
         name: user.name,
@@ -229,12 +451,220 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// @desc    List organizer applications, ?status= pending (default), approved or rejected (Admin)
+// @route   GET /api/admin/organizer-applications
+// @access  Private/Admin
+const getOrganizerApplications = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    const users = await User.find({ 'organizerApplication.status': status })
+      .select('name email role isVerified organizerApplication createdAt')
+      .sort({ 'organizerApplication.submittedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching organizer applications:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Reject a pending organizer application (Admin)
+// @route   PUT /api/admin/organizer-applications/:id/reject
+// @access  Private/Admin
+const rejectOrganizerApplication = async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give the applicant a reason'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    const application = user && user.organizerApplication;
+
+    if (!application || application.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending application for this user'
+      });
+    }
+
+    application.status = 'rejected';
+    application.reviewedAt = new Date();
+    application.reviewedBy = req.user._id;
+    application.reviewNote = reason;
+    await user.save();
+
+    await notifyApplicant(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organizer application rejected',
+      data: user.organizerApplication
+    });
+  } catch (error) {
+    console.error('Error rejecting organizer application:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the security policy (Admin)
+// @route   GET /api/admin/settings/security
+// @access  Private/Admin
+const getSecuritySettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequiredRoles: await getRequiredRoles(),
+        twoFactorRoles: TWO_FACTOR_ROLES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching security settings:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Choose which roles must use 2FA (Admin)
+// @route   PUT /api/admin/settings/security
+// @access  Private/Admin
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles)
+      || twoFactorRequiredRoles.some((role) => !TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `twoFactorRequiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}`
+      });
+    }
+
+    // Don't let an admin lock themselves out of the admin routes
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Turn on two-factor authentication for your own account first'
+      });
+    }
+
+    const roles = await setRequiredRoles(twoFactorRequiredRoles, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: roles.length
+        ? `Two-factor authentication is now required for: ${roles.join(', ')}`
+        : 'Two-factor authentication is optional for everyone',
+      data: {
+        twoFactorRequiredRoles: roles,
+        twoFactorRoles: TWO_FACTOR_ROLES
+      }
+    });
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Browse the security log, newest first (Admin)
+//          ?type=, ?email= (partial match), ?user=, ?page=, ?limit= (max 100)
+// @route   GET /api/admin/security-events
+// @access  Private/Admin
+const getSecurityEvents = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.type) {
+      if (!SecurityEvent.TYPES.includes(req.query.type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown event type: ${req.query.type}`
+        });
+      }
+      filter.type = req.query.type;
+    }
+    // A repeated parameter arrives as an array; each filter takes one value
+    if ([req.query.user, req.query.email].some((value) => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filter by one user and one email at a time'
+      });
+    }
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.email) {
+      filter.email = { $regex: escapeRegex(req.query.email.trim().toLowerCase()) };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .populate('user', 'name email role')
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      types: SecurityEvent.TYPES,
+      data: events
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+    console.error('Error fetching security events:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server Error'
+    });
+  }
+};
+
 module.exports = {
   getAllEvents,
   getAllUsers,
   getAllBookings,
   getDashboardStats,
+  approveEvent,
+  rejectEvent,
   deleteEvent,
   deleteUser,
-  updateUserRole
+  updateUserRole,
+  getOrganizerApplications,
+  rejectOrganizerApplication,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getSecurityEvents
 };
@@ -1,5 +1,32 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { validationResult } = require('express-validator');
+const {
+    createSession,
+    rotateSession,
+    findSessionIdForRefreshToken
+} = require('../services/sessions');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail, verifyEmailEmail } = require('../services/mail/templates');
+const { mustVerifyEmail } = require('../middleware/auth');
+const {
+    isTwoFactorRequired,
+    verifySecondFactor,
+    createChallengeToken,
+    readChallengeToken
+} = require('../services/twoFactor');
+const {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    clearAccountLockout
+} = require('../services/loginThrottle');
+const { logSecurityEvent } = require('../services/securityLog');
+const { getPermissions } = require('../services/permissions');
+
+// Wait this long before sending another verification email
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -9,13 +36,12 @@ exports.register = async (req, res) => {
         // Check for validation errors
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                errors: errors.array()
-            });
+            return sendValidationErrors(res, errors);
         }
 
-        const { name, email, password, role } = req.body;
+        // Everyone signs up as a user; organizers apply through
+        // POST /api/users/organizer-application
+        const { name, email, password } = req.body;
 
         // Check if user already exists
         let user = await User.findOne({ email });
@@ -31,11 +57,18 @@ exports.register = async (req, res) => {
             name,
             email,
             password,
-            role: role || 'user'
+            role: 'user'
         });
 
+        // A failed email shouldn't fail the sign-up; the user can resend
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Verification email error:', error);
+        }
+
         // Generate token and send response
-        sendTokenResponse(user, 201, res, 'User registered successfully');
+        await sendTokenResponse(user, 201, req, res, 'User registered successfully');
     } catch (error) {
         console.error('Register error:', error);
         res.status(500).json({
@@ -52,37 +85,114 @@ exports.login = async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                errors: errors.array()
-            });
+            return sendValidationErrors(res, errors);
         }
 
         const { email, password } = req.body;
 
+        // Refuse while the account or IP is waiting out failed attempts
+        const blocked = await checkLoginAllowed({ email, ip: req.ip });
+        if (blocked) {
+            logSecurityEvent('login_throttled', { req, email, details: { code: blocked.code } });
+            return sendThrottled(res, blocked);
+        }
+
         // Check for user (include password field)
         const user = await User.findOne({ email }).select('+password');
 
-        if (!user) {
+        // Same answer whether the account exists or the password is wrong
+        if (!user || !(await user.matchPassword(password))) {
+            await handleFailedLogin(req, { email, user, type: 'login_failure' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Check password
-        const isMatch = await user.matchPassword(password);
+        // With 2FA on, the password alone only earns a challenge
+        if (user.twoFactor.enabled) {
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: createChallengeToken(user),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await recordLoginSuccess({ email });
+        logSecurityEvent('login_success', { req, user });
+        await sendTokenResponse(user, 200, req, res, 'Login successful');
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+};
+
+// @desc    Finish logging in with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from POST /api/auth/login)
+exports.loginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
 
-        if (!isMatch) {
+        const userId = readChallengeToken(challengeToken);
+        if (!userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid credentials'
+                code: 'CHALLENGE_EXPIRED',
+                message: 'This sign-in has expired, please log in again'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enter a code from your authenticator app or a recovery code'
+            });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                code: 'CHALLENGE_EXPIRED',
+                message: 'This sign-in has expired, please log in again'
             });
         }
 
-        sendTokenResponse(user, 200, res, 'Login successful');
+        // Guessing codes counts against the account like guessing passwords
+        const blocked = await checkLoginAllowed({ email: user.email, ip: req.ip });
+        if (blocked) {
+            logSecurityEvent('login_throttled', { req, user, details: { code: blocked.code, step: '2fa' } });
+            return sendThrottled(res, blocked);
+        }
+
+        const method = await verifySecondFactor(userId, { code, recoveryCode });
+        if (!method) {
+            await handleFailedLogin(req, { email: user.email, user, type: 'two_factor_failure' });
+            return res.status(401).json({
+                success: false,
+                message: recoveryCode ? 'That recovery code is not valid' : 'That code is not valid'
+            });
+        }
+
+        await recordLoginSuccess({ email: user.email });
+        logSecurityEvent('login_success', { req, user, details: { twoFactor: method } });
+
+        await sendTokenResponse(
+            user,
+            200,
+            req,
+            res,
+            method === 'recovery'
+                ? 'Login successful - that recovery code is now used up'
+                : 'Login successful'
+        );
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('2FA login error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error during login'
@@ -99,7 +209,7 @@ exports.getMe = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: user
+            user: await toUserResponse(user)
         });
     } catch (error) {
         console.error('Get me error:', error);
@@ -110,14 +220,59 @@ exports.getMe = async (req, res) => {
     }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Get a new access token with the refresh token cookie
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+    try {
+        const { user, accessToken, refreshToken, session } = await rotateSession(
+            req.cookies && req.cookies[REFRESH_COOKIE],
+            req
+        );
+
+        setSessionCookies(res, { accessToken, refreshToken, session });
+
+        res.status(200).json({
+            success: true,
+            token: accessToken,
+            user: await toUserResponse(user)
+        });
+    } catch (error) {
+        if (error.status) {
+            clearSessionCookies(res);
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    End this session and clear its cookies
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public
 exports.logout = async (req, res) => {
-    res.cookie('token', 'none', {
-        expires: new Date(Date.now() + 10 * 1000),
-        httpOnly: true
-    });
+    try {
+        const sessionId = req.sessionId
+            || await findSessionIdForRefreshToken(req.cookies && req.cookies[REFRESH_COOKIE]);
+
+        if (sessionId) {
+            await Session.updateOne(
+                { _id: sessionId, revokedAt: null },
+                { revokedAt: new Date(), revokedReason: 'logout' }
+            );
+        }
+    } catch (error) {
+        // Still clear the cookies below
+        console.error('Logout error:', error);
+    }
+
+    clearSessionCookies(res);
 
     res.status(200).json({
         success: true,
@@ -125,11 +280,154 @@ exports.logout = async (req, res) => {
     });
 };
 
+// @desc    End every session of the current user
+// @route   POST /api/auth/logoutall
+// @access  Private
+exports.logoutAll = async (req, res) => {
+    try {
+        const { modifiedCount } = await Session.revokeAll(req.user._id, 'logout_all');
+        logSecurityEvent('sessions_revoked', {
+            req,
+            user: req.user,
+            details: { reason: 'logout_all', count: modifiedCount }
+        });
+
+        clearSessionCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: `Signed out of ${modifiedCount} session(s)`
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.findActive(req.user._id).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map((session) => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.toString() === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const { modifiedCount } = await Session.updateOne(
+            { _id: req.params.id, user: req.user._id, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'revoked' }
+        );
+
+        if (!modifiedCount) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const current = req.params.id === req.sessionId;
+        if (current) {
+            clearSessionCookies(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: current ? 'Signed out of this device' : 'Session revoked',
+            current
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Change password and sign out every other session
+// @route   PUT /api/auth/updatepassword
+// @access  Private
+exports.updatePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!(await user.matchPassword(req.body.currentPassword))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.password = req.body.newPassword;
+        await user.save();
+
+        const { modifiedCount } = await Session.revokeAll(user._id, 'password_changed', {
+            except: req.sessionId
+        });
+        logSecurityEvent('password_changed', { req, user, details: { sessionsRevoked: modifiedCount } });
+
+        res.status(200).json({
+            success: true,
+            message: modifiedCount
+                ? `Password updated and ${modifiedCount} other session(s) signed out`
+                : 'Password updated'
+        });
+    } catch (error) {
+        console.error('Update password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/updateprofile
 // @access  Private
 exports.updateProfile = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendValidationErrors(res, errors);
+        }
+
         const fieldsToUpdate = {
             name: req.body.name,
             phone: req.body.phone,
@@ -148,7 +446,7 @@ exports.updateProfile = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: user,
+            user: await toUserResponse(user),
             message: 'Profile updated successfully'
         });
     } catch (error) {
@@ -160,32 +458,300 @@ exports.updateProfile = async (req, res) => {
     }
 };
 
-// Helper function to send token response
-const sendTokenResponse = (user, statusCode, res, message) => {
-    const token = user.getSignedJwtToken();
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Same answer whether or not the account exists
+        const response = {
+            success: true,
+            message: 'If an account exists for that email, a reset link is on its way'
+        };
 
-    const options = {
-        expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production'
-    };
+        const user = await User.findOne({ email: req.body.email });
+        if (!user) {
+            return res.status(200).json(response);
+        }
 
-    // Remove password from output
-    user.password = undefined;
+        const resetToken = user.getResetPasswordToken();
+        await user.save({ validateBeforeSave: false });
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+        try {
+            await sendMail({
+                to: user.email,
+                ...passwordResetEmail({
+                    name: user.name,
+                    resetUrl: `${clientUrl}/reset-password/${resetToken}`,
+                    expiresInMinutes: User.RESET_PASSWORD_EXPIRE_MINUTES
+                })
+            });
+        } catch (error) {
+            // Don't leave a token around that nobody received
+            user.resetPasswordToken = undefined;
+            user.resetPasswordExpire = undefined;
+            await user.save({ validateBeforeSave: false });
+            throw error;
+        }
+
+        logSecurityEvent('password_reset_requested', { req, user });
+        res.status(200).json(response);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Could not send the reset email, please try again'
+        });
+    }
+};
+
+// @desc    Set a new password with a reset token
+// @route   PUT /api/auth/resetpassword/:resettoken
+// @access  Public
+exports.resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const user = await User.findOne({
+            resetPasswordToken: User.hashToken(req.params.resettoken),
+            resetPasswordExpire: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Single use: the token goes away with the old password
+        user.password = req.body.password;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+
+        // Whoever knew the old password is signed out everywhere, and the
+        // owner isn't kept out by a lockout the attacker caused
+        await Session.revokeAll(user._id, 'password_changed');
+        await clearAccountLockout({ email: user.email });
+        logSecurityEvent('password_reset', { req, user });
+
+        // The emailed link is only one factor; with 2FA on, the user logs in
+        // again with the new password and their authenticator code
+        if (user.twoFactor.enabled) {
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Password reset successfully. Log in with your new password and authenticator code'
+            });
+        }
+
+        await sendTokenResponse(user, 200, req, res, 'Password reset successfully');
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+    try {
+        const user = await User.findOne({
+            emailVerificationToken: User.hashToken(req.params.token),
+            emailVerificationExpire: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This verification link is invalid or has expired'
+            });
+        }
+
+        user.isVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified',
+            user: await toUserResponse(user)
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verifyemail/resend
+// @access  Private
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+emailVerificationExpire');
+
+        if (user.isVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your email is already verified'
+            });
+        }
+
+        // The previous link was issued EXPIRE_HOURS before it expires
+        const lastSentAt = user.emailVerificationExpire
+            && user.emailVerificationExpire.getTime() - User.EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000;
+        if (lastSentAt && Date.now() - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+            return res.status(429).json({
+                success: false,
+                message: 'A verification email was just sent, please wait a minute before asking again'
+            });
+        }
+
+        await sendVerificationEmail(user);
 
-    res
-        .status(statusCode)
-        .cookie('token', token, options)
-        .json({
+        res.status(200).json({
             success: true,
-            message,
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                avatar: user.avatar
-            }
+            message: `Verification email sent to ${user.email}`
         });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Could not send the verification email, please try again'
+        });
+    }
+};
+
+// Issue a fresh verification token and email the link
+const sendVerificationEmail = async (user) => {
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    await sendMail({
+        to: user.email,
+        ...verifyEmailEmail({
+            name: user.name,
+            verifyUrl: `${clientUrl}/verify-email/${verificationToken}`,
+            expiresInHours: User.EMAIL_VERIFICATION_EXPIRE_HOURS
+        })
+    });
+};
+
+// Report express-validator failures; message is the first one for simple clients
+const sendValidationErrors = (res, errors) => {
+    const details = errors.array().map(({ path, msg }) => ({ field: path, message: msg }));
+    return res.status(400).json({
+        success: false,
+        message: details[0].message,
+        errors: details
+    });
+};
+
+// Count a failed sign-in step and log it, noting when it locked the account
+const handleFailedLogin = async (req, { email, user, type }) => {
+    const { accountFailures, accountLocked } = await recordLoginFailure({ email, ip: req.ip });
+
+    logSecurityEvent(type, { req, user, email, details: { failures: accountFailures } });
+    if (accountLocked) {
+        logSecurityEvent('account_locked', { req, user, email, details: { failures: accountFailures } });
+    }
+};
+
+// 429 for a sign-in refused by the login throttle
+const sendThrottled = (res, { code, retryAfter, message }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code,
+        retryAfter,
+        message
+    });
+};
+
+// The user fields the client gets back
+const toUserResponse = async (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    // What the role may do (services/permissions), for the client's route guards
+    permissions: getPermissions(user.role),
+    avatar: user.avatar,
+    phone: user.phone,
+    isVerified: user.isVerified,
+    // True while booking and submitting events are blocked on verification
+    verificationRequired: mustVerifyEmail(user),
+    twoFactorEnabled: user.twoFactor.enabled,
+    // True while the 2FA policy blocks this user's role until they enrol
+    twoFactorSetupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user),
+    createdAt: user.createdAt
+});
+
+// The refresh token only ever travels to the auth routes
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+});
+
+// Set the access token cookie, and the refresh token cookie when it changed
+const setSessionCookies = (res, { accessToken, refreshToken, session }) => {
+    res.cookie('token', accessToken, {
+        ...cookieOptions(),
+        expires: new Date(jwt.decode(accessToken).exp * 1000)
+    });
+
+    if (refreshToken) {
+        res.cookie(REFRESH_COOKIE, refreshToken, {
+            ...cookieOptions(),
+            path: REFRESH_COOKIE_PATH,
+            expires: session.expiresAt
+        });
+    }
+};
+
+const clearSessionCookies = (res) => {
+    res.clearCookie('token', cookieOptions());
+    res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+// Open a session and send its tokens with the user
+const sendTokenResponse = async (user, statusCode, req, res, message) => {
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+
+    setSessionCookies(res, { session, accessToken, refreshToken });
+
+    // Remove password from output
+    user.password = undefined;
+
+    res.status(statusCode).json({
+        success: true,
+        message,
+        token: accessToken,
+        user: await toUserResponse(user)
+    });
 };
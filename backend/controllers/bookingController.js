@@ -1,12 +1,53 @@
+const QRCode = require("qrcode");
 const Booking = require("../models/Booking");
 const Event = require("../models/Event");
+const Payment = require("../models/Payment");
+const {
+    CANCELLABLE_STATUSES,
+    getCancellationQuote,
+    cancelBooking: cancelBookingUnderPolicy,
+} = require("../services/bookingCancellation");
+const { getPolicyRefundLimit } = require("../services/refundPolicy");
+const { hasGlobalScope, canOnEvent } = require("../services/permissions");
+const { createTicketCode } = require("../services/ticketCodes");
+const { renderTicketPdf } = require("../services/pdf/ticket");
+const { renderInvoicePdf } = require("../services/pdf/invoice");
+const { resolveOrderItems, countTickets, getShortageMessage } = require("../services/ticketTiers");
+const { escapeRegex } = require("../services/escapeRegex");
 
-// Book an event
+const { ATTENDING_STATUSES } = Booking;
+const BOOKING_STATUSES = Booking.schema.path("status").enumValues;
+
+// Load the event in req.params.id if the user may use `permission` on it.
+// Sends the 404 and resolves to null otherwise; someone else's event looks
+// exactly like a missing one.
+const findManagedEvent = async (req, res, permission) => {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canOnEvent(req.user, permission, event)) {
+        res.status(404).json({
+            success: false,
+            message: "Event not found",
+        });
+        return null;
+    }
+    return event;
+};
+
+// Quote a CSV field
+const csvField = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Book an event (free tickets; paid ones go through checkout)
+// Body: { eventId, items: [{ tierId, quantity }] } for events with ticket
+// types, { eventId, quantity } otherwise
 const bookEvent = async (req, res) => {
     try {
         const { eventId } = req.body;
 
-        // Check event exists
+        // Check event exists and is open for booking
         const event = await Event.findById(eventId);
         if (!event) {
             return res.status(404).json({
@@ -15,10 +56,40 @@ const bookEvent = async (req, res) => {
             });
         }
 
-        // Prevent duplicate booking
+        if (event.status !== "approved") {
+            return res.status(400).json({
+                success: false,
+                message: "This event is not open for booking",
+            });
+        }
+
+        let items;
+        try {
+            items = resolveOrderItems(event, req.body);
+        } catch (error) {
+            if (!error.status) throw error;
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        // Paid tickets are booked through checkout (POST /api/payments/create-order)
+        if (items.some((item) => item.unitPrice > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "These tickets require payment - book them through checkout",
+            });
+        }
+
+        const quantity = countTickets(items);
+
+        // Prevent duplicate booking (a cancelled booking doesn't count). The
+        // unique index on Booking catches parallel requests that both get past this.
         const existingBooking = await Booking.findOne({
             user: req.user.id,
             event: eventId,
+            status: { $ne: "cancelled" },
         });
 
         if (existingBooking) {
@@ -28,15 +99,40 @@ const bookEvent = async (req, res) => {
             });
         }
 
-        // Create booking
-        const booking = await Booking.create({
-            user: req.user.id,
-            event: eventId,
-        });
+        // Take the seats atomically before creating the booking
+        const reserved = await Event.reserveSeats(eventId, quantity, items);
+        if (!reserved) {
+            const current = await Event.findById(eventId);
+            return res.status(409).json({
+                success: false,
+                message: getShortageMessage(current, items),
+                seatsAvailable: current.seatsAvailable,
+            });
+        }
+
+        let booking;
+        try {
+            booking = await Booking.create({
+                user: req.user.id,
+                event: eventId,
+                quantity,
+                items: items.map((item) => ({ ...item, amount: 0 })),
+            });
+        } catch (error) {
+            await Event.releaseSeats(eventId, quantity, items);
+            if (Booking.isDuplicateBooking(error)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "You already booked this event",
+                });
+            }
+            throw error;
+        }
 
         res.status(201).json({
             success: true,
             data: booking,
+            seatsAvailable: reserved.seatsAvailable,
         });
     } catch (error) {
         res.status(500).json({
@@ -46,18 +142,133 @@ const bookEvent = async (req, res) => {
     }
 };
 
-// Get my bookings
+// Get my bookings, each with what cancelling it now would refund
 const getMyBookings = async (req, res) => {
     try {
         const bookings = await Booking.find({
             user: req.user.id,
-        }).populate("event");
+        })
+            .populate("event")
+            .sort({ createdAt: -1 });
+
+        const data = await Promise.all(
+            bookings.map(async (booking) => {
+                const view = booking.toJSON();
+                const cancellable = booking.event
+                    && CANCELLABLE_STATUSES.includes(booking.status)
+                    && (booking.event.status === "cancelled" || booking.event.date > new Date());
+
+                if (cancellable) {
+                    const { percent, amount } = await getCancellationQuote(booking, booking.event);
+                    view.refundQuote = { percent, amount };
+                }
+                return view;
+            })
+        );
+
+        res.json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Load the booking in req.params.id for its owner (or an admin), with its
+// event and holder. Sends the 404 and resolves to null otherwise.
+const findOwnBooking = async (req, res) => {
+    const booking = await Booking.findById(req.params.id)
+        .populate("event", "title date endDate location address")
+        .populate("user", "name email phone");
+    const ownerId = booking && booking.user ? booking.user._id.toString() : null;
+
+    if (!booking || (ownerId !== req.user.id && !hasGlobalScope(req.user))) {
+        res.status(404).json({
+            success: false,
+            message: "Booking not found",
+        });
+        return null;
+    }
+    return booking;
+};
+
+// Attended tickets are still shown, marked as used
+const hasValidTicket = (booking) => ATTENDING_STATUSES.includes(booking.status) && Boolean(booking.event);
+
+// Ticket code and QR for one of my bookings (USER, or ADMIN for any booking)
+const getBookingTicket = async (req, res) => {
+    try {
+        const booking = await findOwnBooking(req, res);
+        if (!booking) return;
+
+        if (!hasValidTicket(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: "This booking has no valid ticket",
+            });
+        }
+
+        const code = createTicketCode(booking);
 
         res.json({
             success: true,
-            data: bookings,
+            data: {
+                bookingId: booking._id,
+                code,
+                qrCode: await QRCode.toDataURL(code, { margin: 1, width: 240 }),
+                status: booking.status,
+                quantity: booking.quantity,
+                checkedInAt: booking.checkedInAt,
+                event: booking.event,
+            },
+        });
+    } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Booking not found",
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Ticket of one of my bookings as a PDF (USER, or ADMIN for any booking)
+const getBookingTicketPdf = async (req, res) => {
+    try {
+        const booking = await findOwnBooking(req, res);
+        if (!booking) return;
+
+        if (!hasValidTicket(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: "This booking has no valid ticket",
+            });
+        }
+
+        const pdf = await renderTicketPdf({
+            booking,
+            event: booking.event,
+            user: booking.user,
+            code: createTicketCode(booking),
         });
+
+        res.attachment(`EventFlow-Ticket-${booking._id}.pdf`);
+        res.type("application/pdf").send(pdf);
     } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Booking not found",
+            });
+        }
         res.status(500).json({
             success: false,
             message: error.message,
@@ -65,8 +276,229 @@ const getMyBookings = async (req, res) => {
     }
 };
 
-// Admin: Update booking status
-const adminUpdateBooking = async (req, res) => {
+// GST tax invoice of one of my paid bookings as a PDF (USER, or ADMIN for any booking)
+const getBookingInvoicePdf = async (req, res) => {
+    try {
+        const booking = await findOwnBooking(req, res);
+        if (!booking) return;
+
+        const payment = booking.payment && await Payment.findById(booking.payment);
+
+        // Free bookings and unpaid or failed orders have no invoice
+        if (!payment || !["paid", "refunded"].includes(payment.status) || !booking.event) {
+            return res.status(400).json({
+                success: false,
+                message: "This booking has no invoice",
+            });
+        }
+
+        // Payments made before invoices were numbered get the next number now
+        if (!payment.invoiceNumber) {
+            await payment.assignInvoiceNumber();
+            await payment.save();
+        }
+
+        const pdf = await renderInvoicePdf({
+            payment,
+            booking,
+            event: booking.event,
+            user: booking.user,
+        });
+
+        res.attachment(`EventFlow-Invoice-${payment.invoiceNumber.replace(/\//g, "-")}.pdf`);
+        res.type("application/pdf").send(pdf);
+    } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Booking not found",
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Cancel my booking, refunding what the event's policy allows (USER)
+const cancelBooking = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking || booking.user.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: "Booking not found",
+            });
+        }
+
+        const { booking: cancelled, refund, percent, amount } = await cancelBookingUnderPolicy(
+            booking,
+            { user: req.user }
+        );
+
+        res.json({
+            success: true,
+            message: amount > 0
+                ? `Booking cancelled - ${percent}% refund initiated`
+                : "Booking cancelled - no refund is due under the event's policy",
+            data: cancelled,
+            refund: {
+                id: refund ? refund.id : null,
+                percent,
+                amount,
+            },
+        });
+    } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Booking not found",
+            });
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Bookings for one of my events, with payments and what may be refunded (ORGANIZER OR ADMIN)
+// ?status= filters by booking status, ?q= searches buyer name and email
+const getEventBookings = async (req, res) => {
+    try {
+        const event = await findManagedEvent(req, res, "bookings:read");
+        if (!event) return;
+
+        const filter = { event: event._id };
+        if (req.query.status) {
+            if (!BOOKING_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid status. Valid statuses are: ${BOOKING_STATUSES.join(", ")}`,
+                });
+            }
+            filter.status = req.query.status;
+        }
+
+        let bookings = await Booking.find(filter)
+            .populate("user", "name email phone")
+            .populate("payment", "paymentId orderId status amount amountRefunded currency paidAt")
+            .sort({ createdAt: -1 });
+
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), "i");
+            bookings = bookings.filter(
+                (booking) => booking.user && (pattern.test(booking.user.name) || pattern.test(booking.user.email))
+            );
+        }
+
+        const isAdmin = hasGlobalScope(req.user);
+        const data = bookings.map((booking) => {
+            const view = booking.toJSON();
+            const { payment } = booking;
+
+            // What this user could refund now: organizers are held to the policy
+            if (payment && payment.status === "paid") {
+                view.refundable = isAdmin
+                    ? { percent: 100, amount: payment.amount - payment.amountRefunded }
+                    : getPolicyRefundLimit(event, payment);
+            }
+            return view;
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            summary: {
+                bookings: bookings.length,
+                tickets: bookings
+                    .filter((booking) => ATTENDING_STATUSES.includes(booking.status))
+                    .reduce((sum, booking) => sum + booking.quantity, 0),
+                // Only what was actually collected; a failed checkout keeps its amount
+                revenue: bookings
+                    .filter((booking) => booking.payment && ["paid", "refunded"].includes(booking.payment.status))
+                    .reduce((sum, booking) => sum + booking.payment.amount - booking.payment.amountRefunded, 0),
+                refunded: bookings.reduce((sum, booking) => sum + booking.amountRefunded, 0),
+            },
+            data,
+        });
+    } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Event not found",
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Attendee list for one of my events; ?format=csv downloads it (ORGANIZER OR ADMIN)
+const getEventAttendees = async (req, res) => {
+    try {
+        const event = await findManagedEvent(req, res, "bookings:read");
+        if (!event) return;
+
+        const bookings = await Booking.find({
+            event: event._id,
+            status: { $in: ATTENDING_STATUSES },
+        })
+            .populate("user", "name email phone")
+            .sort({ createdAt: 1 });
+
+        const attendees = bookings.map((booking) => ({
+            bookingId: booking._id,
+            name: booking.user ? booking.user.name : "Deleted user",
+            email: booking.user ? booking.user.email : "",
+            phone: booking.user ? booking.user.phone || "" : "",
+            quantity: booking.quantity,
+            items: booking.items.map(({ tier, name, quantity }) => ({ tier, name, quantity })),
+            status: booking.status,
+            bookedAt: booking.createdAt,
+        }));
+
+        if (req.query.format === "csv") {
+            const header = ["Booking ID", "Name", "Email", "Phone", "Tickets", "Ticket Types", "Status", "Booked At"];
+            const rows = attendees.map((a) => [
+                a.bookingId, a.name, a.email, a.phone, a.quantity,
+                a.items.map((item) => `${item.name} (${item.quantity})`).join("; "),
+                a.status, a.bookedAt.toISOString(),
+            ]);
+            const csv = [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+
+            res.attachment(`attendees-${event._id}.csv`);
+            return res.type("text/csv").send(csv);
+        }
+
+        res.json({
+            success: true,
+            count: attendees.length,
+            tickets: attendees.reduce((sum, a) => sum + a.quantity, 0),
+            data: attendees,
+        });
+    } catch (error) {
+        if (error.name === "CastError") {
+            return res.status(404).json({
+                success: false,
+                message: "Event not found",
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+};
+
+// Update booking status (ORGANIZER OF THE EVENT OR ADMIN)
+// Organizers cancel paid bookings by refunding them, and can't reinstate
+// cancelled ones.
+const updateBookingStatus = async (req, res) => {
     try {
         const { id } = req.params;
         const { status } = req.body;
@@ -82,17 +514,64 @@ const adminUpdateBooking = async (req, res) => {
 
         // Find booking
         const booking = await Booking.findById(id);
+        const event = booking && await Event.findById(booking.event);
 
-        if (!booking) {
+        // Admins also reach bookings whose event is gone
+        const allowed = hasGlobalScope(req.user)
+            || Boolean(event && canOnEvent(req.user, 'bookings:manage', event));
+
+        if (!booking || !allowed) {
             return res.status(404).json({
                 success: false,
                 message: 'Booking not found'
             });
         }
 
+        if (!hasGlobalScope(req.user) && status && status !== booking.status) {
+            if (booking.status === 'cancelled') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only an admin can reinstate a cancelled booking'
+                });
+            }
+            if (status === 'cancelled' && booking.amount - booking.amountRefunded > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refund a paid booking to cancel it'
+                });
+            }
+        }
+
+        // Keep the event's seat count in step with cancellations
+        const reinstating = Boolean(status) && status !== 'cancelled' && booking.status === 'cancelled';
+        if (status && status !== booking.status) {
+            if (status === 'cancelled') {
+                await Event.releaseSeats(booking.event, booking.quantity, booking.items);
+            } else if (reinstating) {
+                const reserved = await Event.reserveSeats(booking.event, booking.quantity, booking.items);
+                if (!reserved) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Not enough seats left to reinstate this booking'
+                    });
+                }
+            }
+        }
+
         // Update booking
         if (status) booking.status = status;
-        await booking.save();
+        try {
+            await booking.save();
+        } catch (error) {
+            if (reinstating) await Event.releaseSeats(booking.event, booking.quantity, booking.items);
+            if (Booking.isDuplicateBooking(error)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This user already has another booking for the event'
+                });
+            }
+            throw error;
+        }
 
         // Populate and return updated booking
         const updatedBooking = await Booking.findById(id)
@@ -127,6 +606,10 @@ const adminDeleteBooking = async (req, res) => {
             });
         }
 
+        if (booking.status !== 'cancelled') {
+            await Event.releaseSeats(booking.event, booking.quantity, booking.items);
+        }
+
         await booking.deleteOne();
 
         res.status(200).json({
@@ -145,6 +628,12 @@ const adminDeleteBooking = async (req, res) => {
 module.exports = {
     bookEvent,
     getMyBookings,
-    adminUpdateBooking,
+    getBookingTicket,
+    getBookingTicketPdf,
+    getBookingInvoicePdf,
+    cancelBooking,
+    getEventBookings,
+    getEventAttendees,
+    updateBookingStatus,
     adminDeleteBooking
 };
@@ -0,0 +1,303 @@
+/**
+ * Check-in Controller
+ *
+ * Door check-in with signed ticket codes (services/ticketCodes.js):
+ * - Verify the code and that the scanner may check in at its event
+ * - Reject cancelled, unpaid and already used tickets
+ * - Mark the booking attended, once, and report the event's tally
+ * - Hand scanners the guest list, and take the scans they made offline
+ */
+
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const { verifyTicketCode } = require('../services/ticketCodes');
+const { canOnEvent } = require('../services/permissions');
+
+// Bookings that can still be checked in
+const VALID_STATUSES = ['booked', 'confirmed'];
+
+// Why a ticket that isn't valid any more was refused
+const REFUSALS = {
+    attended: { status: 409, code: 'ALREADY_CHECKED_IN', message: 'This ticket has already been checked in' },
+    cancelled: { status: 409, code: 'BOOKING_CANCELLED', message: 'This booking was cancelled' },
+    pending: { status: 409, code: 'PAYMENT_PENDING', message: 'This booking has not been paid for' },
+};
+
+// Most queued scans a device may sync at once
+const MAX_SYNC_SCANS = 200;
+
+/**
+ * Tickets checked in so far and tickets held for an event
+ */
+const getCheckinCounts = async (eventId) => {
+    const [counts] = await Booking.aggregate([
+        { $match: { event: eventId, status: { $in: [...VALID_STATUSES, 'attended'] } } },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: '$quantity' },
+                checkedIn: { $sum: { $cond: [{ $eq: ['$status', 'attended'] }, '$quantity', 0] } },
+            },
+        },
+    ]);
+    return { checkedIn: counts ? counts.checkedIn : 0, total: counts ? counts.total : 0 };
+};
+
+const toAttendee = (booking) => ({
+    name: booking.user ? booking.user.name : 'Deleted user',
+    email: booking.user ? booking.user.email : '',
+});
+
+/**
+ * The event, if `user` may check people in at it
+ */
+const findCheckinEvent = async (user, eventId) => {
+    const event = await Event.findById(eventId);
+    return event && canOnEvent(user, 'bookings:checkin', event) ? event : null;
+};
+
+/**
+ * When a scan happened: scans synced later keep their own time, as long as
+ * it isn't in the future
+ */
+const getScanTime = (scannedAt) => {
+    const now = new Date();
+    const time = scannedAt ? new Date(scannedAt) : now;
+    return Number.isNaN(time.getTime()) || time > now ? now : time;
+};
+
+/**
+ * Mark a verified ticket's booking attended. Resolves to { status, body }
+ * for the response, without the event's counts.
+ */
+const admitTicket = async (event, ticket, user, checkedInAt) => {
+    // Only one scan can move a booking to attended, however many race
+    const booking = await Booking.findOneAndUpdate(
+        { _id: ticket.bookingId, event: event._id, status: { $in: VALID_STATUSES } },
+        { status: 'attended', checkedInAt, checkedInBy: user.id },
+        { new: true }
+    ).populate('user', 'name email');
+
+    if (!booking) {
+        const existing = await Booking.findOne({ _id: ticket.bookingId, event: event._id })
+            .populate('user', 'name email');
+        const refusal = existing && REFUSALS[existing.status];
+
+        if (!refusal) {
+            return {
+                status: 404,
+                body: { success: false, code: 'NOT_FOUND', message: 'Ticket not found' },
+            };
+        }
+
+        return {
+            status: refusal.status,
+            body: {
+                success: false,
+                code: refusal.code,
+                message: refusal.message,
+                attendee: toAttendee(existing),
+                booking: {
+                    id: existing._id,
+                    quantity: existing.quantity,
+                    checkedInAt: existing.checkedInAt,
+                },
+            },
+        };
+    }
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            code: 'CHECKED_IN',
+            message: `${booking.quantity} ticket(s) checked in`,
+            attendee: toAttendee(booking),
+            booking: {
+                id: booking._id,
+                quantity: booking.quantity,
+                checkedInAt: booking.checkedInAt,
+            },
+        },
+    };
+};
+
+/**
+ * Check a ticket in
+ * POST /api/checkin
+ *
+ * Body: { code, eventId? }. With eventId, tickets for any other event are
+ * refused, so a scanner at one door can't admit people to another event.
+ */
+const checkIn = async (req, res) => {
+    try {
+        const ticket = verifyTicketCode(req.body.code);
+        if (!ticket) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_TICKET',
+                message: 'This is not a valid ticket code',
+            });
+        }
+
+        if (req.body.eventId && req.body.eventId !== ticket.eventId) {
+            return res.status(409).json({
+                success: false,
+                code: 'WRONG_EVENT',
+                message: 'This ticket is for a different event',
+            });
+        }
+
+        // Someone else's event looks exactly like a missing ticket
+        const event = await findCheckinEvent(req.user, ticket.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Ticket not found',
+            });
+        }
+
+        const { status, body } = await admitTicket(event, ticket, req.user, new Date());
+
+        res.status(status).json({
+            ...body,
+            event: { id: event._id, title: event.title },
+            counts: await getCheckinCounts(event._id),
+        });
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in ticket',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Guest list for scanning at the door
+ * GET /api/checkin/events/:eventId
+ *
+ * Every booking's id, holder name and status, so a scanner that loses its
+ * connection can still tell valid tickets from used or cancelled ones.
+ */
+const getGuestList = async (req, res) => {
+    try {
+        const event = await findCheckinEvent(req.user, req.params.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Event not found',
+            });
+        }
+
+        const bookings = await Booking.find({ event: event._id })
+            .select('user quantity status checkedInAt')
+            .populate('user', 'name');
+
+        res.status(200).json({
+            success: true,
+            event: {
+                id: event._id,
+                title: event.title,
+                date: event.date,
+                location: event.location,
+                status: event.status,
+            },
+            counts: await getCheckinCounts(event._id),
+            tickets: bookings.map((booking) => ({
+                bookingId: booking._id,
+                name: booking.user ? booking.user.name : 'Deleted user',
+                quantity: booking.quantity,
+                status: booking.status,
+                checkedInAt: booking.checkedInAt,
+            })),
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Event not found',
+            });
+        }
+        console.error('Get guest list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load guest list',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Sync scans made while the scanner was offline
+ * POST /api/checkin/events/:eventId/sync
+ *
+ * Body: { scans: [{ code, scannedAt }] }. Each scan is checked in as if it
+ * had reached the server when it was made; the result of every scan is
+ * returned in order, so the device can tell which ones were refused.
+ */
+const syncScans = async (req, res) => {
+    try {
+        const { scans } = req.body;
+        if (!Array.isArray(scans) || scans.length === 0 || scans.length > MAX_SYNC_SCANS) {
+            return res.status(400).json({
+                success: false,
+                message: `Send between 1 and ${MAX_SYNC_SCANS} scans`,
+            });
+        }
+
+        const event = await findCheckinEvent(req.user, req.params.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Event not found',
+            });
+        }
+
+        const results = [];
+        for (const scan of scans) {
+            const code = scan && scan.code;
+            const ticket = verifyTicketCode(code);
+
+            if (!ticket) {
+                results.push({ ticket: code, success: false, code: 'INVALID_TICKET', message: 'This is not a valid ticket code' });
+            } else if (ticket.eventId !== event._id.toString()) {
+                results.push({ ticket: code, success: false, code: 'WRONG_EVENT', message: 'This ticket is for a different event' });
+            } else {
+                const { body } = await admitTicket(event, ticket, req.user, getScanTime(scan.scannedAt));
+                results.push({ ticket: code, ...body });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            results,
+            counts: await getCheckinCounts(event._id),
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                code: 'NOT_FOUND',
+                message: 'Event not found',
+            });
+        }
+        console.error('Check-in sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sync scans',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    checkIn,
+    getGuestList,
+    syncScans,
+};
@@ -1,15 +1,190 @@
 const Event = require("../models/Event");
+const Booking = require("../models/Booking");
+const Payment = require("../models/Payment");
+const { mustVerifyEmail, EMAIL_NOT_VERIFIED } = require("../middleware/auth");
+const { canOnEvent, hasGlobalScope } = require("../services/permissions");
+const {
+    getChangedFields,
+    splitMaterialChanges,
+    hasScheduleChanges,
+    notifyAttendees,
+    notifyCancellation,
+} = require("../services/eventChanges");
+const { cancelEventBookings } = require("../services/bookingCancellation");
+const { mergeTicketTiers } = require("../services/ticketTiers");
+const { escapeRegex } = require("../services/escapeRegex");
 
-// Create Event
+// Only the organizer who created an event or an admin may change it
+const canManageEvent = (event, user) => canOnEvent(user, "events:manage", event);
+
+// Fields an organizer may set on create / update
+const EDITABLE_FIELDS = [
+    "title",
+    "description",
+    "category",
+    "date",
+    "endDate",
+    "location",
+    "address",
+    "price",
+    "currency",
+    "capacity",
+    "ticketTiers",
+    "image",
+    "refundPolicy",
+];
+
+// Status changes an organizer may make on their own event;
+// approval and rejection go through the admin endpoints. Cancelling an
+// approved event cancels and refunds its bookings.
+const ORGANIZER_TRANSITIONS = {
+    draft: ["pending", "cancelled"],
+    pending: ["draft", "cancelled"],
+    rejected: ["draft", "pending"],
+    approved: ["cancelled"],
+    cancelled: [],
+};
+
+// Statuses anyone can see; the rest are visible to the owner and admins only
+const PUBLIC_STATUSES = ["approved", "cancelled"];
+
+// Sort options accepted by GET /api/events?sort=
+const SORT_OPTIONS = {
+    date: { date: 1 },
+    "-date": { date: -1 },
+    price: { price: 1, date: 1 },
+    "-price": { price: -1, date: 1 },
+    newest: { createdAt: -1 },
+    relevance: { score: { $meta: "textScore" }, date: 1 },
+};
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Payments that took money (refunded ones may have kept part of it)
+const COLLECTED_PAYMENT_STATUSES = ["paid", "refunded"];
+
+// Turn listing query params into a mongo filter, sort and page.
+// Returns { error } for malformed input.
+const buildEventQuery = (query) => {
+    const filter = { status: "approved" };
+
+    if (query.q) {
+        filter.$text = { $search: String(query.q) };
+    }
+
+    if (query.category) {
+        const categories = String(query.category)
+            .split(",")
+            .map((value) =>
+                Event.CATEGORIES.find(
+                    (category) => category.toLowerCase() === value.trim().toLowerCase()
+                )
+            );
+        if (categories.includes(undefined)) {
+            return { error: `Unknown category '${query.category}'` };
+        }
+        filter.category = { $in: categories };
+    }
+
+    if (query.from || query.to) {
+        filter.date = {};
+        if (query.from) filter.date.$gte = new Date(query.from);
+        if (query.to) filter.date.$lte = new Date(query.to);
+        if (Object.values(filter.date).some((date) => isNaN(date))) {
+            return { error: "from and to must be valid dates" };
+        }
+    }
+
+    // Prices are in minor units, like the stored value
+    if (query.free === "true") {
+        filter.price = 0;
+    } else if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        filter.price = {};
+        if (query.minPrice !== undefined) filter.price.$gte = Number(query.minPrice);
+        if (query.maxPrice !== undefined) filter.price.$lte = Number(query.maxPrice);
+        if (Object.values(filter.price).some((price) => isNaN(price))) {
+            return { error: "minPrice and maxPrice must be numbers" };
+        }
+    }
+
+    if (query.location) {
+        const pattern = new RegExp(escapeRegex(String(query.location)), "i");
+        filter.$or = [{ location: pattern }, { address: pattern }];
+    }
+
+    const sortKey = query.sort || (query.q ? "relevance" : "date");
+    const sort = SORT_OPTIONS[sortKey];
+    if (!sort) {
+        return { error: `Invalid sort. Use one of: ${Object.keys(SORT_OPTIONS).join(", ")}` };
+    }
+    if (sortKey === "relevance" && !query.q) {
+        return { error: "sort=relevance requires a search query" };
+    }
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(
+        Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+        MAX_PAGE_SIZE
+    );
+
+    return { filter, sort, page, limit, withScore: sortKey === "relevance" };
+};
+
+// Ticket tiers sent by the client never set their own sold counts; they
+// keep those of the `event`'s matching tiers
+const pickEventFields = (body, event) => {
+    const fields = EDITABLE_FIELDS.reduce((picked, key) => {
+        if (body[key] !== undefined) picked[key] = body[key];
+        return picked;
+    }, {});
+    if (fields.ticketTiers !== undefined) {
+        fields.ticketTiers = mergeTicketTiers(event ? event.ticketTiers : [], fields.ticketTiers);
+    }
+    return fields;
+};
+
+// Map mongoose and service errors onto HTTP responses
+const sendError = (res, error) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+        });
+    }
+    if (error.name === "CastError") {
+        return res.status(404).json({
+            success: false,
+            message: "Event not found",
+        });
+    }
+    if (error.name === "ValidationError") {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors)
+                .map((err) => err.message)
+                .join(", "),
+        });
+    }
+    res.status(500).json({
+        success: false,
+        message: error.message,
+    });
+};
+
+// Create Event (ORGANIZER OR ADMIN)
 const createEvent = async (req, res) => {
     try {
-        const { title, description, date, location } = req.body;
+        const status = req.body.status === "draft" ? "draft" : "pending";
+
+        // Unverified accounts may save drafts but not submit them
+        if (status === "pending" && mustVerifyEmail(req.user)) {
+            return res.status(403).json(EMAIL_NOT_VERIFIED);
+        }
 
         const event = await Event.create({
-            title,
-            description,
-            date,
-            location,
+            ...pickEventFields(req.body),
+            status,
             createdBy: req.user.id,
         });
 
@@ -18,20 +193,42 @@ const createEvent = async (req, res) => {
             data: event,
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: error.message,
-        });
+        sendError(res, error);
     }
 };
 
-// Get All Events (PUBLIC)
+// Get Approved Events with search, filters, sorting and pagination (PUBLIC)
 const getEvents = async (req, res) => {
     try {
-        const events = await Event.find().populate("createdBy", "name email");
+        const { error, filter, sort, page, limit, withScore } = buildEventQuery(
+            req.query
+        );
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const [events, total] = await Promise.all([
+            Event.find(filter, withScore ? { score: { $meta: "textScore" } } : {})
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("createdBy", "name email"),
+            Event.countDocuments(filter),
+        ]);
 
         res.json({
             success: true,
+            count: events.length,
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(total / limit),
+            },
             data: events,
         });
     } catch (error) {
@@ -42,14 +239,274 @@ const getEvents = async (req, res) => {
     }
 };
 
-// Get My Events (LOGGED-IN USER)
+// Get Event Categories (PUBLIC)
+const getCategories = (req, res) => {
+    res.json({
+        success: true,
+        data: Event.CATEGORIES,
+    });
+};
+
+// Get Single Event (PUBLIC)
+const getEventById = async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id)
+            .select("+pendingChanges")
+            .populate("createdBy", "name email");
+
+        const canManage = Boolean(event && req.user && canManageEvent(event, req.user));
+        const isVisible = event && (PUBLIC_STATUSES.includes(event.status) || canManage);
+
+        if (!isVisible) {
+            return res.status(404).json({
+                success: false,
+                message: "Event not found",
+            });
+        }
+
+        const data = event.toJSON();
+        if (!canManage) delete data.pendingChanges;
+
+        res.json({
+            success: true,
+            data,
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Update Event (OWNER OR ADMIN)
+// Once tickets are sold, capacity can't drop below them and the currency is
+// fixed. Material edits to an approved event wait for admin review unless an
+// admin makes them; ticket holders hear about date and venue changes.
+const updateEvent = async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).select("+pendingChanges");
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: "Event not found",
+            });
+        }
+
+        if (!canManageEvent(event, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: "Not authorized to update this event",
+            });
+        }
+
+        if (event.status === "cancelled") {
+            return res.status(400).json({
+                success: false,
+                message: "Cancelled events can't be edited",
+            });
+        }
+
+        const { status } = req.body;
+        const cancelling = status === "cancelled" && event.status !== "cancelled";
+        if (status !== undefined && status !== event.status) {
+            const allowed = ORGANIZER_TRANSITIONS[event.status] || [];
+            if (!allowed.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot change event status from ${event.status} to ${status}`,
+                });
+            }
+            if (status === "pending" && mustVerifyEmail(req.user)) {
+                return res.status(403).json(EMAIL_NOT_VERIFIED);
+            }
+            event.status = status;
+            if (status === "pending") event.rejectionReason = "";
+        }
+
+        const fields = pickEventFields(req.body, event);
+        const changes = getChangedFields(event, fields);
+
+        if (event.seatsBooked > 0) {
+            if (changes.capacity !== undefined && Number(changes.capacity) < event.seatsBooked) {
+                return res.status(400).json({
+                    success: false,
+                    code: "CAPACITY_BELOW_SOLD",
+                    seatsBooked: event.seatsBooked,
+                    message: `${event.seatsBooked} ticket(s) are already sold; capacity can't go below that`,
+                });
+            }
+            if (changes.currency !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: "The currency can't change once tickets are sold",
+                });
+            }
+        }
+
+        let previous = {};
+
+        if (event.status === "approved" && !hasGlobalScope(req.user)) {
+            const { material, immediate } = splitMaterialChanges(changes);
+            event.set(immediate);
+
+            // Fields sent back unchanged drop out of the review
+            const pending = { ...event.pendingChanges };
+            Object.keys(fields).forEach((key) => {
+                if (key in material) return;
+                delete pending[key];
+            });
+
+            if (Object.keys(material).length > 0) {
+                // Check the version under review now, not when an admin approves it
+                const preview = new Event({ ...event.toObject({ virtuals: false }), ...pending, ...material });
+                await preview.validate();
+                Object.keys(material).forEach((key) => {
+                    pending[key] = preview.toObject({ virtuals: false })[key];
+                });
+                event.changesSubmittedAt = new Date();
+                event.rejectionReason = "";
+            }
+
+            if (Object.keys(pending).length > 0) {
+                event.pendingChanges = pending;
+            } else {
+                event.pendingChanges = undefined;
+                event.changesSubmittedAt = undefined;
+            }
+        } else {
+            previous = Object.keys(changes).reduce((values, key) => {
+                values[key] = event.get(key);
+                return values;
+            }, {});
+            event.set(changes);
+        }
+
+        await event.save();
+
+        if (cancelling) {
+            // Saved first, so no new orders come in while bookings are cancelled
+            const { cancelled, failed } = await cancelEventBookings(event, { user: req.user });
+            const notified = await notifyCancellation(event, cancelled);
+
+            return res.json({
+                success: true,
+                bookingsCancelled: cancelled.length,
+                refundsFailed: failed,
+                attendeesNotified: notified,
+                data: await Event.findById(event._id),
+            });
+        }
+
+        const notified =
+            event.seatsBooked > 0 && hasScheduleChanges(previous)
+                ? await notifyAttendees(event, previous)
+                : 0;
+
+        res.json({
+            success: true,
+            changesPending: Boolean(event.pendingChanges),
+            attendeesNotified: notified,
+            data: event,
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Delete Event (OWNER OR ADMIN)
+const deleteEvent = async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: "Event not found",
+            });
+        }
+
+        if (!canManageEvent(event, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: "Not authorized to delete this event",
+            });
+        }
+
+        // Bookings must keep their event
+        if (await Booking.exists({ event: event._id })) {
+            return res.status(400).json({
+                success: false,
+                message: "This event has bookings and cannot be deleted",
+            });
+        }
+
+        await event.deleteOne();
+
+        res.json({
+            success: true,
+            message: "Event deleted successfully",
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Ticket sales per event id: bookings, tickets held, revenue kept and
+// refunded (minor units). Events without bookings are left out.
+const getSalesByEvent = async (eventIds) => {
+    const [bookings, payments] = await Promise.all([
+        Booking.aggregate([
+            { $match: { event: { $in: eventIds } } },
+            {
+                $group: {
+                    _id: "$event",
+                    bookings: { $sum: 1 },
+                    tickets: {
+                        $sum: {
+                            $cond: [{ $in: ["$status", Booking.ATTENDING_STATUSES] }, "$quantity", 0],
+                        },
+                    },
+                },
+            },
+        ]),
+        Payment.aggregate([
+            { $match: { event: { $in: eventIds }, status: { $in: COLLECTED_PAYMENT_STATUSES } } },
+            {
+                $group: {
+                    _id: "$event",
+                    revenue: { $sum: { $subtract: ["$amount", "$amountRefunded"] } },
+                    refunded: { $sum: "$amountRefunded" },
+                },
+            },
+        ]),
+    ]);
+
+    const sales = {};
+    bookings.forEach(({ _id, bookings: count, tickets }) => {
+        sales[_id] = { bookings: count, tickets, revenue: 0, refunded: 0 };
+    });
+    payments.forEach(({ _id, revenue, refunded }) => {
+        sales[_id] = { bookings: 0, tickets: 0, ...sales[_id], revenue, refunded };
+    });
+    return sales;
+};
+
+// Get My Events with their ticket sales (LOGGED-IN USER)
 const getMyEvents = async (req, res) => {
     try {
-        const events = await Event.find({ createdBy: req.user.id });
+        const events = await Event.find({ createdBy: req.user.id })
+            .select("+pendingChanges")
+            .sort({ createdAt: -1 });
+
+        const sales = await getSalesByEvent(events.map((event) => event._id));
+        const data = events.map((event) => ({
+            ...event.toJSON(),
+            sales: sales[event._id] || { bookings: 0, tickets: 0, revenue: 0, refunded: 0 },
+        }));
 
         res.json({
             success: true,
-            data: events,
+            count: data.length,
+            data,
         });
     } catch (error) {
         res.status(500).json({
@@ -62,5 +519,9 @@ const getMyEvents = async (req, res) => {
 module.exports = {
     createEvent,
     getEvents,
+    getCategories,
+    getEventById,
+    updateEvent,
+    deleteEvent,
     getMyEvents,
 };
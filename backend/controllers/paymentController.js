@@ -1,76 +1,259 @@
 /**
  * Payment Controller
  * 
- * Handles payment operations:
- * - Create Razorpay order
+ * Handles payment operations through the active payment provider:
+ * - Quote and create gateway orders (priced on the server, promo code
+ *   discount, fees and GST included)
  * - Verify payment signature
- * - Update booking status
+ * - Update booking and payment status
  */
 
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider, MOCK_CHECKOUT_OUTCOMES } = require('../services/payments');
+const { refundPayment } = require('../services/payments/refunds');
+const { cancelBooking } = require('../services/bookingCancellation');
+const { getPolicyRefundLimit } = require('../services/refundPolicy');
+const { hasGlobalScope, canOnEvent } = require('../services/permissions');
+const { priceItems, priceOrder } = require('../services/pricing');
+const { applyPromoCode } = require('../services/promoCodes');
+const { resolveOrderItems, countTickets, getShortageMessage } = require('../services/ticketTiers');
 
-// Initialize Razorpay instance (use environment variables in production)
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_YOUR_KEY_ID',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || 'YOUR_KEY_SECRET',
-});
+/**
+ * Get the checkout configuration for the browser
+ * GET /api/payments/config
+ */
+const getPaymentConfig = (req, res) => {
+    res.status(200).json({
+        success: true,
+        config: getPaymentProvider().publicConfig(),
+    });
+};
+
+/**
+ * Check the event, tickets and promo code of an order request by `user` and
+ * price it. Resolves to { event, items, quantity, charges, promo }, or
+ * { status, message, code? } for the error response.
+ */
+const parseOrderRequest = async (body, user) => {
+    const { eventId } = body;
+
+    // Validate input
+    if (!eventId) {
+        return { status: 400, message: 'Missing required field: eventId' };
+    }
+
+    const event = await Event.findById(eventId);
+
+    if (!event || event.status !== 'approved') {
+        return { status: 404, message: 'Event not found or not open for booking' };
+    }
+
+    let items;
+    try {
+        items = resolveOrderItems(event, body);
+    } catch (error) {
+        if (!error.status) throw error;
+        return { status: error.status, message: error.message };
+    }
+
+    const lines = priceItems(items);
+    if (!lines.some((line) => line.amount > 0)) {
+        return { status: 400, message: 'These tickets are free - book them without payment' };
+    }
+
+    let promo;
+    let discount = 0;
+    if (body.promoCode) {
+        try {
+            ({ promo, discount } = await applyPromoCode(body.promoCode, { event, items: lines, user }));
+        } catch (error) {
+            if (!error.status) throw error;
+            return { status: error.status, message: error.message, code: error.code };
+        }
+    }
+
+    const charges = priceOrder(items, { discount, promoCode: promo && promo.code });
+
+    return { event, items: charges.items, quantity: countTickets(items), charges, promo };
+};
+
+/**
+ * Price an order without placing it
+ * POST /api/payments/quote
+ *
+ * Body: { eventId, items: [{ tierId, quantity }] } for events with ticket
+ * types, { eventId, ticketCount } otherwise, and an optional promoCode.
+ * Returns the same breakdown create-order would charge: ticket lines,
+ * discount, convenience fee, GST and total (minor units). A promo code
+ * that can't be used is answered with code INVALID_PROMO_CODE.
+ */
+const getQuote = async (req, res) => {
+    try {
+        const { event, charges, status, message, code } = await parseOrderRequest(req.body, req.user);
+        if (!event) {
+            return res.status(status).json({ success: false, code, message });
+        }
+
+        res.status(200).json({
+            success: true,
+            quote: { currency: event.currency, ...charges },
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found or not open for booking',
+            });
+        }
+        console.error('Error pricing order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to price order',
+            error: error.message,
+        });
+    }
+};
 
 /**
  * Create a new payment order
  * POST /api/payments/create-order
+ *
+ * Holds the seats and a use of the promo code, if any, with a pending
+ * booking and records a pending payment. The amount is priced on the
+ * server (services/pricing.js); any amount in the body is ignored.
  */
 const createOrder = async (req, res) => {
     try {
-        const { eventId, ticketCount, amount, currency = 'INR' } = req.body;
+        const { event, items, quantity, charges, promo, status, message, code } = await parseOrderRequest(req.body, req.user);
+        if (!event) {
+            return res.status(status).json({ success: false, code, message });
+        }
 
-        // Validate input
-        if (!eventId || !ticketCount || !amount) {
+        // Only an unpaid order can be replaced; check before giving it up
+        const existingBooking = await Booking.findOne({
+            user: req.user.id,
+            event: event._id,
+            status: { $nin: ['cancelled', 'pending'] },
+        });
+
+        if (existingBooking) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: eventId, ticketCount, amount',
+                message: 'You already booked this event',
             });
         }
 
-        // Create order options
-        const options = {
-            amount: Math.round(amount * 100), // Amount in paise
-            currency: currency,
-            receipt: `booking_${eventId}_${Date.now()}`,
-            notes: {
-                eventId: eventId.toString(),
-                ticketCount: ticketCount.toString(),
-            },
-        };
+        // A retry replaces the user's earlier unpaid order for this event. If
+        // that order is still captured later, Payment#markPaid refunds it.
+        const stalePayments = await Payment.find({
+            user: req.user.id,
+            event: event._id,
+            status: 'pending',
+        });
+        for (const stale of stalePayments) {
+            await stale.markFailed({ reason: 'Superseded by a new order' });
+        }
+
+        const amount = charges.total;
+
+        // Hold the seats before talking to the gateway
+        const reserved = await Event.reserveSeats(event._id, quantity, items);
+        if (!reserved) {
+            const current = await Event.findById(event._id);
+            return res.status(409).json({
+                success: false,
+                message: getShortageMessage(current, items),
+                seatsAvailable: current.seatsAvailable,
+            });
+        }
 
-        // Create Razorpay order
-        const order = await razorpay.orders.create(options);
+        // The code's last use, or the buyer's, may have gone since it was checked
+        if (promo && !(await PromoCode.redeem(promo, req.user.id))) {
+            await Event.releaseSeats(event._id, quantity, items);
+            return res.status(409).json({
+                success: false,
+                code: 'INVALID_PROMO_CODE',
+                message: 'This promo code has been fully redeemed or you have already used it',
+            });
+        }
 
-        // Create a pending booking in database (to be implemented)
-        const bookingId = `booking_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const provider = getPaymentProvider();
+
+        let booking;
+        try {
+            booking = await Booking.create({
+                user: req.user.id,
+                event: event._id,
+                quantity,
+                items,
+                amount,
+                status: 'pending',
+            });
 
-        // TODO: Save booking to database with status 'pending'
-        // const booking = await Booking.create({
-        //   userId: req.user.id,
-        //   eventId,
-        //   ticketCount,
-        //   amount,
-        //   orderId: order.id,
-        //   status: 'pending',
-        // });
+            const order = await provider.createOrder({
+                amount,
+                currency: event.currency,
+                receipt: `booking_${booking._id}`,
+                notes: {
+                    eventId: event._id.toString(),
+                    bookingId: booking._id.toString(),
+                    ticketCount: quantity.toString(),
+                },
+            });
 
-        res.status(200).json({
-            success: true,
-            order: {
-                id: order.id,
-                amount: order.amount / 100, // Convert back to rupees for display
+            const payment = await Payment.create({
+                user: req.user.id,
+                event: event._id,
+                booking: booking._id,
+                provider: provider.name,
+                orderId: order.id,
+                amount,
                 currency: order.currency,
-                receipt: order.receipt,
-            },
-            bookingId: bookingId,
-        });
+                charges,
+                promoCode: promo && promo._id,
+                quantity,
+            });
+
+            booking.payment = payment._id;
+            await booking.save();
+
+            res.status(200).json({
+                success: true,
+                provider: provider.name,
+                keyId: provider.publicConfig().keyId,
+                order: {
+                    id: order.id,
+                    amount: order.amount / 100, // Convert back to rupees for display
+                    currency: order.currency,
+                    receipt: order.receipt,
+                },
+                charges,
+                bookingId: booking._id,
+            });
+        } catch (error) {
+            // Undo the hold if anything after the reservation failed
+            if (booking) {
+                await Booking.findByIdAndUpdate(booking._id, { status: 'cancelled' });
+            }
+            await Event.releaseSeats(event._id, quantity, items);
+            if (promo) {
+                await PromoCode.release(promo._id, req.user.id);
+            }
+            throw error;
+        }
 
     } catch (error) {
+        // Another request booked this event for the user in the meantime
+        if (Booking.isDuplicateBooking(error)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already booked this event',
+            });
+        }
         console.error('Error creating payment order:', error);
         res.status(500).json({
             success: false,
@@ -90,7 +273,6 @@ const verifyPayment = async (req, res) => {
             razorpay_order_id,
             razorpay_payment_id,
             razorpay_signature,
-            bookingId,
         } = req.body;
 
         // Validate input
@@ -101,34 +283,43 @@ const verifyPayment = async (req, res) => {
             });
         }
 
-        // Verify signature
-        const body = razorpay_order_id + '|' + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'YOUR_KEY_SECRET')
-            .update(body.toString())
-            .digest('hex');
+        const payment = await Payment.findOne({ orderId: razorpay_order_id });
 
-        const isAuthentic = expectedSignature === razorpay_signature;
+        if (!payment || payment.user.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found',
+            });
+        }
+
+        // Verify signature with the gateway that issued the order
+        const verified = getPaymentProvider(payment.provider).verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+        });
+
+        if (!verified) {
+            await payment.markFailed({
+                paymentId: razorpay_payment_id,
+                reason: 'Invalid signature',
+            });
 
-        if (!isAuthentic) {
             return res.status(400).json({
                 success: false,
                 message: 'Payment verification failed - Invalid signature',
             });
         }
 
-        // TODO: Update booking status in database
-        // await Booking.findByIdAndUpdate(bookingId, {
-        //   status: 'confirmed',
-        //   paymentId: razorpay_payment_id,
-        //   paidAt: new Date(),
-        // });
+        const paid = await payment.markPaid({ paymentId: razorpay_payment_id });
 
         res.status(200).json({
             success: true,
             message: 'Payment verified successfully',
-            bookingId: bookingId,
-            paymentId: razorpay_payment_id,
+            bookingId: paid.booking,
+            paymentId: paid.paymentId,
+            amount: paid.amount / 100,
+            paidAt: paid.paidAt,
         });
 
     } catch (error) {
@@ -144,16 +335,29 @@ const verifyPayment = async (req, res) => {
 /**
  * Get payment details by order ID
  * GET /api/payments/order/:orderId
+ *
+ * Buyers see their own orders; admins see any order.
  */
 const getPaymentByOrderId = async (req, res) => {
     try {
         const { orderId } = req.params;
 
-        const payments = await razorpay.orders.fetchPayments(orderId);
+        const payment = await Payment.findOne({ orderId });
+
+        // Someone else's order looks exactly like a missing one
+        if (!payment || (payment.user.toString() !== req.user.id && req.user.role !== 'admin')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found',
+            });
+        }
+
+        const payments = await getPaymentProvider(payment.provider).fetchPayments(orderId);
 
         res.status(200).json({
             success: true,
-            payments: payments.items,
+            payment,
+            payments,
         });
 
     } catch (error) {
@@ -167,50 +371,96 @@ const getPaymentByOrderId = async (req, res) => {
 };
 
 /**
- * Handle Razorpay webhook events
+ * Apply one verified, provider-neutral webhook event to the Payment / Booking state
+ */
+const applyWebhookEvent = async (type, data) => {
+    switch (type) {
+        case 'payment.captured': {
+            // Payment was successful
+            const payment = await Payment.findOne({ orderId: data.orderId });
+            if (!payment) return 'unknown order';
+            await payment.markPaid({
+                paymentId: data.paymentId,
+                paidAt: data.paidAt ? new Date(data.paidAt) : new Date(),
+            });
+            return 'paid';
+        }
+
+        case 'payment.failed': {
+            // Payment failed - release the held seats
+            const payment = await Payment.findOne({ orderId: data.orderId });
+            if (!payment) return 'unknown order';
+            await payment.markFailed({
+                paymentId: data.paymentId,
+                reason: data.reason || 'Payment failed',
+            });
+            return 'failed';
+        }
+
+        case 'refund.created': {
+            // Refund was initiated (from our API or the gateway dashboard)
+            const payment = await Payment.findOne({ paymentId: data.paymentId });
+            if (!payment) return 'unknown payment';
+            await payment.markRefunded({
+                refundId: data.refundId,
+                amount: data.amount,
+                reason: data.reason,
+            });
+            return 'refunded';
+        }
+
+        default:
+            return 'ignored';
+    }
+};
+
+/**
+ * Handle webhook events from the active payment provider
  * POST /api/payments/webhook
+ *
+ * The signature covers the exact bytes the gateway sent, so this route gets
+ * the raw body (see server.js). Each event id is stored once; redeliveries
+ * are acknowledged without being applied again.
  */
 const handleWebhook = async (req, res) => {
     try {
-        const secret = process.env.RAZORPAY_WEBHOOK_SECRET || 'webhook_secret';
+        const provider = getPaymentProvider();
 
-        // Verify webhook signature
-        const signature = req.headers['x-razorpay-signature'];
-        const body = JSON.stringify(req.body);
-
-        const expectedSignature = crypto
-            .createHmac('sha256', secret)
-            .update(body)
-            .digest('hex');
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(400).json({ success: false, message: 'Expected raw JSON body' });
+        }
 
-        if (signature !== expectedSignature) {
+        // Verify the signature and normalize the event
+        const event = provider.parseWebhook(req.body, req.headers);
+        if (!event) {
             return res.status(400).json({ success: false, message: 'Invalid signature' });
         }
 
-        const event = req.body.event;
-        const payload = req.body.payload;
-
-        switch (event) {
-            case 'payment.captured':
-                // Payment was successful
-                console.log('Payment captured:', payload.payment.entity.id);
-                // TODO: Update booking status
-                break;
+        const { eventId, type, data } = event;
 
-            case 'payment.failed':
-                // Payment failed
-                console.log('Payment failed:', payload.payment.entity.id);
-                // TODO: Update booking status or notify user
-                break;
-
-            case 'refund.created':
-                // Refund was initiated
-                console.log('Refund created:', payload.refund.entity.id);
-                // TODO: Update booking status
-                break;
+        // Claim the event id; a duplicate key means we've seen it before
+        let record;
+        try {
+            record = await WebhookEvent.create({
+                provider: provider.name,
+                eventId,
+                type,
+                payload: data,
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(200).json({ success: true, received: true, duplicate: true });
+            }
+            throw error;
+        }
 
-            default:
-                console.log('Unhandled webhook event:', event);
+        try {
+            record.result = await applyWebhookEvent(type, data);
+            await record.save();
+        } catch (error) {
+            // Forget the event so the gateway's retry is processed
+            await record.deleteOne();
+            throw error;
         }
 
         res.status(200).json({ success: true, received: true });
@@ -222,12 +472,34 @@ const handleWebhook = async (req, res) => {
 };
 
 /**
- * Initiate refund
+ * Work out the refund in minor units from an optional amount in rupees.
+ * No amount means whatever is left to refund, up to `limit` when given.
+ */
+const getRefundAmount = (payment, amount, limit = Infinity) => {
+    const remaining = Math.min(payment.amount - payment.amountRefunded, limit);
+
+    if (amount === undefined || amount === null || amount === '') {
+        return { amount: remaining };
+    }
+
+    const minorUnits = Math.round(Number(amount) * 100);
+    if (!Number.isFinite(minorUnits) || minorUnits <= 0 || minorUnits > remaining) {
+        return { error: `Refund amount must be more than 0 and at most ${remaining / 100}` };
+    }
+
+    return { amount: minorUnits };
+};
+
+/**
+ * Refund one of your own payments
  * POST /api/payments/refund
+ *
+ * Buyers can't choose the amount: this cancels the booking and refunds
+ * what the event's refund policy allows (same as PUT /api/bookings/:id/cancel).
  */
 const initiateRefund = async (req, res) => {
     try {
-        const { paymentId, amount, reason } = req.body;
+        const { paymentId } = req.body;
 
         if (!paymentId) {
             return res.status(400).json({
@@ -236,25 +508,107 @@ const initiateRefund = async (req, res) => {
             });
         }
 
-        const refundOptions = {
-            speed: 'normal',
-            notes: {
-                reason: reason || 'Customer requested refund',
+        const payment = await Payment.findOne({ paymentId });
+
+        if (!payment || payment.user.toString() !== req.user.id || payment.status !== 'paid') {
+            return res.status(404).json({
+                success: false,
+                message: 'No refundable payment found',
+            });
+        }
+
+        const booking = await Booking.findById(payment.booking);
+        const { refund, percent, amount } = await cancelBooking(booking, { user: req.user });
+
+        res.status(200).json({
+            success: true,
+            refund: refund && {
+                id: refund.id,
+                amount: refund.amount / 100,
+                status: refund.status,
             },
-        };
+            refundPercent: percent,
+            refundAmount: amount / 100,
+            bookingId: booking._id,
+        });
 
-        // If partial refund, add amount
-        if (amount) {
-            refundOptions.amount = Math.round(amount * 100);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
+        console.error('Error initiating refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to initiate refund',
+            error: error.message,
+        });
+    }
+};
 
-        const refund = await razorpay.payments.refund(paymentId, refundOptions);
+/**
+ * Refund a payment as an admin or as the event's organizer
+ * POST /api/payments/admin/refund
+ *
+ * Body: { paymentId, amount?, reason }. A reason is required; it is
+ * recorded with the refund on the booking. Organizers can refund up to
+ * what the event's refund policy allows right now; admins can refund
+ * anything that is left.
+ */
+const issueRefund = async (req, res) => {
+    try {
+        const { paymentId, amount } = req.body;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-        // TODO: Update booking status in database
-        // await Booking.findOneAndUpdate(
-        //   { paymentId },
-        //   { status: 'refunded', refundId: refund.id }
-        // );
+        if (!paymentId || !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment ID and a reason are required',
+            });
+        }
+
+        const payment = await Payment.findOne({ paymentId });
+        const event = payment && await Event.findById(payment.event);
+
+        if (!payment || !event || !canOnEvent(req.user, 'refunds:issue', event)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found',
+            });
+        }
+
+        if (payment.status !== 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: `Payment is ${payment.status} and cannot be refunded`,
+            });
+        }
+
+        const isAdmin = hasGlobalScope(req.user);
+
+        let limit = Infinity;
+        if (!isAdmin) {
+            const policy = getPolicyRefundLimit(event, payment);
+            if (policy.amount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The event's refund policy allows no further refund right now (${policy.percent}%)`,
+                });
+            }
+            limit = policy.amount;
+        }
+
+        const refundAmount = getRefundAmount(payment, amount, limit);
+        if (refundAmount.error) {
+            return res.status(400).json({ success: false, message: refundAmount.error });
+        }
+
+        const refund = await refundPayment(payment, {
+            amount: refundAmount.amount,
+            reason,
+            source: isAdmin ? 'admin' : 'organizer',
+            refundedBy: req.user._id,
+        });
+        const updated = await Payment.findById(payment._id);
 
         res.status(200).json({
             success: true,
@@ -263,22 +617,104 @@ const initiateRefund = async (req, res) => {
                 amount: refund.amount / 100,
                 status: refund.status,
             },
+            payment: {
+                status: updated.status,
+                amountRefunded: updated.amountRefunded / 100,
+            },
+            bookingId: payment.booking,
         });
 
     } catch (error) {
-        console.error('Error initiating refund:', error);
+        console.error('Error issuing refund:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to initiate refund',
+            message: 'Failed to issue refund',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Finish a checkout on the mock gateway
+ * POST /api/payments/mock/:orderId/complete
+ *
+ * Stands in for the hosted checkout page during development and tests.
+ * Body: { outcome: 'success' | 'failure' }. A success returns the signed
+ * response the client passes to /verify; a failure releases the seats.
+ */
+const completeMockPayment = async (req, res) => {
+    try {
+        const provider = getPaymentProvider();
+        const outcome = req.body.outcome || 'success';
+
+        if (provider.name !== 'mock') {
+            return res.status(404).json({
+                success: false,
+                message: 'The mock gateway is not enabled',
+            });
+        }
+
+        if (!MOCK_CHECKOUT_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({
+                success: false,
+                message: `outcome must be one of: ${MOCK_CHECKOUT_OUTCOMES.join(', ')}`,
+            });
+        }
+
+        const payment = await Payment.findOne({ orderId: req.params.orderId });
+
+        if (!payment || payment.user.toString() !== req.user.id || payment.provider !== 'mock') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found',
+            });
+        }
+
+        if (payment.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Order is already ${payment.status}`,
+            });
+        }
+
+        const result = provider.completeCheckout(payment.orderId, outcome);
+
+        if (result.status === 'failed') {
+            await payment.markFailed({ paymentId: result.paymentId, reason: result.reason });
+
+            return res.status(402).json({
+                success: false,
+                message: result.reason,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            response: {
+                razorpay_order_id: result.orderId,
+                razorpay_payment_id: result.paymentId,
+                razorpay_signature: result.signature,
+            },
+        });
+
+    } catch (error) {
+        console.error('Error completing mock payment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete mock payment',
             error: error.message,
         });
     }
 };
 
 module.exports = {
+    getPaymentConfig,
+    getQuote,
     createOrder,
     verifyPayment,
     getPaymentByOrderId,
     handleWebhook,
     initiateRefund,
+    issueRefund,
+    completeMockPayment,
 };
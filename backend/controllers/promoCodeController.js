@@ -0,0 +1,286 @@
+/**
+ * Promo Code Controller
+ *
+ * Promo codes for organizers (on their own events) and admins (on any
+ * event, or every event):
+ * - List codes with their orders, discount given and revenue
+ * - Create codes scoped to an event and, optionally, some of its ticket types
+ * - Edit, switch off, and delete codes that were never used
+ *
+ * Fixed discounts are given in minor units. Checkout checks and applies
+ * codes in services/promoCodes.js.
+ */
+
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { hasGlobalScope, canOnEvent } = require('../services/permissions');
+const { httpError } = require('../services/httpError');
+
+// Fields an organizer sets directly; code, event and tiers are handled apart
+const EDITABLE_FIELDS = [
+    'description',
+    'discountType',
+    'value',
+    'usageLimit',
+    'perUserLimit',
+    'validFrom',
+    'validUntil',
+    'active',
+];
+
+// Limits and dates that can be cleared by sending an empty value
+const OPTIONAL_FIELDS = ['usageLimit', 'perUserLimit', 'validFrom', 'validUntil'];
+
+const sendError = (res, error) => {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error.name === 'CastError') {
+        return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map((err) => err.message).join(', '),
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'A promo code with that code already exists' });
+    }
+    console.error('Promo code error:', error);
+    res.status(500).json({ success: false, message: error.message });
+};
+
+const pickPromoFields = (body) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] === undefined) return;
+        fields[field] = OPTIONAL_FIELDS.includes(field) && body[field] === '' ? null : body[field];
+    });
+    return fields;
+};
+
+/**
+ * The event and ticket types a code is scoped to. Only admins may leave
+ * out the event; ticket types must belong to it. Throws an error with a
+ * status otherwise.
+ */
+const resolveScope = async (user, eventId, tierIds = []) => {
+    const tiers = Array.isArray(tierIds) ? tierIds.map(String) : [];
+
+    if (!eventId) {
+        if (!hasGlobalScope(user)) {
+            throw httpError(400, 'Choose the event this code is for');
+        }
+        if (tiers.length > 0) {
+            throw httpError(400, 'Ticket types can only be chosen for a single event');
+        }
+        return { event: null, tiers: [] };
+    }
+
+    const event = await Event.findById(eventId).catch(() => null);
+    if (!event || !canOnEvent(user, 'promos:manage', event)) {
+        throw httpError(404, 'Event not found');
+    }
+    if (tiers.some((tierId) => !event.ticketTiers.id(tierId))) {
+        throw httpError(400, 'One of the ticket types was not found');
+    }
+
+    return { event: event._id, tiers };
+};
+
+/**
+ * The promo code, if `user` may manage it: admins manage every code,
+ * organizers the codes of their events
+ */
+const findManagedPromo = async (user, id) => {
+    const promo = await PromoCode.findById(id);
+    if (!promo) return null;
+    if (hasGlobalScope(user)) return promo;
+
+    const event = promo.event && await Event.findById(promo.event);
+    return event && canOnEvent(user, 'promos:manage', event) ? promo : null;
+};
+
+/**
+ * Paid orders, discount given and revenue per code (minor units, net of refunds)
+ */
+const getPromoStats = async (ids) => {
+    const rows = await Payment.aggregate([
+        { $match: { promoCode: { $in: ids }, status: { $in: ['paid', 'refunded'] } } },
+        {
+            $group: {
+                _id: '$promoCode',
+                orders: { $sum: 1 },
+                discount: { $sum: { $ifNull: ['$charges.discount', 0] } },
+                revenue: { $sum: { $subtract: ['$amount', '$amountRefunded'] } },
+            },
+        },
+    ]);
+    return new Map(rows.map(({ _id, ...stats }) => [_id.toString(), stats]));
+};
+
+const toPromoView = (promo, stats) => {
+    const { event, ...fields } = promo.toObject();
+    const tierNames = new Map(
+        ((event && event.ticketTiers) || []).map((tier) => [tier._id.toString(), tier.name])
+    );
+
+    return {
+        ...fields,
+        event: event && { _id: event._id, title: event.title, date: event.date },
+        tiers: promo.tiers.map((tier) => ({ _id: tier, name: tierNames.get(tier.toString()) || 'Removed ticket type' })),
+        stats: stats || { orders: 0, discount: 0, revenue: 0 },
+    };
+};
+
+/**
+ * List promo codes
+ * GET /api/promo-codes?event=<eventId>
+ *
+ * Admins see every code; organizers the codes of the events they created
+ */
+const getPromoCodes = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.event) filter.event = req.query.event;
+
+        if (!hasGlobalScope(req.user)) {
+            const owned = { createdBy: req.user.id };
+            if (req.query.event) owned._id = req.query.event;
+            const events = await Event.find(owned).select('_id');
+            filter.event = { $in: events.map((event) => event._id) };
+        }
+
+        const promos = await PromoCode.find(filter)
+            .populate('event', 'title date ticketTiers')
+            .sort({ createdAt: -1 });
+        const stats = await getPromoStats(promos.map((promo) => promo._id));
+
+        res.status(200).json({
+            success: true,
+            count: promos.length,
+            promoCodes: promos.map((promo) => toPromoView(promo, stats.get(promo.id))),
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Create a promo code
+ * POST /api/promo-codes
+ *
+ * Body: { code, description?, discountType, value, usageLimit?,
+ * perUserLimit?, validFrom?, validUntil?, eventId?, tierIds? }
+ */
+const createPromoCode = async (req, res) => {
+    try {
+        const scope = await resolveScope(req.user, req.body.eventId, req.body.tierIds);
+
+        const promo = await PromoCode.create({
+            ...pickPromoFields(req.body),
+            code: req.body.code,
+            ...scope,
+            createdBy: req.user.id,
+        });
+        await promo.populate('event', 'title date ticketTiers');
+
+        res.status(201).json({
+            success: true,
+            promoCode: toPromoView(promo),
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Update a promo code
+ * PUT /api/promo-codes/:id
+ *
+ * The code itself can't change, and a code that has been used keeps its event
+ */
+const updatePromoCode = async (req, res) => {
+    try {
+        const promo = await findManagedPromo(req.user, req.params.id);
+        if (!promo) {
+            return res.status(404).json({ success: false, message: 'Promo code not found' });
+        }
+
+        if (req.body.code !== undefined && String(req.body.code).trim().toUpperCase() !== promo.code) {
+            return res.status(400).json({
+                success: false,
+                message: 'A code can\'t be renamed - create a new one instead',
+            });
+        }
+
+        if (req.body.eventId !== undefined || req.body.tierIds !== undefined) {
+            const eventId = req.body.eventId !== undefined ? req.body.eventId : promo.event;
+            const sameEvent = String(eventId || null) === String(promo.event || null);
+            // Ticket types of the old event don't carry over to a new one
+            const tierIds = req.body.tierIds !== undefined ? req.body.tierIds : sameEvent ? promo.tiers : [];
+            const scope = await resolveScope(req.user, eventId, tierIds);
+            if (!sameEvent && promo.timesUsed > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This code has been used and can\'t move to another event',
+                });
+            }
+            promo.set(scope);
+        }
+
+        promo.set(pickPromoFields(req.body));
+        await promo.save();
+        await promo.populate('event', 'title date ticketTiers');
+
+        const stats = await getPromoStats([promo._id]);
+        res.status(200).json({
+            success: true,
+            promoCode: toPromoView(promo, stats.get(promo.id)),
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Delete a promo code
+ * DELETE /api/promo-codes/:id
+ *
+ * Codes on any order stay for the records; switch them off instead
+ */
+const deletePromoCode = async (req, res) => {
+    try {
+        const promo = await findManagedPromo(req.user, req.params.id);
+        if (!promo) {
+            return res.status(404).json({ success: false, message: 'Promo code not found' });
+        }
+
+        if (await Payment.exists({ promoCode: promo._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This code has been used on orders - deactivate it instead',
+            });
+        }
+
+        await promo.deleteOne();
+        await PromoRedemption.deleteMany({ promoCode: promo._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Promo code deleted',
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getPromoCodes,
+    createPromoCode,
+    updatePromoCode,
+    deletePromoCode,
+};
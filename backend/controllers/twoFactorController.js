@@ -0,0 +1,230 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../services/totp');
+const {
+    isTwoFactorRequired,
+    generateRecoveryCodes,
+    verifySecondFactor
+} = require('../services/twoFactor');
+const { logSecurityEvent } = require('../services/securityLog');
+
+const ISSUER = process.env.FROM_NAME || 'EventFlow';
+
+// @desc    Get my 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt,
+                required: await isTwoFactorRequired(user),
+                recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+            }
+        });
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Start enrolment: a new secret and its QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already on'
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save({ validateBeforeSave: false });
+
+        const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email, issuer: ISSUER });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode: await QRCode.toDataURL(otpauthUrl)
+            }
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Finish enrolment with a code from the app; returns recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already on'
+            });
+        }
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start the setup first'
+            });
+        }
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'That code is not valid, check your authenticator app and try again'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabledAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        // Sessions opened without the second factor shouldn't outlive it
+        await Session.revokeAll(user._id, 'two_factor_enabled', { except: req.sessionId });
+        logSecurityEvent('two_factor_enabled', { req, user });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication is on',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Turn 2FA off (password plus a code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not on'
+            });
+        }
+
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: `Two-factor authentication is required for ${user.role} accounts`
+            });
+        }
+
+        if (!req.body.password || !(await user.matchPassword(req.body.password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        if (!(await verifySecondFactor(user._id, req.body))) {
+            return res.status(401).json({
+                success: false,
+                message: 'That code is not valid'
+            });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                'twoFactor.enabled': false,
+                $unset: {
+                    'twoFactor.secret': 1,
+                    'twoFactor.recoveryCodes': 1,
+                    'twoFactor.lastUsedStep': 1,
+                    'twoFactor.enabledAt': 1
+                }
+            }
+        );
+        logSecurityEvent('two_factor_disabled', { req, user });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication is off'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Replace my recovery codes (needs a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        if (!req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not on'
+            });
+        }
+
+        if ((await verifySecondFactor(req.user._id, { code: req.body.code })) !== 'totp') {
+            return res.status(401).json({
+                success: false,
+                message: 'That code is not valid'
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: req.user._id }, { 'twoFactor.recoveryCodes': hashes });
+        logSecurityEvent('recovery_codes_regenerated', { req, user: req.user });
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,22 +1,26 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const { protect } = require("../middleware/auth");
-
-
-// Protect routes - require authentication
-exports.protect = async (req, res, next) => {
-    let token;
+const { authenticateAccessToken } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { hasPermission } = require('../services/permissions');
 
+// Read the JWT from the Authorization header or the token cookie
+const getTokenFromRequest = (req) => {
     // Check for token in Authorization header
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
+        return req.headers.authorization.split(' ')[1];
     }
 
     // Check for token in cookies
-    if (!token && req.cookies && req.cookies.token) {
-        token = req.cookies.token;
+    if (req.cookies && req.cookies.token) {
+        return req.cookies.token;
     }
 
+    return null;
+};
+
+// Protect routes - require authentication
+exports.protect = async (req, res, next) => {
+    const token = getTokenFromRequest(req);
+
     if (!token) {
         return res.status(401).json({
             success: false,
@@ -25,37 +29,119 @@ exports.protect = async (req, res, next) => {
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Verify the token and that its session is still open
+        const auth = await authenticateAccessToken(token);
 
-        // Get user from token
-        req.user = await User.findById(decoded.id);
-
-        if (!req.user) {
+        if (!auth) {
             return res.status(401).json({
                 success: false,
-                message: 'User not found'
+                message: 'Not authorized to access this route'
             });
         }
 
+        req.user = auth.user;
+        req.sessionId = auth.sessionId;
         next();
     } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Not authorized to access this route'
-        });
+        next(error);
     }
 };
 
+// Attach req.user when a valid token is present, but never reject the request
+exports.optionalAuth = async (req, res, next) => {
+    const token = getTokenFromRequest(req);
+
+    if (token) {
+        try {
+            const auth = await authenticateAccessToken(token);
+            if (auth) {
+                req.user = auth.user;
+                req.sessionId = auth.sessionId;
+            }
+        } catch (error) {
+            req.user = undefined;
+        }
+    }
+
+    next();
+};
+
+// Whether `user` is held back by the email verification policy.
+// REQUIRE_EMAIL_VERIFICATION=false turns the policy off; admins are exempt.
+const mustVerifyEmail = (user) =>
+    process.env.REQUIRE_EMAIL_VERIFICATION !== 'false'
+    && user.role !== 'admin'
+    && !user.isVerified;
+
+exports.mustVerifyEmail = mustVerifyEmail;
+
+exports.EMAIL_NOT_VERIFIED = {
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address first'
+};
+
+// Require a verified email (use after protect)
+exports.requireVerifiedEmail = (req, res, next) => {
+    if (mustVerifyEmail(req.user)) {
+        return res.status(403).json(exports.EMAIL_NOT_VERIFIED);
+    }
+    next();
+};
+
+// Where the 2FA policy covers the user's role, the role's routes stay
+// closed until they turn 2FA on. Resolves to the 403 body, or null.
+const twoFactorBlock = async (user) => {
+    if (user.twoFactor.enabled || !(await isTwoFactorRequired(user))) {
+        return null;
+    }
+    return {
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: `Turn on two-factor authentication to use your ${user.role} account`
+    };
+};
+
 // Authorize specific roles
 exports.authorize = (...roles) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         if (!roles.includes(req.user.role)) {
             return res.status(403).json({
                 success: false,
                 message: `User role '${req.user.role}' is not authorized to access this route`
             });
         }
+
+        const blocked = await twoFactorBlock(req.user);
+        if (blocked) {
+            return res.status(403).json(blocked);
+        }
+
+        next();
+    };
+};
+
+// Require every one of `permissions` (see services/permissions). Whether the
+// user may use them on a particular event is up to the controller.
+exports.requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        const missing = permissions.find((permission) => !hasPermission(req.user, permission));
+        if (missing) {
+            return res.status(403).json({
+                success: false,
+                code: 'PERMISSION_DENIED',
+                permission: missing,
+                message: req.user.role === 'user'
+                    ? 'Only organizers can do this - apply to become one from your account menu'
+                    : `Your ${req.user.role} account is not allowed to do this`
+            });
+        }
+
+        const blocked = await twoFactorBlock(req.user);
+        if (blocked) {
+            return res.status(403).json(blocked);
+        }
+
         next();
     };
 };
@@ -1,40 +0,0 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
-
-// Protect routes
-const protect = async (req, res, next) => {
-  let token;
-
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    try {
-      token = req.headers.authorization.split(" ")[1];
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || "SECRET_KEY");
-
-      req.user = await User.findById(decoded.id).select("-password");
-
-      next();
-    } catch (error) {
-      return res.status(401).json({ message: "Token invalid" });
-    }
-  } else {
-    return res.status(401).json({ message: "No token provided" });
-  }
-};
-
-// Admin-only access
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied",
-      });
-    }
-    next();
-  };
-};
-
-module.exports = { protect, authorizeRoles };
@@ -0,0 +1,43 @@
+const { getThrottleStore } = require('../services/throttle');
+
+// Limit each client (by IP unless `keyGenerator` says otherwise) to `max`
+// requests per `windowMs`. Counters live in the throttle store, so the
+// limits hold across instances once that store is shared.
+exports.rateLimit = ({
+    name,
+    windowMs,
+    max,
+    message = 'Too many requests, please try again later',
+    keyGenerator = (req) => req.ip,
+    skip = () => false
+}) => {
+    return async (req, res, next) => {
+        if (skip(req)) return next();
+
+        try {
+            const store = getThrottleStore();
+            const key = `rate:${name}:${keyGenerator(req)}`;
+            const count = await store.increment(key, windowMs);
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+
+            if (count > max) {
+                const retryAfter = Math.ceil((await store.ttl(key)) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    code: 'RATE_LIMITED',
+                    retryAfter,
+                    message
+                });
+            }
+
+            next();
+        } catch (error) {
+            // A broken store shouldn't take the API down with it
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+};
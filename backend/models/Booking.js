@@ -12,15 +12,122 @@ const bookingSchema = new mongoose.Schema(
             ref: "Event",
             required: true,
         },
+        quantity: {
+            type: Number,
+            required: true,
+            default: 1,
+            min: [1, "Book at least one ticket"],
+            max: [10, "You can book at most 10 tickets at once"],
+            validate: {
+                validator: Number.isInteger,
+                message: "Ticket quantity must be a whole number",
+            },
+        },
+        // What was bought, one line per ticket type (unit prices in minor
+        // units, before fees and tax). Events without ticket types have a
+        // single general admission line with no tier.
+        items: [
+            {
+                _id: false,
+                tier: {
+                    type: mongoose.Schema.Types.ObjectId,
+                },
+                name: {
+                    type: String,
+                    required: true,
+                },
+                unitPrice: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                },
+                quantity: {
+                    type: Number,
+                    required: true,
+                    min: 1,
+                },
+                amount: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                },
+            },
+        ],
         status: {
             type: String,
-            enum: ["booked", "cancelled", "confirmed", "attended"],
+            // pending: seats held while a paid order awaits payment
+            enum: ["pending", "booked", "cancelled", "confirmed", "attended"],
             default: "booked",
         },
+        // Total charged in minor units (0 for free bookings)
+        amount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Payment",
+        },
+        // Every refund issued against this booking, whoever started it
+        refunds: [
+            {
+                refundId: { type: String, required: true },
+                amount: { type: Number, required: true, min: 0 },
+                reason: String,
+                // user: the buyer; organizer/admin: staff refund; gateway: from the
+                // dashboard; system: a late capture that couldn't get its seats
+                source: {
+                    type: String,
+                    enum: ["user", "organizer", "admin", "gateway", "system"],
+                    default: "gateway",
+                },
+                refundedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                },
+                createdAt: { type: Date, default: Date.now },
+            },
+        ],
+        // Running total refunded in minor units
+        amountRefunded: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Set when the ticket is scanned at the door (status becomes attended)
+        checkedInAt: {
+            type: Date,
+        },
+        checkedInBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
     },
     {
         timestamps: true,
     }
 );
 
+// Per-event booking lists and sales totals
+bookingSchema.index({ event: 1, status: 1 });
+
+// One live booking per user and event, enforced by the database so that
+// parallel requests can't both book
+const ACTIVE_STATUSES = ["pending", "booked", "confirmed", "attended"];
+bookingSchema.index(
+    { user: 1, event: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+
+// Whether `error` is the insert or update that would give a user a second
+// live booking for an event
+bookingSchema.statics.isDuplicateBooking = (error) =>
+    Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.user);
+
+bookingSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// Bookings that hold a seat at the event (live ones that aren't awaiting payment)
+bookingSchema.statics.ATTENDING_STATUSES = ["booked", "confirmed", "attended"];
+
 module.exports = mongoose.model("Booking", bookingSchema);
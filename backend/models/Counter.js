@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. invoice numbers; one document per sequence
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true,
+    },
+    seq: {
+        type: Number,
+        default: 0,
+    },
+});
+
+// Take the next number of a sequence (1, 2, 3, ...). Atomic, so concurrent
+// callers never get the same number.
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
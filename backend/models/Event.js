@@ -1,28 +1,394 @@
 const mongoose = require("mongoose");
 
+const EVENT_CATEGORIES = [
+    "Technology",
+    "Music",
+    "Business",
+    "Sports",
+    "Arts",
+    "Food",
+    "Education",
+    "Other",
+];
+
+// draft -> pending -> approved / rejected; any live event may be cancelled
+const EVENT_STATUSES = ["draft", "pending", "approved", "rejected", "cancelled"];
+
+const MAX_TICKET_TIERS = 10;
+
+// A kind of ticket with its own price, stock, sale window and order limits
+// (early bird, VIP, student...)
+const ticketTierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Please name every ticket type"],
+        trim: true,
+        maxlength: [60, "Ticket type names cannot exceed 60 characters"],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: "",
+        maxlength: [300, "Ticket type descriptions cannot exceed 300 characters"],
+    },
+    // Price in minor units
+    price: {
+        type: Number,
+        default: 0,
+        min: [0, "Ticket prices cannot be negative"],
+        validate: {
+            validator: Number.isInteger,
+            message: "Ticket prices must be a whole number of minor units",
+        },
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Please give every ticket type a quantity"],
+        min: [1, "Every ticket type needs at least 1 ticket"],
+        validate: [
+            {
+                validator: Number.isInteger,
+                message: "Ticket quantities must be whole numbers",
+            },
+            {
+                validator: function (value) {
+                    return value >= (this.sold || 0);
+                },
+                message: "A ticket type's quantity cannot be lower than the tickets sold",
+            },
+        ],
+    },
+    // Tickets of this type held by active bookings; only changed through
+    // reserveSeats / releaseSeats
+    sold: {
+        type: Number,
+        default: 0,
+        min: [0, "Sold tickets cannot be negative"],
+    },
+    // On sale from salesStart (default: now) until salesEnd (default: the event starts)
+    salesStart: {
+        type: Date,
+    },
+    salesEnd: {
+        type: Date,
+        validate: {
+            validator: function (value) {
+                return !value || !this.salesStart || value > this.salesStart;
+            },
+            message: "A ticket type's sales must end after they start",
+        },
+    },
+    minPerOrder: {
+        type: Number,
+        default: 1,
+        min: [1, "The minimum per order must be at least 1"],
+        validate: {
+            validator: Number.isInteger,
+            message: "The minimum per order must be a whole number",
+        },
+    },
+    maxPerOrder: {
+        type: Number,
+        default: 10,
+        max: [10, "The maximum per order cannot exceed 10"],
+        validate: [
+            {
+                validator: Number.isInteger,
+                message: "The maximum per order must be a whole number",
+            },
+            {
+                validator: function (value) {
+                    return value >= (this.minPerOrder || 1);
+                },
+                message: "The maximum per order cannot be lower than the minimum",
+            },
+        ],
+    },
+});
+
 const eventSchema = new mongoose.Schema(
     {
         title: {
             type: String,
-            required: true,
+            required: [true, "Please provide an event title"],
+            trim: true,
+            maxlength: [120, "Title cannot exceed 120 characters"],
         },
         description: {
             type: String,
         },
+        category: {
+            type: String,
+            enum: {
+                values: EVENT_CATEGORIES,
+                message: "Invalid category '{VALUE}'",
+            },
+            default: "Other",
+        },
+        // Start of the event (date and time)
         date: {
             type: Date,
-            required: true,
+            required: [true, "Please provide a start date and time"],
+        },
+        endDate: {
+            type: Date,
+            validate: {
+                validator: function (value) {
+                    return !value || !this.date || value > this.date;
+                },
+                message: "End time must be after the start time",
+            },
         },
+        // Venue name
         location: {
             type: String,
-            required: true,
+            required: [true, "Please provide a venue"],
+            trim: true,
+        },
+        address: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        // Ticket price in minor units (paise for INR). With ticket tiers,
+        // the lowest tier price.
+        price: {
+            type: Number,
+            default: 0,
+            min: [0, "Price cannot be negative"],
+            validate: {
+                validator: Number.isInteger,
+                message: "Price must be a whole number of minor units",
+            },
+        },
+        currency: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            default: "INR",
+            match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+        },
+        // With ticket tiers, the tier quantities plus any seats booked
+        // before the event had tiers
+        capacity: {
+            type: Number,
+            required: [true, "Please provide a capacity"],
+            min: [1, "Capacity must be at least 1"],
+            validate: [
+                {
+                    validator: Number.isInteger,
+                    message: "Capacity must be a whole number",
+                },
+                {
+                    validator: function (value) {
+                        return value >= (this.seatsBooked || 0);
+                    },
+                    message: "Capacity cannot be lower than the tickets already booked",
+                },
+            ],
+        },
+        // Tickets held by active bookings; only changed through reserveSeats / releaseSeats
+        seatsBooked: {
+            type: Number,
+            default: 0,
+            min: [0, "Booked seats cannot be negative"],
+        },
+        // Ticket types on sale; none means a single ticket at `price`
+        ticketTiers: {
+            type: [ticketTierSchema],
+            validate: [
+                {
+                    validator: (tiers) => tiers.length <= MAX_TICKET_TIERS,
+                    message: `An event can have at most ${MAX_TICKET_TIERS} ticket types`,
+                },
+                {
+                    validator: (tiers) =>
+                        new Set(tiers.map((tier) => tier.name.toLowerCase())).size === tiers.length,
+                    message: "Ticket types must have different names",
+                },
+            ],
+        },
+        image: {
+            type: String,
+            trim: true,
+            default: "",
+            match: [/^(https?:\/\/\S+)?$/, "Image must be an http(s) URL"],
+        },
+        // Cancelling at least hoursBefore hours ahead refunds percent of the
+        // amount paid (see services/refundPolicy.js). Empty means the default
+        // policy; [{ hoursBefore: 0, percent: 0 }] means non-refundable.
+        refundPolicy: {
+            type: [
+                {
+                    _id: false,
+                    hoursBefore: {
+                        type: Number,
+                        required: true,
+                        min: [0, "Refund rule hours cannot be negative"],
+                        validate: {
+                            validator: Number.isInteger,
+                            message: "Refund rule hours must be a whole number",
+                        },
+                    },
+                    percent: {
+                        type: Number,
+                        required: true,
+                        min: [0, "Refund percent cannot be negative"],
+                        max: [100, "Refund percent cannot exceed 100"],
+                    },
+                },
+            ],
+            validate: [
+                {
+                    validator: (rules) => rules.length <= 5,
+                    message: "A refund policy can have at most 5 rules",
+                },
+                {
+                    validator: (rules) =>
+                        new Set(rules.map((rule) => rule.hoursBefore)).size === rules.length,
+                    message: "Refund rules must have different hours",
+                },
+            ],
         },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
         },
+        status: {
+            type: String,
+            enum: EVENT_STATUSES,
+            default: "pending",
+        },
+        // Why the event, or the last changes submitted for it, were rejected
+        rejectionReason: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        // Edits to an approved event awaiting admin review (see
+        // services/eventChanges.js); the approved version stays live meanwhile.
+        // Only the organizer and admins see them.
+        pendingChanges: {
+            type: mongoose.Schema.Types.Mixed,
+            select: false,
+        },
+        changesSubmittedAt: {
+            type: Date,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: {
+            type: Date,
+        },
     },
-    { timestamps: true }
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
 );
 
+eventSchema.virtual("seatsAvailable").get(function () {
+    if (this.capacity === undefined) return undefined;
+    return Math.max(this.capacity - (this.seatsBooked || 0), 0);
+});
+
+// With tiers, price and capacity follow from them: the cheapest ticket, and
+// every tier ticket plus seats booked before the event had tiers
+eventSchema.pre("validate", function () {
+    if (!this.ticketTiers || this.ticketTiers.length === 0) return;
+
+    const sold = this.ticketTiers.reduce((sum, tier) => sum + (tier.sold || 0), 0);
+    const quantity = this.ticketTiers.reduce((sum, tier) => sum + tier.quantity, 0);
+
+    this.price = Math.min(...this.ticketTiers.map((tier) => tier.price || 0));
+    this.capacity = Math.max((this.seatsBooked || 0) - sold, 0) + quantity;
+});
+
+// Public listing filters on status and then date, category or price
+eventSchema.index({ status: 1, date: 1 });
+eventSchema.index({ status: 1, category: 1, date: 1 });
+eventSchema.index({ status: 1, price: 1 });
+eventSchema.index({ createdBy: 1, createdAt: -1 });
+eventSchema.index(
+    { title: "text", description: "text", location: "text", address: "text" },
+    { weights: { title: 10, location: 5, address: 3, description: 1 }, name: "EventTextIndex" }
+);
+
+// Tickets per tier in `items` ([{ tier, quantity }]); items without a tier
+// (general admission) don't count
+const countTierTickets = (items) =>
+    items.reduce((counts, item) => {
+        if (!item.tier) return counts;
+        const id = item.tier.toString();
+        counts.set(id, (counts.get(id) || 0) + item.quantity);
+        return counts;
+    }, new Map());
+
+// Update that adds `sign * quantity` to seatsBooked and to the sold count of
+// each tier in `counts`
+const buildSeatUpdate = (quantity, counts, sign) => {
+    const update = { $inc: { seatsBooked: sign * quantity } };
+    const arrayFilters = [];
+
+    [...counts].forEach(([tierId, count], index) => {
+        update.$inc[`ticketTiers.$[t${index}].sold`] = sign * count;
+        arrayFilters.push({ [`t${index}._id`]: new mongoose.Types.ObjectId(tierId) });
+    });
+
+    return { update, options: arrayFilters.length ? { new: true, arrayFilters } : { new: true } };
+};
+
+// Atomically take `quantity` seats on an approved event, and with `items`
+// ([{ tier, quantity }]) the tickets of each tier. The capacity checks and
+// the increments happen in one update, so concurrent buyers cannot oversell.
+// Resolves to the updated event, or null when not enough seats are left.
+eventSchema.statics.reserveSeats = function (eventId, quantity, items = []) {
+    const counts = countTierTickets(items);
+    const checks = [{ $lte: [{ $add: ["$seatsBooked", quantity] }, "$capacity"] }];
+
+    counts.forEach((count, tierId) => {
+        checks.push({
+            $gt: [
+                {
+                    $size: {
+                        $filter: {
+                            input: { $ifNull: ["$ticketTiers", []] },
+                            cond: {
+                                $and: [
+                                    { $eq: ["$$this._id", new mongoose.Types.ObjectId(tierId)] },
+                                    { $lte: [{ $add: ["$$this.sold", count] }, "$$this.quantity"] },
+                                ],
+                            },
+                        },
+                    },
+                },
+                0,
+            ],
+        });
+    });
+
+    const { update, options } = buildSeatUpdate(quantity, counts, 1);
+    return this.findOneAndUpdate(
+        { _id: eventId, status: "approved", $expr: { $and: checks } },
+        update,
+        options
+    );
+};
+
+// Give seats (and their tier tickets) back after a cancellation or a failed booking
+eventSchema.statics.releaseSeats = function (eventId, quantity, items = []) {
+    const { update, options } = buildSeatUpdate(quantity, countTierTickets(items), -1);
+    return this.findOneAndUpdate(
+        { _id: eventId, seatsBooked: { $gte: quantity } },
+        update,
+        options
+    );
+};
+
+eventSchema.statics.CATEGORIES = EVENT_CATEGORIES;
+eventSchema.statics.STATUSES = EVENT_STATUSES;
+
 module.exports = mongoose.model("Event", eventSchema);
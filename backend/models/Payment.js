@@ -0,0 +1,305 @@
+const mongoose = require("mongoose");
+const Booking = require("./Booking");
+const Event = require("./Event");
+const Counter = require("./Counter");
+const PromoCode = require("./PromoCode");
+const { refundPayment } = require("../services/payments/refunds");
+
+// pending -> paid -> refunded, or pending -> failed
+const PAYMENT_STATUSES = ["pending", "paid", "failed", "refunded"];
+
+const paymentSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        event: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Event",
+            required: true,
+        },
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking",
+            required: true,
+        },
+        provider: {
+            type: String,
+            default: "razorpay",
+        },
+        // Gateway order id (order_xxx) created before checkout
+        orderId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Gateway payment id (pay_xxx), known once the buyer pays
+        paymentId: {
+            type: String,
+            index: true,
+        },
+        // Amount charged in minor units (paise for INR), computed on the server
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        currency: {
+            type: String,
+            default: "INR",
+        },
+        // How the amount was made up (services/pricing.js), in minor units
+        charges: {
+            items: [
+                {
+                    _id: false,
+                    // Ticket type, if the event has them
+                    tier: mongoose.Schema.Types.ObjectId,
+                    name: String,
+                    description: String,
+                    unitPrice: Number,
+                    quantity: Number,
+                    amount: Number,
+                },
+            ],
+            subtotal: Number,
+            // Promo code discount off the subtotal, and the code as entered
+            discount: { type: Number, default: 0 },
+            promoCode: String,
+            convenienceFee: Number,
+            convenienceFeeRate: Number,
+            tax: Number,
+            taxRate: Number,
+        },
+        // Promo code used on the order; it holds one of the code's uses
+        // while the order is pending or paid
+        promoCode: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PromoCode",
+            index: true,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        status: {
+            type: String,
+            enum: PAYMENT_STATUSES,
+            default: "pending",
+        },
+        paidAt: Date,
+        // Tax invoice number, given out in sequence once the payment is paid
+        invoiceNumber: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+        invoicedAt: Date,
+        failedAt: Date,
+        failureReason: String,
+        // Gateway refunds applied to this payment, keyed by refund id
+        refunds: [
+            {
+                refundId: { type: String, required: true },
+                amount: { type: Number, required: true, min: 0 },
+                reason: String,
+                createdAt: { type: Date, default: Date.now },
+            },
+        ],
+        // Running total refunded in minor units; the payment flips to
+        // "refunded" once this reaches the amount charged
+        amountRefunded: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        refundedAt: Date,
+    },
+    { timestamps: true }
+);
+
+// Invoices are numbered per Indian financial year (April to March):
+// EF/26-27/000001, EF/26-27/000002, ...
+const getFinancialYear = (date) => {
+    const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${String(start).slice(-2)}-${String(start + 1).slice(-2)}`;
+};
+
+// Give the payment the next invoice number if it has none yet. The caller
+// saves the payment.
+paymentSchema.methods.assignInvoiceNumber = async function () {
+    if (this.invoiceNumber) return this;
+
+    const invoicedAt = this.paidAt || new Date();
+    const year = getFinancialYear(invoicedAt);
+    const seq = await Counter.next(`invoice:${year}`);
+
+    this.invoiceNumber = `${process.env.INVOICE_PREFIX || "EF"}/${year}/${String(seq).padStart(6, "0")}`;
+    this.invoicedAt = invoicedAt;
+    return this;
+};
+
+// Record a captured payment and confirm its booking. Safe to call twice,
+// even at the same time (the verify call and the capture webhook): the
+// status moves to "paid" in one conditional update, and only the call that
+// made that move numbers the invoice and takes seats. Resolves to the
+// payment as stored.
+// A capture can arrive after the order was given up as failed (its seats
+// and promo code use released); the seats are taken again if any are left,
+// and the paid order counts against its promo code even past the limit.
+// If the seats are gone, or the buyer has booked the event again since,
+// the capture is refunded in full instead.
+paymentSchema.methods.markPaid = async function ({ paymentId, paidAt = new Date() }) {
+    const Payment = this.constructor;
+
+    const previous = await Payment.findOneAndUpdate(
+        { _id: this._id, status: { $in: ["pending", "failed"] } },
+        { status: "paid", paymentId, paidAt }
+    );
+    const payment = await Payment.findById(this._id);
+    if (!previous) return payment;
+
+    await payment.assignInvoiceNumber();
+
+    if (previous.status === "failed") {
+        const rebooked = await Booking.exists({
+            _id: { $ne: payment.booking },
+            user: payment.user,
+            event: payment.event,
+            status: { $ne: "cancelled" },
+        });
+        const reserved = !rebooked
+            && await Event.reserveSeats(payment.event, payment.quantity, payment.charges.items);
+        if (!reserved) {
+            return payment.refundUnfulfilled(rebooked
+                ? "Captured after the buyer booked the event again"
+                : "Captured after the seats were released");
+        }
+        payment.failureReason = undefined;
+        if (payment.promoCode) {
+            await PromoCode.restore(payment.promoCode, payment.user);
+        }
+    }
+
+    await payment.save();
+
+    try {
+        await Booking.findByIdAndUpdate(payment.booking, {
+            status: "confirmed",
+            payment: payment._id,
+        });
+    } catch (error) {
+        // A failed order's booking came back while the buyer booked again
+        if (!Booking.isDuplicateBooking(error)) throw error;
+        await Event.releaseSeats(payment.event, payment.quantity, payment.charges.items);
+        if (payment.promoCode) await PromoCode.release(payment.promoCode, payment.user);
+        return payment.refundUnfulfilled("Captured after the buyer booked the event again");
+    }
+
+    return payment;
+};
+
+// Refund in full a capture whose booking can't be honoured. If the gateway
+// refuses, the reason is kept on the payment so it can be refunded by hand.
+paymentSchema.methods.refundUnfulfilled = async function (reason) {
+    this.failureReason = `${reason}; refund required`;
+    await this.save();
+
+    try {
+        await refundPayment(this, { amount: this.amount, reason, source: "system" });
+    } catch (error) {
+        console.error(`Automatic refund of payment ${this._id} failed:`, error);
+    }
+
+    return this.constructor.findById(this._id);
+};
+
+// Record a failed payment, cancel its booking and give the seats and the
+// promo code use back. A payment that already succeeded is left alone, and
+// of two calls racing each other only one releases anything.
+paymentSchema.methods.markFailed = async function ({ paymentId, reason } = {}) {
+    const Payment = this.constructor;
+
+    const update = { status: "failed", failedAt: new Date(), failureReason: reason };
+    if (paymentId) update.paymentId = paymentId;
+
+    const payment = await Payment.findOneAndUpdate(
+        { _id: this._id, status: "pending" },
+        update,
+        { new: true }
+    );
+    if (!payment) return Payment.findById(this._id);
+
+    const booking = await Booking.findOneAndUpdate(
+        { _id: payment.booking, status: "pending" },
+        { status: "cancelled" }
+    );
+    if (booking) {
+        await Event.releaseSeats(payment.event, booking.quantity, booking.items);
+    }
+    if (payment.promoCode) {
+        await PromoCode.release(payment.promoCode, payment.user);
+    }
+
+    return payment;
+};
+
+// Apply a gateway refund of `amount` minor units and record it on the
+// booking. Each refundId counts once, so the API response and the refund
+// webhook can both report it, even at the same time: the refund is added
+// by a conditional update and only the call that added it touches the
+// booking. A full refund cancels the booking and releases its seats.
+// `source`/`refundedBy` say who asked for it. Resolves to the payment as
+// stored.
+paymentSchema.methods.markRefunded = async function ({
+    refundId,
+    amount,
+    reason,
+    source = "gateway",
+    refundedBy,
+}) {
+    const Payment = this.constructor;
+
+    const recorded = await Payment.findOneAndUpdate(
+        { _id: this._id, "refunds.refundId": { $ne: refundId } },
+        {
+            $push: { refunds: { refundId, amount, reason } },
+            $inc: { amountRefunded: amount },
+        }
+    );
+    if (!recorded) return Payment.findById(this._id);
+
+    await Booking.findByIdAndUpdate(this.booking, {
+        $push: { refunds: { refundId, amount, reason, source, refundedBy } },
+        $inc: { amountRefunded: amount },
+    });
+
+    // Fully refunded: the first refund to get here cancels the booking
+    const refunded = await Payment.findOneAndUpdate(
+        {
+            _id: this._id,
+            status: { $ne: "refunded" },
+            $expr: { $gte: ["$amountRefunded", "$amount"] },
+        },
+        { status: "refunded", refundedAt: new Date() },
+        { new: true }
+    );
+    if (!refunded) return Payment.findById(this._id);
+
+    const booking = await Booking.findOneAndUpdate(
+        { _id: this.booking, status: { $ne: "cancelled" } },
+        { status: "cancelled" }
+    );
+    if (booking) {
+        await Event.releaseSeats(this.event, booking.quantity, booking.items);
+    }
+
+    return refunded;
+};
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const PromoRedemption = require("./PromoRedemption");
+
+const DISCOUNT_TYPES = ["percent", "fixed"];
+
+const promoCodeSchema = new mongoose.Schema(
+    {
+        // What buyers type at checkout; matched case-insensitively
+        code: {
+            type: String,
+            required: [true, "Please provide a code"],
+            unique: true,
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z0-9_-]{3,30}$/, "Codes are 3-30 letters, digits, dashes or underscores"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: [200, "Descriptions cannot exceed 200 characters"],
+        },
+        // percent: `value` percent off; fixed: `value` minor units off the order
+        discountType: {
+            type: String,
+            enum: {
+                values: DISCOUNT_TYPES,
+                message: "Discount type must be percent or fixed",
+            },
+            required: true,
+        },
+        value: {
+            type: Number,
+            required: [true, "Please provide the discount"],
+            min: [1, "The discount must be at least 1"],
+            validate: [
+                {
+                    validator: Number.isInteger,
+                    message: "The discount must be a whole number",
+                },
+                {
+                    validator: function (value) {
+                        return this.discountType !== "percent" || value <= 100;
+                    },
+                    message: "A percentage discount cannot exceed 100",
+                },
+            ],
+        },
+        // Orders that may use the code in all, and per buyer; empty means no limit
+        usageLimit: {
+            type: Number,
+            min: [1, "The usage limit must be at least 1"],
+        },
+        perUserLimit: {
+            type: Number,
+            min: [1, "The per-buyer limit must be at least 1"],
+        },
+        // Orders holding the code (pending or paid); only changed through
+        // redeem / release
+        timesUsed: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        validFrom: {
+            type: Date,
+        },
+        validUntil: {
+            type: Date,
+            validate: {
+                validator: function (value) {
+                    return !value || !this.validFrom || value > this.validFrom;
+                },
+                message: "A code must expire after it becomes valid",
+            },
+        },
+        // The event the code is for; empty means every event (admins only)
+        event: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Event",
+        },
+        // Ticket types of that event it discounts; empty means all of them
+        tiers: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+        ],
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    { timestamps: true }
+);
+
+promoCodeSchema.index({ event: 1, createdAt: -1 });
+
+// Atomically count an order by `user` against `promo`. Each limit is
+// checked and counted in one update (the buyer's in PromoRedemption, the
+// code's here), so concurrent orders cannot overuse it. Resolves to the
+// updated code, or null when it is used up, switched off or already used
+// up by this buyer.
+promoCodeSchema.statics.redeem = async function (promo, user) {
+    if (!(await PromoRedemption.take(promo._id, user, promo.perUserLimit))) {
+        return null;
+    }
+
+    const redeemed = await this.findOneAndUpdate(
+        {
+            _id: promo._id,
+            active: true,
+            $expr: {
+                $or: [
+                    { $eq: [{ $ifNull: ["$usageLimit", null] }, null] },
+                    { $lt: ["$timesUsed", "$usageLimit"] },
+                ],
+            },
+        },
+        { $inc: { timesUsed: 1 } },
+        { new: true }
+    );
+    if (!redeemed) {
+        await PromoRedemption.giveBack(promo._id, user);
+    }
+    return redeemed;
+};
+
+// Count a paid order whose use was given back when it was thought to have
+// failed; it counts even past the limits
+promoCodeSchema.statics.restore = async function (id, user) {
+    await PromoRedemption.updateOne({ promoCode: id, user }, { $inc: { uses: 1 } }, { upsert: true });
+    return this.findOneAndUpdate({ _id: id }, { $inc: { timesUsed: 1 } }, { new: true });
+};
+
+// Give `user`'s use back when their order fails
+promoCodeSchema.statics.release = async function (id, user) {
+    await PromoRedemption.giveBack(id, user);
+    return this.findOneAndUpdate(
+        { _id: id, timesUsed: { $gt: 0 } },
+        { $inc: { timesUsed: -1 } },
+        { new: true }
+    );
+};
+
+promoCodeSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
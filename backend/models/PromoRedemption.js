@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// How many uses of a promo code one buyer holds (orders pending or paid).
+// One document per code and buyer, so the per-buyer limit can be checked
+// and counted in a single update.
+const promoRedemptionSchema = new mongoose.Schema(
+    {
+        promoCode: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PromoCode",
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        uses: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
+// Count a use for `user` if they have fewer than `limit` (no limit when
+// empty). Resolves to the record, or null when the buyer is at the limit.
+promoRedemptionSchema.statics.take = async function (promoCode, user, limit) {
+    const filter = { promoCode, user };
+    if (limit) filter.uses = { $lt: limit };
+
+    try {
+        return await this.findOneAndUpdate(filter, { $inc: { uses: 1 } }, { upsert: true, new: true });
+    } catch (error) {
+        // The record exists and is at the limit, or another order of this
+        // buyer created it first; only the second is worth another try
+        if (error.code !== 11000) throw error;
+        return this.findOneAndUpdate(filter, { $inc: { uses: 1 } }, { new: true });
+    }
+};
+
+// Give a use back, never going below zero
+promoRedemptionSchema.statics.giveBack = function (promoCode, user) {
+    return this.findOneAndUpdate(
+        { promoCode, user, uses: { $gt: 0 } },
+        { $inc: { uses: -1 } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
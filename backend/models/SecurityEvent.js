@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const SECURITY_EVENT_TYPES = [
+    "login_success",
+    "login_failure",
+    "login_throttled",
+    "account_locked",
+    "two_factor_failure",
+    "password_changed",
+    "password_reset_requested",
+    "password_reset",
+    "two_factor_enabled",
+    "two_factor_disabled",
+    "recovery_codes_regenerated",
+    "role_changed",
+    "sessions_revoked",
+    "refresh_token_reuse",
+];
+
+// Kept for SECURITY_LOG_RETENTION_DAYS, then Mongo drops it
+const RETENTION_DAYS = Number(process.env.SECURITY_LOG_RETENTION_DAYS) || 180;
+
+// One entry in the security log admins browse
+const securityEventSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: SECURITY_EVENT_TYPES,
+            required: true,
+        },
+        // The account the event is about (absent for unknown emails)
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        // The email that was tried, so failures for unknown accounts show up too
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+        },
+        // Who did it, when that isn't the user (e.g. an admin changing a role)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        userAgent: {
+            type: String,
+            default: "",
+        },
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// A logged-in device. The client holds a refresh token for it; each refresh
+// swaps in a new token, so only the hash of the latest one is kept here.
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // SHA-256 of the current refresh token
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        // The token it replaced and when, so a concurrent refresh isn't taken for reuse
+        previousTokenHash: {
+            type: String,
+            select: false,
+        },
+        rotatedAt: {
+            type: Date,
+        },
+        userAgent: {
+            type: String,
+            default: "",
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        // logout, logout_all, revoked, password_changed, token_reuse, two_factor_enabled
+        revokedReason: {
+            type: String,
+        },
+    },
+    { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Mongo drops sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Active sessions of a user
+sessionSchema.statics.findActive = function (userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+// Revoke the user's sessions, optionally keeping one (the caller's own)
+sessionSchema.statics.revokeAll = function (userId, reason, { except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
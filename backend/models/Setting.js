@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// App-wide settings admins change at runtime, one document per key
+const settingSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    { timestamps: true }
+);
+
+// Resolve a setting's value, or `fallback` when it was never set
+settingSchema.statics.getValue = async function (key, fallback) {
+    const setting = await this.findOne({ key }).lean();
+    return setting ? setting.value : fallback;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+    return this.findOneAndUpdate(
+        { key },
+        { value, updatedBy },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// How long a password reset link stays valid
+const RESET_PASSWORD_EXPIRE_MINUTES = 30;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_EXPIRE_HOURS = 24;
+
+// Tokens we email out are stored only as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -43,8 +53,83 @@ const UserSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
+    // TOTP second factor (see services/twoFactor.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret being enrolled, until the first code confirms it
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of the unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last time step a code was accepted for, so codes can't be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
+    // Request to become an organizer; admins approve it by setting the role
+    // (PUT /api/admin/users/:id/role) or reject it with a note
+    organizerApplication: {
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected']
+        },
+        organizationName: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Organization name cannot exceed 100 characters']
+        },
+        website: {
+            type: String,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Description cannot exceed 1000 characters']
+        },
+        submittedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewNote: {
+            type: String,
+            trim: true
+        }
+    },
+    // Hash of the emailed verification token; cleared once verified
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpire: {
+        type: Date,
+        select: false
+    },
+    // Hash of the emailed reset token; cleared once it is used
+    resetPasswordToken: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpire: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -53,11 +138,10 @@ const UserSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Hash password before saving
-UserSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) {
-        next();
-    }
+// Hash password before saving (only when it changed)
+UserSchema.pre('save', async function () {
+    if (!this.isModified('password')) return;
+
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
 });
@@ -67,13 +151,39 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-UserSchema.methods.getSignedJwtToken = function () {
+// Generate a short-lived access token for one of the user's sessions
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
     return jwt.sign(
-        { id: this._id, role: this.role },
+        { id: this._id, role: this.role, sid: sessionId },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
     );
 };
 
+// Issue a single-use password reset token. Returns the raw token for the
+// email; only its hash is kept on the user.
+UserSchema.methods.getResetPasswordToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.resetPasswordToken = hashToken(resetToken);
+    this.resetPasswordExpire = new Date(Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000);
+
+    return resetToken;
+};
+
+// Issue an email verification token, replacing any earlier one.
+// Returns the raw token for the email; only its hash is kept.
+UserSchema.methods.getEmailVerificationToken = function () {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    this.emailVerificationToken = hashToken(verificationToken);
+    this.emailVerificationExpire = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+
+    return verificationToken;
+};
+
+UserSchema.statics.hashToken = hashToken;
+UserSchema.statics.RESET_PASSWORD_EXPIRE_MINUTES = RESET_PASSWORD_EXPIRE_MINUTES;
+UserSchema.statics.EMAIL_VERIFICATION_EXPIRE_HOURS = EMAIL_VERIFICATION_EXPIRE_HOURS;
+
 module.exports = mongoose.model('User', UserSchema);
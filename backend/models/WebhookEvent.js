@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One row per gateway webhook delivery we have processed. The unique
+// eventId makes redeliveries of the same event a no-op.
+const webhookEventSchema = new mongoose.Schema(
+    {
+        provider: {
+            type: String,
+            default: "razorpay",
+        },
+        eventId: {
+            type: String,
+            required: true,
+        },
+        type: {
+            type: String,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        // What the event did: paid, failed, refunded, ignored, unknown order...
+        result: {
+            type: String,
+        },
+        processedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -5,9 +5,16 @@ const {
   getAllUsers,
   getAllBookings,
   getDashboardStats,
+  approveEvent,
+  rejectEvent,
   deleteEvent,
   deleteUser,
-  updateUserRole
+  updateUserRole,
+  getOrganizerApplications,
+  rejectOrganizerApplication,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getSecurityEvents
 } = require('../controllers/adminController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -20,6 +27,8 @@ router.get('/stats', getDashboardStats);
 
 // Events management
 router.get('/events', getAllEvents);
+router.put('/events/:id/approve', approveEvent);
+router.put('/events/:id/reject', rejectEvent);
 router.delete('/events/:id', deleteEvent);
 
 // Users management
@@ -27,6 +36,17 @@ router.get('/users', getAllUsers);
 router.delete('/users/:id', deleteUser);
 router.put('/users/:id/role', updateUserRole);
 
+// Organizer applications (approve by setting the role to organizer above)
+router.get('/organizer-applications', getOrganizerApplications);
+router.put('/organizer-applications/:id/reject', rejectOrganizerApplication);
+
+// Security policy (which roles must use 2FA)
+router.get('/settings/security', getSecuritySettings);
+router.put('/settings/security', updateSecuritySettings);
+
+// Security log (sign-ins, lockouts, password, 2FA and role changes)
+router.get('/security-events', getSecurityEvents);
+
 // Bookings management
 router.get('/bookings', getAllBookings);
 
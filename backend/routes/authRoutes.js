@@ -1,37 +1,247 @@
-const express = require("express");
+/**
+ * Auth Routes
+ *
+ * Registration, login and the current user's session. Request bodies are
+ * checked with express-validator; the controller reports the failures.
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
-const { protect, authorizeRoles } = require("../middleware/authMiddleware");
-
-// Any logged-in user
-router.get("/profile", protect, (req, res) => {
-  res.json({
-    message: "Profile accessed successfully",
-    user: req.user,
-  });
+const {
+    register,
+    login,
+    getMe,
+    logout,
+    updateProfile,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    refresh,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    updatePassword,
+    loginTwoFactor,
+} = require('../controllers/authController');
+const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+
+const { protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Endpoints that send email or take a guessable secret get a tighter limit
+// per IP. Failed logins are throttled separately (services/loginThrottle).
+const strictLimit = rateLimit({
+    name: 'auth',
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many attempts, please try again in a few minutes'
 });
 
-// Admin-only route
-router.get(
-  "/admin",
-  protect,
-  authorizeRoles("admin"),
-  (req, res) => {
-    res.json({
-      message: "Welcome Admin",
-    });
-  }
-);
-
-// Vendor-only route
-router.get(
-  "/vendor",
-  protect,
-  authorizeRoles("vendor"),
-  (req, res) => {
-    res.json({
-      message: "Welcome Vendor",
-    });
-  }
-);
+// Validation rules
+const registerRules = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+    body('email')
+        .trim()
+        .toLowerCase()
+        .isEmail().withMessage('Please provide a valid email'),
+    body('password')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+];
+
+const loginRules = [
+    body('email')
+        .trim()
+        .toLowerCase()
+        .isEmail().withMessage('Please provide a valid email'),
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+];
+
+const forgotPasswordRules = [
+    body('email')
+        .trim()
+        .toLowerCase()
+        .isEmail().withMessage('Please provide a valid email'),
+];
+
+const resetPasswordRules = [
+    body('password')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+];
+
+const updatePasswordRules = [
+    body('currentPassword')
+        .notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 8 }).withMessage('New password must be at least 8 characters'),
+];
+
+const updateProfileRules = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+    body('phone')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(/^\+?[0-9\s-]{7,15}$/).withMessage('Please provide a valid phone number'),
+    body('avatar')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Avatar must be an http(s) URL'),
+];
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create an account and start a session
+ * @access  Public
+ */
+router.post('/register', strictLimit, registerRules, register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with email and password
+ * @access  Public
+ */
+router.post('/login', loginRules, login);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish logging in with a TOTP or recovery code
+ * @access  Public (challenge token from /login)
+ */
+router.post('/login/2fa', strictLimit, loginTwoFactor);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the logged-in user
+ * @access  Private
+ */
+router.get('/me', protect, getMe);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Swap the refresh token cookie for a new access token
+ * @access  Public (refresh token cookie)
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End this session and clear its cookies
+ * @access  Public
+ */
+router.post('/logout', optionalAuth, logout);
+
+/**
+ * @route   POST /api/auth/logoutall
+ * @desc    End every session of the current user
+ * @access  Private
+ */
+router.post('/logoutall', protect, logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
+/**
+ * @route   PUT /api/auth/updatepassword
+ * @desc    Change password; other sessions are signed out
+ * @access  Private
+ */
+router.put('/updatepassword', protect, updatePasswordRules, updatePassword);
+
+/**
+ * @route   PUT /api/auth/updateprofile
+ * @desc    Update name, phone or avatar
+ * @access  Private
+ */
+router.put('/updateprofile', protect, updateProfileRules, updateProfile);
+
+/**
+ * @route   POST /api/auth/forgotpassword
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgotpassword', strictLimit, forgotPasswordRules, forgotPassword);
+
+/**
+ * @route   PUT /api/auth/resetpassword/:resettoken
+ * @desc    Set a new password with the emailed token
+ * @access  Public
+ */
+router.put('/resetpassword/:resettoken', strictLimit, resetPasswordRules, resetPassword);
+
+/**
+ * @route   POST /api/auth/verifyemail/resend
+ * @desc    Email a new verification link
+ * @access  Private
+ */
+router.post('/verifyemail/resend', strictLimit, protect, resendVerification);
+
+/**
+ * @route   POST /api/auth/verifyemail/:token
+ * @desc    Confirm an email address with the emailed token
+ * @access  Public
+ */
+router.post('/verifyemail/:token', strictLimit, verifyEmail);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment: new secret and QR code
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code; returns recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off with password and a code
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
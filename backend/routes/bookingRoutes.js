@@ -4,21 +4,37 @@ const router = express.Router();
 const {
     bookEvent,
     getMyBookings,
-    adminUpdateBooking,
+    getBookingTicket,
+    getBookingTicketPdf,
+    getBookingInvoicePdf,
+    cancelBooking,
+    updateBookingStatus,
     adminDeleteBooking
 } = require("../controllers/bookingController");
 
-const { protect, authorize } = require("../middleware/auth");
+const { protect, authorize, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
 
 // Book an event (logged-in user)
-router.post("/", protect, bookEvent);
+router.post("/", protect, requireVerifiedEmail, bookEvent);
 
 // Get my bookings (logged-in user)
 router.get("/my", protect, getMyBookings);
 
+// Ticket code and QR code for one of my bookings (logged-in user)
+router.get("/:id/ticket", protect, getBookingTicket);
+
+// Ticket as a PDF, and the GST tax invoice of a paid booking (logged-in user)
+router.get("/:id/ticket.pdf", protect, getBookingTicketPdf);
+router.get("/:id/invoice.pdf", protect, getBookingInvoicePdf);
+
+// Cancel my booking under the event's refund policy (logged-in user)
+router.put("/:id/cancel", protect, cancelBooking);
+
+// Change a booking's status, e.g. mark it attended (organizer of the event or admin)
+router.put("/:id/status", protect, requirePermission("bookings:manage"), updateBookingStatus);
+
 // Admin routes for booking management
-router.put("/admin/:id", protect, authorize('admin'), adminUpdateBooking);
+router.put("/admin/:id", protect, authorize('admin'), updateBookingStatus);
 router.delete("/admin/:id", protect, authorize('admin'), adminDeleteBooking);
 
 module.exports = router;
-
@@ -0,0 +1,34 @@
+/**
+ * Check-in Routes
+ *
+ * Ticket scanning at the door for the organizer of the event (or an admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkIn, getGuestList, syncScans } = require('../controllers/checkinController');
+
+const { protect, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/checkin
+ * @desc    Validate a ticket code and mark its booking attended
+ * @access  Private (organizer of the event or admin)
+ */
+router.post('/', protect, requirePermission('bookings:checkin'), checkIn);
+
+/**
+ * @route   GET /api/checkin/events/:eventId
+ * @desc    Guest list and check-in counts for a scanner
+ * @access  Private (organizer of the event or admin)
+ */
+router.get('/events/:eventId', protect, requirePermission('bookings:checkin'), getGuestList);
+
+/**
+ * @route   POST /api/checkin/events/:eventId/sync
+ * @desc    Check in scans queued while the scanner was offline
+ * @access  Private (organizer of the event or admin)
+ */
+router.post('/events/:eventId/sync', protect, requirePermission('bookings:checkin'), syncScans);
+
+module.exports = router;
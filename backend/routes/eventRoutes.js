@@ -3,17 +3,37 @@ const router = express.Router();
 const {
     createEvent,
     getEvents,
+    getCategories,
+    getEventById,
+    updateEvent,
+    deleteEvent,
     getMyEvents,
 } = require("../controllers/eventController");
-const { protect } = require("../middleware/auth");
+const { getEventBookings, getEventAttendees } = require("../controllers/bookingController");
+const { protect, optionalAuth, requirePermission } = require("../middleware/auth");
 
-// Public – view all events
+// Public – view all approved events
 router.get("/", getEvents);
 
-// Protected – create event
-router.post("/", protect, createEvent);
+// Organizer or admin – create event
+router.post("/", protect, requirePermission("events:create"), createEvent);
 
-// Protected – view my events
+// Protected – view my events, with their approval status and ticket sales
 router.get("/my", protect, getMyEvents);
 
+// Public – list of event categories
+router.get("/categories", getCategories);
+
+// Public – view a single event (owners and admins also see unapproved ones)
+router.get("/:id", optionalAuth, getEventById);
+
+// Organizer who created it or admin – bookings and attendee list (?format=csv)
+router.get("/:id/bookings", protect, requirePermission("bookings:read"), getEventBookings);
+router.get("/:id/attendees", protect, requirePermission("bookings:read"), getEventAttendees);
+
+// Organizer who created it or admin – update / delete
+// (an organizer's material edits to an approved event wait for admin review)
+router.put("/:id", protect, requirePermission("events:manage"), updateEvent);
+router.delete("/:id", protect, requirePermission("events:manage"), deleteEvent);
+
 module.exports = router;
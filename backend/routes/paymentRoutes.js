@@ -1,55 +1,91 @@
 /**
  * Payment Routes
  * 
- * Routes for handling payment operations with Razorpay
+ * Routes for handling payment operations through the active payment
+ * provider (Razorpay, or the local mock gateway in development)
  */
 
 const express = require('express');
 const router = express.Router();
 const {
+    getPaymentConfig,
+    getQuote,
     createOrder,
     verifyPayment,
     getPaymentByOrderId,
     handleWebhook,
     initiateRefund,
+    issueRefund,
+    completeMockPayment,
 } = require('../controllers/paymentController');
+const { isMockCheckoutEnabled } = require('../services/payments');
 
-// Middleware for authentication (to be implemented)
-// const { protect } = require('../middleware/authMiddleware');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/payments/config
+ * @desc    Get the active provider and its public checkout key
+ * @access  Public
+ */
+router.get('/config', getPaymentConfig);
+
+/**
+ * @route   POST /api/payments/quote
+ * @desc    Price an order: tickets, convenience fee, GST and total
+ * @access  Private (requires authentication)
+ */
+router.post('/quote', protect, getQuote);
 
 /**
  * @route   POST /api/payments/create-order
- * @desc    Create a new Razorpay order for payment
+ * @desc    Create a new gateway order for payment
  * @access  Private (requires authentication)
  */
-router.post('/create-order', /* protect, */ createOrder);
+router.post('/create-order', protect, requireVerifiedEmail, createOrder);
 
 /**
  * @route   POST /api/payments/verify
  * @desc    Verify payment after successful transaction
  * @access  Private (requires authentication)
  */
-router.post('/verify', /* protect, */ verifyPayment);
+router.post('/verify', protect, verifyPayment);
 
 /**
  * @route   GET /api/payments/order/:orderId
  * @desc    Get payment details by order ID
- * @access  Private (requires authentication)
+ * @access  Private (buyer or admin)
  */
-router.get('/order/:orderId', /* protect, */ getPaymentByOrderId);
+router.get('/order/:orderId', protect, getPaymentByOrderId);
 
 /**
  * @route   POST /api/payments/webhook
- * @desc    Handle Razorpay webhook events
+ * @desc    Handle webhook events from the active provider
  * @access  Public (verified by signature)
  */
 router.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook);
 
 /**
  * @route   POST /api/payments/refund
- * @desc    Initiate a refund for a payment
- * @access  Private (requires admin or owner)
+ * @desc    Refund one of your own payments
+ * @access  Private (buyer only)
+ */
+router.post('/refund', protect, initiateRefund);
+
+/**
+ * @route   POST /api/payments/admin/refund
+ * @desc    Refund a payment with a reason (organizers within the event's refund policy)
+ * @access  Private (admin, or the organizer of the event)
+ */
+router.post('/admin/refund', protect, requirePermission('refunds:issue'), issueRefund);
+
+/**
+ * @route   POST /api/payments/mock/:orderId/complete
+ * @desc    Succeed or fail a checkout on the mock gateway
+ * @access  Private (requires authentication; only mounted when PAYMENT_PROVIDER=mock
+ *          outside production)
  */
-router.post('/refund', /* protect, */ initiateRefund);
+if (isMockCheckoutEnabled()) {
+    router.post('/mock/:orderId/complete', protect, completeMockPayment);
+}
 
 module.exports = router;
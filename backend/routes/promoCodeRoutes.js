@@ -0,0 +1,48 @@
+/**
+ * Promo Code Routes
+ *
+ * Discount codes for the organizer of an event (or an admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getPromoCodes,
+    createPromoCode,
+    updatePromoCode,
+    deletePromoCode,
+} = require('../controllers/promoCodeController');
+
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect, requirePermission('promos:manage'));
+
+/**
+ * @route   GET /api/promo-codes
+ * @desc    List promo codes with their orders and discount given
+ * @access  Private (organizers for their events, admins for all)
+ */
+router.get('/', getPromoCodes);
+
+/**
+ * @route   POST /api/promo-codes
+ * @desc    Create a promo code
+ * @access  Private (organizer of the event or admin)
+ */
+router.post('/', createPromoCode);
+
+/**
+ * @route   PUT /api/promo-codes/:id
+ * @desc    Update or switch off a promo code
+ * @access  Private (organizer of the event or admin)
+ */
+router.put('/:id', updatePromoCode);
+
+/**
+ * @route   DELETE /api/promo-codes/:id
+ * @desc    Delete a promo code that was never used
+ * @access  Private (organizer of the event or admin)
+ */
+router.delete('/:id', deletePromoCode);
+
+module.exports = router;
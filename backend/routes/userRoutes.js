@@ -1,7 +1,24 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, mustVerifyEmail, EMAIL_NOT_VERIFIED } = require('../middleware/auth');
+
+const organizerApplicationRules = [
+  body('organizationName')
+    .trim()
+    .notEmpty().withMessage('Organization name is required')
+    .isLength({ max: 100 }).withMessage('Organization name cannot exceed 100 characters'),
+  body('website')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Website must be an http(s) URL'),
+  body('description')
+    .trim()
+    .isLength({ min: 20 }).withMessage('Tell us a little more about the events you run (at least 20 characters)')
+    .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+];
 
 // @route   GET /api/users/profile
 // @desc    Get current user profile
@@ -70,4 +87,73 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/organizer-application
+// @desc    Get my organizer application (null if I never applied)
+// @access  Private
+router.get('/organizer-application', protect, async (req, res) => {
+  const application = req.user.organizerApplication;
+
+  res.status(200).json({
+    success: true,
+    data: application && application.status ? application : null
+  });
+});
+
+// @route   POST /api/users/organizer-application
+// @desc    Apply to become an organizer
+// @access  Private
+router.post('/organizer-application', protect, organizerApplicationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg
+      });
+    }
+
+    const user = req.user;
+
+    if (user.role !== 'user') {
+      return res.status(400).json({
+        success: false,
+        message: `You are already an ${user.role}`
+      });
+    }
+
+    if (user.organizerApplication && user.organizerApplication.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your application is already being reviewed'
+      });
+    }
+
+    if (mustVerifyEmail(user)) {
+      return res.status(403).json(EMAIL_NOT_VERIFIED);
+    }
+
+    const { organizationName, website, description } = req.body;
+    user.organizerApplication = {
+      status: 'pending',
+      organizationName,
+      website: website || '',
+      description,
+      submittedAt: new Date()
+    };
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted - we will email you once it has been reviewed',
+      data: user.organizerApplication
+    });
+  } catch (error) {
+    console.error('Error submitting organizer application:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting application'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,24 +1,50 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { rateLimit } = require('./middleware/rateLimit');
+const { getPaymentProvider } = require('./services/payments');
 
 // Load environment variables
 dotenv.config();
 
+// Set up the payment gateway now, so a misconfigured one (e.g. the mock
+// without MOCK_PAYMENT_SECRET) stops the server instead of failing checkouts
+getPaymentProvider();
+
 // Create Express app
 const app = express();
 
 // Connect to MongoDB
 connectDB();
 
+// Behind a proxy, take the client IP from X-Forwarded-For (rate limits and
+// login throttling key on it). TRUST_PROXY is a hop count or a proxy list.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
     origin: process.env.CLIENT_URL || 'http://localhost:3000',
     credentials: true
 }));
+// Webhook signatures are computed over the raw bytes, so keep that body as a Buffer
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// The auth middleware also accepts the JWT from the httpOnly "token" cookie,
+// and /api/auth/refresh reads the refresh token cookie
+app.use(cookieParser());
+// A general ceiling per IP; the gateway's webhooks are exempt
+app.use('/api', rateLimit({
+    name: 'api',
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.API_RATE_LIMIT) || 1000,
+    skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
+}));
 
 // API Routes
 app.use('/api/auth', require('./routes/authRoutes'));
@@ -26,6 +52,8 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/events', require('./routes/eventRoutes'));
 app.use('/api/bookings', require('./routes/bookingRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
+app.use('/api/checkin', require('./routes/checkinRoutes'));
+app.use('/api/promo-codes', require('./routes/promoCodeRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 
 // Health check route
@@ -47,13 +75,26 @@ app.get('/', (req, res) => {
             auth: {
                 register: 'POST /api/auth/register',
                 login: 'POST /api/auth/login',
+                loginTwoFactor: 'POST /api/auth/login/2fa',
+                twoFactor: 'GET /api/auth/2fa',
+                refresh: 'POST /api/auth/refresh',
                 logout: 'POST /api/auth/logout',
+                logoutAll: 'POST /api/auth/logoutall',
+                sessions: 'GET /api/auth/sessions',
+                revokeSession: 'DELETE /api/auth/sessions/:id',
+                updatePassword: 'PUT /api/auth/updatepassword',
                 me: 'GET /api/auth/me',
-                updateProfile: 'PUT /api/auth/updateprofile'
+                updateProfile: 'PUT /api/auth/updateprofile',
+                forgotPassword: 'POST /api/auth/forgotpassword',
+                resetPassword: 'PUT /api/auth/resetpassword/:resettoken',
+                verifyEmail: 'POST /api/auth/verifyemail/:token',
+                resendVerification: 'POST /api/auth/verifyemail/resend'
             },
             users: {
                 profile: 'GET /api/users/profile',
-                updateProfile: 'PUT /api/users/profile'
+                updateProfile: 'PUT /api/users/profile',
+                organizerApplication: 'GET /api/users/organizer-application',
+                applyAsOrganizer: 'POST /api/users/organizer-application'
             }
         }
     });
@@ -0,0 +1,147 @@
+/**
+ * Booking Cancellation
+ *
+ * Cancels a buyer's booking under the event's refund policy: refunds what
+ * the policy allows through the payment layer, cancels the booking and
+ * gives its seats back. Cancelling an event cancels all of its bookings
+ * the same way; the policy refunds a cancelled event in full.
+ */
+
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const { quoteRefund } = require('./refundPolicy');
+const { refundPayment } = require('./payments/refunds');
+const { hasGlobalScope } = require('./permissions');
+const { httpError } = require('./httpError');
+
+const CANCELLABLE_STATUSES = ['pending', 'booked', 'confirmed'];
+
+/**
+ * What cancelling `booking` right now would refund, in minor units
+ */
+const getCancellationQuote = async (booking, event) => {
+    const payment = booking.payment && await Payment.findById(booking.payment);
+
+    if (!payment || payment.status !== 'paid') {
+        return { percent: 0, amount: 0, payment };
+    }
+
+    return {
+        ...quoteRefund(event, payment.amount - payment.amountRefunded),
+        payment,
+    };
+};
+
+/**
+ * Cancel `booking` on behalf of its buyer, or of the organizer or admin
+ * (`source`) who cancelled its event. `reason` is recorded on the order.
+ * Resolves with { booking, refund, percent, amount } (amount in minor units,
+ * refund is null when nothing was refunded).
+ */
+const cancelBooking = async (booking, { user, source = 'user', reason = 'Cancelled by the buyer' }) => {
+    if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+        throw httpError(400, `A ${booking.status} booking cannot be cancelled`);
+    }
+
+    const event = await Event.findById(booking.event);
+    if (!event) {
+        throw httpError(404, 'Event not found');
+    }
+
+    if (event.status !== 'cancelled' && event.date <= new Date()) {
+        throw httpError(400, 'The event has already started');
+    }
+
+    // An unpaid order just gives up its hold
+    if (booking.status === 'pending') {
+        const payment = booking.payment && await Payment.findById(booking.payment);
+        if (payment) {
+            await payment.markFailed({ reason });
+        }
+    }
+
+    // Claim the cancellation before any money moves, so of two cancels (or
+    // a cancel and a refund request) racing each other only one refunds
+    const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: { $in: CANCELLABLE_STATUSES } },
+        { status: 'cancelled' }
+    );
+    if (!claimed) {
+        const current = await Booking.findById(booking._id);
+        // The unpaid order's hold was given up above
+        if (booking.status === 'pending' && current.status === 'cancelled') {
+            return { booking: current, refund: null, percent: 0, amount: 0 };
+        }
+        throw httpError(409, 'This booking has already been cancelled');
+    }
+
+    const { percent, amount, payment } = await getCancellationQuote(claimed, event);
+
+    let refund = null;
+    if (amount > 0) {
+        try {
+            refund = await refundPayment(payment, {
+                amount,
+                reason: `${reason} (${percent}% refund under the event policy)`,
+                source,
+                refundedBy: user._id,
+            });
+        } catch (error) {
+            // The gateway refused: the booking stands as it was
+            await Booking.updateOne(
+                { _id: claimed._id, status: 'cancelled' },
+                { status: claimed.status }
+            );
+            throw error;
+        }
+    }
+
+    await Event.releaseSeats(claimed.event, claimed.quantity, claimed.items);
+
+    return {
+        booking: await Booking.findById(booking._id),
+        refund,
+        percent,
+        amount,
+    };
+};
+
+/**
+ * Cancel every booking of a cancelled `event`; paid ones are refunded in
+ * full. `user` is the organizer or admin who cancelled it. A refund the
+ * gateway refuses leaves its booking in place, so the buyer can still
+ * cancel it for a full refund. Resolves with { cancelled, failed }: the
+ * bookings cancelled (buyer populated) and how many could not be.
+ */
+const cancelEventBookings = async (event, { user }) => {
+    const bookings = await Booking.find({
+        event: event._id,
+        status: { $in: CANCELLABLE_STATUSES },
+    }).populate('user', 'name email');
+
+    const source = hasGlobalScope(user) ? 'admin' : 'organizer';
+    const cancelled = [];
+    let failed = 0;
+
+    for (const booking of bookings) {
+        try {
+            await cancelBooking(booking, { user, source, reason: 'Event cancelled' });
+            cancelled.push(booking);
+        } catch (error) {
+            // Cancelled by its buyer in the meantime
+            if (error.status === 409) continue;
+            failed += 1;
+            console.error(`Error cancelling booking ${booking._id} of cancelled event ${event._id}:`, error);
+        }
+    }
+
+    return { cancelled, failed };
+};
+
+module.exports = {
+    CANCELLABLE_STATUSES,
+    getCancellationQuote,
+    cancelBooking,
+    cancelEventBookings,
+};
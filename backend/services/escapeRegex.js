@@ -0,0 +1,12 @@
+/**
+ * Escape Regex
+ *
+ * Search boxes match user input literally, so its regex characters are
+ * escaped before it goes into a $regex or RegExp.
+ */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    escapeRegex,
+};
@@ -0,0 +1,185 @@
+/**
+ * Event Changes
+ *
+ * What happens when an organizer edits an event that is already on sale.
+ *
+ * Material fields are what an admin reviewed before approving the event.
+ * Edits to them on an approved event wait in event.pendingChanges until an
+ * admin approves them; the approved version stays live meanwhile. Capacity
+ * is not material and applies at once (never below the tickets sold).
+ * Ticket tiers carry prices, so the whole tier list is material; their sold
+ * counts are taken from the live event when the changes are applied.
+ *
+ * When the date, time or venue of an event with bookings changes, everyone
+ * holding a ticket is emailed; so is everyone whose booking went with a
+ * cancelled event.
+ */
+
+const Booking = require('../models/Booking');
+const { sendMail } = require('./mail');
+const { eventChangedEmail, eventCancelledEmail } = require('./mail/templates');
+
+const MATERIAL_FIELDS = [
+    'title',
+    'description',
+    'category',
+    'date',
+    'endDate',
+    'location',
+    'address',
+    'price',
+    'currency',
+    'ticketTiers',
+    'image',
+    'refundPolicy',
+];
+
+// Changes ticket holders are told about
+const SCHEDULE_FIELDS = ['date', 'endDate', 'location', 'address'];
+
+const FIELD_LABELS = {
+    date: 'Starts',
+    endDate: 'Ends',
+    location: 'Venue',
+    address: 'Address',
+};
+
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+// Comparable form of a field value: dates by time, refund rules and ticket
+// tiers by content (tiers without their sold counts)
+const normalize = (key, value) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (key === 'date' || key === 'endDate') {
+        const time = new Date(value).getTime();
+        return Number.isNaN(time) ? String(value) : String(time);
+    }
+    if (key === 'refundPolicy') {
+        return JSON.stringify(
+            [].concat(value).map((rule) => ({ hoursBefore: Number(rule.hoursBefore), percent: Number(rule.percent) }))
+        );
+    }
+    if (key === 'ticketTiers') {
+        return JSON.stringify(
+            [].concat(value).map((tier) => ({
+                id: tier._id ? String(tier._id) : null,
+                name: tier.name,
+                description: tier.description || '',
+                price: Number(tier.price || 0),
+                quantity: Number(tier.quantity),
+                salesStart: timeOf(tier.salesStart),
+                salesEnd: timeOf(tier.salesEnd),
+                minPerOrder: Number(tier.minPerOrder || 1),
+                maxPerOrder: Number(tier.maxPerOrder || 10),
+            }))
+        );
+    }
+    return String(value);
+};
+
+/**
+ * The entries of `fields` whose value differs from the event's current one
+ */
+const getChangedFields = (event, fields) =>
+    Object.keys(fields).reduce((changed, key) => {
+        if (normalize(key, fields[key]) !== normalize(key, event.get(key))) {
+            changed[key] = fields[key];
+        }
+        return changed;
+    }, {});
+
+/**
+ * Split changes into { material, immediate }
+ */
+const splitMaterialChanges = (changes) =>
+    Object.keys(changes).reduce(
+        (split, key) => {
+            split[MATERIAL_FIELDS.includes(key) ? 'material' : 'immediate'][key] = changes[key];
+            return split;
+        },
+        { material: {}, immediate: {} }
+    );
+
+/**
+ * Whether `changes` touch the date, time or venue
+ */
+const hasScheduleChanges = (changes) => SCHEDULE_FIELDS.some((key) => key in changes);
+
+const formatValue = (key, value) => {
+    if (!value) return 'not set';
+    if (key === 'date' || key === 'endDate') {
+        return new Date(value).toLocaleString('en-IN', {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+            timeZone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata',
+        });
+    }
+    return String(value);
+};
+
+// One email per person, however many bookings they have. `about` names
+// the email in error logs.
+const emailBuyers = async (event, bookings, about, buildEmail) => {
+    const recipients = new Map();
+    bookings.forEach((booking) => {
+        if (booking.user) recipients.set(booking.user.email, booking.user.name);
+    });
+
+    let sent = 0;
+    for (const [email, name] of recipients) {
+        try {
+            await sendMail({ to: email, ...buildEmail(name) });
+            sent += 1;
+        } catch (error) {
+            console.error(`Error emailing ${email} about ${about} event ${event._id}:`, error);
+        }
+    }
+    return sent;
+};
+
+/**
+ * Email every ticket holder of `event` what changed in its schedule.
+ * `previous` holds the old values of the changed fields. Mail failures are
+ * logged, never thrown. Resolves to the number of people emailed.
+ */
+const notifyAttendees = async (event, previous) => {
+    const changed = SCHEDULE_FIELDS.filter((key) => key in previous);
+    if (changed.length === 0) return 0;
+
+    const bookings = await Booking.find({
+        event: event._id,
+        status: { $in: Booking.ATTENDING_STATUSES },
+    }).populate('user', 'name email');
+
+    const changes = changed.map(
+        (key) => `${FIELD_LABELS[key]}: ${formatValue(key, previous[key])} → ${formatValue(key, event.get(key))}`
+    );
+    const url = `${process.env.CLIENT_URL || 'http://localhost:3000'}/events/${event._id}`;
+
+    return emailBuyers(event, bookings, 'changes to', (name) =>
+        eventChangedEmail({ name, title: event.title, changes, url })
+    );
+};
+
+/**
+ * Email the buyers of `bookings` (buyer populated), cancelled along with
+ * `event`, that it won't take place. Mail failures are logged, never
+ * thrown. Resolves to the number of people emailed.
+ */
+const notifyCancellation = async (event, bookings) => {
+    const url = `${process.env.CLIENT_URL || 'http://localhost:3000'}/my-bookings`;
+
+    return emailBuyers(event, bookings, 'the cancellation of', (name) =>
+        eventCancelledEmail({ name, title: event.title, url })
+    );
+};
+
+module.exports = {
+    MATERIAL_FIELDS,
+    SCHEDULE_FIELDS,
+    getChangedFields,
+    splitMaterialChanges,
+    hasScheduleChanges,
+    notifyAttendees,
+    notifyCancellation,
+};
@@ -0,0 +1,17 @@
+/**
+ * HTTP Errors
+ *
+ * Services throw these when a request can't be carried out; controllers
+ * answer with error.status and the message.
+ */
+
+/**
+ * An Error carrying the HTTP status to answer with, plus any extra fields
+ * (such as a code the client can act on)
+ */
+const httpError = (status, message, fields = {}) =>
+    Object.assign(new Error(message), { status }, fields);
+
+module.exports = {
+    httpError,
+};
@@ -0,0 +1,133 @@
+/**
+ * Login Throttling
+ *
+ * Failed sign-ins are counted per account (email) and per IP over a
+ * window. After a few free attempts each further failure adds a growing
+ * wait before the next try; past the lockout threshold the account or IP
+ * is locked out for a while. A successful sign-in clears the account's
+ * counter (the IP keeps its own, so one good password doesn't excuse a
+ * spraying IP).
+ *
+ * Counters live in the throttle store (services/throttle).
+ */
+
+const { getThrottleStore } = require('./throttle');
+
+const MINUTE = 60 * 1000;
+
+const SCOPES = {
+    account: {
+        windowMs: 15 * MINUTE,
+        freeAttempts: 3,
+        lockoutAfter: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+        lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE,
+    },
+    ip: {
+        windowMs: 15 * MINUTE,
+        freeAttempts: 10,
+        lockoutAfter: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+        lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE,
+    },
+};
+
+const MAX_DELAY_MS = MINUTE;
+
+const failureKey = (scope, id) => `login:failures:${scope}:${id}`;
+const blockKey = (scope, id) => `login:block:${scope}:${id}`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// The identifiers for one sign-in attempt
+const subjectsFor = ({ email, ip }) => [
+    ['account', normalizeEmail(email)],
+    ['ip', ip || 'unknown'],
+];
+
+// Wait imposed after the `failures`-th failure: 1s, 2s, 4s… up to a minute
+const delayFor = (failures, { freeAttempts }) =>
+    failures <= freeAttempts
+        ? 0
+        : Math.min(1000 * 2 ** (failures - freeAttempts - 1), MAX_DELAY_MS);
+
+const retryAfterSeconds = (until) => Math.max(Math.ceil((until - Date.now()) / 1000), 1);
+
+/**
+ * Whether a sign-in may be tried now. Resolves to null when it may,
+ * otherwise to { code, retryAfter, message } for a 429 response.
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+    const store = getThrottleStore();
+
+    for (const [scope, id] of subjectsFor({ email, ip })) {
+        const block = await store.get(blockKey(scope, id));
+        if (!block || block.until <= Date.now()) continue;
+
+        const retryAfter = retryAfterSeconds(block.until);
+        if (block.locked) {
+            return {
+                code: 'ACCOUNT_LOCKED',
+                retryAfter,
+                message: scope === 'account'
+                    ? `Too many failed sign-ins. This account is locked for ${Math.ceil(retryAfter / 60)} minute(s).`
+                    : `Too many failed sign-ins from your network. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+            };
+        }
+        return {
+            code: 'LOGIN_THROTTLED',
+            retryAfter,
+            message: `Too many failed sign-ins. Try again in ${retryAfter} second(s).`
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Count a failed sign-in. Resolves to { accountFailures, accountLocked },
+ * where accountLocked is true only for the failure that caused the lock.
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+    const store = getThrottleStore();
+    const result = { accountFailures: 0, accountLocked: false };
+
+    for (const [scope, id] of subjectsFor({ email, ip })) {
+        const policy = SCOPES[scope];
+        const failures = await store.increment(failureKey(scope, id), policy.windowMs);
+        const locked = failures >= policy.lockoutAfter;
+        const waitMs = locked ? policy.lockoutMs : delayFor(failures, policy);
+
+        if (waitMs > 0) {
+            await store.set(blockKey(scope, id), { until: Date.now() + waitMs, locked }, waitMs);
+        }
+
+        if (scope === 'account') {
+            result.accountFailures = failures;
+            result.accountLocked = failures === policy.lockoutAfter;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Clear the account's failures after a successful sign-in
+ */
+const recordLoginSuccess = async ({ email }) => {
+    const store = getThrottleStore();
+    const id = normalizeEmail(email);
+
+    await store.delete(failureKey('account', id));
+    await store.delete(blockKey('account', id));
+};
+
+/**
+ * Lift a lockout early (e.g. after a password reset)
+ */
+const clearAccountLockout = recordLoginSuccess;
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    clearAccountLockout,
+};
@@ -0,0 +1,90 @@
+/**
+ * Mail
+ *
+ * Every outgoing email goes through sendMail(). MAIL_TRANSPORT picks how
+ * it is delivered:
+ * - outbox: writes each message as a JSON file to MAIL_OUTBOX_DIR
+ *   (default backend/outbox). The default outside production, so nothing
+ *   is sent while developing.
+ * - smtp:   delivers through nodemailer with the SMTP_* settings.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const getActiveTransportName = () =>
+    process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+const getFromAddress = () =>
+    `"${process.env.FROM_NAME || 'EventFlow'}" <${process.env.FROM_EMAIL || 'noreply@eventflow.com'}>`;
+
+// Write the message to disk instead of sending it
+const createOutboxTransport = () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+
+    return {
+        name: 'outbox',
+        async send(message) {
+            await fs.mkdir(outboxDir, { recursive: true });
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const file = path.join(outboxDir, `${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, ...message, createdAt: new Date() }, null, 2));
+            console.log(`📧 Mail to ${message.to} written to ${file}`);
+            return { id };
+        },
+    };
+};
+
+const createSmtpTransport = () => {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+        },
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        },
+    };
+};
+
+const TRANSPORT_FACTORIES = {
+    outbox: createOutboxTransport,
+    smtp: createSmtpTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+    const name = getActiveTransportName();
+    if (!transport || transport.name !== name) {
+        const factory = TRANSPORT_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+/**
+ * Send one email. `text` is required; `html` is optional.
+ */
+const sendMail = async ({ to, subject, text, html }) =>
+    getTransport().send({ from: getFromAddress(), to, subject, text, html });
+
+module.exports = {
+    sendMail,
+    getActiveTransportName,
+};
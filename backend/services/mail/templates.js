@@ -0,0 +1,129 @@
+/**
+ * Mail Templates
+ *
+ * Each template returns { subject, text, html } for sendMail().
+ */
+
+const APP_NAME = process.env.FROM_NAME || 'EventFlow';
+
+// Escape user-provided values before putting them in HTML
+const escapeHtml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+// Shared HTML frame: a heading, a few paragraphs and an optional button
+const layout = ({ heading, paragraphs, action }) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1e1b4b;">
+    <h2 style="color: #6366f1;">${escapeHtml(heading)}</h2>
+    ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 24px; background: #8b5cf6; color: #fff; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size: 12px; color: #6b7280;">Or open this link: ${escapeHtml(action.url)}</p>` : ''}
+    <p style="font-size: 12px; color: #6b7280;">— The ${escapeHtml(APP_NAME)} team</p>
+</div>`;
+
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => {
+    const paragraphs = [
+        `Hi ${name},`,
+        'We received a request to reset your password. Use the link below to choose a new one.',
+        `The link expires in ${expiresInMinutes} minutes and works once. If you didn't ask for this, you can ignore this email.`,
+    ];
+
+    return {
+        subject: `Reset your ${APP_NAME} password`,
+        text: `${paragraphs.join('\n\n')}\n\n${resetUrl}\n`,
+        html: layout({
+            heading: 'Reset your password',
+            paragraphs,
+            action: { label: 'Reset password', url: resetUrl },
+        }),
+    };
+};
+
+const verifyEmailEmail = ({ name, verifyUrl, expiresInHours }) => {
+    const paragraphs = [
+        `Hi ${name},`,
+        `Welcome to ${APP_NAME}! Please confirm this is your email address so you can book events and publish your own.`,
+        `The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`,
+    ];
+
+    return {
+        subject: `Confirm your email for ${APP_NAME}`,
+        text: `${paragraphs.join('\n\n')}\n\n${verifyUrl}\n`,
+        html: layout({
+            heading: 'Confirm your email',
+            paragraphs,
+            action: { label: 'Verify email', url: verifyUrl },
+        }),
+    };
+};
+
+const organizerApplicationEmail = ({ name, approved, note, url }) => {
+    const paragraphs = [
+        `Hi ${name},`,
+        approved
+            ? `Your application to become an organizer on ${APP_NAME} has been approved. You can now create and manage your own events.`
+            : `Your application to become an organizer on ${APP_NAME} was not approved this time.`,
+    ];
+    if (note) paragraphs.push(`Note from our team: ${note}`);
+    if (!approved) paragraphs.push('You are welcome to update your details and apply again.');
+
+    return {
+        subject: approved
+            ? `You're now an organizer on ${APP_NAME}`
+            : `Your ${APP_NAME} organizer application`,
+        text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+        html: layout({
+            heading: approved ? 'Application approved' : 'Application update',
+            paragraphs,
+            action: { label: approved ? 'Create an event' : 'View application', url },
+        }),
+    };
+};
+
+const eventChangedEmail = ({ name, title, changes, url }) => {
+    const paragraphs = [
+        `Hi ${name},`,
+        `The organizer of ${title} has changed when or where it takes place:`,
+        ...changes,
+        'Your tickets stay valid. If you can no longer attend, you can cancel your booking from My Bookings under the event\'s refund policy.',
+    ];
+
+    return {
+        subject: `${title} has changed`,
+        text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+        html: layout({
+            heading: 'Your event has changed',
+            paragraphs,
+            action: { label: 'View event', url },
+        }),
+    };
+};
+
+const eventCancelledEmail = ({ name, title, url }) => {
+    const paragraphs = [
+        `Hi ${name},`,
+        `We're sorry: ${title} has been cancelled by its organizer, and your booking has been cancelled with it.`,
+        'If you paid for your tickets, the full amount is being refunded to your original payment method. Refunds usually take 5-7 working days to arrive.',
+    ];
+
+    return {
+        subject: `${title} has been cancelled`,
+        text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+        html: layout({
+            heading: 'Your event has been cancelled',
+            paragraphs,
+            action: { label: 'View my bookings', url },
+        }),
+    };
+};
+
+module.exports = {
+    passwordResetEmail,
+    verifyEmailEmail,
+    organizerApplicationEmail,
+    eventChangedEmail,
+    eventCancelledEmail,
+};
@@ -0,0 +1,63 @@
+/**
+ * Payment Providers
+ *
+ * Every gateway implements the same interface, so controllers never talk
+ * to an SDK directly. Amounts are always in minor units (paise for INR).
+ *
+ *   name                                   'razorpay' | 'mock'
+ *   publicConfig()                         { provider, keyId } safe to send to the browser
+ *   createOrder({ amount, currency, receipt, notes })
+ *                                          -> { id, amount, currency, receipt }
+ *   verifyPayment({ orderId, paymentId, signature })
+ *                                          -> true when the checkout signature is genuine
+ *   refund({ paymentId, amount, reason })  -> { id, amount, status }
+ *   fetchPayments(orderId)                 -> [{ id, amount, currency, status, method, createdAt }]
+ *   parseWebhook(rawBody, headers)         -> null when the signature is wrong, otherwise
+ *                                             { eventId, type, data } where type is one of
+ *                                             payment.captured, payment.failed, refund.created
+ *
+ * PAYMENT_PROVIDER picks the active gateway, Razorpay unless it is set.
+ * The mock gateway lets a buyer finish their own checkout, so it is only
+ * used when PAYMENT_PROVIDER=mock is set explicitly (see ./mockProvider.js).
+ */
+
+const createRazorpayProvider = require('./razorpayProvider');
+const createMockProvider = require('./mockProvider');
+
+const PROVIDER_FACTORIES = {
+    razorpay: createRazorpayProvider,
+    mock: createMockProvider,
+};
+
+const instances = {};
+
+/**
+ * Get a provider by name (defaults to the active one). Payments remember
+ * which provider took them, so refunds go back through the same gateway.
+ */
+const getPaymentProvider = (name = getActiveProviderName()) => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (!instances[name]) {
+        instances[name] = factory();
+    }
+    return instances[name];
+};
+
+const getActiveProviderName = () => process.env.PAYMENT_PROVIDER || 'razorpay';
+
+/**
+ * Whether checkouts can be completed through the mock gateway's endpoint
+ */
+const isMockCheckoutEnabled = () =>
+    getActiveProviderName() === 'mock' && process.env.NODE_ENV !== 'production';
+
+module.exports = {
+    getPaymentProvider,
+    getActiveProviderName,
+    isMockCheckoutEnabled,
+    PAYMENT_PROVIDERS: Object.keys(PROVIDER_FACTORIES),
+    MOCK_CHECKOUT_OUTCOMES: createMockProvider.CHECKOUT_OUTCOMES,
+};
@@ -0,0 +1,123 @@
+/**
+ * Mock Payment Provider
+ *
+ * A fully local gateway for development and tests. Orders, payments and
+ * refunds get mock ids, and checkouts are signed exactly like Razorpay
+ * signs them (HMAC of "orderId|paymentId"), so the verify path is the same.
+ * Nothing leaves the process.
+ *
+ * A checkout is told how to end: completeCheckout(orderId, 'success')
+ * returns a signed payment, completeCheckout(orderId, 'failure') a declined one.
+ *
+ * Anyone holding the secret can sign payments and webhooks, so there is no
+ * default: MOCK_PAYMENT_SECRET must be set, and the mock refuses to run in
+ * production.
+ */
+
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch } = require('./signature');
+
+const CHECKOUT_OUTCOMES = ['success', 'failure'];
+
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const createMockProvider = ({
+    secret = process.env.MOCK_PAYMENT_SECRET,
+} = {}) => {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment gateway cannot be used in production');
+    }
+    if (!secret) {
+        throw new Error('MOCK_PAYMENT_SECRET must be set to use the mock payment gateway');
+    }
+
+    // orderId -> { order, payments[] }; lost on restart, which only affects fetchPayments
+    const orders = new Map();
+
+    return {
+        name: 'mock',
+
+        publicConfig() {
+            return { provider: 'mock', keyId: null };
+        },
+
+        async createOrder({ amount, currency, receipt }) {
+            const order = { id: mockId('order'), amount, currency, receipt };
+            orders.set(order.id, { order, payments: [] });
+            return { ...order };
+        },
+
+        verifyPayment({ orderId, paymentId, signature }) {
+            const expected = hmacSha256(secret, `${orderId}|${paymentId}`);
+            return signaturesMatch(expected, signature);
+        },
+
+        async refund({ paymentId, amount }) {
+            return { id: mockId('rfnd'), paymentId, amount, status: 'processed' };
+        },
+
+        async fetchPayments(orderId) {
+            const entry = orders.get(orderId);
+            return entry ? entry.payments.map((payment) => ({ ...payment })) : [];
+        },
+
+        /**
+         * Finish a checkout with the requested outcome, as the hosted
+         * checkout would. A success carries the signature the client
+         * sends to /verify.
+         */
+        completeCheckout(orderId, outcome = 'success') {
+            if (!CHECKOUT_OUTCOMES.includes(outcome)) {
+                throw new Error(`outcome must be one of: ${CHECKOUT_OUTCOMES.join(', ')}`);
+            }
+
+            const entry = orders.get(orderId);
+            const payment = {
+                id: mockId('pay'),
+                amount: entry ? entry.order.amount : undefined,
+                currency: entry ? entry.order.currency : undefined,
+                status: outcome === 'success' ? 'captured' : 'failed',
+                method: 'card',
+                createdAt: new Date(),
+            };
+            if (entry) entry.payments.push(payment);
+
+            if (outcome === 'failure') {
+                return {
+                    status: 'failed',
+                    orderId,
+                    paymentId: payment.id,
+                    reason: 'Card declined by the mock gateway',
+                };
+            }
+
+            return {
+                status: 'captured',
+                orderId,
+                paymentId: payment.id,
+                signature: hmacSha256(secret, `${orderId}|${payment.id}`),
+            };
+        },
+
+        /**
+         * Sign a webhook body ({ id, type, data }) for the x-mock-signature header
+         */
+        signWebhook(rawBody) {
+            return hmacSha256(secret, rawBody);
+        },
+
+        parseWebhook(rawBody, headers) {
+            const expected = hmacSha256(secret, rawBody);
+            if (!signaturesMatch(expected, headers['x-mock-signature'])) {
+                return null;
+            }
+
+            const { id, type, data = {} } = JSON.parse(rawBody.toString('utf8'));
+            return { eventId: id, type, data };
+        },
+    };
+};
+
+createMockProvider.CHECKOUT_OUTCOMES = CHECKOUT_OUTCOMES;
+
+module.exports = createMockProvider;
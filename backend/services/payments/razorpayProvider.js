@@ -0,0 +1,131 @@
+/**
+ * Razorpay Payment Provider
+ *
+ * Adapts the Razorpay SDK to the provider interface in ./index.js.
+ * Amounts are in minor units (paise) on both sides.
+ *
+ * The key secret signs checkouts and the webhook secret signs captures, so
+ * there are no defaults: all three RAZORPAY_* variables must be set.
+ */
+
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch } = require('./signature');
+
+const createRazorpayProvider = ({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET,
+} = {}) => {
+    if (!keyId || !keySecret || !webhookSecret) {
+        throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must be set to use Razorpay');
+    }
+
+    const razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+    // Map a Razorpay webhook onto the provider-neutral event types
+    const normalizeEvent = (event, payload) => {
+        switch (event) {
+            case 'payment.captured':
+            case 'order.paid': {
+                const entity = payload.payment.entity;
+                return {
+                    type: 'payment.captured',
+                    data: {
+                        orderId: entity.order_id,
+                        paymentId: entity.id,
+                        paidAt: entity.created_at ? new Date(entity.created_at * 1000) : new Date(),
+                    },
+                };
+            }
+
+            case 'payment.failed': {
+                const entity = payload.payment.entity;
+                return {
+                    type: 'payment.failed',
+                    data: {
+                        orderId: entity.order_id,
+                        paymentId: entity.id,
+                        reason: entity.error_description || 'Payment failed',
+                    },
+                };
+            }
+
+            case 'refund.created':
+            case 'refund.processed': {
+                const entity = payload.refund.entity;
+                return {
+                    type: 'refund.created',
+                    data: {
+                        paymentId: entity.payment_id,
+                        refundId: entity.id,
+                        amount: entity.amount,
+                        reason: entity.notes && entity.notes.reason,
+                    },
+                };
+            }
+
+            default:
+                return { type: event, data: {} };
+        }
+    };
+
+    return {
+        name: 'razorpay',
+
+        publicConfig() {
+            return { provider: 'razorpay', keyId };
+        },
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const order = await razorpay.orders.create({ amount, currency, receipt, notes });
+            return {
+                id: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                receipt: order.receipt,
+            };
+        },
+
+        verifyPayment({ orderId, paymentId, signature }) {
+            const expected = hmacSha256(keySecret, `${orderId}|${paymentId}`);
+            return signaturesMatch(expected, signature);
+        },
+
+        async refund({ paymentId, amount, reason }) {
+            const refund = await razorpay.payments.refund(paymentId, {
+                amount,
+                speed: 'normal',
+                notes: { reason },
+            });
+            return { id: refund.id, amount: refund.amount, status: refund.status };
+        },
+
+        async fetchPayments(orderId) {
+            const payments = await razorpay.orders.fetchPayments(orderId);
+            return payments.items.map((item) => ({
+                id: item.id,
+                amount: item.amount,
+                currency: item.currency,
+                status: item.status,
+                method: item.method,
+                createdAt: new Date(item.created_at * 1000),
+            }));
+        },
+
+        parseWebhook(rawBody, headers) {
+            const expected = hmacSha256(webhookSecret, rawBody);
+            if (!signaturesMatch(expected, headers['x-razorpay-signature'])) {
+                return null;
+            }
+
+            const { event, payload } = JSON.parse(rawBody.toString('utf8'));
+            const eventId = headers['x-razorpay-event-id']
+                || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+            return { eventId, ...normalizeEvent(event, payload) };
+        },
+    };
+};
+
+module.exports = createRazorpayProvider;
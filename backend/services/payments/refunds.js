@@ -0,0 +1,34 @@
+/**
+ * Refunds
+ *
+ * Sends a refund through the gateway that took the payment and records it
+ * on the Payment and its Booking.
+ */
+
+const { getPaymentProvider } = require('./index');
+
+/**
+ * Refund `amount` minor units of a paid payment.
+ * source/refundedBy say who asked for it (see Booking.refunds).
+ */
+const refundPayment = async (payment, { amount, reason, source, refundedBy }) => {
+    const refund = await getPaymentProvider(payment.provider).refund({
+        paymentId: payment.paymentId,
+        amount,
+        reason,
+    });
+
+    await payment.markRefunded({
+        refundId: refund.id,
+        amount: refund.amount,
+        reason,
+        source,
+        refundedBy,
+    });
+
+    return refund;
+};
+
+module.exports = {
+    refundPayment,
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Hex HMAC-SHA256 of a string or Buffer
+ */
+const hmacSha256 = (secret, data) =>
+    crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, received) => {
+    if (typeof received !== 'string' || received.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+module.exports = {
+    hmacSha256,
+    signaturesMatch,
+};
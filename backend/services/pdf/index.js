@@ -0,0 +1,94 @@
+/**
+ * PDF Documents
+ *
+ * Tickets and tax invoices are drawn on the server with pdfkit:
+ * - ticket.js:  the e-ticket with its signed QR code
+ * - invoice.js: the GST tax invoice of a paid booking
+ *
+ * Each renderer resolves to a Buffer for the route to send. The built-in
+ * PDF fonts have no rupee sign, so amounts are written as "INR 1,234.00".
+ */
+
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#7c3aed';
+const TEXT_COLOR = '#1e293b';
+const MUTED_COLOR = '#64748b';
+
+/**
+ * Create an A4 document, let `draw` fill it, and resolve to its bytes
+ */
+const renderPdf = (info, draw) =>
+    new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info });
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            draw(doc);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+
+/**
+ * "INR 1,234.00" from an amount in minor units
+ */
+const formatMoney = (amount, currency = 'INR') =>
+    `${currency} ${((amount || 0) / 100).toLocaleString('en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    })}`;
+
+/**
+ * A date and time in the events' time zone
+ */
+const formatDateTime = (value) =>
+    new Date(value).toLocaleString('en-IN', {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata',
+    });
+
+const formatDate = (value) =>
+    new Date(value).toLocaleDateString('en-IN', {
+        dateStyle: 'medium',
+        timeZone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata',
+    });
+
+/**
+ * The coloured band across the top of every document
+ */
+const drawHeader = (doc, title) => {
+    doc.rect(0, 0, doc.page.width, 80).fill(BRAND_COLOR);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text('EventFlow', 50, 28);
+    doc.fontSize(12).text(title, 50, 36, { width: doc.page.width - 100, align: 'right' });
+    doc.fillColor(TEXT_COLOR).font('Helvetica');
+};
+
+/**
+ * A small grey label with its value below, at the current position
+ */
+const drawField = (doc, label, value, options = {}) => {
+    const { x = doc.x, width = 250 } = options;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(label.toUpperCase(), x, doc.y, { width });
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(11).fillColor(TEXT_COLOR)
+        .text(value, x, doc.y + 2, { width });
+    doc.moveDown(0.6);
+};
+
+module.exports = {
+    BRAND_COLOR,
+    TEXT_COLOR,
+    MUTED_COLOR,
+    renderPdf,
+    formatMoney,
+    formatDateTime,
+    formatDate,
+    drawHeader,
+    drawField,
+};
@@ -0,0 +1,191 @@
+/**
+ * Invoice PDF
+ *
+ * The GST tax invoice of a paid booking. Seller details come from the
+ * INVOICE_SELLER_* settings; the lines, promo code discount, fee and tax
+ * from the charges stored with the payment (services/pricing.js). The
+ * discount is given before tax, so it comes off the taxable value.
+ *
+ * Admission is taxed where the event takes place, so GST is split into
+ * CGST + SGST when the venue is in the seller's state (INVOICE_SELLER_STATE
+ * appears in its address) and charged as IGST otherwise.
+ */
+
+const {
+    BRAND_COLOR, TEXT_COLOR, MUTED_COLOR, renderPdf, formatMoney, formatDate, formatDateTime, drawHeader,
+} = require('./index');
+
+// Services accounting codes: admission to events, and the booking fee
+const TICKET_SAC = process.env.INVOICE_TICKET_SAC || '9996';
+const FEE_SAC = process.env.INVOICE_FEE_SAC || '9985';
+
+const COLUMNS = [
+    { key: 'index', label: '#', x: 50, width: 20 },
+    { key: 'description', label: 'Description', x: 75, width: 200 },
+    { key: 'sac', label: 'SAC', x: 280, width: 45 },
+    { key: 'quantity', label: 'Qty', x: 330, width: 35, align: 'right' },
+    { key: 'rate', label: 'Rate', x: 370, width: 80, align: 'right' },
+    { key: 'amount', label: 'Taxable value', x: 455, width: 90, align: 'right' },
+];
+
+const getSeller = () => ({
+    name: process.env.INVOICE_SELLER_NAME || process.env.FROM_NAME || 'EventFlow',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    state: process.env.INVOICE_SELLER_STATE || '',
+});
+
+// Payments from before charges were stored were the bare ticket price
+const getCharges = (payment, event) => {
+    if (payment.charges && payment.charges.items && payment.charges.items.length > 0) {
+        return payment.charges;
+    }
+    return {
+        items: [{
+            description: event.title,
+            unitPrice: Math.round(payment.amount / payment.quantity),
+            quantity: payment.quantity,
+            amount: payment.amount,
+        }],
+        subtotal: payment.amount,
+        discount: 0,
+        convenienceFee: 0,
+        convenienceFeeRate: 0,
+        tax: 0,
+        taxRate: 0,
+    };
+};
+
+const drawRow = (doc, y, cells, font = 'Helvetica') => {
+    doc.font(font).fontSize(9).fillColor(TEXT_COLOR);
+    const heights = COLUMNS.map((column) => {
+        doc.text(String(cells[column.key] ?? ''), column.x, y, { width: column.width, align: column.align || 'left' });
+        return doc.y - y;
+    });
+    return y + Math.max(...heights) + 6;
+};
+
+const drawTotal = (doc, y, label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9).fillColor(TEXT_COLOR);
+    doc.text(label, 330, y, { width: 120, align: 'right' });
+    doc.text(value, 455, y, { width: 90, align: 'right' });
+    return doc.y + 4;
+};
+
+/**
+ * Render the invoice of `payment` for `booking` at `event`, billed to `user`
+ */
+const renderInvoicePdf = ({ payment, booking, event, user }) => {
+    const seller = getSeller();
+    const charges = getCharges(payment, event);
+    const currency = payment.currency;
+    const placeOfSupply = [event.location, event.address].filter(Boolean).join(', ');
+    const intraState = Boolean(seller.state)
+        && placeOfSupply.toLowerCase().includes(seller.state.toLowerCase());
+
+    return renderPdf({ Title: `Invoice ${payment.invoiceNumber}`, Author: seller.name }, (doc) => {
+        drawHeader(doc, 'TAX INVOICE');
+
+        // Seller
+        doc.font('Helvetica-Bold').fontSize(12).text(seller.name, 50, 105, { width: 260 });
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+        if (seller.address) doc.text(seller.address, { width: 260 });
+        if (seller.state) doc.text(`State: ${seller.state}`, { width: 260 });
+        doc.fillColor(TEXT_COLOR).text(`GSTIN: ${seller.gstin || 'Not registered'}`, { width: 260 });
+        const sellerBottom = doc.y;
+
+        // Invoice details
+        const meta = [
+            ['Invoice No.', payment.invoiceNumber],
+            ['Invoice Date', formatDate(payment.invoicedAt || payment.paidAt)],
+            ['Booking ID', booking._id.toString()],
+            ['Place of Supply', placeOfSupply],
+        ];
+        let metaY = 105;
+        meta.forEach(([label, value]) => {
+            doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(label.toUpperCase(), 330, metaY, { width: 215 });
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT_COLOR).text(value, 330, doc.y + 1, { width: 215 });
+            metaY = doc.y + 6;
+        });
+
+        // Buyer
+        let y = Math.max(sellerBottom, metaY) + 20;
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text('BILLED TO', 50, y);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT_COLOR).text(user ? user.name : 'Customer', 50, doc.y + 2);
+        doc.font('Helvetica').fontSize(9);
+        if (user && user.email) doc.text(user.email);
+        if (user && user.phone) doc.text(user.phone);
+
+        // Lines
+        y = doc.y + 20;
+        doc.rect(50, y - 5, 495, 20).fill('#f1f5f9');
+        y = drawRow(doc, y, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), 'Helvetica-Bold');
+
+        const rows = charges.items.map((item) => ({
+            description: `Admission: ${item.description}\n${formatDateTime(event.date)}`,
+            sac: TICKET_SAC,
+            quantity: item.quantity,
+            rate: formatMoney(item.unitPrice, currency),
+            amount: formatMoney(item.amount, currency),
+        }));
+        const discount = charges.discount || 0;
+        if (discount > 0) {
+            rows.push({
+                description: charges.promoCode ? `Discount (${charges.promoCode})` : 'Discount',
+                sac: TICKET_SAC,
+                amount: `-${formatMoney(discount, currency)}`,
+            });
+        }
+        if (charges.convenienceFee > 0) {
+            rows.push({
+                description: `Convenience fee (${charges.convenienceFeeRate}%)`,
+                sac: FEE_SAC,
+                quantity: 1,
+                rate: formatMoney(charges.convenienceFee, currency),
+                amount: formatMoney(charges.convenienceFee, currency),
+            });
+        }
+        rows.forEach((row, index) => {
+            y = drawRow(doc, y, { index: index + 1, ...row });
+        });
+
+        doc.moveTo(50, y).lineTo(545, y).lineWidth(1).stroke('#e2e8f0');
+        y += 10;
+
+        // Totals
+        const taxable = charges.subtotal - discount + charges.convenienceFee;
+        y = drawTotal(doc, y, 'Taxable value', formatMoney(taxable, currency));
+        if (intraState) {
+            const centralTax = Math.floor(charges.tax / 2);
+            y = drawTotal(doc, y, `CGST @ ${charges.taxRate / 2}%`, formatMoney(centralTax, currency));
+            y = drawTotal(doc, y, `SGST @ ${charges.taxRate / 2}%`, formatMoney(charges.tax - centralTax, currency));
+        } else {
+            y = drawTotal(doc, y, `IGST @ ${charges.taxRate}%`, formatMoney(charges.tax, currency));
+        }
+        doc.moveTo(330, y).lineTo(545, y).lineWidth(1).stroke('#e2e8f0');
+        y = drawTotal(doc, y + 6, 'Total', formatMoney(payment.amount, currency), true);
+
+        if (payment.amountRefunded > 0) {
+            y = drawTotal(doc, y, 'Refunded', `-${formatMoney(payment.amountRefunded, currency)}`);
+        }
+
+        // Payment
+        y += 20;
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR).text('Payment', 50, y);
+        doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+            .text(`Paid ${formatDateTime(payment.paidAt)} via ${payment.provider}`, 50, doc.y + 4)
+            .text(`Transaction ID: ${payment.paymentId || payment.orderId}`);
+
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+            'This is a computer-generated invoice and does not need a signature. '
+            + 'Tax is not payable on reverse charge.',
+            50,
+            doc.page.height - 90,
+            { width: 495, align: 'center' }
+        );
+    });
+};
+
+module.exports = {
+    renderInvoicePdf,
+};
@@ -0,0 +1,93 @@
+/**
+ * Ticket PDF
+ *
+ * One page per booking: the event, the ticket holder and the QR code
+ * scanned at the door (services/ticketCodes.js).
+ */
+
+const QRCode = require('qrcode');
+const {
+    BRAND_COLOR, MUTED_COLOR, renderPdf, formatMoney, formatDateTime, drawHeader, drawField,
+} = require('./index');
+
+const QR_SIZE = 190;
+
+/**
+ * Render the ticket of `booking` (event populated) for `user`
+ */
+const renderTicketPdf = async ({ booking, event, user, code }) => {
+    const qrImage = await QRCode.toBuffer(code, { margin: 1, width: QR_SIZE * 2 });
+
+    return renderPdf({ Title: `Ticket - ${event.title}`, Author: 'EventFlow' }, (doc) => {
+        drawHeader(doc, 'E-TICKET');
+
+        const left = 50;
+        const qrX = doc.page.width - 50 - QR_SIZE;
+        const columnWidth = qrX - left - 30;
+
+        doc.font('Helvetica-Bold').fontSize(20).text(event.title, left, 110, { width: columnWidth });
+        doc.moveDown(0.8);
+
+        drawField(doc, 'Date & time', formatDateTime(event.date), { x: left, width: columnWidth });
+        if (event.endDate) {
+            drawField(doc, 'Ends', formatDateTime(event.endDate), { x: left, width: columnWidth });
+        }
+        drawField(doc, 'Venue', event.location, { x: left, width: columnWidth });
+        if (event.address) {
+            drawField(doc, 'Address', event.address, { x: left, width: columnWidth });
+        }
+        drawField(doc, 'Ticket holder', user ? user.name : 'Ticket holder', { x: left, width: columnWidth, bold: true });
+        drawField(doc, 'Admits', `${booking.quantity} ${booking.quantity === 1 ? 'person' : 'people'}`, {
+            x: left,
+            width: columnWidth,
+            bold: true,
+        });
+        // Ticket types, for events that sell several
+        if (booking.items && booking.items.some((item) => item.tier)) {
+            drawField(doc, 'Tickets', booking.items.map((item) => `${item.quantity} × ${item.name}`).join(', '), {
+                x: left,
+                width: columnWidth,
+            });
+        }
+        drawField(doc, 'Booking ID', booking._id.toString(), { x: left, width: columnWidth });
+        drawField(doc, 'Amount paid', booking.amount ? formatMoney(booking.amount) : 'Free', {
+            x: left,
+            width: columnWidth,
+        });
+        const detailsBottom = doc.y;
+
+        // QR code, with the code itself for entering by hand
+        doc.roundedRect(qrX - 10, 100, QR_SIZE + 20, QR_SIZE + 70, 8).lineWidth(1).stroke('#e2e8f0');
+        doc.image(qrImage, qrX, 110, { width: QR_SIZE, height: QR_SIZE });
+        doc.font('Courier').fontSize(6.5).fillColor(MUTED_COLOR)
+            .text(code, qrX, 110 + QR_SIZE + 8, { width: QR_SIZE, align: 'center' });
+
+        if (booking.status === 'attended') {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor('#ea580c')
+                .text(
+                    `Checked in ${booking.checkedInAt ? formatDateTime(booking.checkedInAt) : ''}`.trim(),
+                    qrX,
+                    110 + QR_SIZE + 40,
+                    { width: QR_SIZE, align: 'center' }
+                );
+        }
+
+        // How to use it
+        const noteY = Math.max(detailsBottom, 110 + QR_SIZE + 80) + 20;
+        doc.moveTo(left, noteY).lineTo(doc.page.width - 50, noteY).lineWidth(1).stroke('#e2e8f0');
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLOR)
+            .text('At the entrance', left, noteY + 16);
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(
+            `Show this QR code on your phone or printed. One scan admits everyone on this booking `
+            + `(${booking.quantity}), so arrive together. The code works once and can't be transferred `
+            + 'to another booking.',
+            left,
+            doc.y + 4,
+            { width: doc.page.width - 100 }
+        );
+    });
+};
+
+module.exports = {
+    renderTicketPdf,
+};
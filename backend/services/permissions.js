@@ -0,0 +1,74 @@
+/**
+ * Permissions
+ *
+ * What each role may do. Organizer permissions are scoped to the events
+ * they created; admins hold every permission for every event.
+ *
+ *   events:create       submit new events
+ *   events:manage       edit, cancel and delete events
+ *   bookings:read       see the bookings and attendees of events
+ *   bookings:manage     change the status of bookings (e.g. mark attended)
+ *   bookings:checkin    scan tickets at the door
+ *   refunds:issue       refund payments (organizers up to the event's refund policy)
+ *   promos:manage       create and edit promo codes (organizers only for their events)
+ *   admin:access        the admin dashboard, users, approvals and settings
+ */
+
+const PERMISSIONS = [
+    'events:create',
+    'events:manage',
+    'bookings:read',
+    'bookings:manage',
+    'bookings:checkin',
+    'refunds:issue',
+    'promos:manage',
+    'admin:access',
+];
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    organizer: [
+        'events:create',
+        'events:manage',
+        'bookings:read',
+        'bookings:manage',
+        'bookings:checkin',
+        'refunds:issue',
+        'promos:manage',
+    ],
+    admin: PERMISSIONS,
+};
+
+/**
+ * The permissions a role grants
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) =>
+    Boolean(user) && getPermissions(user.role).includes(permission);
+
+// Admins act on every event; everyone else only on their own
+const hasGlobalScope = (user) => Boolean(user) && user.role === 'admin';
+
+/**
+ * Whether `user` created `event` (createdBy may be populated or a bare ObjectId)
+ */
+const ownsEvent = (user, event) => {
+    const ownerId = event.createdBy && (event.createdBy._id || event.createdBy);
+    return Boolean(ownerId) && ownerId.toString() === user.id;
+};
+
+/**
+ * Whether `user` may use `permission` on `event`
+ */
+const canOnEvent = (user, permission, event) =>
+    hasPermission(user, permission) && (hasGlobalScope(user) || ownsEvent(user, event));
+
+module.exports = {
+    PERMISSIONS,
+    getPermissions,
+    hasPermission,
+    hasGlobalScope,
+    ownsEvent,
+    canOnEvent,
+};
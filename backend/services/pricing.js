@@ -0,0 +1,71 @@
+/**
+ * Pricing
+ *
+ * What an order costs, in minor units. Buyers pay the ticket price, less
+ * any promo code discount, plus a convenience fee, and GST on both:
+ *
+ *   subtotal        = sum of unit price × quantity over the items
+ *   discount        = promo code discount (services/promoCodes.js)
+ *   convenience fee = CONVENIENCE_FEE_PERCENT of subtotal - discount (default 2)
+ *   GST             = GST_PERCENT of subtotal - discount + fee (default 18)
+ *
+ * The breakdown is stored with the payment, so its invoice keeps the rates
+ * that applied when the order was placed.
+ */
+
+const readPercent = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * The convenience fee and GST rates in percent
+ */
+const getRates = () => ({
+    convenienceFeeRate: readPercent('CONVENIENCE_FEE_PERCENT', 2),
+    taxRate: readPercent('GST_PERCENT', 18),
+});
+
+/**
+ * Resolve the line amounts of `items` ([{ tier?, name?, description, unitPrice, quantity }])
+ */
+const priceItems = (items) =>
+    items.map((item) => ({
+        tier: item.tier,
+        name: item.name,
+        description: item.description,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        amount: item.unitPrice * item.quantity,
+    }));
+
+/**
+ * Price an order of `items`, with the `discount` of `promoCode` taken off
+ * the tickets. Resolves the line amounts, discount, fee, tax and total.
+ */
+const priceOrder = (items, { discount = 0, promoCode } = {}) => {
+    const { convenienceFeeRate, taxRate } = getRates();
+
+    const lines = priceItems(items);
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const discounted = subtotal - discount;
+    const convenienceFee = Math.round((discounted * convenienceFeeRate) / 100);
+    const tax = Math.round(((discounted + convenienceFee) * taxRate) / 100);
+
+    return {
+        items: lines,
+        subtotal,
+        discount,
+        promoCode: discount ? promoCode : undefined,
+        convenienceFee,
+        convenienceFeeRate,
+        tax,
+        taxRate,
+        total: discounted + convenienceFee + tax,
+    };
+};
+
+module.exports = {
+    priceItems,
+    priceOrder,
+};
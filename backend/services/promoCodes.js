@@ -0,0 +1,110 @@
+/**
+ * Promo Codes
+ *
+ * Discounts organizers and admins hand out as codes (models/PromoCode.js).
+ * A code takes a percentage or a fixed amount off the ticket subtotal of an
+ * order; the convenience fee and GST are then worked out on what is left
+ * (services/pricing.js).
+ *
+ * - Check a code can be used on an order: active, within its validity
+ *   window, for this event and its tickets, and not used up overall or by
+ *   this buyer
+ * - Work out the discount on the tickets the code covers
+ *
+ * Uses are counted when the order is created (PromoCode.redeem) and given
+ * back if it fails, so a code with one use left can't be spent twice, and
+ * a buyer can't place more orders with it than their limit.
+ */
+
+const PromoCode = require('../models/PromoCode');
+const Payment = require('../models/Payment');
+const { httpError } = require('./httpError');
+
+/**
+ * A rejected promo code; the code lets checkout tell it from other order errors
+ */
+const promoError = (message, status = 400) => httpError(status, message, { code: 'INVALID_PROMO_CODE' });
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Orders `user` has placed with `promo` that count against its per-buyer
+ * limit, to turn the code down before checkout (PromoCode.redeem enforces
+ * the limit). Unpaid orders for `event` are left out: placing a new order
+ * replaces them.
+ */
+const countUserUses = (promo, user, event) =>
+    Payment.countDocuments({
+        promoCode: promo._id,
+        user: user.id,
+        $or: [
+            { status: { $in: ['paid', 'refunded'] } },
+            { status: 'pending', event: { $ne: event._id } },
+        ],
+    });
+
+/**
+ * The discount `promo` gives on `items` ([{ tier?, amount }]), in minor
+ * units. Tier-scoped codes only discount those ticket types; a fixed
+ * discount never exceeds what it applies to.
+ */
+const getDiscount = (promo, items) => {
+    const tiers = (promo.tiers || []).map((tier) => tier.toString());
+    const eligible = items
+        .filter((item) => tiers.length === 0 || (item.tier && tiers.includes(item.tier.toString())))
+        .reduce((sum, item) => sum + item.amount, 0);
+
+    if (promo.discountType === 'percent') {
+        return Math.round((eligible * promo.value) / 100);
+    }
+    return Math.min(promo.value, eligible);
+};
+
+/**
+ * Check `code` can be used by `user` on an order of priced `items` for
+ * `event`. Resolves to { promo, discount }, or throws a promo error
+ * saying why not.
+ */
+const applyPromoCode = async (code, { event, items, user }) => {
+    const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+    if (!promo || !promo.active) {
+        throw promoError('This promo code is not valid');
+    }
+
+    const now = new Date();
+    if (promo.validFrom && promo.validFrom > now) {
+        throw promoError('This promo code is not active yet');
+    }
+    if (promo.validUntil && promo.validUntil <= now) {
+        throw promoError('This promo code has expired');
+    }
+
+    if (promo.event && promo.event.toString() !== event._id.toString()) {
+        throw promoError('This promo code is not valid for this event');
+    }
+
+    if (promo.usageLimit && promo.timesUsed >= promo.usageLimit) {
+        throw promoError('This promo code has been fully redeemed');
+    }
+
+    if (promo.perUserLimit && (await countUserUses(promo, user, event)) >= promo.perUserLimit) {
+        throw promoError('You have already used this promo code');
+    }
+
+    const discount = getDiscount(promo, items);
+    if (discount <= 0) {
+        throw promoError('This promo code does not apply to the selected tickets');
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+    if (discount >= subtotal) {
+        throw promoError('This promo code cannot make an order free - ask the organizer for free tickets');
+    }
+
+    return { promo, discount };
+};
+
+module.exports = {
+    normalizeCode,
+    applyPromoCode,
+};
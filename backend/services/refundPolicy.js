@@ -0,0 +1,78 @@
+/**
+ * Refund Policy
+ *
+ * An event's refund policy is a list of rules: cancelling at least
+ * `hoursBefore` hours before the event starts refunds `percent` of what
+ * was paid. The rule with the largest hoursBefore that still applies wins;
+ * when none applies there is no refund.
+ *
+ * The default policy: full refund up to 7 days before, 50% up to 48 hours
+ * before, nothing after that.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_REFUND_POLICY = [
+    { hoursBefore: 7 * 24, percent: 100 },
+    { hoursBefore: 48, percent: 50 },
+];
+
+/**
+ * Rules ordered from earliest to latest cancellation
+ */
+const sortRules = (rules) =>
+    [...rules].sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+/**
+ * The policy an event actually uses (its own rules, or the default)
+ */
+const getEventRefundPolicy = (event) =>
+    sortRules(event.refundPolicy && event.refundPolicy.length
+        ? event.refundPolicy
+        : DEFAULT_REFUND_POLICY);
+
+/**
+ * Percentage of the paid amount refunded for cancelling a booking for
+ * `event` at `now`. A cancelled event always refunds in full.
+ */
+const getRefundPercent = (event, now = new Date()) => {
+    if (event.status === 'cancelled') return 100;
+
+    const hoursLeft = (new Date(event.date) - now) / HOUR_MS;
+    if (hoursLeft <= 0) return 0;
+
+    const rule = getEventRefundPolicy(event).find((r) => hoursLeft >= r.hoursBefore);
+    return rule ? rule.percent : 0;
+};
+
+/**
+ * Refund for cancelling now, in minor units, from the amount still refundable
+ */
+const quoteRefund = (event, refundableAmount, now = new Date()) => {
+    const percent = getRefundPercent(event, now);
+    return {
+        percent,
+        amount: Math.floor((refundableAmount * percent) / 100),
+    };
+};
+
+/**
+ * The most an organizer may still refund on `payment` for `event` at
+ * `now`: the policy's share of what was charged, less what has already
+ * been refunded. Amounts in minor units.
+ */
+const getPolicyRefundLimit = (event, payment, now = new Date()) => {
+    const { percent, amount } = quoteRefund(event, payment.amount, now);
+    return {
+        percent,
+        amount: Math.max(amount - payment.amountRefunded, 0),
+    };
+};
+
+module.exports = {
+    DEFAULT_REFUND_POLICY,
+    getEventRefundPolicy,
+    getRefundPercent,
+    quoteRefund,
+    getPolicyRefundLimit,
+};
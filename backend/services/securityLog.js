@@ -0,0 +1,39 @@
+/**
+ * Security Log
+ *
+ * Records sign-ins, failures, lockouts, password and 2FA changes and role
+ * changes as SecurityEvent documents for admins to review. Writing the log
+ * never fails the request it describes.
+ */
+
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Record a security event.
+ *
+ *   type      one of SecurityEvent.TYPES
+ *   req       the request, for IP and user agent
+ *   user      the account it concerns (document or id)
+ *   email     the email tried, when there may be no account
+ *   actor     who acted on `user`, when it wasn't them
+ *   details   anything else worth keeping
+ */
+const logSecurityEvent = async (type, { req, user, email, actor, details } = {}) => {
+    try {
+        await SecurityEvent.create({
+            type,
+            user: user && (user._id || user),
+            email: email || (user && user.email),
+            actor: actor && (actor._id || actor),
+            ip: req ? req.ip || '' : '',
+            userAgent: req ? (req.get('user-agent') || '').slice(0, 300) : '',
+            details,
+        });
+    } catch (error) {
+        console.error(`Security log error (${type}):`, error);
+    }
+};
+
+module.exports = {
+    logSecurityEvent,
+};
@@ -0,0 +1,176 @@
+/**
+ * Sessions
+ *
+ * Logging in opens a server-side Session and hands the client two tokens:
+ * a short-lived access token (JWT naming the session) and a refresh token
+ * that is swapped for a new one on every refresh. Revoking the session
+ * stops both: the refresh token right away, access tokens on their next
+ * request.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { logSecurityEvent } = require('./securityLog');
+const { httpError } = require('./httpError');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Two tabs refreshing at once both present the same token; the one that
+// loses the race may still use it for this long after it was rotated
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const describeClient = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || '',
+});
+
+const isActive = (session) =>
+    session && !session.revokedAt && session.expiresAt > new Date();
+
+/**
+ * Open a session for `user` logging in through `req`.
+ * Resolves with { session, accessToken, refreshToken }.
+ */
+const createSession = async (user, req) => {
+    const secret = newSecret();
+
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashSecret(secret),
+        ...describeClient(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return {
+        session,
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken: `${session._id}.${secret}`,
+    };
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already swapped out revokes the session,
+ * since someone else may be holding a copy of it.
+ * Resolves with { user, session, accessToken, refreshToken }; refreshToken
+ * is null when the token was just rotated by a concurrent request.
+ */
+const rotateSession = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw httpError(401, 'Please log in again');
+    }
+
+    const session = await Session.findById(parsed.sessionId).select('+tokenHash +previousTokenHash');
+    const user = isActive(session) && await User.findById(session.user);
+    if (!user) {
+        throw httpError(401, 'Your session has ended, please log in again');
+    }
+
+    const presentedHash = hashSecret(parsed.secret);
+
+    if (presentedHash !== session.tokenHash) {
+        const justRotated = presentedHash === session.previousTokenHash
+            && Date.now() - session.rotatedAt < ROTATION_GRACE_MS;
+
+        if (justRotated) {
+            return {
+                user,
+                session,
+                accessToken: user.getSignedJwtToken(session._id),
+                refreshToken: null,
+            };
+        }
+
+        await Session.updateOne(
+            { _id: session._id, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'token_reuse' }
+        );
+        logSecurityEvent('refresh_token_reuse', { req, user, details: { session: session._id } });
+        throw httpError(401, 'Your session has ended, please log in again');
+    }
+
+    // Swap the token only if nobody else has in the meantime
+    const secret = newSecret();
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+            tokenHash: hashSecret(secret),
+            previousTokenHash: presentedHash,
+            rotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            ...describeClient(req),
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        throw httpError(401, 'Your session has ended, please log in again');
+    }
+
+    return {
+        user,
+        session: rotated,
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken: `${session._id}.${secret}`,
+    };
+};
+
+/**
+ * The session id a refresh token belongs to, if the token is its current
+ * (or just-rotated) one. Used to end the session on logout.
+ */
+const findSessionIdForRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const presentedHash = hashSecret(parsed.secret);
+    const session = await Session.findOne({
+        _id: parsed.sessionId,
+        $or: [{ tokenHash: presentedHash }, { previousTokenHash: presentedHash }],
+    });
+
+    return session ? session._id : null;
+};
+
+/**
+ * Check an access token. Resolves with { user, sessionId }, or null when the
+ * token is bad or expired or its session was revoked.
+ */
+const authenticateAccessToken = async (accessToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    // Tokens from before sessions existed carry no sid
+    if (!decoded.sid) return null;
+
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+    if (!isActive(session)) return null;
+
+    const user = await User.findById(decoded.id);
+    return user ? { user, sessionId: session._id.toString() } : null;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    findSessionIdForRefreshToken,
+    authenticateAccessToken,
+};
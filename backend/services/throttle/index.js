@@ -0,0 +1,42 @@
+/**
+ * Throttle Stores
+ *
+ * Counters for rate limiting and login throttling live behind one small
+ * async interface, so the in-process store can be swapped for a shared one
+ * (e.g. Redis: INCR + PEXPIRE, GET, SET PX, PTTL, DEL) without touching
+ * the callers.
+ *
+ *   name                        'memory'
+ *   increment(key, ttlMs)       -> the new count; the window starts on the first hit
+ *   get(key)                    -> the stored value, or null
+ *   set(key, value, ttlMs)
+ *   ttl(key)                    -> ms until the key expires (0 when missing)
+ *   delete(key)
+ *
+ * THROTTLE_STORE picks the store (default memory).
+ */
+
+const createMemoryStore = require('./memoryStore');
+
+const STORE_FACTORIES = {
+    memory: createMemoryStore,
+};
+
+let instance = null;
+
+const getThrottleStore = () => {
+    if (!instance) {
+        const name = process.env.THROTTLE_STORE || 'memory';
+        const factory = STORE_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown throttle store: ${name}`);
+        }
+        instance = factory();
+    }
+    return instance;
+};
+
+module.exports = {
+    getThrottleStore,
+    THROTTLE_STORES: Object.keys(STORE_FACTORIES),
+};
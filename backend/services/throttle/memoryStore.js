@@ -0,0 +1,66 @@
+/**
+ * In-process Throttle Store
+ *
+ * Keeps counters in a Map, so they reset when the server restarts and are
+ * not shared between processes. Fine for a single instance; run several
+ * and they each count separately.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    // Drop expired entries so keys for one-off IPs don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, ttlMs) {
+            const entry = read(key);
+            if (entry) {
+                entry.value += 1;
+                return entry.value;
+            }
+            entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+            return 1;
+        },
+
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async ttl(key) {
+            const entry = read(key);
+            return entry ? entry.expiresAt - Date.now() : 0;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+};
+
+module.exports = createMemoryStore;
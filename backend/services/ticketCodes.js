@@ -0,0 +1,67 @@
+/**
+ * Ticket Codes
+ *
+ * Every active booking has a ticket code, shown as a QR code on the ticket
+ * and checked at the door (POST /api/checkin):
+ *
+ *   EF1.<bookingId>.<eventId>.<signature>
+ *
+ * The signature is an HMAC-SHA256 of the version, booking and event ids
+ * with TICKET_SECRET (falling back to JWT_SECRET), so a code can't be
+ * forged or moved to another booking. Codes are derived, not stored:
+ * whether a ticket is still valid is decided by its booking.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'EF1';
+const OBJECT_ID = /^[a-f0-9]{24}$/;
+
+const getSecret = () => {
+    const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('TICKET_SECRET (or JWT_SECRET) must be set to sign tickets');
+    }
+    return secret;
+};
+
+const sign = (bookingId, eventId) =>
+    crypto
+        .createHmac('sha256', getSecret())
+        .update(`${VERSION}:${bookingId}:${eventId}`)
+        .digest('base64url')
+        .slice(0, 22);
+
+/**
+ * The ticket code of a booking (event may be populated or a bare id)
+ */
+const createTicketCode = (booking) => {
+    const bookingId = booking._id.toString();
+    const eventId = (booking.event._id || booking.event).toString();
+    return `${VERSION}.${bookingId}.${eventId}.${sign(bookingId, eventId)}`;
+};
+
+/**
+ * Check a scanned code. Returns { bookingId, eventId }, or null when
+ * the code is malformed or its signature doesn't match.
+ */
+const verifyTicketCode = (code) => {
+    const parts = String(code || '').trim().split('.');
+    if (parts.length !== 4 || parts[0] !== VERSION) return null;
+
+    const [, bookingId, eventId, signature] = parts;
+    if (!OBJECT_ID.test(bookingId) || !OBJECT_ID.test(eventId)) return null;
+
+    const expected = Buffer.from(sign(bookingId, eventId));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    return { bookingId, eventId };
+};
+
+module.exports = {
+    createTicketCode,
+    verifyTicketCode,
+};
@@ -0,0 +1,163 @@
+/**
+ * Ticket Tiers
+ *
+ * Events can sell several ticket types (early bird, VIP, student...), each
+ * with its own price, quantity, sale window and per-order limits
+ * (event.ticketTiers). An event without tiers sells general admission
+ * tickets at event.price.
+ *
+ * - Turn an order request into line items, checking each tier is on sale,
+ *   within its order limits and not sold out
+ * - Apply an organizer's edit to the tiers without losing what was sold
+ */
+
+const { httpError } = require('./httpError');
+
+const MAX_TICKETS_PER_ORDER = 10;
+
+const ticketsLeft = (tier) => Math.max(tier.quantity - (tier.sold || 0), 0);
+
+/**
+ * Tickets across all `items`
+ */
+const countTickets = (items) => items.reduce((sum, item) => sum + item.quantity, 0);
+
+/**
+ * Why `tier` can't be bought at `now`, or null when it is on sale. Sales
+ * close when the event starts unless the tier ends them earlier.
+ */
+const getSaleError = (event, tier, now = new Date()) => {
+    if (tier.salesStart && tier.salesStart > now) return `${tier.name} tickets are not on sale yet`;
+    if ((tier.salesEnd && tier.salesEnd <= now) || event.date <= now) {
+        return `${tier.name} tickets are no longer on sale`;
+    }
+    return null;
+};
+
+/**
+ * The line items of an order request for `event`:
+ * [{ tier?, name, description, unitPrice, quantity }], prices in minor units.
+ *
+ * Events with tiers take body.items ([{ tierId, quantity }]); events without
+ * take body.ticketCount (or body.quantity, default 1). Throws an error with
+ * a status when the order can't be placed, e.g. once the event has started.
+ */
+const resolveOrderItems = (event, body) => {
+    const now = new Date();
+
+    if (!event.ticketTiers || event.ticketTiers.length === 0) {
+        if (event.date <= now) {
+            throw httpError(400, 'Tickets are no longer on sale');
+        }
+        const quantity = Number(body.ticketCount ?? body.quantity ?? 1);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_ORDER) {
+            throw httpError(400, `ticketCount must be a whole number between 1 and ${MAX_TICKETS_PER_ORDER}`);
+        }
+        return [{ name: 'General Admission', description: event.title, unitPrice: event.price, quantity }];
+    }
+
+    const requested = Array.isArray(body.items) ? body.items : [];
+    if (requested.length === 0) {
+        throw httpError(400, 'Choose at least one ticket');
+    }
+
+    const seen = new Set();
+
+    const items = requested.map(({ tierId, quantity } = {}) => {
+        const tier = tierId && event.ticketTiers.find((candidate) => candidate._id.toString() === String(tierId));
+        if (!tier) {
+            throw httpError(400, 'One of the ticket types was not found');
+        }
+        if (seen.has(tier.id)) {
+            throw httpError(400, `${tier.name} is listed more than once`);
+        }
+        seen.add(tier.id);
+
+        const saleError = getSaleError(event, tier, now);
+        if (saleError) {
+            throw httpError(400, saleError);
+        }
+
+        const count = Number(quantity);
+        if (!Number.isInteger(count) || count < tier.minPerOrder || count > tier.maxPerOrder) {
+            throw httpError(
+                400,
+                tier.minPerOrder === tier.maxPerOrder
+                    ? `${tier.name} tickets are sold ${tier.minPerOrder} per order`
+                    : `Choose between ${tier.minPerOrder} and ${tier.maxPerOrder} ${tier.name} tickets`
+            );
+        }
+
+        const left = ticketsLeft(tier);
+        if (count > left) {
+            throw httpError(409, left > 0 ? `Only ${left} ${tier.name} ticket(s) left` : `${tier.name} is sold out`);
+        }
+
+        return {
+            tier: tier._id,
+            name: tier.name,
+            description: `${event.title} (${tier.name})`,
+            unitPrice: tier.price,
+            quantity: count,
+        };
+    });
+
+    if (countTickets(items) > MAX_TICKETS_PER_ORDER) {
+        throw httpError(400, `You can book at most ${MAX_TICKETS_PER_ORDER} tickets at once`);
+    }
+
+    return items;
+};
+
+/**
+ * Why `items` couldn't be reserved on `event` (reloaded after the reservation
+ * failed): the first tier that ran short, or the event itself
+ */
+const getShortageMessage = (event, items) => {
+    for (const item of items) {
+        const tier = item.tier && event.ticketTiers.id(item.tier);
+        if (tier && ticketsLeft(tier) < item.quantity) {
+            const left = ticketsLeft(tier);
+            return left > 0 ? `Only ${left} ${tier.name} ticket(s) left` : `${tier.name} is sold out`;
+        }
+    }
+    return event.seatsAvailable > 0 ? `Only ${event.seatsAvailable} seat(s) left` : 'Sold out';
+};
+
+/**
+ * Apply edited `tiers` to an event's `current` ones. Tiers are matched by
+ * _id and keep their sold count; tiers without a known _id are new. A tier
+ * with sales can't be removed. Throws an error with a status otherwise.
+ */
+const mergeTicketTiers = (current, tiers) => {
+    if (!Array.isArray(tiers)) {
+        throw httpError(400, 'ticketTiers must be a list');
+    }
+
+    const existing = new Map((current || []).map((tier) => [tier._id.toString(), tier]));
+    const kept = new Set();
+
+    const merged = tiers.map((tier) => {
+        const { _id, sold, ...fields } = tier || {};
+        const match = _id && existing.get(String(_id));
+        if (!match) return fields;
+
+        kept.add(match._id.toString());
+        return { ...fields, _id: match._id, sold: match.sold };
+    });
+
+    const removed = [...existing.values()].find((tier) => tier.sold > 0 && !kept.has(tier._id.toString()));
+    if (removed) {
+        throw httpError(400, `${removed.name} has tickets sold and can't be removed`);
+    }
+
+    return merged;
+};
+
+module.exports = {
+    MAX_TICKETS_PER_ORDER,
+    countTickets,
+    resolveOrderItems,
+    getShortageMessage,
+    mergeTicketTiers,
+};
@@ -0,0 +1,108 @@
+/**
+ * TOTP
+ *
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * 6 digits, 30 second steps, HMAC-SHA1, base32 secrets.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * A new random secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The code for `secret` at time step `step`
+ */
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check `code` against `secret`. Resolves to the time step it matched, or
+ * null. Steps at or before `afterStep` are refused so a code can't be
+ * replayed.
+ */
+const verifyCode = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+        const candidate = step + drift;
+        if (candidate <= afterStep) continue;
+
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URL that authenticator apps read from the QR code
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl,
+};
@@ -0,0 +1,123 @@
+/**
+ * Two-Factor Authentication
+ *
+ * TOTP second factor with single-use recovery codes, the short-lived
+ * challenge token that bridges the two login steps, and the admin policy
+ * saying which roles must use it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+
+// Roles an admin may require 2FA for
+const TWO_FACTOR_ROLES = ['admin', 'organizer'];
+
+const REQUIRED_ROLES_KEY = 'twoFactorRequiredRoles';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+// The policy is read on every authorize() call, so keep it in memory for a bit
+const POLICY_CACHE_MS = 30 * 1000;
+let policyCache = null;
+
+const getRequiredRoles = async () => {
+    if (!policyCache || Date.now() - policyCache.loadedAt > POLICY_CACHE_MS) {
+        policyCache = {
+            roles: await Setting.getValue(REQUIRED_ROLES_KEY, []),
+            loadedAt: Date.now(),
+        };
+    }
+    return policyCache.roles;
+};
+
+const setRequiredRoles = async (roles, updatedBy) => {
+    const valid = TWO_FACTOR_ROLES.filter((role) => roles.includes(role));
+    await Setting.setValue(REQUIRED_ROLES_KEY, valid, updatedBy);
+    policyCache = null;
+    return valid;
+};
+
+/**
+ * Whether the policy makes `user` use 2FA
+ */
+const isTwoFactorRequired = async (user) => (await getRequiredRoles()).includes(user.role);
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Fresh recovery codes: { codes } to show the user once, { hashes } to store
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a TOTP code or a recovery code for `userId`, using it up so it
+ * can't be replayed. Resolves to 'totp', 'recovery' or null.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const { modifiedCount } = await User.updateOne(
+            { _id: userId, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+            { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+        );
+        return modifiedCount ? 'recovery' : null;
+    }
+
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled) return null;
+
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+    const step = verifyCode(user.twoFactor.secret, code, { afterStep: lastUsedStep });
+    if (step === null) return null;
+
+    // Only one request gets to use this step
+    const { modifiedCount } = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { 'twoFactor.lastUsedStep': { $exists: false } },
+                { 'twoFactor.lastUsedStep': { $lt: step } },
+            ],
+        },
+        { 'twoFactor.lastUsedStep': step }
+    );
+    return modifiedCount ? 'totp' : null;
+};
+
+/**
+ * Token proving the password step passed; traded for a session with a code
+ */
+const createChallengeToken = (user) =>
+    jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE });
+
+/**
+ * The user id a challenge token was issued for, or null if it is invalid or expired
+ */
+const readChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa' ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    getRequiredRoles,
+    setRequiredRoles,
+    isTwoFactorRequired,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    createChallengeToken,
+    readChallengeToken,
+};
@@ -0,0 +1,142 @@
+/**
+ * Event.reserveSeats / Event.releaseSeats
+ *
+ * The updates run against an in-memory event that evaluates the same
+ * $expr conditions and $inc operators MongoDB would.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { matches } = require('./helpers/mongoExpr');
+
+const applyInc = (doc, inc, arrayFilters = []) => {
+    Object.entries(inc).forEach(([path, amount]) => {
+        const tierMatch = path.match(/^ticketTiers\.\$\[(\w+)\]\.sold$/);
+        if (!tierMatch) {
+            doc[path] += amount;
+            return;
+        }
+        const filter = arrayFilters.find((candidate) => `${tierMatch[1]}._id` in candidate);
+        doc.ticketTiers
+            .filter((tier) => String(tier._id) === String(filter[`${tierMatch[1]}._id`]))
+            .forEach((tier) => { tier.sold += amount; });
+    });
+};
+
+const tierId = () => new mongoose.Types.ObjectId();
+
+describe('Event seats', () => {
+    let event;
+
+    beforeEach(() => {
+        event = {
+            _id: new mongoose.Types.ObjectId(),
+            status: 'approved',
+            capacity: 10,
+            seatsBooked: 0,
+            ticketTiers: [],
+        };
+        mock.method(Event, 'findOneAndUpdate', async (filter, update, options) => {
+            if (!matches(event, filter)) return null;
+            applyInc(event, update.$inc, options.arrayFilters);
+            return { ...event };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('reserveSeats', () => {
+        it('takes the seats while enough are left', async () => {
+            const reserved = await Event.reserveSeats(event._id, 4);
+
+            assert.equal(reserved.seatsBooked, 4);
+            assert.equal(event.seatsBooked, 4);
+        });
+
+        it('fills the event exactly to capacity', async () => {
+            event.seatsBooked = 7;
+
+            assert.ok(await Event.reserveSeats(event._id, 3));
+            assert.equal(event.seatsBooked, 10);
+        });
+
+        it('refuses more seats than are left and changes nothing', async () => {
+            event.seatsBooked = 8;
+
+            assert.equal(await Event.reserveSeats(event._id, 3), null);
+            assert.equal(event.seatsBooked, 8);
+        });
+
+        it('checks the seats left on every reservation, one after another', async () => {
+            event.seatsBooked = 6;
+
+            const results = [];
+            for (let i = 0; i < 5; i += 1) {
+                results.push(await Event.reserveSeats(event._id, 2));
+            }
+
+            assert.equal(results.filter(Boolean).length, 2);
+            assert.equal(event.seatsBooked, 10);
+        });
+
+        it('only sells tickets for approved events', async () => {
+            event.status = 'cancelled';
+
+            assert.equal(await Event.reserveSeats(event._id, 1), null);
+            assert.equal(event.seatsBooked, 0);
+        });
+
+        it('counts tier tickets against the tier and the event', async () => {
+            const vip = { _id: tierId(), name: 'VIP', quantity: 2, sold: 0 };
+            const standard = { _id: tierId(), name: 'Standard', quantity: 8, sold: 0 };
+            event.ticketTiers = [vip, standard];
+
+            await Event.reserveSeats(event._id, 3, [
+                { tier: vip._id, quantity: 1 },
+                { tier: standard._id, quantity: 2 },
+            ]);
+
+            assert.equal(vip.sold, 1);
+            assert.equal(standard.sold, 2);
+            assert.equal(event.seatsBooked, 3);
+        });
+
+        it('refuses a sold-out tier even with seats left on the event', async () => {
+            const vip = { _id: tierId(), name: 'VIP', quantity: 2, sold: 2 };
+            event.ticketTiers = [vip, { _id: tierId(), name: 'Standard', quantity: 8, sold: 0 }];
+            event.seatsBooked = 2;
+
+            assert.equal(await Event.reserveSeats(event._id, 1, [{ tier: vip._id, quantity: 1 }]), null);
+            assert.equal(vip.sold, 2);
+            assert.equal(event.seatsBooked, 2);
+        });
+
+        it('refuses a tier the event does not have', async () => {
+            event.ticketTiers = [{ _id: tierId(), name: 'Standard', quantity: 8, sold: 0 }];
+
+            assert.equal(await Event.reserveSeats(event._id, 1, [{ tier: tierId(), quantity: 1 }]), null);
+        });
+    });
+
+    describe('releaseSeats', () => {
+        it('gives seats and tier tickets back', async () => {
+            const vip = { _id: tierId(), name: 'VIP', quantity: 2, sold: 2 };
+            event.ticketTiers = [vip];
+            event.seatsBooked = 2;
+
+            await Event.releaseSeats(event._id, 2, [{ tier: vip._id, quantity: 2 }]);
+
+            assert.equal(vip.sold, 0);
+            assert.equal(event.seatsBooked, 0);
+        });
+
+        it('never takes the seat count below zero', async () => {
+            event.seatsBooked = 1;
+
+            assert.equal(await Event.releaseSeats(event._id, 2), null);
+            assert.equal(event.seatsBooked, 1);
+        });
+    });
+});
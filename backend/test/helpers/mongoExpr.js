@@ -0,0 +1,66 @@
+/**
+ * Just enough of MongoDB's query and aggregation operators to run the
+ * conditional updates of the models against plain objects in tests.
+ */
+
+const mongoose = require('mongoose');
+
+const getPath = (value, path) => path.reduce((current, key) => (current == null ? current : current[key]), value);
+
+const isOperator = (expr) =>
+    expr && typeof expr === 'object' && !Array.isArray(expr) && !(expr instanceof mongoose.Types.ObjectId);
+
+/**
+ * Evaluate an aggregation expression ($expr) against `doc`
+ */
+const evaluate = (expr, doc, vars = {}) => {
+    if (typeof expr === 'string' && expr.startsWith('$$')) {
+        const [name, ...path] = expr.slice(2).split('.');
+        return getPath(vars[name], path);
+    }
+    if (typeof expr === 'string' && expr.startsWith('$')) {
+        return getPath(doc, expr.slice(1).split('.'));
+    }
+    if (!isOperator(expr)) return expr;
+
+    const [op] = Object.keys(expr);
+    const args = expr[op];
+    const values = () => args.map((arg) => evaluate(arg, doc, vars));
+
+    switch (op) {
+        case '$and': return args.every((arg) => evaluate(arg, doc, vars));
+        case '$or': return args.some((arg) => evaluate(arg, doc, vars));
+        case '$add': return values().reduce((sum, value) => sum + value, 0);
+        case '$lt': { const [a, b] = values(); return a < b; }
+        case '$lte': { const [a, b] = values(); return a <= b; }
+        case '$gt': { const [a, b] = values(); return a > b; }
+        case '$eq': {
+            const [a, b] = values();
+            return a == null || b == null ? a == null && b == null : String(a) === String(b);
+        }
+        case '$ifNull': { const [value, fallback] = values(); return value == null ? fallback : value; }
+        case '$size': return evaluate(args, doc, vars).length;
+        case '$filter':
+            return evaluate(args.input, doc, vars)
+                .filter((item) => evaluate(args.cond, doc, { ...vars, this: item }));
+        default: throw new Error(`Unsupported operator ${op}`);
+    }
+};
+
+/**
+ * Whether `doc` matches a query `filter` (fields compared by value, $gt /
+ * $gte / $lt on numbers, and $expr)
+ */
+const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+        if (key === '$expr') return evaluate(condition, doc);
+        if (isOperator(condition) && '$gte' in condition) return doc[key] >= condition.$gte;
+        if (isOperator(condition) && '$gt' in condition) return doc[key] > condition.$gt;
+        if (isOperator(condition) && '$lt' in condition) return doc[key] < condition.$lt;
+        return String(doc[key]) === String(condition);
+    });
+
+module.exports = {
+    evaluate,
+    matches,
+};
@@ -0,0 +1,90 @@
+/**
+ * Order pricing: tickets, promo discount, convenience fee and GST
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { priceItems, priceOrder } = require('../services/pricing');
+
+const RATE_VARIABLES = ['CONVENIENCE_FEE_PERCENT', 'GST_PERCENT'];
+
+const items = [
+    { name: 'VIP', description: 'Gala (VIP)', unitPrice: 150000, quantity: 1 },
+    { name: 'Standard', description: 'Gala (Standard)', unitPrice: 50000, quantity: 2 },
+];
+
+describe('priceOrder', () => {
+    const saved = {};
+
+    beforeEach(() => {
+        RATE_VARIABLES.forEach((name) => {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        });
+    });
+
+    afterEach(() => {
+        RATE_VARIABLES.forEach((name) => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    });
+
+    it('prices each line at unit price times quantity', () => {
+        assert.deepEqual(priceItems(items).map((line) => line.amount), [150000, 100000]);
+    });
+
+    it('adds a 2% convenience fee and 18% GST on tickets and fee by default', () => {
+        const charges = priceOrder(items);
+
+        assert.equal(charges.subtotal, 250000);
+        assert.equal(charges.discount, 0);
+        assert.equal(charges.convenienceFee, 5000);
+        assert.equal(charges.convenienceFeeRate, 2);
+        assert.equal(charges.tax, 45900);
+        assert.equal(charges.taxRate, 18);
+        assert.equal(charges.total, 300900);
+        assert.equal(charges.promoCode, undefined);
+    });
+
+    it('takes the discount off before the fee and GST are worked out', () => {
+        const charges = priceOrder(items, { discount: 50000, promoCode: 'SAVE500' });
+
+        assert.equal(charges.subtotal, 250000);
+        assert.equal(charges.discount, 50000);
+        assert.equal(charges.promoCode, 'SAVE500');
+        assert.equal(charges.convenienceFee, 4000);
+        assert.equal(charges.tax, 36720);
+        assert.equal(charges.total, 240720);
+    });
+
+    it('leaves the code off the breakdown when it gave no discount', () => {
+        assert.equal(priceOrder(items, { discount: 0, promoCode: 'SAVE500' }).promoCode, undefined);
+    });
+
+    it('rounds the fee and GST to whole minor units', () => {
+        const charges = priceOrder([{ name: 'Entry', unitPrice: 999, quantity: 1 }]);
+
+        assert.equal(charges.convenienceFee, 20);
+        assert.equal(charges.tax, 183);
+        assert.equal(charges.total, 1202);
+        assert.ok([charges.convenienceFee, charges.tax, charges.total].every(Number.isInteger));
+    });
+
+    it('uses the configured rates and ignores invalid ones', () => {
+        process.env.CONVENIENCE_FEE_PERCENT = '0';
+        process.env.GST_PERCENT = '5';
+        const configured = priceOrder(items);
+
+        assert.equal(configured.convenienceFee, 0);
+        assert.equal(configured.tax, 12500);
+        assert.equal(configured.total, 262500);
+
+        process.env.CONVENIENCE_FEE_PERCENT = '-3';
+        process.env.GST_PERCENT = 'lots';
+        const fallback = priceOrder(items);
+
+        assert.equal(fallback.convenienceFeeRate, 2);
+        assert.equal(fallback.taxRate, 18);
+    });
+});
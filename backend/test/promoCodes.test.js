@@ -0,0 +1,240 @@
+/**
+ * Promo codes: checking a code against an order, and counting its uses
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Payment = require('../models/Payment');
+const { applyPromoCode, normalizeCode } = require('../services/promoCodes');
+const { matches } = require('./helpers/mongoExpr');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('applyPromoCode', () => {
+    const event = { _id: id() };
+    const user = { id: 'user-1' };
+    const vip = id();
+    const standard = id();
+    // Priced lines, in minor units
+    const items = [
+        { tier: vip, amount: 150000 },
+        { tier: standard, amount: 100000 },
+    ];
+
+    let promo;
+    let userUses;
+
+    beforeEach(() => {
+        promo = {
+            _id: id(),
+            code: 'SAVE20',
+            active: true,
+            discountType: 'percent',
+            value: 20,
+            timesUsed: 0,
+            event: event._id,
+            tiers: [],
+        };
+        userUses = 0;
+        mock.method(PromoCode, 'findOne', async ({ code }) => (code === promo.code ? promo : null));
+        mock.method(Payment, 'countDocuments', async () => userUses);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const apply = (code = 'SAVE20') => applyPromoCode(code, { event, items, user });
+
+    const rejects = (message) =>
+        assert.rejects(apply(), (error) => {
+            assert.equal(error.status, 400);
+            assert.equal(error.code, 'INVALID_PROMO_CODE');
+            assert.match(error.message, message);
+            return true;
+        });
+
+    it('matches codes whatever their case and surrounding spaces', async () => {
+        assert.equal(normalizeCode('  save20 '), 'SAVE20');
+        assert.equal((await apply(' save20 ')).promo, promo);
+    });
+
+    it('takes a percentage off the whole order', async () => {
+        assert.equal((await apply()).discount, 50000);
+    });
+
+    it('takes a fixed amount off the order', async () => {
+        promo.discountType = 'fixed';
+        promo.value = 30000;
+
+        assert.equal((await apply()).discount, 30000);
+    });
+
+    it('only discounts the ticket types it is scoped to', async () => {
+        promo.tiers = [standard];
+        assert.equal((await apply()).discount, 20000);
+
+        promo.discountType = 'fixed';
+        promo.value = 120000;
+        assert.equal((await apply()).discount, 100000);
+    });
+
+    it('rejects codes that do not exist or are switched off', async () => {
+        await assert.rejects(apply('NOPE'), /not valid/);
+        promo.active = false;
+        await rejects(/not valid/);
+    });
+
+    it('rejects codes outside their validity window', async () => {
+        promo.validFrom = new Date(Date.now() + DAY_MS);
+        await rejects(/not active yet/);
+
+        promo.validFrom = new Date(Date.now() - 2 * DAY_MS);
+        promo.validUntil = new Date(Date.now() - DAY_MS);
+        await rejects(/expired/);
+    });
+
+    it('rejects codes for another event, and allows codes for every event', async () => {
+        promo.event = id();
+        await rejects(/not valid for this event/);
+
+        promo.event = null;
+        assert.equal((await apply()).discount, 50000);
+    });
+
+    it('rejects codes that are used up overall or by this buyer', async () => {
+        promo.usageLimit = 5;
+        promo.timesUsed = 5;
+        await rejects(/fully redeemed/);
+
+        promo.timesUsed = 4;
+        promo.perUserLimit = 1;
+        userUses = 1;
+        await rejects(/already used/);
+    });
+
+    it('rejects codes that don\'t cover any of the tickets', async () => {
+        promo.tiers = [id()];
+        await rejects(/does not apply/);
+    });
+
+    it('never makes an order free', async () => {
+        promo.value = 100;
+        await rejects(/cannot make an order free/);
+
+        promo.discountType = 'fixed';
+        promo.value = 250000;
+        await rejects(/cannot make an order free/);
+    });
+});
+
+describe('PromoCode.redeem / release', () => {
+    const buyer = id();
+    let promo;
+    // Uses held per buyer, as PromoRedemption keeps them
+    let redemptions;
+
+    beforeEach(() => {
+        promo = { _id: id(), active: true, usageLimit: 2, timesUsed: 0 };
+        redemptions = new Map();
+        mock.method(PromoCode, 'findOneAndUpdate', async (filter, update) => {
+            if (!matches(promo, filter)) return null;
+            promo.timesUsed += update.$inc.timesUsed;
+            return { ...promo };
+        });
+        mock.method(PromoRedemption, 'findOneAndUpdate', async (filter, update, options) => {
+            const key = String(filter.user);
+            if (!redemptions.has(key)) {
+                if (!options.upsert) return null;
+                redemptions.set(key, { promoCode: filter.promoCode, user: filter.user, uses: 0 });
+            } else if (!matches(redemptions.get(key), filter)) {
+                if (options.upsert) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+                return null;
+            }
+            const record = redemptions.get(key);
+            record.uses += update.$inc.uses;
+            return { ...record };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const usesOf = (user) => (redemptions.get(String(user)) || { uses: 0 }).uses;
+
+    it('counts uses up to the limit and no further', async () => {
+        assert.equal((await PromoCode.redeem(promo, id())).timesUsed, 1);
+        assert.equal((await PromoCode.redeem(promo, id())).timesUsed, 2);
+        assert.equal(await PromoCode.redeem(promo, id()), null);
+        assert.equal(promo.timesUsed, 2);
+    });
+
+    it('refuses every order after the last use has gone', async () => {
+        promo.timesUsed = 1;
+        const results = [];
+        for (const user of [id(), id(), id()]) {
+            results.push(await PromoCode.redeem(promo, user));
+        }
+
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal(promo.timesUsed, 2);
+    });
+
+    it('has no limit when none is set', async () => {
+        promo.usageLimit = undefined;
+        promo.timesUsed = 1000;
+
+        assert.equal((await PromoCode.redeem(promo, buyer)).timesUsed, 1001);
+    });
+
+    it('is refused for switched-off codes, without counting against the buyer', async () => {
+        promo.active = false;
+
+        assert.equal(await PromoCode.redeem(promo, buyer), null);
+        assert.equal(usesOf(buyer), 0);
+    });
+
+    it('holds each buyer to the per-buyer limit', async () => {
+        promo.perUserLimit = 1;
+        promo.usageLimit = undefined;
+
+        assert.ok(await PromoCode.redeem(promo, buyer));
+        assert.equal(await PromoCode.redeem(promo, buyer), null);
+        assert.ok(await PromoCode.redeem(promo, id()));
+        assert.equal(usesOf(buyer), 1);
+        assert.equal(promo.timesUsed, 2);
+    });
+
+    it('retries when another order of the buyer created their record first', async () => {
+        promo.perUserLimit = 2;
+        redemptions.set(String(buyer), { promoCode: promo._id, user: buyer, uses: 1 });
+        const upsert = PromoRedemption.findOneAndUpdate.mock;
+        upsert.mockImplementationOnce(async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+
+        assert.ok(await PromoCode.redeem(promo, buyer));
+        assert.equal(usesOf(buyer), 2);
+    });
+
+    it('gives a use back, never going below zero', async () => {
+        await PromoCode.redeem(promo, buyer);
+
+        assert.equal((await PromoCode.release(promo._id, buyer)).timesUsed, 0);
+        assert.equal(await PromoCode.release(promo._id, buyer), null);
+        assert.equal(promo.timesUsed, 0);
+        assert.equal(usesOf(buyer), 0);
+    });
+
+    it('frees the use for the next order', async () => {
+        promo.perUserLimit = 1;
+        await PromoCode.redeem(promo, buyer);
+        assert.equal(await PromoCode.redeem(promo, buyer), null);
+
+        await PromoCode.release(promo._id, buyer);
+
+        assert.ok(await PromoCode.redeem(promo, buyer));
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Refund policy: which rule applies when, and how much it refunds
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_REFUND_POLICY,
+    getEventRefundPolicy,
+    getRefundPercent,
+    quoteRefund,
+    getPolicyRefundLimit,
+} = require('../services/refundPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+// An approved event starting `hours` hours after NOW
+const eventIn = (hours, refundPolicy = []) => ({
+    status: 'approved',
+    date: new Date(NOW.getTime() + hours * HOUR_MS),
+    refundPolicy,
+});
+
+describe('getEventRefundPolicy', () => {
+    it('uses the default policy when the event has none', () => {
+        assert.deepEqual(getEventRefundPolicy(eventIn(100)), DEFAULT_REFUND_POLICY);
+    });
+
+    it('orders the event\'s rules from earliest to latest cancellation', () => {
+        const policy = getEventRefundPolicy(eventIn(100, [
+            { hoursBefore: 24, percent: 25 },
+            { hoursBefore: 72, percent: 75 },
+        ]));
+
+        assert.deepEqual(policy.map((rule) => rule.hoursBefore), [72, 24]);
+    });
+});
+
+describe('getRefundPercent', () => {
+    it('follows the default policy: 100% up to 7 days, 50% up to 48 hours, then nothing', () => {
+        assert.equal(getRefundPercent(eventIn(8 * 24), NOW), 100);
+        assert.equal(getRefundPercent(eventIn(7 * 24), NOW), 100);
+        assert.equal(getRefundPercent(eventIn(7 * 24 - 1), NOW), 50);
+        assert.equal(getRefundPercent(eventIn(48), NOW), 50);
+        assert.equal(getRefundPercent(eventIn(47), NOW), 0);
+    });
+
+    it('uses the rule with the largest hoursBefore that still applies', () => {
+        const rules = [
+            { hoursBefore: 24, percent: 25 },
+            { hoursBefore: 72, percent: 75 },
+        ];
+
+        assert.equal(getRefundPercent(eventIn(100, rules), NOW), 75);
+        assert.equal(getRefundPercent(eventIn(30, rules), NOW), 25);
+        assert.equal(getRefundPercent(eventIn(10, rules), NOW), 0);
+    });
+
+    it('refunds nothing once the event has started', () => {
+        assert.equal(getRefundPercent(eventIn(0, [{ hoursBefore: 0, percent: 100 }]), NOW), 0);
+        assert.equal(getRefundPercent(eventIn(-5), NOW), 0);
+    });
+
+    it('always refunds a cancelled event in full', () => {
+        assert.equal(getRefundPercent({ ...eventIn(-5), status: 'cancelled' }, NOW), 100);
+    });
+});
+
+describe('quoteRefund', () => {
+    it('refunds the policy\'s share, rounded down to whole minor units', () => {
+        assert.deepEqual(quoteRefund(eventIn(72), 10001, NOW), { percent: 50, amount: 5000 });
+        assert.deepEqual(quoteRefund(eventIn(10), 10001, NOW), { percent: 0, amount: 0 });
+    });
+});
+
+describe('getPolicyRefundLimit', () => {
+    it('takes what was already refunded off the policy\'s share of the charge', () => {
+        const payment = { amount: 20000, amountRefunded: 4000 };
+
+        assert.deepEqual(getPolicyRefundLimit(eventIn(72), payment, NOW), { percent: 50, amount: 6000 });
+    });
+
+    it('never goes below zero', () => {
+        const payment = { amount: 20000, amountRefunded: 15000 };
+
+        assert.deepEqual(getPolicyRefundLimit(eventIn(72), payment, NOW), { percent: 50, amount: 0 });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Signed ticket codes
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTicketCode, verifyTicketCode } = require('../services/ticketCodes');
+
+const BOOKING_ID = '665f1c2e9b1e4a0012345678';
+const OTHER_BOOKING_ID = '665f1c2e9b1e4a0012345679';
+const EVENT_ID = '665f1c2e9b1e4a00abcdef01';
+
+const booking = { _id: BOOKING_ID, event: EVENT_ID };
+
+// Replace part `index` of a code (EF1.<booking>.<event>.<signature>)
+const withPart = (code, index, value) => {
+    const parts = code.split('.');
+    parts[index] = value;
+    return parts.join('.');
+};
+
+describe('ticket codes', () => {
+    const saved = { TICKET_SECRET: process.env.TICKET_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+
+    beforeEach(() => {
+        process.env.TICKET_SECRET = 'test_ticket_secret';
+        delete process.env.JWT_SECRET;
+    });
+
+    afterEach(() => {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    });
+
+    it('verify back to their booking and event', () => {
+        const code = createTicketCode(booking);
+
+        assert.match(code, new RegExp(`^EF1\\.${BOOKING_ID}\\.${EVENT_ID}\\.[\\w-]{22}$`));
+        assert.deepEqual(verifyTicketCode(code), { bookingId: BOOKING_ID, eventId: EVENT_ID });
+    });
+
+    it('are the same whether the event is populated or not', () => {
+        assert.equal(createTicketCode({ _id: BOOKING_ID, event: { _id: EVENT_ID } }), createTicketCode(booking));
+    });
+
+    it('tolerate whitespace around a scanned code', () => {
+        assert.ok(verifyTicketCode(`  ${createTicketCode(booking)}\n`));
+    });
+
+    it('can\'t be moved to another booking or event', () => {
+        const code = createTicketCode(booking);
+
+        assert.equal(verifyTicketCode(withPart(code, 1, OTHER_BOOKING_ID)), null);
+        assert.equal(verifyTicketCode(withPart(code, 2, OTHER_BOOKING_ID)), null);
+    });
+
+    it('can\'t be forged without the secret', () => {
+        const code = createTicketCode(booking);
+        process.env.TICKET_SECRET = 'another_secret';
+
+        assert.equal(verifyTicketCode(code), null);
+    });
+
+    it('reject tampered signatures and other versions', () => {
+        const code = createTicketCode(booking);
+        const signature = code.split('.')[3];
+        const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+        assert.equal(verifyTicketCode(withPart(code, 3, flipped)), null);
+        assert.equal(verifyTicketCode(withPart(code, 3, signature.slice(1))), null);
+        assert.equal(verifyTicketCode(withPart(code, 0, 'EF2')), null);
+    });
+
+    it('reject malformed input', () => {
+        assert.equal(verifyTicketCode(''), null);
+        assert.equal(verifyTicketCode(undefined), null);
+        assert.equal(verifyTicketCode('EF1.not-an-id.also-not.sig'), null);
+        assert.equal(verifyTicketCode(`${createTicketCode(booking)}.extra`), null);
+    });
+
+    it('fall back to JWT_SECRET, and refuse to sign with no secret at all', () => {
+        delete process.env.TICKET_SECRET;
+        process.env.JWT_SECRET = 'test_jwt_secret';
+        assert.ok(verifyTicketCode(createTicketCode(booking)));
+
+        delete process.env.JWT_SECRET;
+        assert.throws(() => createTicketCode(booking), /TICKET_SECRET/);
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * TOTP codes, recovery codes and the login challenge token
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, generateCode, verifyCode, buildOtpauthUrl } = require('../services/totp');
+const {
+    generateRecoveryCodes,
+    verifySecondFactor,
+    createChallengeToken,
+    readChallengeToken,
+} = require('../services/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+        assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+        assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+    });
+
+    it('generates 160-bit base32 secrets', () => {
+        const secret = generateSecret();
+
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(secret, generateSecret());
+    });
+
+    it('accepts the current code and resolves to its time step', () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(now / STEP_MS);
+
+        assert.equal(verifyCode(RFC_SECRET, '081804', { now }), step);
+        assert.equal(verifyCode(RFC_SECRET, '081 804', { now }), step);
+    });
+
+    it('allows one step of clock drift either way, and no more', () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(now / STEP_MS);
+
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now }), null);
+    });
+
+    it('refuses codes at or before the last step used', () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(now / STEP_MS);
+
+        assert.equal(verifyCode(RFC_SECRET, '081804', { now, afterStep: step }), null);
+        assert.equal(verifyCode(RFC_SECRET, '081804', { now, afterStep: step - 1 }), step);
+    });
+
+    it('refuses wrong and malformed codes', () => {
+        const now = 1111111109 * 1000;
+
+        assert.equal(verifyCode(RFC_SECRET, '081805', { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, '12345', { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, undefined, { now }), null);
+    });
+
+    it('builds the otpauth URL authenticator apps scan', () => {
+        const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'a@b.com', issuer: 'EventFlow' }));
+
+        assert.equal(url.protocol, 'otpauth:');
+        assert.equal(url.host, 'totp');
+        assert.equal(decodeURIComponent(url.pathname), '/EventFlow:a@b.com');
+        assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(url.searchParams.get('digits'), '6');
+        assert.equal(url.searchParams.get('period'), '30');
+    });
+});
+
+describe('verifySecondFactor', () => {
+    let user;
+
+    beforeEach(() => {
+        user = {
+            _id: 'user-1',
+            twoFactor: { enabled: true, secret: RFC_SECRET, recoveryCodes: [] },
+        };
+        // Each read gets its own copy, as from the database, so parallel
+        // requests can both see a code as unused
+        mock.method(User, 'findById', () => ({ select: async () => structuredClone(user) }));
+        // The conditional updates of the service, applied to `user`
+        mock.method(User, 'updateOne', async (filter, update) => {
+            if (update.$pull) {
+                const hash = update.$pull['twoFactor.recoveryCodes'];
+                const index = user.twoFactor.recoveryCodes.indexOf(hash);
+                if (index === -1 || filter['twoFactor.recoveryCodes'] !== hash) return { modifiedCount: 0 };
+                user.twoFactor.recoveryCodes.splice(index, 1);
+                return { modifiedCount: 1 };
+            }
+            // Apply the filter's conditions on lastUsedStep ($exists: false or $lt)
+            const stored = user.twoFactor.lastUsedStep;
+            const allowed = (filter.$or || [{}]).some((condition) => {
+                const test = condition['twoFactor.lastUsedStep'];
+                if (!test) return true;
+                return '$exists' in test ? (stored !== undefined) === test.$exists : stored < test.$lt;
+            });
+            if (!allowed) return { modifiedCount: 0 };
+            user.twoFactor.lastUsedStep = update['twoFactor.lastUsedStep'];
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('accepts the current TOTP code once', async () => {
+        const code = generateCode(RFC_SECRET);
+
+        assert.equal(await verifySecondFactor(user._id, { code }), 'totp');
+        assert.equal(await verifySecondFactor(user._id, { code }), null);
+    });
+
+    it('lets only one of two parallel logins use a code', async () => {
+        const code = generateCode(RFC_SECRET);
+
+        const results = await Promise.all([
+            verifySecondFactor(user._id, { code }),
+            verifySecondFactor(user._id, { code }),
+        ]);
+
+        assert.deepEqual(results.sort(), ['totp', null].sort());
+    });
+
+    it('refuses TOTP codes when 2FA is off', async () => {
+        user.twoFactor.enabled = false;
+
+        assert.equal(await verifySecondFactor(user._id, { code: generateCode(RFC_SECRET) }), null);
+    });
+
+    it('uses up a recovery code, whatever its case and dashes', async () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = [...hashes];
+        const typed = codes[3].replace('-', '').toUpperCase();
+
+        assert.equal(await verifySecondFactor(user._id, { recoveryCode: typed }), 'recovery');
+        assert.equal(await verifySecondFactor(user._id, { recoveryCode: codes[3] }), null);
+        assert.equal(user.twoFactor.recoveryCodes.length, hashes.length - 1);
+    });
+
+    it('refuses unknown recovery codes', async () => {
+        user.twoFactor.recoveryCodes = generateRecoveryCodes().hashes;
+
+        assert.equal(await verifySecondFactor(user._id, { recoveryCode: 'aaaaa-bbbbb' }), null);
+    });
+});
+
+describe('generateRecoveryCodes', () => {
+    it('makes ten distinct codes and stores only their hashes', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+        hashes.forEach((hash, index) => {
+            assert.match(hash, /^[0-9a-f]{64}$/);
+            assert.ok(!hash.includes(codes[index].replace('-', '')));
+        });
+    });
+});
+
+describe('challenge tokens', () => {
+    const secret = process.env.JWT_SECRET;
+
+    beforeEach(() => { process.env.JWT_SECRET = 'test_jwt_secret'; });
+    afterEach(() => {
+        if (secret === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = secret;
+    });
+
+    it('carry the user id from the password step to the code step', () => {
+        assert.equal(readChallengeToken(createChallengeToken({ _id: 'user-1' })), 'user-1');
+    });
+
+    it('are only accepted when issued for the 2FA step', () => {
+        const sessionToken = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET);
+
+        assert.equal(readChallengeToken(sessionToken), null);
+        assert.equal(readChallengeToken('not-a-token'), null);
+    });
+
+    it('expire', () => {
+        const expired = jwt.sign({ id: 'user-1', purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+        assert.equal(readChallengeToken(expired), null);
+    });
+});
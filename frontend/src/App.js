@@ -5,7 +5,7 @@
  * - React Router for navigation
  * - AnimatePresence for page transitions
  * - Auth context provider
- * - Protected routes for authenticated and admin pages
+ * - Protected routes for authenticated, organizer and admin pages
  * - Global providers (Toast, etc.)
  */
 
@@ -33,13 +33,21 @@ import EventDetails from './pages/EventDetails';
 import About from './pages/About';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 // Protected Pages
 import CreateEvent from './pages/CreateEvent';
 import Bookings from './pages/Bookings';
+import AccountSecurity from './pages/AccountSecurity';
+import OrganizerApply from './pages/OrganizerApply';
+
+// Organizer Pages
+import { OrganizerDashboard, OrganizerAttendees, OrganizerCheckin, OrganizerPromoCodes } from './pages/organizer';
 
 // Admin Pages
-import { AdminDashboard, AdminEvents, AdminBookings } from './pages/admin';
+import { AdminDashboard, AdminEvents, AdminBookings, AdminOrganizers, AdminSecurityLog } from './pages/admin';
 
 // Animated Routes wrapper
 const AnimatedRoutes = () => {
@@ -55,12 +63,23 @@ const AnimatedRoutes = () => {
         <Route path="/about" element={<About />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
 
         {/* Protected Routes - Require Authentication */}
         <Route
           path="/create-event"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute permission="events:create" fallback="/organizer/apply">
+              <CreateEvent />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/events/:id/edit"
+          element={
+            <ProtectedRoute permission="events:manage">
               <CreateEvent />
             </ProtectedRoute>
           }
@@ -81,6 +100,54 @@ const AnimatedRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/organizer/apply"
+          element={
+            <ProtectedRoute>
+              <OrganizerApply />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/organizer"
+          element={
+            <ProtectedRoute permission="events:manage" fallback="/organizer/apply">
+              <OrganizerDashboard />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/organizer/events/:id"
+          element={
+            <ProtectedRoute permission="bookings:read">
+              <OrganizerAttendees />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/organizer/events/:id/checkin"
+          element={
+            <ProtectedRoute permission="bookings:checkin">
+              <OrganizerCheckin />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/organizer/promo-codes"
+          element={
+            <ProtectedRoute permission="promos:manage">
+              <OrganizerPromoCodes />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/account/security"
+          element={
+            <ProtectedRoute>
+              <AccountSecurity />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Admin Routes - Require Admin Role */}
         <Route
@@ -107,6 +174,22 @@ const AnimatedRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin/organizers"
+          element={
+            <ProtectedRoute adminOnly>
+              <AdminOrganizers />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/security"
+          element={
+            <ProtectedRoute adminOnly>
+              <AdminSecurityLog />
+            </ProtectedRoute>
+          }
+        />
       </Routes>
     </AnimatePresence>
   );
@@ -0,0 +1,86 @@
+/**
+ * Security Policy Settings Component
+ *
+ * Admin-only card on the account security page for choosing which roles
+ * must use two-factor authentication.
+ */
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiCheck } from 'react-icons/fi';
+import AnimatedButton from '../ui/AnimatedButton';
+import { useToast } from '../ui/Toast';
+import { adminAPI } from '../../services/api';
+import './TwoFactorSettings.css';
+
+const SecurityPolicySettings = () => {
+    const { toast } = useToast();
+
+    const [roles, setRoles] = useState([]);
+    const [requiredRoles, setRequiredRoles] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        adminAPI.getSecuritySettings()
+            .then((response) => {
+                setRoles(response.data.data.twoFactorRoles);
+                setRequiredRoles(response.data.data.twoFactorRequiredRoles);
+            })
+            .catch((error) => {
+                toast.error('Could not load security policy', error.response?.data?.message || 'Please try again');
+            });
+    }, [toast]);
+
+    const toggleRole = (role) => {
+        setRequiredRoles((prev) =>
+            prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role]
+        );
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            const response = await adminAPI.updateSecuritySettings({ twoFactorRequiredRoles: requiredRoles });
+            setRequiredRoles(response.data.data.twoFactorRequiredRoles);
+            toast.success('Security policy saved', response.data.message);
+        } catch (error) {
+            toast.error('Could not save policy', error.response?.data?.message || 'Please try again');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <motion.section
+            className="security-card"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.25 }}
+        >
+            <h2>Security policy</h2>
+            <p className="security-hint">
+                Require two-factor authentication for these roles. Accounts without it can still sign in,
+                but can't use their role until they turn it on.
+            </p>
+
+            <div className="policy-roles">
+                {roles.map((role) => (
+                    <label key={role} className="policy-role">
+                        <input
+                            type="checkbox"
+                            checked={requiredRoles.includes(role)}
+                            onChange={() => toggleRole(role)}
+                        />
+                        <span>{role.charAt(0).toUpperCase() + role.slice(1)}s</span>
+                    </label>
+                ))}
+            </div>
+
+            <AnimatedButton variant="primary" size="sm" icon={<FiCheck />} loading={isSaving} onClick={handleSave}>
+                Save policy
+            </AnimatedButton>
+        </motion.section>
+    );
+};
+
+export default SecurityPolicySettings;
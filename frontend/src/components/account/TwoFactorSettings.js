@@ -0,0 +1,284 @@
+/**
+ * Two-Factor Settings Component
+ *
+ * The 2FA card on the account security page:
+ * - Enrolment: QR code, manual key and a confirming code
+ * - Recovery codes, shown once after enrolment or regeneration
+ * - Turning 2FA off (password plus a code)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FiShield, FiLock, FiKey, FiCopy, FiCheck } from 'react-icons/fi';
+import AnimatedInput from '../ui/AnimatedInput';
+import AnimatedButton from '../ui/AnimatedButton';
+import { useToast } from '../ui/Toast';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import './TwoFactorSettings.css';
+
+const TwoFactorSettings = () => {
+    const { toast } = useToast();
+    const { refreshUser } = useAuth();
+
+    const [status, setStatus] = useState(null);
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [mode, setMode] = useState(null); // null | 'disable' | 'regenerate'
+    const [isBusy, setIsBusy] = useState(false);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            const response = await authAPI.getTwoFactorStatus();
+            setStatus(response.data.data);
+        } catch (error) {
+            toast.error('Could not load 2FA status', error.response?.data?.message || 'Please try again');
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const resetForms = () => {
+        setCode('');
+        setPassword('');
+        setMode(null);
+    };
+
+    // Run an action with the busy flag and a toast on failure
+    const run = async (action, failureTitle) => {
+        setIsBusy(true);
+        try {
+            await action();
+        } catch (error) {
+            toast.error(failureTitle, error.response?.data?.message || 'Please try again');
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleStartSetup = () => run(async () => {
+        const response = await authAPI.setupTwoFactor();
+        setSetup(response.data.data);
+        setRecoveryCodes(null);
+    }, 'Could not start setup');
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const response = await authAPI.enableTwoFactor(code.trim());
+            setRecoveryCodes(response.data.recoveryCodes);
+            setSetup(null);
+            resetForms();
+            toast.success('Two-factor is on', 'Other devices have been signed out');
+            await Promise.all([loadStatus(), refreshUser()]);
+        }, 'Could not turn on 2FA');
+    };
+
+    const handleDisable = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await authAPI.disableTwoFactor({ password, code: code.trim() });
+            resetForms();
+            setRecoveryCodes(null);
+            toast.success('Two-factor is off');
+            await Promise.all([loadStatus(), refreshUser()]);
+        }, 'Could not turn off 2FA');
+    };
+
+    const handleRegenerate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const response = await authAPI.regenerateRecoveryCodes(code.trim());
+            setRecoveryCodes(response.data.recoveryCodes);
+            resetForms();
+            toast.success('New recovery codes', 'The old ones no longer work');
+            await loadStatus();
+        }, 'Could not generate codes');
+    };
+
+    const copyRecoveryCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+            toast.success('Copied', 'Store your recovery codes somewhere safe');
+        } catch (error) {
+            toast.error('Copy failed', 'Select the codes and copy them manually');
+        }
+    };
+
+    if (!status) {
+        return (
+            <section className="security-card">
+                <h2>Two-factor authentication</h2>
+                <p className="security-hint">Loading…</p>
+            </section>
+        );
+    }
+
+    return (
+        <motion.section
+            className="security-card"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.15 }}
+        >
+            <div className="security-card-header">
+                <div>
+                    <h2>Two-factor authentication</h2>
+                    <p className="security-hint">
+                        {status.enabled
+                            ? `On since ${new Date(status.enabledAt).toLocaleDateString('en-IN')} · ${status.recoveryCodesRemaining} recovery code(s) left`
+                            : 'Ask for a code from an authenticator app when you sign in.'}
+                    </p>
+                </div>
+                <span className={`two-factor-badge ${status.enabled ? 'on' : 'off'}`}>
+                    {status.enabled ? 'On' : 'Off'}
+                </span>
+            </div>
+
+            {status.required && !status.enabled && (
+                <p className="two-factor-required">
+                    Your role requires two-factor authentication. Turn it on to keep using your account.
+                </p>
+            )}
+
+            {/* Recovery codes, shown once */}
+            {recoveryCodes && (
+                <div className="recovery-codes">
+                    <p>
+                        Save these recovery codes somewhere safe. Each one signs you in once if you lose
+                        your phone. They won't be shown again.
+                    </p>
+                    <ul>
+                        {recoveryCodes.map((recoveryCode) => (
+                            <li key={recoveryCode}>{recoveryCode}</li>
+                        ))}
+                    </ul>
+                    <div className="two-factor-actions">
+                        <AnimatedButton variant="secondary" size="sm" icon={<FiCopy />} onClick={copyRecoveryCodes}>
+                            Copy codes
+                        </AnimatedButton>
+                        <AnimatedButton variant="ghost" size="sm" icon={<FiCheck />} onClick={() => setRecoveryCodes(null)}>
+                            I've saved them
+                        </AnimatedButton>
+                    </div>
+                </div>
+            )}
+
+            {/* Enrolment */}
+            {!status.enabled && !setup && (
+                <AnimatedButton variant="primary" icon={<FiShield />} loading={isBusy} onClick={handleStartSetup}>
+                    Set up two-factor
+                </AnimatedButton>
+            )}
+
+            {!status.enabled && setup && (
+                <form onSubmit={handleEnable} className="two-factor-setup">
+                    <img src={setup.qrCode} alt="QR code for your authenticator app" className="two-factor-qr" />
+                    <div className="two-factor-setup-steps">
+                        <p>1. Scan the QR code with an authenticator app (Google Authenticator, 1Password, Authy…).</p>
+                        <p>
+                            Can't scan it? Enter this key instead:
+                            <code className="two-factor-secret">{setup.secret}</code>
+                        </p>
+                        <p>2. Enter the 6-digit code the app shows.</p>
+                        <AnimatedInput
+                            label="Authentication code"
+                            name="code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            icon={<FiKey />}
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                        />
+                        <div className="two-factor-actions">
+                            <AnimatedButton type="submit" variant="primary" loading={isBusy} icon={<FiCheck />}>
+                                Turn on
+                            </AnimatedButton>
+                            <AnimatedButton variant="ghost" onClick={() => { setSetup(null); resetForms(); }}>
+                                Cancel
+                            </AnimatedButton>
+                        </div>
+                    </div>
+                </form>
+            )}
+
+            {/* Management */}
+            {status.enabled && !mode && (
+                <div className="two-factor-actions">
+                    <AnimatedButton variant="secondary" size="sm" icon={<FiKey />} onClick={() => setMode('regenerate')}>
+                        New recovery codes
+                    </AnimatedButton>
+                    {!status.required && (
+                        <AnimatedButton variant="ghost" size="sm" onClick={() => setMode('disable')}>
+                            Turn off
+                        </AnimatedButton>
+                    )}
+                </div>
+            )}
+
+            {status.enabled && mode === 'regenerate' && (
+                <form onSubmit={handleRegenerate} className="security-form">
+                    <p className="security-hint">Enter a code from your app. Your old recovery codes will stop working.</p>
+                    <AnimatedInput
+                        label="Authentication code"
+                        name="code"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        icon={<FiKey />}
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                    />
+                    <div className="two-factor-actions">
+                        <AnimatedButton type="submit" variant="primary" loading={isBusy}>
+                            Generate codes
+                        </AnimatedButton>
+                        <AnimatedButton variant="ghost" onClick={resetForms}>
+                            Cancel
+                        </AnimatedButton>
+                    </div>
+                </form>
+            )}
+
+            {status.enabled && mode === 'disable' && (
+                <form onSubmit={handleDisable} className="security-form">
+                    <AnimatedInput
+                        label="Password"
+                        type="password"
+                        name="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        icon={<FiLock />}
+                    />
+                    <AnimatedInput
+                        label="Authentication code"
+                        name="code"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        icon={<FiKey />}
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                    />
+                    <div className="two-factor-actions">
+                        <AnimatedButton
+                            type="submit"
+                            variant="primary"
+                            loading={isBusy}
+                            style={{ background: '#ef4444' }}
+                        >
+                            Turn off two-factor
+                        </AnimatedButton>
+                        <AnimatedButton variant="ghost" onClick={resetForms}>
+                            Cancel
+                        </AnimatedButton>
+                    </div>
+                </form>
+            )}
+        </motion.section>
+    );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,3 @@
+// Account Components Index
+export { default as TwoFactorSettings } from './TwoFactorSettings';
+export { default as SecurityPolicySettings } from './SecurityPolicySettings';
@@ -4,7 +4,8 @@
  * Premium animated navigation bar with:
  * - Glass morphism design
  * - Auth-aware navigation
- * - Admin menu for admin users
+ * - My Events link for organizers, admin menu for admin users
+ * - Email verification banner for unverified accounts
  * - Mobile responsive with staggered animations
  */
 
@@ -13,9 +14,10 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import {
     FiMenu, FiX, FiCalendar, FiUser, FiLogOut, FiPlus,
-    FiGrid, FiBookmark, FiSettings, FiChevronDown
+    FiGrid, FiBookmark, FiSettings, FiChevronDown, FiMail, FiShield, FiBriefcase
 } from 'react-icons/fi';
 import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../ui/Toast';
 import './Navbar.css';
 
 // Link hover animation
@@ -84,11 +86,16 @@ const dropdownVariants = {
 };
 
 const Navbar = () => {
-    const { user, isAuthenticated, isAdmin, logout } = useAuth();
+    const {
+        user, isAuthenticated, isAdmin, isVerified, verificationRequired,
+        hasPermission, logout, resendVerification
+    } = useAuth();
+    const { toast } = useToast();
     const navigate = useNavigate();
     const [isScrolled, setIsScrolled] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
+    const [isResending, setIsResending] = useState(false);
     const location = useLocation();
     const prefersReducedMotion = useReducedMotion();
 
@@ -125,6 +132,19 @@ const Navbar = () => {
         navigate('/login');
     };
 
+    // Send a fresh verification link
+    const handleResendVerification = async () => {
+        setIsResending(true);
+        const result = await resendVerification();
+        setIsResending(false);
+
+        if (result.success) {
+            toast.success('Check your inbox', result.message);
+        } else {
+            toast.error('Could not send email', result.error);
+        }
+    };
+
     // Public navigation links
     const publicLinks = [
         { path: '/', label: 'Home' },
@@ -144,6 +164,8 @@ const Navbar = () => {
         { path: '/admin', label: 'Dashboard', icon: FiGrid },
         { path: '/admin/events', label: 'Manage Events', icon: FiCalendar },
         { path: '/admin/bookings', label: 'All Bookings', icon: FiBookmark },
+        { path: '/admin/organizers', label: 'Organizer Requests', icon: FiBriefcase },
+        { path: '/admin/security', label: 'Security Log', icon: FiShield },
     ];
 
     const navLinks = isAuthenticated ? authLinks : publicLinks;
@@ -246,10 +268,12 @@ const Navbar = () => {
                 <div className="navbar-actions">
                     {isAuthenticated ? (
                         <>
-                            <Link to="/create-event" className="nav-action-btn create-btn">
-                                <FiPlus />
-                                <span>Create Event</span>
-                            </Link>
+                            {hasPermission('events:create') && (
+                                <Link to="/create-event" className="nav-action-btn create-btn">
+                                    <FiPlus />
+                                    <span>Create Event</span>
+                                </Link>
+                            )}
 
                             <div className="user-menu">
                                 <motion.button
@@ -292,6 +316,22 @@ const Navbar = () => {
                                                 <FiBookmark size={16} />
                                                 My Bookings
                                             </Link>
+                                            {hasPermission('events:manage') && (
+                                                <Link to="/organizer" className="dropdown-item">
+                                                    <FiCalendar size={16} />
+                                                    My Events
+                                                </Link>
+                                            )}
+                                            {user?.role === 'user' && (
+                                                <Link to="/organizer/apply" className="dropdown-item">
+                                                    <FiBriefcase size={16} />
+                                                    Become an Organizer
+                                                </Link>
+                                            )}
+                                            <Link to="/account/security" className="dropdown-item">
+                                                <FiShield size={16} />
+                                                Security
+                                            </Link>
                                             {isAdmin && (
                                                 <Link to="/admin" className="dropdown-item">
                                                     <FiGrid size={16} />
@@ -352,6 +392,38 @@ const Navbar = () => {
                 </motion.button>
             </div>
 
+            {/* Email verification banner */}
+            {isAuthenticated && !isVerified && (
+                <div className="verify-banner">
+                    <FiMail size={16} />
+                    <span>
+                        {verificationRequired
+                            ? 'Verify your email to book tickets and submit events.'
+                            : 'Please verify your email address.'}
+                        {' '}We sent a link to {user?.email}.
+                    </span>
+                    <button
+                        type="button"
+                        className="verify-banner-btn"
+                        onClick={handleResendVerification}
+                        disabled={isResending}
+                    >
+                        {isResending ? 'Sending…' : 'Resend link'}
+                    </button>
+                </div>
+            )}
+
+            {/* Two-factor setup banner */}
+            {isAuthenticated && user?.twoFactorSetupRequired && location.pathname !== '/account/security' && (
+                <div className="verify-banner">
+                    <FiShield size={16} />
+                    <span>Your role requires two-factor authentication.</span>
+                    <Link to="/account/security" className="verify-banner-btn">
+                        Set it up
+                    </Link>
+                </div>
+            )}
+
             {/* Mobile Menu */}
             <AnimatePresence>
                 {isMobileMenuOpen && (
@@ -398,18 +470,34 @@ const Navbar = () => {
 
                             {isAuthenticated ? (
                                 <>
-                                    <motion.div variants={mobileItemVariants}>
-                                        <Link to="/create-event" className="mobile-nav-link">
-                                            <FiPlus size={18} />
-                                            Create Event
-                                        </Link>
-                                    </motion.div>
+                                    {hasPermission('events:create') && (
+                                        <motion.div variants={mobileItemVariants}>
+                                            <Link to="/create-event" className="mobile-nav-link">
+                                                <FiPlus size={18} />
+                                                Create Event
+                                            </Link>
+                                        </motion.div>
+                                    )}
+                                    {hasPermission('events:manage') && (
+                                        <motion.div variants={mobileItemVariants}>
+                                            <Link to="/organizer" className="mobile-nav-link">
+                                                <FiCalendar size={18} />
+                                                My Events
+                                            </Link>
+                                        </motion.div>
+                                    )}
                                     <motion.div variants={mobileItemVariants}>
                                         <Link to="/profile" className="mobile-nav-link">
                                             <FiUser size={18} />
                                             Profile
                                         </Link>
                                     </motion.div>
+                                    <motion.div variants={mobileItemVariants}>
+                                        <Link to="/account/security" className="mobile-nav-link">
+                                            <FiShield size={18} />
+                                            Security
+                                        </Link>
+                                    </motion.div>
                                     <motion.div variants={mobileItemVariants}>
                                         <button onClick={handleLogout} className="mobile-nav-link logout">
                                             <FiLogOut size={18} />
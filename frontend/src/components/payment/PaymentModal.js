@@ -3,9 +3,10 @@
  * 
  * A beautiful, animated payment modal with card payment form:
  * - Event details review
- * - Ticket selection
- * - Card payment form
- * - Payment processing
+ * - Ticket selection, mixing ticket types in one order
+ * - Promo codes, checked and priced by the server
+ * - Card payment form (mock gateway) or Razorpay checkout
+ * - Payment processing through the backend (create order -> checkout -> verify)
  * - Success/failure feedback
  */
 
@@ -14,11 +15,21 @@ import { motion, AnimatePresence } from 'framer-motion';
 import {
     FiX, FiCalendar, FiMapPin, FiCreditCard,
     FiShield, FiAlertCircle, FiMinus, FiPlus,
-    FiLock, FiRefreshCw, FiCheck
+    FiLock, FiRefreshCw, FiCheck, FiTag
 } from 'react-icons/fi';
 import AnimatedButton from '../ui/AnimatedButton';
 import { Spinner } from '../ui/Spinner';
-import { formatPrice } from '../../services/paymentService';
+import {
+    formatPrice,
+    getPaymentConfig,
+    createPaymentOrder,
+    initiatePayment,
+    verifyPayment,
+} from '../../services/paymentService';
+import { bookingsAPI, paymentsAPI } from '../../services/api';
+import {
+    countSelected, fromMinorUnits, getSelectionTotal, stepSelection, toOrderRequest
+} from '../../services/eventService';
 import './PaymentModal.css';
 
 // Animation variants
@@ -61,14 +72,22 @@ const PAYMENT_STATES = {
     FAILED: 'failed',
 };
 
+// The mock gateway declines this test card; any other 16-digit number succeeds
+const MOCK_DECLINED_CARD = '4000000000000002';
+
+// Shared default so an omitted selection doesn't re-run the effect below each render
+const NO_SELECTION = {};
+
 const PaymentModal = ({
     isOpen,
     onClose,
     event,
+    initialSelection = NO_SELECTION,
     onPaymentSuccess,
     user = {},
 }) => {
-    const [ticketCount, setTicketCount] = useState(1);
+    // Tickets picked per option of event.ticketOptions: { optionId: count }
+    const [selection, setSelection] = useState({});
     const [paymentState, setPaymentState] = useState(PAYMENT_STATES.IDLE);
     const [error, setError] = useState(null);
     const [cardData, setCardData] = useState({
@@ -78,6 +97,14 @@ const PaymentModal = ({
         cvv: '',
     });
     const [cardErrors, setCardErrors] = useState({});
+    const [paymentConfig, setPaymentConfig] = useState(null);
+    const [quote, setQuote] = useState(null);
+    const [quoteError, setQuoteError] = useState(null);
+    // What is typed in the promo field, and the code sent with the order
+    const [promoInput, setPromoInput] = useState('');
+    const [promoCode, setPromoCode] = useState('');
+    const [promoError, setPromoError] = useState(null);
+    const [result, setResult] = useState(null);
 
     // Disable body scroll when modal is open
     useEffect(() => {
@@ -89,24 +116,105 @@ const PaymentModal = ({
         return () => { document.body.style.overflow = ''; };
     }, [isOpen]);
 
+    // Start from the tickets picked on the event page
+    useEffect(() => {
+        if (isOpen) setSelection(initialSelection);
+    }, [isOpen, initialSelection]);
+
     // Reset state when modal closes
     useEffect(() => {
         if (!isOpen) {
             setTimeout(() => {
-                setTicketCount(1);
+                setSelection({});
                 setPaymentState(PAYMENT_STATES.IDLE);
                 setError(null);
                 setCardData({ cardNumber: '', cardName: '', expiry: '', cvv: '' });
                 setCardErrors({});
+                setQuote(null);
+                setQuoteError(null);
+                setPromoInput('');
+                setPromoCode('');
+                setPromoError(null);
+                setResult(null);
             }, 300);
         }
     }, [isOpen]);
 
-    // Calculate totals
-    const totalAmount = event ? event.price * ticketCount : 0;
-    const convenienceFee = Math.round(totalAmount * 0.02);
-    const gst = Math.round((totalAmount + convenienceFee) * 0.18);
-    const grandTotal = totalAmount + convenienceFee + gst;
+    // Find out which gateway the backend is using (again after a failed lookup)
+    useEffect(() => {
+        if (!isOpen || paymentConfig || paymentState !== PAYMENT_STATES.IDLE) return;
+        getPaymentConfig()
+            .then(setPaymentConfig)
+            .catch((err) => {
+                setError(err.message);
+                setPaymentState(PAYMENT_STATES.FAILED);
+            });
+    }, [isOpen, paymentConfig, paymentState]);
+
+    const ticketOptions = event?.ticketOptions || [];
+    const ticketCount = countSelected(selection);
+    // Orders of free tickets only skip the gateway
+    const isFree = ticketCount > 0 && getSelectionTotal(ticketOptions, selection) === 0;
+    // Card details are only collected for the mock gateway; Razorpay has its own checkout
+    const usesCardForm = !isFree && paymentConfig?.provider === 'mock';
+    const quoteKey = JSON.stringify({ selection, promoCode });
+
+    // The server prices the order: tickets, promo code discount, convenience fee and GST
+    useEffect(() => {
+        if (!isOpen || !event || isFree || ticketCount === 0) return undefined;
+
+        let cancelled = false;
+        setQuoteError(null);
+        const timer = setTimeout(() => {
+            const { selection: picked, promoCode: code } = JSON.parse(quoteKey);
+            paymentsAPI.getQuote({ ...toOrderRequest(event, picked), promoCode: code || undefined })
+                .then((response) => {
+                    if (!cancelled) setQuote({ ...response.data.quote, quoteKey });
+                })
+                .catch((err) => {
+                    if (cancelled) return;
+                    // A code that can't be used is dropped, and the order priced without it
+                    if (err.response?.data?.code === 'INVALID_PROMO_CODE') {
+                        setPromoError(err.response.data.message);
+                        setPromoCode('');
+                    } else {
+                        setQuoteError(err.response?.data?.message || 'Could not price your order');
+                    }
+                });
+        }, 250);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [isOpen, event, isFree, ticketCount, quoteKey]);
+
+    // Quoted amounts in rupees; a quote for other tickets or another code is stale
+    const currentQuote = quote && quote.quoteKey === quoteKey ? quote : null;
+    const totalAmount = isFree ? 0 : fromMinorUnits(currentQuote?.subtotal);
+    const discount = fromMinorUnits(currentQuote?.discount);
+    const convenienceFee = fromMinorUnits(currentQuote?.convenienceFee);
+    const gst = fromMinorUnits(currentQuote?.tax);
+    const grandTotal = isFree ? 0 : fromMinorUnits(currentQuote?.total);
+    const priced = isFree || ticketCount === 0 || Boolean(currentQuote);
+
+    let payLabel = `Pay ${currentQuote ? formatPrice(grandTotal) : ''}`.trim();
+    if (ticketCount === 0) payLabel = 'Select Tickets';
+    else if (isFree) payLabel = 'Confirm Free Booking';
+
+    const handleApplyPromo = (e) => {
+        e.preventDefault();
+        const code = promoInput.trim().toUpperCase();
+        if (!code) return;
+        setPromoError(null);
+        setPromoCode(code);
+    };
+
+    const handleRemovePromo = () => {
+        setPromoCode('');
+        setPromoInput('');
+        setPromoError(null);
+    };
 
     // Format card number with spaces
     const formatCardNumber = (value) => {
@@ -147,7 +255,7 @@ const PaymentModal = ({
     };
 
     // Validate card
-    const validateCard = () => {
+    const validateCard = useCallback(() => {
         const errors = {};
 
         if (!cardData.cardNumber || cardData.cardNumber.replace(/\s/g, '').length < 16) {
@@ -165,63 +273,74 @@ const PaymentModal = ({
 
         setCardErrors(errors);
         return Object.keys(errors).length === 0;
-    };
+    }, [cardData]);
 
     // Handle payment
     const handlePayment = useCallback(async () => {
-        if (!validateCard()) return;
         if (!event) return;
+        if (usesCardForm && !validateCard()) return;
 
         setPaymentState(PAYMENT_STATES.PROCESSING);
         setError(null);
 
+        // Open the gateway checkout and resolve with its signed response
+        const checkout = (order) => new Promise((resolve, reject) => {
+            initiatePayment({
+                provider: order.provider,
+                keyId: order.keyId,
+                mockOutcome: cardData.cardNumber.replace(/\s/g, '') === MOCK_DECLINED_CARD
+                    ? 'failure'
+                    : 'success',
+                orderId: order.order.id,
+                amount: order.order.amount,
+                currency: order.order.currency,
+                eventTitle: event.title,
+                eventImage: event.image,
+                userEmail: user.email,
+                userName: user.name,
+                userPhone: user.phone,
+                onSuccess: resolve,
+                onFailure: (err) => reject(new Error(err.description || err.message || 'Payment failed')),
+                onDismiss: () => reject(new Error('Payment was cancelled')),
+            });
+        });
+
         try {
-            // Simulate payment processing
-            await new Promise(resolve => setTimeout(resolve, 2500));
+            let booking;
 
-            // Payment successful
-            setPaymentState(PAYMENT_STATES.SUCCESS);
+            const request = toOrderRequest(event, selection);
 
-            // Save booking to localStorage
-            const booking = {
-                id: `BK${Date.now().toString().slice(-8)}`,
-                eventId: event.id,
-                eventTitle: event.title,
-                eventImage: event.image,
-                date: event.date,
-                time: event.time || '9:00 AM',
-                location: event.location,
-                tickets: ticketCount,
-                totalAmount: grandTotal,
-                status: 'confirmed',
-                paymentId: `pay_${Date.now()}`,
-                bookingDate: new Date().toISOString().split('T')[0],
-                cardLast4: cardData.cardNumber.slice(-4),
-                userName: cardData.cardName,
-            };
-
-            const existingBookings = JSON.parse(localStorage.getItem('bookings') || '[]');
-            existingBookings.unshift(booking);
-            localStorage.setItem('bookings', JSON.stringify(existingBookings));
+            if (isFree) {
+                // Free tickets skip the gateway
+                const response = await bookingsAPI.create(request);
+                booking = { bookingId: response.data.data._id, paymentId: null, amount: 0 };
+            } else {
+                const order = await createPaymentOrder({ ...request, promoCode: promoCode || undefined });
+                const checkoutResponse = await checkout(order);
+                booking = await verifyPayment(checkoutResponse);
+            }
+
+            setResult(booking);
+            setPaymentState(PAYMENT_STATES.SUCCESS);
 
             // Notify parent after animation
             setTimeout(() => {
                 if (onPaymentSuccess) {
                     onPaymentSuccess({
-                        bookingId: booking.id,
+                        bookingId: booking.bookingId,
                         paymentId: booking.paymentId,
                         eventId: event.id,
                         ticketCount,
-                        amount: grandTotal,
+                        amount: booking.amount,
                     });
                 }
             }, 2000);
 
         } catch (err) {
-            setError(err.message || 'Payment failed. Please try again.');
+            setError(err.response?.data?.message || err.message || 'Payment failed. Please try again.');
             setPaymentState(PAYMENT_STATES.FAILED);
         }
-    }, [event, ticketCount, grandTotal, cardData, onPaymentSuccess]);
+    }, [event, selection, promoCode, ticketCount, isFree, usesCardForm, validateCard, cardData, user, onPaymentSuccess]);
 
     // Handle retry
     const handleRetry = () => {
@@ -312,7 +431,7 @@ const PaymentModal = ({
                                         animate={{ opacity: 1, y: 0 }}
                                         transition={{ delay: 0.4 }}
                                     >
-                                        Payment Successful!
+                                        {isFree ? 'Booking Confirmed!' : 'Payment Successful!'}
                                     </motion.h2>
                                     <motion.p
                                         initial={{ opacity: 0, y: 20 }}
@@ -333,12 +452,14 @@ const PaymentModal = ({
                                         </div>
                                         <div className="detail-row">
                                             <span>Amount Paid</span>
-                                            <span>{formatPrice(grandTotal)}</span>
-                                        </div>
-                                        <div className="detail-row">
-                                            <span>Card</span>
-                                            <span>•••• {cardData.cardNumber.slice(-4)}</span>
+                                            <span>{formatPrice(result?.amount ?? grandTotal)}</span>
                                         </div>
+                                        {usesCardForm && (
+                                            <div className="detail-row">
+                                                <span>Card</span>
+                                                <span>•••• {cardData.cardNumber.slice(-4)}</span>
+                                            </div>
+                                        )}
                                     </motion.div>
                                     <motion.div
                                         initial={{ opacity: 0, y: 20 }}
@@ -394,12 +515,18 @@ const PaymentModal = ({
                                     exit={{ opacity: 0 }}
                                 >
                                     <Spinner size="lg" />
-                                    <h2>Processing Payment...</h2>
-                                    <p>Please wait while we process your card</p>
-                                    <div className="processing-card">
-                                        <FiCreditCard size={24} />
-                                        <span>•••• •••• •••• {cardData.cardNumber.slice(-4)}</span>
-                                    </div>
+                                    <h2>{isFree ? 'Confirming Booking...' : 'Processing Payment...'}</h2>
+                                    <p>
+                                        {usesCardForm
+                                            ? 'Please wait while we process your card'
+                                            : 'Please complete the payment in the checkout window'}
+                                    </p>
+                                    {usesCardForm && (
+                                        <div className="processing-card">
+                                            <FiCreditCard size={24} />
+                                            <span>•••• •••• •••• {cardData.cardNumber.slice(-4)}</span>
+                                        </div>
+                                    )}
                                 </motion.div>
 
                             ) : (
@@ -441,135 +568,201 @@ const PaymentModal = ({
                                     {/* Ticket Selection */}
                                     <div className="ticket-section">
                                         <h3>Select Tickets</h3>
-                                        <div className="ticket-selector">
-                                            <div className="ticket-info">
-                                                <span className="ticket-type">General Admission</span>
-                                                <span className="ticket-price">{formatPrice(event.price)}</span>
-                                            </div>
-                                            <div className="ticket-controls">
-                                                <motion.button
-                                                    className="control-btn"
-                                                    onClick={() => setTicketCount(Math.max(1, ticketCount - 1))}
-                                                    disabled={ticketCount <= 1}
-                                                    whileHover={{ scale: 1.1 }}
-                                                    whileTap={{ scale: 0.9 }}
+                                        {ticketOptions.map((option) => {
+                                            const count = selection[option.id] || 0;
+                                            return (
+                                                <div
+                                                    key={option.id}
+                                                    className={`ticket-selector ${option.onSale ? '' : 'unavailable'}`}
                                                 >
-                                                    <FiMinus />
-                                                </motion.button>
-                                                <span className="ticket-count">{ticketCount}</span>
-                                                <motion.button
-                                                    className="control-btn"
-                                                    onClick={() => setTicketCount(Math.min(10, ticketCount + 1))}
-                                                    disabled={ticketCount >= 10}
-                                                    whileHover={{ scale: 1.1 }}
-                                                    whileTap={{ scale: 0.9 }}
-                                                >
-                                                    <FiPlus />
-                                                </motion.button>
-                                            </div>
-                                        </div>
-                                    </div>
-
-                                    {/* Card Payment Form */}
-                                    <div className="card-payment-section">
-                                        <h3><FiCreditCard /> Card Payment</h3>
-                                        <div className="card-form">
-                                            <div className="form-group">
-                                                <label>Card Number</label>
-                                                <div className={`card-input ${cardErrors.cardNumber ? 'error' : ''}`}>
-                                                    <input
-                                                        type="text"
-                                                        name="cardNumber"
-                                                        placeholder="1234 5678 9012 3456"
-                                                        value={cardData.cardNumber}
-                                                        onChange={handleCardChange}
-                                                        maxLength={19}
-                                                    />
-                                                    <div className="card-type">
-                                                        {getCardType(cardData.cardNumber) === 'visa' && (
-                                                            <span className="card-brand visa">VISA</span>
+                                                    <div className="ticket-info">
+                                                        <span className="ticket-type">{option.name}</span>
+                                                        <span className="ticket-price">{formatPrice(option.price)}</span>
+                                                        {option.description && (
+                                                            <span className="ticket-description">{option.description}</span>
                                                         )}
-                                                        {getCardType(cardData.cardNumber) === 'mastercard' && (
-                                                            <span className="card-brand mastercard">MC</span>
-                                                        )}
-                                                        {getCardType(cardData.cardNumber) === 'amex' && (
-                                                            <span className="card-brand amex">AMEX</span>
+                                                        {option.note && (
+                                                            <span className="ticket-note">{option.note}</span>
                                                         )}
                                                     </div>
+                                                    <div className="ticket-controls">
+                                                        <motion.button
+                                                            className="control-btn"
+                                                            onClick={() => setSelection(stepSelection(option, selection, -1))}
+                                                            disabled={count === 0}
+                                                            whileHover={{ scale: 1.1 }}
+                                                            whileTap={{ scale: 0.9 }}
+                                                        >
+                                                            <FiMinus />
+                                                        </motion.button>
+                                                        <span className="ticket-count">{count}</span>
+                                                        <motion.button
+                                                            className="control-btn"
+                                                            onClick={() => setSelection(stepSelection(option, selection, 1))}
+                                                            disabled={stepSelection(option, selection, 1) === selection}
+                                                            whileHover={{ scale: 1.1 }}
+                                                            whileTap={{ scale: 0.9 }}
+                                                        >
+                                                            <FiPlus />
+                                                        </motion.button>
+                                                    </div>
                                                 </div>
-                                                {cardErrors.cardNumber && (
-                                                    <span className="error-text">{cardErrors.cardNumber}</span>
-                                                )}
-                                            </div>
-
-                                            <div className="form-group">
-                                                <label>Cardholder Name</label>
-                                                <input
-                                                    type="text"
-                                                    name="cardName"
-                                                    placeholder="John Doe"
-                                                    value={cardData.cardName}
-                                                    onChange={handleCardChange}
-                                                    className={cardErrors.cardName ? 'error' : ''}
-                                                />
-                                                {cardErrors.cardName && (
-                                                    <span className="error-text">{cardErrors.cardName}</span>
-                                                )}
-                                            </div>
+                                            );
+                                        })}
+                                    </div>
 
-                                            <div className="form-row">
-                                                <div className="form-group">
-                                                    <label>Expiry Date</label>
+                                    {/* Promo Code */}
+                                    {!isFree && ticketCount > 0 && (
+                                        <div className="promo-section">
+                                            {promoCode ? (
+                                                <div className="promo-applied">
+                                                    <FiTag size={14} />
+                                                    <span className="promo-applied-code">{promoCode}</span>
+                                                    <span className="promo-applied-note">
+                                                        {currentQuote ? `You save ${formatPrice(discount)}` : 'Checking…'}
+                                                    </span>
+                                                    <button type="button" className="promo-remove" onClick={handleRemovePromo}>
+                                                        Remove
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <form className="promo-form" onSubmit={handleApplyPromo}>
+                                                    <FiTag size={14} />
                                                     <input
                                                         type="text"
-                                                        name="expiry"
-                                                        placeholder="MM/YY"
-                                                        value={cardData.expiry}
-                                                        onChange={handleCardChange}
-                                                        maxLength={5}
-                                                        className={cardErrors.expiry ? 'error' : ''}
+                                                        placeholder="Promo code"
+                                                        value={promoInput}
+                                                        onChange={(e) => {
+                                                            setPromoInput(e.target.value);
+                                                            setPromoError(null);
+                                                        }}
+                                                        maxLength={30}
                                                     />
-                                                    {cardErrors.expiry && (
-                                                        <span className="error-text">{cardErrors.expiry}</span>
+                                                    <button type="submit" disabled={!promoInput.trim()}>
+                                                        Apply
+                                                    </button>
+                                                </form>
+                                            )}
+                                            {promoError && <span className="error-text">{promoError}</span>}
+                                        </div>
+                                    )}
+
+                                    {/* Card Payment Form (mock gateway only) */}
+                                    {usesCardForm && (
+                                        <div className="card-payment-section">
+                                            <h3><FiCreditCard /> Card Payment</h3>
+                                            <div className="card-form">
+                                                <div className="form-group">
+                                                    <label>Card Number</label>
+                                                    <div className={`card-input ${cardErrors.cardNumber ? 'error' : ''}`}>
+                                                        <input
+                                                            type="text"
+                                                            name="cardNumber"
+                                                            placeholder="1234 5678 9012 3456"
+                                                            value={cardData.cardNumber}
+                                                            onChange={handleCardChange}
+                                                            maxLength={19}
+                                                        />
+                                                        <div className="card-type">
+                                                            {getCardType(cardData.cardNumber) === 'visa' && (
+                                                                <span className="card-brand visa">VISA</span>
+                                                            )}
+                                                            {getCardType(cardData.cardNumber) === 'mastercard' && (
+                                                                <span className="card-brand mastercard">MC</span>
+                                                            )}
+                                                            {getCardType(cardData.cardNumber) === 'amex' && (
+                                                                <span className="card-brand amex">AMEX</span>
+                                                            )}
+                                                        </div>
+                                                    </div>
+                                                    {cardErrors.cardNumber && (
+                                                        <span className="error-text">{cardErrors.cardNumber}</span>
                                                     )}
                                                 </div>
+
                                                 <div className="form-group">
-                                                    <label>CVV</label>
+                                                    <label>Cardholder Name</label>
                                                     <input
-                                                        type="password"
-                                                        name="cvv"
-                                                        placeholder="•••"
-                                                        value={cardData.cvv}
+                                                        type="text"
+                                                        name="cardName"
+                                                        placeholder="John Doe"
+                                                        value={cardData.cardName}
                                                         onChange={handleCardChange}
-                                                        maxLength={4}
-                                                        className={cardErrors.cvv ? 'error' : ''}
+                                                        className={cardErrors.cardName ? 'error' : ''}
                                                     />
-                                                    {cardErrors.cvv && (
-                                                        <span className="error-text">{cardErrors.cvv}</span>
+                                                    {cardErrors.cardName && (
+                                                        <span className="error-text">{cardErrors.cardName}</span>
                                                     )}
                                                 </div>
+
+                                                <div className="form-row">
+                                                    <div className="form-group">
+                                                        <label>Expiry Date</label>
+                                                        <input
+                                                            type="text"
+                                                            name="expiry"
+                                                            placeholder="MM/YY"
+                                                            value={cardData.expiry}
+                                                            onChange={handleCardChange}
+                                                            maxLength={5}
+                                                            className={cardErrors.expiry ? 'error' : ''}
+                                                        />
+                                                        {cardErrors.expiry && (
+                                                            <span className="error-text">{cardErrors.expiry}</span>
+                                                        )}
+                                                    </div>
+                                                    <div className="form-group">
+                                                        <label>CVV</label>
+                                                        <input
+                                                            type="password"
+                                                            name="cvv"
+                                                            placeholder="•••"
+                                                            value={cardData.cvv}
+                                                            onChange={handleCardChange}
+                                                            maxLength={4}
+                                                            className={cardErrors.cvv ? 'error' : ''}
+                                                        />
+                                                        {cardErrors.cvv && (
+                                                            <span className="error-text">{cardErrors.cvv}</span>
+                                                        )}
+                                                    </div>
+                                                </div>
                                             </div>
                                         </div>
-                                    </div>
+                                    )}
 
                                     {/* Price Breakdown */}
                                     <div className="price-breakdown">
                                         <div className="price-row">
                                             <span>Subtotal ({ticketCount} tickets)</span>
-                                            <span>{formatPrice(totalAmount)}</span>
+                                            <span>{priced ? formatPrice(totalAmount) : '…'}</span>
                                         </div>
+                                        {discount > 0 && (
+                                            <div className="price-row discount">
+                                                <span>Discount ({currentQuote.promoCode})</span>
+                                                <span>-{formatPrice(discount)}</span>
+                                            </div>
+                                        )}
                                         <div className="price-row">
-                                            <span>Convenience Fee</span>
-                                            <span>{formatPrice(convenienceFee)}</span>
+                                            <span>
+                                                Convenience Fee{currentQuote ? ` (${currentQuote.convenienceFeeRate}%)` : ''}
+                                            </span>
+                                            <span>{priced ? formatPrice(convenienceFee) : '…'}</span>
                                         </div>
                                         <div className="price-row">
-                                            <span>GST (18%)</span>
-                                            <span>{formatPrice(gst)}</span>
+                                            <span>GST{currentQuote ? ` (${currentQuote.taxRate}%)` : ''}</span>
+                                            <span>{priced ? formatPrice(gst) : '…'}</span>
                                         </div>
                                         <div className="price-row total">
                                             <span>Total</span>
-                                            <span>{formatPrice(grandTotal)}</span>
+                                            <span>{priced ? formatPrice(grandTotal) : '…'}</span>
                                         </div>
+                                        {quoteError && (
+                                            <div className="price-row quote-error">
+                                                <FiAlertCircle size={14} />
+                                                <span>{quoteError}</span>
+                                            </div>
+                                        )}
                                     </div>
 
                                     {/* Trust Indicators */}
@@ -592,15 +785,21 @@ const PaymentModal = ({
                                             fullWidth
                                             icon={<FiCreditCard />}
                                             onClick={handlePayment}
+                                            disabled={ticketCount === 0 || (!isFree && (!paymentConfig || !currentQuote))}
                                         >
-                                            Pay {formatPrice(grandTotal)}
+                                            {payLabel}
                                         </AnimatedButton>
                                     </div>
 
                                     {/* Test Card Info */}
-                                    <div className="test-card-info">
-                                        <p><FiCheck size={12} /> Use any 16-digit card number for testing</p>
-                                    </div>
+                                    {usesCardForm && (
+                                        <div className="test-card-info">
+                                            <p>
+                                                <FiCheck size={12} /> Test gateway: any 16-digit card succeeds,
+                                                4000 0000 0000 0002 is declined
+                                            </p>
+                                        </div>
+                                    )}
                                 </motion.div>
                             )}
                         </AnimatePresence>
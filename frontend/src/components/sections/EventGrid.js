@@ -4,15 +4,16 @@
  * Grid layout for event cards with:
  * - Staggered card entry animations
  * - Filter animations
- * - Infinite scroll ready
+ * - Search and category chips reported to the parent, which queries the API
  */
 
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import EventCard from '../ui/EventCard';
 import { EventGridSkeleton } from '../ui/Skeleton';
 import AnimatedButton from '../ui/AnimatedButton';
-import { FiFilter, FiSearch } from 'react-icons/fi';
+import { FiSearch } from 'react-icons/fi';
 import './EventGrid.css';
 
 // Container animation with stagger
@@ -63,44 +64,30 @@ const EventGrid = ({
     title = 'Upcoming Events',
     showFilters = true,
     onEventClick,
+    onFiltersChange,
 }) => {
     const [activeFilter, setActiveFilter] = useState('all');
-    const [filteredEvents, setFilteredEvents] = useState(events);
     const [searchQuery, setSearchQuery] = useState('');
 
-    // Filter categories
+    // Filter categories (ids match the API's category names, case-insensitively)
     const categories = [
         { id: 'all', label: 'All Events' },
-        { id: 'tech', label: 'Technology' },
+        { id: 'technology', label: 'Technology' },
         { id: 'music', label: 'Music' },
         { id: 'business', label: 'Business' },
         { id: 'sports', label: 'Sports' },
         { id: 'arts', label: 'Arts' },
     ];
 
-    // Filter events when filter changes
+    // Report filter changes so the parent can query the API
     useEffect(() => {
-        let filtered = events;
-
-        // Apply category filter
-        if (activeFilter !== 'all') {
-            filtered = filtered.filter(event =>
-                event.category?.toLowerCase() === activeFilter
-            );
-        }
-
-        // Apply search filter
-        if (searchQuery) {
-            const query = searchQuery.toLowerCase();
-            filtered = filtered.filter(event =>
-                event.title?.toLowerCase().includes(query) ||
-                event.description?.toLowerCase().includes(query) ||
-                event.location?.toLowerCase().includes(query)
-            );
+        if (onFiltersChange) {
+            onFiltersChange({
+                q: searchQuery,
+                category: activeFilter === 'all' ? '' : activeFilter,
+            });
         }
-
-        setFilteredEvents(filtered);
-    }, [activeFilter, searchQuery, events]);
+    }, [activeFilter, searchQuery, onFiltersChange]);
 
     const handleFilterClick = (filterId) => {
         setActiveFilter(filterId);
@@ -168,7 +155,7 @@ const EventGrid = ({
                     <EventGridSkeleton count={6} />
                 ) : (
                     <AnimatePresence mode="wait">
-                        {filteredEvents.length > 0 ? (
+                        {events.length > 0 ? (
                             <motion.div
                                 className="events-grid"
                                 variants={containerVariants}
@@ -176,7 +163,7 @@ const EventGrid = ({
                                 animate="visible"
                                 key={activeFilter}
                             >
-                                {filteredEvents.map((event, index) => (
+                                {events.map((event) => (
                                     <motion.div
                                         key={event.id}
                                         variants={itemVariants}
@@ -214,7 +201,7 @@ const EventGrid = ({
                 )}
 
                 {/* Load more button */}
-                {filteredEvents.length > 0 && !loading && (
+                {events.length > 0 && !loading && (
                     <motion.div
                         className="load-more"
                         initial={{ opacity: 0 }}
@@ -222,9 +209,11 @@ const EventGrid = ({
                         viewport={{ once: true }}
                         transition={{ delay: 0.5 }}
                     >
-                        <AnimatedButton variant="secondary">
-                            Load More Events
-                        </AnimatedButton>
+                        <Link to="/events">
+                            <AnimatedButton variant="secondary">
+                                Browse All Events
+                            </AnimatedButton>
+                        </Link>
                     </motion.div>
                 )}
             </div>
@@ -5,7 +5,7 @@
  * Supports success, error, and warning types.
  */
 
-import { createContext, useContext, useState, useCallback } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiCheck, FiX, FiAlertTriangle, FiInfo } from 'react-icons/fi';
 import './Toast.css';
@@ -124,14 +124,14 @@ export const ToastProvider = ({ children }) => {
         setToasts((prev) => prev.filter((toast) => toast.id !== id));
     }, []);
 
-    // Convenience methods
-    const toast = {
+    // Convenience methods, stable across renders so pages can use them in effects
+    const toast = useMemo(() => ({
         success: (title, message) => addToast({ type: 'success', title, message }),
         error: (title, message) => addToast({ type: 'error', title, message }),
         warning: (title, message) => addToast({ type: 'warning', title, message }),
         info: (title, message) => addToast({ type: 'info', title, message }),
         custom: addToast,
-    };
+    }), [addToast]);
 
     return (
         <ToastContext.Provider value={{ toast, addToast, removeToast }}>
@@ -4,18 +4,25 @@
  * Provides authentication state and methods throughout the app:
  * - User state
  * - Login/Logout/Register
- * - Role-based access
- * - Token management
- * 
- * Includes demo mode fallback when backend is unavailable
+ * - Role and permission checks (permissions come from the server)
+ * - Email verification state
+ * - Token management (access tokens are refreshed by the api client)
  */
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { authAPI } from '../services/api';
+import { authAPI, SESSION_EXPIRED_EVENT } from '../services/api';
+
+// Keep the session in localStorage so a reload stays logged in
+const saveSession = (token, userData) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('user', JSON.stringify(userData));
+};
 
-// Demo mode - set to true when backend isn't running
-const DEMO_MODE = true;
+const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+};
 
 // Create context
 const AuthContext = createContext(null);
@@ -30,30 +37,17 @@ export const AuthProvider = ({ children }) => {
     useEffect(() => {
         const initAuth = async () => {
             const token = localStorage.getItem('token');
-            const storedUser = localStorage.getItem('user');
 
-            if (token && storedUser) {
+            if (token) {
                 try {
-                    // In demo mode, trust localStorage
-                    if (DEMO_MODE || token.startsWith('demo_token_')) {
-                        setUser(JSON.parse(storedUser));
-                        setLoading(false);
-                        return;
-                    }
-
                     // Verify token is still valid with backend
                     const response = await authAPI.getMe();
-                    setUser(response.data.user || JSON.parse(storedUser));
+                    localStorage.setItem('user', JSON.stringify(response.data.user));
+                    setUser(response.data.user);
                 } catch (err) {
-                    // In demo mode or if token starts with demo_, keep the user logged in
-                    if (DEMO_MODE || token.startsWith('demo_token_')) {
-                        setUser(JSON.parse(storedUser));
-                    } else {
-                        // Token invalid, clear storage
-                        localStorage.removeItem('token');
-                        localStorage.removeItem('user');
-                        setUser(null);
-                    }
+                    // Token invalid or expired
+                    clearSession();
+                    setUser(null);
                 }
             }
             setLoading(false);
@@ -62,129 +56,169 @@ export const AuthProvider = ({ children }) => {
         initAuth();
     }, []);
 
-    // Login
+    // The api client couldn't refresh the session (revoked or expired)
+    useEffect(() => {
+        const handleSessionExpired = () => {
+            clearSession();
+            setUser(null);
+        };
+
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    }, []);
+
+    // Login. With 2FA on this resolves with { twoFactorRequired, challengeToken }
+    // and completeTwoFactorLogin finishes the job.
     const login = async (email, password) => {
         setError(null);
         try {
-            // Try backend first
-            if (!DEMO_MODE) {
-                const response = await authAPI.login({ email, password });
-                const { token, user: userData } = response.data;
+            const response = await authAPI.login({ email, password });
 
-                localStorage.setItem('token', token);
-                localStorage.setItem('user', JSON.stringify(userData));
-                setUser(userData);
-
-                return { success: true, user: userData };
-            }
-            throw new Error('Demo mode');
-        } catch (err) {
-            // Demo mode fallback - create mock user
-            if (DEMO_MODE) {
-                const mockUser = {
-                    id: 'user_' + Date.now(),
-                    name: email.split('@')[0],
-                    email: email,
-                    role: 'user',
-                    avatar: null,
+            if (response.data.twoFactorRequired) {
+                return {
+                    success: false,
+                    twoFactorRequired: true,
+                    challengeToken: response.data.challengeToken,
                 };
-                const mockToken = 'demo_token_' + Date.now();
+            }
 
-                localStorage.setItem('token', mockToken);
-                localStorage.setItem('user', JSON.stringify(mockUser));
-                setUser(mockUser);
+            const { token, user: userData } = response.data;
 
-                return { success: true, user: mockUser };
-            }
+            saveSession(token, userData);
+            setUser(userData);
 
+            return { success: true, user: userData };
+        } catch (err) {
             const message = err.response?.data?.message || 'Login failed';
             setError(message);
             return { success: false, error: message };
         }
     };
 
-    // Register
-    const register = async (userData) => {
+    // Second login step: a TOTP code or a recovery code
+    const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
         setError(null);
         try {
-            // Try backend first
-            if (!DEMO_MODE) {
-                const response = await authAPI.register(userData);
-                const { token, user: newUser } = response.data;
+            const response = await authAPI.loginTwoFactor({ challengeToken, code, recoveryCode });
+            const { token, user: userData, message } = response.data;
 
-                localStorage.setItem('token', token);
-                localStorage.setItem('user', JSON.stringify(newUser));
-                setUser(newUser);
+            saveSession(token, userData);
+            setUser(userData);
 
-                return { success: true, user: newUser };
-            }
-            throw new Error('Demo mode');
+            return { success: true, user: userData, message };
         } catch (err) {
-            // Demo mode fallback - create mock user
-            if (DEMO_MODE) {
-                const mockUser = {
-                    id: 'user_' + Date.now(),
-                    name: userData.name,
-                    email: userData.email,
-                    role: 'user',
-                    avatar: null,
-                    createdAt: new Date().toISOString(),
-                };
-                const mockToken = 'demo_token_' + Date.now();
+            const message = err.response?.data?.message || 'Login failed';
+            setError(message);
+            return {
+                success: false,
+                error: message,
+                challengeExpired: err.response?.data?.code === 'CHALLENGE_EXPIRED',
+            };
+        }
+    };
 
-                localStorage.setItem('token', mockToken);
-                localStorage.setItem('user', JSON.stringify(mockUser));
-                setUser(mockUser);
+    // Re-read the user after account changes (e.g. turning on 2FA)
+    const refreshUser = useCallback(async () => {
+        const response = await authAPI.getMe();
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        setUser(response.data.user);
+        return response.data.user;
+    }, []);
 
-                return { success: true, user: mockUser };
-            }
+    // Register
+    const register = async (userData) => {
+        setError(null);
+        try {
+            const response = await authAPI.register(userData);
+            const { token, user: newUser } = response.data;
 
+            saveSession(token, newUser);
+            setUser(newUser);
+
+            return { success: true, user: newUser };
+        } catch (err) {
             const message = err.response?.data?.message || 'Registration failed';
             setError(message);
             return { success: false, error: message };
         }
     };
 
-    // Demo login for quick access
-    const demoLogin = async (role = 'user') => {
-        const mockUser = {
-            id: role === 'admin' ? 'admin_1' : 'user_' + Date.now(),
-            name: role === 'admin' ? 'Admin User' : 'Demo User',
-            email: role === 'admin' ? 'admin@eventflow.com' : 'demo@eventflow.com',
-            role: role,
-            avatar: null,
-        };
-        const mockToken = 'demo_token_' + Date.now();
+    // Set a new password from an emailed reset link; logs the user in unless
+    // 2FA is on, in which case this resolves with { twoFactorRequired }
+    const resetPassword = async (token, password) => {
+        try {
+            const response = await authAPI.resetPassword(token, password);
+            if (response.data.twoFactorRequired) {
+                return { success: true, twoFactorRequired: true, message: response.data.message };
+            }
+
+            const { token: sessionToken, user: userData } = response.data;
+
+            saveSession(sessionToken, userData);
+            setUser(userData);
+
+            return { success: true, user: userData };
+        } catch (err) {
+            const message = err.response?.data?.message || 'Password reset failed';
+            return { success: false, error: message };
+        }
+    };
+
+    // Confirm an email address from the emailed link. The link may be opened
+    // while logged out or as another account, so only update a matching session.
+    const verifyEmail = async (token) => {
+        try {
+            const response = await authAPI.verifyEmail(token);
+            const verifiedUser = response.data.user;
 
-        localStorage.setItem('token', mockToken);
-        localStorage.setItem('user', JSON.stringify(mockUser));
-        setUser(mockUser);
+            setUser((current) => {
+                if (!current || current.id !== verifiedUser.id) return current;
+                localStorage.setItem('user', JSON.stringify(verifiedUser));
+                return verifiedUser;
+            });
 
-        return { success: true, user: mockUser };
+            return { success: true, user: verifiedUser };
+        } catch (err) {
+            const message = err.response?.data?.message || 'Verification failed';
+            return { success: false, error: message };
+        }
     };
 
-    // Logout
+    // Email a new verification link to the logged-in user
+    const resendVerification = async () => {
+        try {
+            const response = await authAPI.resendVerification();
+            return { success: true, message: response.data.message };
+        } catch (err) {
+            const message = err.response?.data?.message || 'Could not send the email';
+            return { success: false, error: message };
+        }
+    };
+
+    // Logout (also clears the server's session cookie)
     const logout = useCallback(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        localStorage.removeItem('bookings');
+        authAPI.logout().catch(() => {});
+        clearSession();
         setUser(null);
         setError(null);
     }, []);
 
+    // Sign out every device, this one included
+    const logoutAll = useCallback(async () => {
+        try {
+            await authAPI.logoutAll();
+        } finally {
+            clearSession();
+            setUser(null);
+            setError(null);
+        }
+    }, []);
+
     // Update user profile
     const updateProfile = async (data) => {
         try {
-            if (!DEMO_MODE) {
-                const response = await authAPI.updateProfile(data);
-                const updatedUser = response.data.user;
-                localStorage.setItem('user', JSON.stringify(updatedUser));
-                setUser(updatedUser);
-                return { success: true, user: updatedUser };
-            }
-
-            // Demo mode - update local user
-            const updatedUser = { ...user, ...data };
+            const response = await authAPI.updateProfile(data);
+            const updatedUser = response.data.user;
             localStorage.setItem('user', JSON.stringify(updatedUser));
             setUser(updatedUser);
             return { success: true, user: updatedUser };
@@ -200,17 +234,41 @@ export const AuthProvider = ({ children }) => {
     // Check if authenticated
     const isAuthenticated = !!user;
 
+    // Role and permission checks; the server sends the role's permissions
+    // (e.g. 'events:create') with the user
+    const hasRole = useCallback((...roles) => !!user && roles.includes(user.role), [user]);
+    const hasPermission = useCallback(
+        (permission) => !!user?.permissions?.includes(permission),
+        [user]
+    );
+    const isOrganizer = hasRole('organizer', 'admin');
+
+    // Email verification: unverified users may be blocked from booking and
+    // submitting events, depending on the server's policy
+    const isVerified = !!user?.isVerified;
+    const verificationRequired = !!user?.verificationRequired;
+
     const value = {
         user,
         loading,
         error,
         isAuthenticated,
         isAdmin,
+        isOrganizer,
+        hasRole,
+        hasPermission,
+        isVerified,
+        verificationRequired,
         login,
+        completeTwoFactorLogin,
+        refreshUser,
         register,
         logout,
+        logoutAll,
         updateProfile,
-        demoLogin,
+        resetPassword,
+        verifyEmail,
+        resendVerification,
         setError,
     };
 
@@ -230,20 +288,30 @@ export const useAuth = () => {
     return context;
 };
 
-// Protected Route component
-export const ProtectedRoute = ({ children, adminOnly = false }) => {
-    const { isAuthenticated, isAdmin, loading } = useAuth();
+// Protected Route component. Beyond logging in it can require:
+// - adminOnly: the admin role
+// - roles: one of these roles
+// - permission: every one of these permissions (a string or a list)
+// Logged-in users who fall short go to `fallback` (default: home).
+export const ProtectedRoute = ({ children, adminOnly = false, roles, permission, fallback = '/' }) => {
+    const { isAuthenticated, isAdmin, hasRole, hasPermission, loading } = useAuth();
     const navigate = useNavigate();
 
+    const requiredPermissions = [].concat(permission || []);
+    const isAllowed = isAuthenticated
+        && (!adminOnly || isAdmin)
+        && (!roles || hasRole(...roles))
+        && requiredPermissions.every(hasPermission);
+
     useEffect(() => {
         if (!loading) {
             if (!isAuthenticated) {
                 navigate('/login', { replace: true });
-            } else if (adminOnly && !isAdmin) {
-                navigate('/', { replace: true });
+            } else if (!isAllowed) {
+                navigate(fallback, { replace: true });
             }
         }
-    }, [isAuthenticated, isAdmin, adminOnly, loading, navigate]);
+    }, [isAuthenticated, isAllowed, fallback, loading, navigate]);
 
     if (loading) {
         return (
@@ -253,7 +321,7 @@ export const ProtectedRoute = ({ children, adminOnly = false }) => {
         );
     }
 
-    if (!isAuthenticated || (adminOnly && !isAdmin)) {
+    if (!isAllowed) {
         return null;
     }
 
@@ -0,0 +1,283 @@
+/**
+ * Account Security Page
+ *
+ * Lets the logged-in user:
+ * - Change their password (other devices are signed out)
+ * - Turn two-factor authentication on or off
+ * - See the devices signed in to their account and revoke them
+ * - Sign out everywhere
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiLock, FiMonitor, FiSmartphone, FiLogOut, FiCheck } from 'react-icons/fi';
+import { AnimatedPage } from '../components/animations/PageTransition';
+import AnimatedInput from '../components/ui/AnimatedInput';
+import AnimatedButton from '../components/ui/AnimatedButton';
+import { useToast } from '../components/ui/Toast';
+import { TwoFactorSettings, SecurityPolicySettings } from '../components/account';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import './AccountSecurity.css';
+
+// "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    const os = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return 'Unknown device';
+    return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+const formatDateTime = (value) =>
+    new Date(value).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+    });
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const AccountSecurity = () => {
+    const navigate = useNavigate();
+    const { toast } = useToast();
+    const { user, isAdmin, logout, logoutAll } = useAuth();
+
+    const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+    const [passwordErrors, setPasswordErrors] = useState({});
+    const [isSavingPassword, setIsSavingPassword] = useState(false);
+
+    const [sessions, setSessions] = useState([]);
+    const [loadingSessions, setLoadingSessions] = useState(true);
+    const [revokingId, setRevokingId] = useState(null);
+
+    const loadSessions = useCallback(async () => {
+        try {
+            const response = await authAPI.getSessions();
+            setSessions(response.data.data);
+        } catch (error) {
+            toast.error('Could not load devices', error.response?.data?.message || 'Please try again');
+        } finally {
+            setLoadingSessions(false);
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handlePasswordChange = (e) => {
+        const { name, value } = e.target;
+        setPasswordForm((prev) => ({ ...prev, [name]: value }));
+        if (passwordErrors[name]) {
+            setPasswordErrors((prev) => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+
+        const errors = {};
+        if (!passwordForm.currentPassword) {
+            errors.currentPassword = 'Current password is required';
+        }
+        if (passwordForm.newPassword.length < 8) {
+            errors.newPassword = 'Password must be at least 8 characters';
+        }
+        if (passwordForm.confirmPassword !== passwordForm.newPassword) {
+            errors.confirmPassword = 'Passwords do not match';
+        }
+        setPasswordErrors(errors);
+        if (Object.keys(errors).length) return;
+
+        setIsSavingPassword(true);
+        try {
+            const response = await authAPI.updatePassword({
+                currentPassword: passwordForm.currentPassword,
+                newPassword: passwordForm.newPassword,
+            });
+            toast.success('Password changed', response.data.message);
+            setPasswordForm(EMPTY_PASSWORD_FORM);
+            loadSessions();
+        } catch (error) {
+            toast.error('Password not changed', error.response?.data?.message || 'Please try again');
+        } finally {
+            setIsSavingPassword(false);
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        // Signing out this device is just a logout
+        if (session.current) {
+            logout();
+            navigate('/login');
+            return;
+        }
+
+        setRevokingId(session.id);
+        try {
+            await authAPI.revokeSession(session.id);
+            setSessions((prev) => prev.filter((s) => s.id !== session.id));
+            toast.success('Device signed out', describeDevice(session.userAgent));
+        } catch (error) {
+            toast.error('Could not sign out device', error.response?.data?.message || 'Please try again');
+        } finally {
+            setRevokingId(null);
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        try {
+            await logoutAll();
+            toast.success('Signed out everywhere', 'Log in again to continue');
+        } catch (error) {
+            toast.error('Could not sign out', 'Please try again');
+        }
+        navigate('/login');
+    };
+
+    return (
+        <AnimatedPage className="security-page">
+            <div className="container">
+                <motion.div
+                    className="security-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.5 }}
+                >
+                    <h1>Account Security</h1>
+                    <p>Manage your password and the devices signed in to your account</p>
+                </motion.div>
+
+                {user?.twoFactorSetupRequired && (
+                    <p className="security-warning">
+                        Your account needs two-factor authentication. Set it up below to get back to your dashboard.
+                    </p>
+                )}
+
+                {/* Change password */}
+                <motion.section
+                    className="security-card"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <h2>Change password</h2>
+                    <p className="security-hint">Every other device will be signed out.</p>
+
+                    <form onSubmit={handlePasswordSubmit} className="security-form">
+                        <AnimatedInput
+                            label="Current Password"
+                            type="password"
+                            name="currentPassword"
+                            value={passwordForm.currentPassword}
+                            onChange={handlePasswordChange}
+                            error={passwordErrors.currentPassword}
+                            icon={<FiLock />}
+                        />
+                        <AnimatedInput
+                            label="New Password"
+                            type="password"
+                            name="newPassword"
+                            value={passwordForm.newPassword}
+                            onChange={handlePasswordChange}
+                            error={passwordErrors.newPassword}
+                            icon={<FiLock />}
+                        />
+                        <AnimatedInput
+                            label="Confirm New Password"
+                            type="password"
+                            name="confirmPassword"
+                            value={passwordForm.confirmPassword}
+                            onChange={handlePasswordChange}
+                            error={passwordErrors.confirmPassword}
+                            icon={<FiLock />}
+                        />
+                        <AnimatedButton
+                            type="submit"
+                            variant="primary"
+                            loading={isSavingPassword}
+                            icon={<FiCheck />}
+                        >
+                            Update Password
+                        </AnimatedButton>
+                    </form>
+                </motion.section>
+
+                {/* Two-factor */}
+                <TwoFactorSettings />
+
+                {/* Sessions */}
+                <motion.section
+                    className="security-card"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    <div className="security-card-header">
+                        <div>
+                            <h2>Signed-in devices</h2>
+                            <p className="security-hint">Sign out any device you don't recognise.</p>
+                        </div>
+                        <AnimatedButton variant="secondary" size="sm" icon={<FiLogOut />} onClick={handleLogoutAll}>
+                            Sign out everywhere
+                        </AnimatedButton>
+                    </div>
+
+                    {loadingSessions ? (
+                        <p className="security-hint">Loading devices…</p>
+                    ) : (
+                        <ul className="session-list">
+                            {sessions.map((session) => (
+                                <li key={session.id} className="session-item">
+                                    <div className="session-icon">
+                                        {isMobile(session.userAgent) ? <FiSmartphone /> : <FiMonitor />}
+                                    </div>
+                                    <div className="session-info">
+                                        <span className="session-device">
+                                            {describeDevice(session.userAgent)}
+                                            {session.current && <span className="session-current">This device</span>}
+                                        </span>
+                                        <span className="session-meta">
+                                            {session.ip || 'Unknown IP'} · Signed in {formatDateTime(session.createdAt)}
+                                            {' '}· Last active {formatDateTime(session.lastUsedAt)}
+                                        </span>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        className="session-revoke"
+                                        onClick={() => handleRevoke(session)}
+                                        disabled={revokingId === session.id}
+                                    >
+                                        {session.current ? 'Sign out' : 'Revoke'}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </motion.section>
+
+                {isAdmin && <SecurityPolicySettings />}
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default AccountSecurity;
@@ -4,71 +4,83 @@
  * Shows user's booking history with:
  * - Animated booking cards
  * - Status indicators
- * - Download tickets option
+ * - Download the ticket and tax invoice as PDFs
+ * - Cancellation with the refund the event's policy allows
  */
 
 import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { motion } from 'framer-motion';
+import { motion, AnimatePresence } from 'framer-motion';
 import {
     FiCalendar, FiMapPin, FiDownload, FiExternalLink,
-    FiCheck, FiClock, FiAlertCircle
+    FiCheck, FiClock, FiAlertCircle, FiXCircle, FiX, FiFileText
 } from 'react-icons/fi';
 import { AnimatedPage } from '../components/animations/PageTransition';
 import AnimatedButton from '../components/ui/AnimatedButton';
 import { BookingCardSkeleton } from '../components/ui/Skeleton';
 import { useToast } from '../components/ui/Toast';
-import { useAuth } from '../context/AuthContext';
+import { bookingsAPI } from '../services/api';
+import { FALLBACK_EVENT_IMAGE, fromMinorUnits } from '../services/eventService';
 import './Bookings.css';
 
-// Sample bookings data
-const sampleBookings = [
-    {
-        id: 'BK20260215001',
-        eventId: 1,
-        eventTitle: 'Tech Innovation Summit 2026',
-        eventImage: 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=400',
-        date: '2026-03-15',
-        time: '9:00 AM',
-        location: 'Moscone Center, San Francisco, CA',
-        tickets: 2,
-        totalAmount: 728,
-        status: 'confirmed',
-        paymentId: 'pay_xyz123',
-        bookingDate: '2026-02-02',
-    },
-    {
-        id: 'BK20260120002',
-        eventId: 2,
-        eventTitle: 'Sunset Music Festival',
-        eventImage: 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=400',
-        date: '2026-04-20',
-        time: '4:00 PM',
-        location: 'Hollywood Bowl, Los Angeles, CA',
-        tickets: 4,
-        totalAmount: 708,
-        status: 'confirmed',
-        paymentId: 'pay_abc456',
-        bookingDate: '2026-01-28',
-    },
-    {
-        id: 'BK20260201003',
-        eventId: 3,
-        eventTitle: 'Startup Pitch Competition',
-        eventImage: 'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=400',
-        date: '2026-03-28',
-        time: '10:00 AM',
-        location: 'WeWork, New York, NY',
-        tickets: 1,
-        totalAmount: 0,
-        status: 'pending',
-        paymentId: null,
-        bookingDate: '2026-02-01',
-    },
-];
+// Map an API booking (event populated, amounts in paise) onto the card shape
+const toBookingView = (booking) => {
+    const event = booking.event || {};
+    return {
+        id: booking._id,
+        eventId: event._id,
+        eventTitle: event.title || 'Event no longer available',
+        eventImage: event.image || FALLBACK_EVENT_IMAGE,
+        date: event.date,
+        time: event.date
+            ? new Date(event.date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+            : '',
+        location: event.address ? `${event.location}, ${event.address}` : event.location,
+        tickets: booking.quantity,
+        // "2 × VIP, 1 × Student" for events with ticket types
+        ticketTypes: (booking.items || []).some((item) => item.tier)
+            ? booking.items.map((item) => `${item.quantity} × ${item.name}`).join(', ')
+            : '',
+        totalAmount: fromMinorUnits(booking.amount),
+        amountRefunded: fromMinorUnits(booking.amountRefunded),
+        status: booking.status,
+        paymentId: booking.payment || null,
+        bookingDate: booking.createdAt,
+        refundQuote: booking.refundQuote && {
+            percent: booking.refundQuote.percent,
+            amount: fromMinorUnits(booking.refundQuote.amount),
+        },
+    };
+};
+
+// Error responses to file downloads arrive as blobs too
+const getDownloadError = async (error) => {
+    try {
+        return JSON.parse(await error.response.data.text()).message;
+    } catch (parseError) {
+        return null;
+    }
+};
+
+// Paid bookings have a tax invoice, also after a refund
+const hasInvoice = (booking) =>
+    Boolean(booking.paymentId)
+    && (['confirmed', 'attended'].includes(booking.status) || booking.amountRefunded > 0);
 
 // Status config
 const statusConfig = {
+    booked: {
+        label: 'Booked',
+        icon: FiCheck,
+        color: '#22c55e',
+        bgColor: 'rgba(34, 197, 94, 0.1)',
+    },
+    attended: {
+        label: 'Attended',
+        icon: FiCheck,
+        color: '#8b5cf6',
+        bgColor: 'rgba(139, 92, 246, 0.1)',
+    },
     confirmed: {
         label: 'Confirmed',
         icon: FiCheck,
@@ -115,28 +127,43 @@ const Bookings = () => {
     const [loading, setLoading] = useState(true);
     const [activeTab, setActiveTab] = useState('upcoming');
     const { toast } = useToast();
-    const { user } = useAuth();
+    const [downloading, setDownloading] = useState(null);
 
-    // Load bookings
-    useEffect(() => {
-        setLoading(true);
-        const timer = setTimeout(() => {
-            // Load user bookings from localStorage
-            const localBookings = JSON.parse(localStorage.getItem('bookings') || '[]');
+    const [cancelModal, setCancelModal] = useState({ open: false, booking: null });
+    const [isCancelling, setIsCancelling] = useState(false);
 
-            // Combine with sample data, but prefer local storage for "new" feel
-            // Filter out any sample bookings that might conflict by ID (though unlikely with BK prefix vs numerical sample IDs)
-            const allBookings = [...localBookings, ...sampleBookings];
+    // Load bookings
+    const loadBookings = useCallback(async () => {
+        try {
+            const response = await bookingsAPI.getMyBookings();
+            setBookings(response.data.data.map(toBookingView));
+        } catch (error) {
+            toast.error('Error', error.response?.data?.message || 'Failed to load your bookings');
+        } finally {
+            setLoading(false);
+        }
+    }, [toast]);
 
-            // Remove duplicates just in case
-            const uniqueBookings = allBookings.filter((v, i, a) => a.findIndex(t => (t.id === v.id)) === i);
+    useEffect(() => {
+        loadBookings();
+    }, [loadBookings]);
 
-            setBookings(uniqueBookings);
-            setLoading(false);
-        }, 800);
+    // Cancel a booking; the server works out the refund from the event's policy
+    const handleCancel = async () => {
+        if (!cancelModal.booking) return;
 
-        return () => clearTimeout(timer);
-    }, []);
+        setIsCancelling(true);
+        try {
+            const response = await bookingsAPI.cancel(cancelModal.booking.id);
+            toast.success('Booking Cancelled', response.data.message);
+            setCancelModal({ open: false, booking: null });
+            await loadBookings();
+        } catch (error) {
+            toast.error('Error', error.response?.data?.message || 'Failed to cancel booking');
+        } finally {
+            setIsCancelling(false);
+        }
+    };
 
     // Filter bookings by tab
     const filteredBookings = bookings.filter((booking) => {
@@ -167,210 +194,45 @@ const Bookings = () => {
         }).format(amount);
     };
 
-    // Generate and download ticket
-    const downloadTicket = useCallback((booking) => {
-        // Create ticket HTML content
-        const ticketHTML = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Event Ticket - ${booking.eventTitle}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: linear-gradient(135deg, #1e1b4b 0%, #312e81 100%);
-            min-height: 100vh;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            padding: 20px;
-        }
-        .ticket {
-            background: white;
-            border-radius: 20px;
-            max-width: 400px;
-            width: 100%;
-            overflow: hidden;
-            box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.5);
-        }
-        .ticket-header {
-            background: linear-gradient(135deg, #8b5cf6 0%, #6366f1 100%);
-            color: white;
-            padding: 25px;
-            text-align: center;
-        }
-        .ticket-header h1 {
-            font-size: 24px;
-            margin-bottom: 5px;
-        }
-        .ticket-header p {
-            opacity: 0.9;
-            font-size: 14px;
-        }
-        .ticket-body {
-            padding: 25px;
-        }
-        .event-title {
-            font-size: 20px;
-            font-weight: 700;
-            color: #1e1b4b;
-            margin-bottom: 20px;
-            text-align: center;
-        }
-        .ticket-info {
-            display: grid;
-            gap: 15px;
-        }
-        .info-row {
-            display: flex;
-            justify-content: space-between;
-            padding-bottom: 10px;
-            border-bottom: 1px dashed #e5e7eb;
-        }
-        .info-row:last-child {
-            border-bottom: none;
+    // Save a PDF from the API as a download; resolves to whether it worked
+    const downloadPdf = useCallback(async (key, request, filename) => {
+        setDownloading(key);
+        try {
+            const response = await request();
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            toast.error('Download failed', (await getDownloadError(error)) || 'Please try again');
+            return false;
+        } finally {
+            setDownloading(null);
         }
-        .info-label {
-            color: #6b7280;
-            font-size: 14px;
-        }
-        .info-value {
-            color: #1e1b4b;
-            font-weight: 600;
-            font-size: 14px;
-            text-align: right;
-        }
-        .qr-section {
-            background: #f9fafb;
-            padding: 20px;
-            text-align: center;
-            border-top: 2px dashed #e5e7eb;
-        }
-        .qr-code {
-            width: 120px;
-            height: 120px;
-            background: #1e1b4b;
-            margin: 0 auto 15px;
-            border-radius: 10px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-size: 12px;
-        }
-        .booking-id {
-            font-family: monospace;
-            font-size: 16px;
-            font-weight: 700;
-            color: #8b5cf6;
-        }
-        .ticket-footer {
-            background: #1e1b4b;
-            color: white;
-            padding: 15px 25px;
-            text-align: center;
-            font-size: 12px;
-        }
-        .attendee-name {
-            color: #8b5cf6;
-            font-weight: 700;
-        }
-        @media print {
-            body { background: white; padding: 0; }
-            .ticket { box-shadow: none; border: 2px solid #e5e7eb; }
-        }
-    </style>
-</head>
-<body>
-    <div class="ticket">
-        <div class="ticket-header">
-            <h1>🎫 EventFlow</h1>
-            <p>Your Event Ticket</p>
-        </div>
-        <div class="ticket-body">
-            <h2 class="event-title">${booking.eventTitle}</h2>
-            <div class="ticket-info">
-                <div class="info-row">
-                    <span class="info-label">📅 Date</span>
-                    <span class="info-value">${formatDate(booking.date)}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">⏰ Time</span>
-                    <span class="info-value">${booking.time}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">📍 Venue</span>
-                    <span class="info-value">${booking.location}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">🎟️ Tickets</span>
-                    <span class="info-value">${booking.tickets} ${booking.tickets > 1 ? 'Tickets' : 'Ticket'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">💰 Amount Paid</span>
-                    <span class="info-value">${booking.totalAmount > 0 ? formatPrice(booking.totalAmount) : 'FREE'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">👤 Attendee</span>
-                    <span class="info-value attendee-name">${booking.userName || user?.name || 'Guest'}</span>
-                </div>
-            </div>
-        </div>
-        <div class="qr-section">
-            <div class="qr-code">
-                <svg width="80" height="80" viewBox="0 0 100 100">
-                    <rect x="10" y="10" width="20" height="20" fill="white"/>
-                    <rect x="35" y="10" width="10" height="10" fill="white"/>
-                    <rect x="50" y="10" width="10" height="10" fill="white"/>
-                    <rect x="70" y="10" width="20" height="20" fill="white"/>
-                    <rect x="10" y="35" width="10" height="10" fill="white"/>
-                    <rect x="45" y="35" width="10" height="10" fill="white"/>
-                    <rect x="60" y="35" width="10" height="10" fill="white"/>
-                    <rect x="80" y="35" width="10" height="10" fill="white"/>
-                    <rect x="10" y="50" width="10" height="10" fill="white"/>
-                    <rect x="30" y="50" width="10" height="10" fill="white"/>
-                    <rect x="50" y="50" width="10" height="10" fill="white"/>
-                    <rect x="80" y="50" width="10" height="10" fill="white"/>
-                    <rect x="10" y="70" width="20" height="20" fill="white"/>
-                    <rect x="35" y="70" width="10" height="10" fill="white"/>
-                    <rect x="55" y="70" width="10" height="10" fill="white"/>
-                    <rect x="70" y="70" width="20" height="20" fill="white"/>
-                </svg>
-            </div>
-            <p style="font-size: 12px; color: #6b7280; margin-bottom: 5px;">Booking ID</p>
-            <p class="booking-id">${booking.id}</p>
-        </div>
-        <div class="ticket-footer">
-            <p>Present this ticket at the venue entrance</p>
-            <p style="margin-top: 5px; opacity: 0.7;">Generated on ${new Date().toLocaleDateString('en-IN')}</p>
-        </div>
-    </div>
-    <script>
-        // Auto-print when opened
-        window.onload = function() {
-            window.print();
-        }
-    </script>
-</body>
-</html>`;
-
-        // Create a Blob and download
-        const blob = new Blob([ticketHTML], { type: 'text/html' });
-        const url = URL.createObjectURL(blob);
-
-        // Open in new tab (for printing) or download
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `EventFlow-Ticket-${booking.id}.html`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-
-        toast.success('Ticket Downloaded!', 'Open the file to print your ticket');
-    }, [toast, user]);
+    }, [toast]);
+
+    // Ticket PDF with its signed QR code, rendered by the server
+    const downloadTicket = async (booking) => {
+        const saved = await downloadPdf(
+            `ticket-${booking.id}`,
+            () => bookingsAPI.downloadTicket(booking.id),
+            `EventFlow-Ticket-${booking.id}.pdf`
+        );
+        if (saved) toast.success('Ticket Downloaded!', 'Show its QR code at the entrance');
+    };
+
+    // GST tax invoice of a paid booking
+    const downloadInvoice = (booking) =>
+        downloadPdf(
+            `invoice-${booking.id}`,
+            () => bookingsAPI.downloadInvoice(booking.id),
+            `EventFlow-Invoice-${booking.id}.pdf`
+        );
 
     return (
         <AnimatedPage className="bookings-page">
@@ -470,7 +332,9 @@ const Bookings = () => {
                                         <div className="booking-details">
                                             <div className="detail-item">
                                                 <span className="detail-label">Tickets</span>
-                                                <span className="detail-value">{booking.tickets}</span>
+                                                <span className="detail-value">
+                                                    {booking.ticketTypes || booking.tickets}
+                                                </span>
                                             </div>
                                             <div className="detail-item">
                                                 <span className="detail-label">Total</span>
@@ -487,16 +351,28 @@ const Bookings = () => {
 
                                     {/* Actions */}
                                     <div className="booking-actions">
-                                        {booking.status === 'confirmed' && (
+                                        {['booked', 'confirmed'].includes(booking.status) && (
                                             <AnimatedButton
                                                 variant="primary"
                                                 size="sm"
                                                 icon={<FiDownload />}
+                                                loading={downloading === `ticket-${booking.id}`}
                                                 onClick={() => downloadTicket(booking)}
                                             >
                                                 Download Ticket
                                             </AnimatedButton>
                                         )}
+                                        {hasInvoice(booking) && (
+                                            <AnimatedButton
+                                                variant="secondary"
+                                                size="sm"
+                                                icon={<FiFileText />}
+                                                loading={downloading === `invoice-${booking.id}`}
+                                                onClick={() => downloadInvoice(booking)}
+                                            >
+                                                Invoice
+                                            </AnimatedButton>
+                                        )}
                                         <Link to={`/events/${booking.eventId}`}>
                                             <AnimatedButton
                                                 variant="secondary"
@@ -506,6 +382,16 @@ const Bookings = () => {
                                                 View Event
                                             </AnimatedButton>
                                         </Link>
+                                        {booking.refundQuote && (
+                                            <AnimatedButton
+                                                variant="ghost"
+                                                size="sm"
+                                                icon={<FiXCircle />}
+                                                onClick={() => setCancelModal({ open: true, booking })}
+                                            >
+                                                Cancel Booking
+                                            </AnimatedButton>
+                                        )}
                                     </div>
                                 </motion.div>
                             );
@@ -535,6 +421,68 @@ const Bookings = () => {
                         )}
                     </motion.div>
                 )}
+
+                {/* Cancel Confirmation Modal */}
+                <AnimatePresence>
+                    {cancelModal.open && (
+                        <motion.div
+                            className="modal-overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={() => !isCancelling && setCancelModal({ open: false, booking: null })}
+                        >
+                            <motion.div
+                                className="modal-content delete-modal"
+                                initial={{ opacity: 0, scale: 0.9, y: 20 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.9, y: 20 }}
+                                onClick={(e) => e.stopPropagation()}
+                            >
+                                <button
+                                    className="modal-close"
+                                    onClick={() => setCancelModal({ open: false, booking: null })}
+                                    disabled={isCancelling}
+                                >
+                                    <FiX size={20} />
+                                </button>
+
+                                <div className="delete-icon">
+                                    <FiXCircle size={32} />
+                                </div>
+
+                                <h3>Cancel Booking?</h3>
+                                <p>
+                                    Your {cancelModal.booking.tickets > 1 ? 'tickets' : 'ticket'} for{' '}
+                                    <strong>"{cancelModal.booking.eventTitle}"</strong> will be released.{' '}
+                                    {cancelModal.booking.totalAmount > 0 && (
+                                        cancelModal.booking.refundQuote.amount > 0
+                                            ? <>You will be refunded <strong>{formatPrice(cancelModal.booking.refundQuote.amount)}</strong> ({cancelModal.booking.refundQuote.percent}% under the event's refund policy).</>
+                                            : <>No refund is due under the event's refund policy.</>
+                                    )}
+                                </p>
+
+                                <div className="modal-actions">
+                                    <AnimatedButton
+                                        variant="secondary"
+                                        onClick={() => setCancelModal({ open: false, booking: null })}
+                                        disabled={isCancelling}
+                                    >
+                                        Keep Booking
+                                    </AnimatedButton>
+                                    <AnimatedButton
+                                        variant="primary"
+                                        onClick={handleCancel}
+                                        loading={isCancelling}
+                                        style={{ background: '#ef4444' }}
+                                    >
+                                        Cancel Booking
+                                    </AnimatedButton>
+                                </div>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
             </div>
         </AnimatedPage>
     );
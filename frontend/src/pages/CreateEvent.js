@@ -3,22 +3,34 @@
  * 
  * Event creation form with:
  * - Multi-step form with animations
- * - Image upload preview
+ * - Edit mode at /events/:id/edit, prefilled with the event (and any
+ *   changes still in review); guards capacity once tickets are sold
+ * - Ticket types (early bird, VIP, student...) with their own price,
+ *   quantity, sale window and per-order limits
+ * - Image URL preview
  * - Date/time picker styling
  * - Form validation
  */
 
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     FiCalendar, FiMapPin, FiDollarSign, FiUsers,
-    FiImage, FiArrowRight, FiArrowLeft, FiCheck
+    FiImage, FiArrowRight, FiArrowLeft, FiCheck, FiAlertCircle, FiInfo, FiMail, FiPlus, FiTrash2
 } from 'react-icons/fi';
 import { AnimatedPage } from '../components/animations/PageTransition';
 import AnimatedInput from '../components/ui/AnimatedInput';
 import AnimatedButton from '../components/ui/AnimatedButton';
 import { useToast } from '../components/ui/Toast';
+import { Spinner } from '../components/ui/Spinner';
+import { useAuth } from '../context/AuthContext';
+import { eventsAPI } from '../services/api';
+import {
+    MAX_TICKETS_PER_ORDER, REFUND_POLICY_PRESETS, RESUBMIT_EVENT_STATUSES,
+    describeRefundPolicy, fromMinorUnits, isEditableEvent, toDateInput, toDateTimeInput, toMinorUnits,
+    toTimeInput
+} from '../services/eventService';
 import './CreateEvent.css';
 
 // Form steps
@@ -51,13 +63,100 @@ const categories = [
     'Technology', 'Music', 'Business', 'Sports', 'Arts', 'Food', 'Education', 'Other'
 ];
 
+// Most ticket types per event (as on the server)
+const MAX_TICKET_TIERS = 10;
+
+// Ticket types added in this session have no _id yet; keys tell them apart
+let nextTierKey = 0;
+
+// Map an API ticket type (or nothing, for a new one) onto its form fields
+const toTierForm = (tier = {}) => ({
+    key: tier._id || `new-${(nextTierKey += 1)}`,
+    _id: tier._id,
+    name: tier.name || '',
+    description: tier.description || '',
+    price: tier.price ? String(fromMinorUnits(tier.price)) : '',
+    quantity: tier.quantity ? String(tier.quantity) : '',
+    salesStart: toDateTimeInput(tier.salesStart),
+    salesEnd: toDateTimeInput(tier.salesEnd),
+    minPerOrder: String(tier.minPerOrder || 1),
+    maxPerOrder: String(tier.maxPerOrder || MAX_TICKETS_PER_ORDER),
+});
+
+// Map a ticket type's form fields onto the API payload (price in paise)
+const toTierPayload = (tier) => ({
+    ...(tier._id && { _id: tier._id }),
+    name: tier.name.trim(),
+    description: tier.description.trim(),
+    price: toMinorUnits(tier.price),
+    quantity: parseInt(tier.quantity, 10),
+    // null clears a sale window when editing
+    salesStart: tier.salesStart ? new Date(tier.salesStart).toISOString() : null,
+    salesEnd: tier.salesEnd ? new Date(tier.salesEnd).toISOString() : null,
+    minPerOrder: parseInt(tier.minPerOrder, 10) || 1,
+    maxPerOrder: parseInt(tier.maxPerOrder, 10) || MAX_TICKETS_PER_ORDER,
+});
+
+const sameRules = (a, b) =>
+    JSON.stringify(a.map(({ hoursBefore, percent }) => ({ hoursBefore, percent })))
+    === JSON.stringify(b.map(({ hoursBefore, percent }) => ({ hoursBefore, percent })));
+
+// Refund policy choices for an event; a policy that matches no preset
+// (set through the API) is offered as-is so editing doesn't replace it
+const getRefundOptions = (rules) => {
+    if (!rules || !rules.length || REFUND_POLICY_PRESETS.some((preset) => sameRules(preset.rules, rules))) {
+        return REFUND_POLICY_PRESETS;
+    }
+    return [...REFUND_POLICY_PRESETS, { id: 'current', label: 'Current policy', rules }];
+};
+
+// Form fields that ticket holders are emailed about when they change
+const SCHEDULE_FIELDS = ['date', 'time', 'endTime', 'location', 'address'];
+
+const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+// Map an API event onto the form fields
+const toFormData = (event, refundOptions) => {
+    const start = new Date(event.date);
+    const rules = event.refundPolicy && event.refundPolicy.length ? event.refundPolicy : refundOptions[0].rules;
+
+    return {
+        title: event.title,
+        description: event.description || '',
+        category: event.category || '',
+        date: toDateInput(start),
+        time: toTimeInput(start),
+        endTime: event.endDate ? toTimeInput(new Date(event.endDate)) : '',
+        location: event.location,
+        address: event.address || '',
+        price: event.price ? String(fromMinorUnits(event.price)) : '',
+        capacity: String(event.capacity),
+        ticketTiers: (event.ticketTiers || []).map((tier) => toTierForm(tier)),
+        image: event.image || '',
+        refundPolicy: refundOptions.find((option) => sameRules(option.rules, rules)).id,
+    };
+};
+
 const CreateEvent = () => {
     const navigate = useNavigate();
+    const { id } = useParams();
+    const isEditing = Boolean(id);
     const { toast } = useToast();
+    const { verificationRequired, isAdmin } = useAuth();
 
     const [currentStep, setCurrentStep] = useState(1);
     const [direction, setDirection] = useState(1);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isLoading, setIsLoading] = useState(isEditing);
+    const [editedEvent, setEditedEvent] = useState(null);
+    const [initialForm, setInitialForm] = useState(null);
+    const [refundOptions, setRefundOptions] = useState(REFUND_POLICY_PRESETS);
 
     const [formData, setFormData] = useState({
         title: '',
@@ -70,12 +169,70 @@ const CreateEvent = () => {
         address: '',
         price: '',
         capacity: '',
-        image: null,
-        imagePreview: '',
+        ticketTiers: [],
+        image: '',
+        refundPolicy: REFUND_POLICY_PRESETS[0].id,
     });
 
     const [errors, setErrors] = useState({});
 
+    // In edit mode, load the event and prefill every step
+    useEffect(() => {
+        if (!isEditing) return;
+
+        const loadEvent = async () => {
+            try {
+                const response = await eventsAPI.getById(id);
+                const event = response.data.data;
+
+                if (!isEditableEvent(event)) {
+                    toast.error('This event can\'t be edited', 'Cancelled events can\'t be changed');
+                    navigate('/organizer', { replace: true });
+                    return;
+                }
+
+                // Pick up where the organizer left off if changes are in review
+                const current = { ...event, ...event.pendingChanges };
+                const options = getRefundOptions(current.refundPolicy);
+                const form = toFormData(current, options);
+                setRefundOptions(options);
+                setFormData(form);
+                setInitialForm(form);
+                setEditedEvent(event);
+            } catch (error) {
+                toast.error('Failed to load event', error.response?.data?.message || 'Please try again');
+                navigate('/organizer', { replace: true });
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadEvent();
+    }, [id, isEditing, navigate, toast]);
+
+    const refundPreset = refundOptions.find((preset) => preset.id === formData.refundPolicy);
+
+    const soldTickets = editedEvent?.seatsBooked || 0;
+    // Tickets sold per live ticket type; those types can't go below it or be removed
+    const soldByTier = Object.fromEntries(
+        (editedEvent?.ticketTiers || []).map((tier) => [tier._id, tier.sold || 0])
+    );
+    const hasTiers = formData.ticketTiers.length > 0;
+    // With ticket types, capacity is their quantities plus seats booked before them
+    const untieredSold = Math.max(soldTickets - Object.values(soldByTier).reduce((sum, sold) => sum + sold, 0), 0);
+    const tierCapacity = untieredSold
+        + formData.ticketTiers.reduce((sum, tier) => sum + (parseInt(tier.quantity, 10) || 0), 0);
+    const tierPrices = formData.ticketTiers.map((tier) => parseFloat(tier.price) || 0);
+
+    let previewPrice = formData.price ? `₹${formData.price}` : 'Free';
+    if (hasTiers) previewPrice = Math.max(...tierPrices) > 0 ? `From ₹${Math.min(...tierPrices)}` : 'Free';
+    // Admins' edits to a live event apply at once; an organizer's wait for review
+    const isLive = editedEvent?.status === 'approved';
+    const needsReview = isLive && !isAdmin;
+    const resubmits = RESUBMIT_EVENT_STATUSES.includes(editedEvent?.status);
+    const scheduleChanged = Boolean(initialForm)
+        && SCHEDULE_FIELDS.some((field) => formData[field] !== initialForm[field]);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData((prev) => ({ ...prev, [name]: value }));
@@ -84,17 +241,51 @@ const CreateEvent = () => {
         }
     };
 
-    const handleImageChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setFormData((prev) => ({
-                ...prev,
-                image: file,
-                imagePreview: URL.createObjectURL(file),
-            }));
+    const handleTierChange = (index, e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            ticketTiers: prev.ticketTiers.map((tier, i) => (i === index ? { ...tier, [name]: value } : tier)),
+        }));
+        const key = `tiers.${index}.${name}`;
+        if (errors[key]) {
+            setErrors((prev) => ({ ...prev, [key]: '' }));
         }
     };
 
+    const addTier = () => {
+        setFormData((prev) => ({ ...prev, ticketTiers: [...prev.ticketTiers, toTierForm()] }));
+    };
+
+    const removeTier = (index) => {
+        setFormData((prev) => ({ ...prev, ticketTiers: prev.ticketTiers.filter((tier, i) => i !== index) }));
+        // Errors are keyed by position, which just shifted
+        setErrors({});
+    };
+
+    // Build the API payload: combine date and times, price in paise
+    const buildEventPayload = () => ({
+        title: formData.title,
+        description: formData.description,
+        category: formData.category,
+        date: new Date(`${formData.date}T${formData.time}`).toISOString(),
+        // null clears an end time when editing
+        endDate: formData.endTime
+            ? new Date(`${formData.date}T${formData.endTime}`).toISOString()
+            : null,
+        location: formData.location,
+        address: formData.address,
+        // With ticket types, the server works out price and capacity from them
+        ...(!hasTiers && {
+            price: Math.round((parseFloat(formData.price) || 0) * 100),
+            capacity: parseInt(formData.capacity, 10),
+        }),
+        currency: editedEvent?.currency || 'INR',
+        ticketTiers: formData.ticketTiers.map(toTierPayload),
+        image: formData.image,
+        refundPolicy: refundPreset.rules,
+    });
+
     const validateStep = (step) => {
         const newErrors = {};
 
@@ -102,16 +293,51 @@ const CreateEvent = () => {
             if (!formData.title) newErrors.title = 'Event title is required';
             if (!formData.description) newErrors.description = 'Description is required';
             if (!formData.category) newErrors.category = 'Please select a category';
+            if (formData.image && !/^https?:\/\/\S+$/.test(formData.image)) {
+                newErrors.image = 'Image must be an http(s) URL';
+            }
         }
 
         if (step === 2) {
             if (!formData.date) newErrors.date = 'Date is required';
             if (!formData.time) newErrors.time = 'Start time is required';
             if (!formData.location) newErrors.location = 'Venue name is required';
+            if (formData.endTime && formData.time && formData.endTime <= formData.time) {
+                newErrors.endTime = 'End time must be after the start time';
+            }
         }
 
-        if (step === 3) {
+        if (step === 3 && hasTiers) {
+            const names = formData.ticketTiers.map((tier) => tier.name.trim().toLowerCase());
+            formData.ticketTiers.forEach((tier, index) => {
+                const key = (field) => `tiers.${index}.${field}`;
+                const sold = soldByTier[tier._id] || 0;
+                const quantity = parseInt(tier.quantity, 10);
+                const min = parseInt(tier.minPerOrder, 10);
+                const max = parseInt(tier.maxPerOrder, 10);
+
+                if (!tier.name.trim()) newErrors[key('name')] = 'Name is required';
+                else if (names.indexOf(names[index]) !== index) newErrors[key('name')] = 'Another ticket type has this name';
+                if (parseFloat(tier.price) < 0) newErrors[key('price')] = 'Price cannot be negative';
+                if (!quantity || quantity < 1) newErrors[key('quantity')] = 'Quantity must be at least 1';
+                else if (quantity < sold) newErrors[key('quantity')] = `${sold} already sold; can't go lower`;
+                if (!min || min < 1) newErrors[key('minPerOrder')] = 'At least 1';
+                if (!max || max > MAX_TICKETS_PER_ORDER) {
+                    newErrors[key('maxPerOrder')] = `At most ${MAX_TICKETS_PER_ORDER}`;
+                } else if (min && max < min) {
+                    newErrors[key('maxPerOrder')] = 'Below the minimum';
+                }
+                if (tier.salesStart && tier.salesEnd && tier.salesEnd <= tier.salesStart) {
+                    newErrors[key('salesEnd')] = 'Sales must end after they start';
+                }
+            });
+        } else if (step === 3) {
             if (!formData.capacity) newErrors.capacity = 'Capacity is required';
+            else if (parseInt(formData.capacity, 10) < 1) newErrors.capacity = 'Capacity must be at least 1';
+            else if (parseInt(formData.capacity, 10) < soldTickets) {
+                newErrors.capacity = `${soldTickets} tickets are already sold; capacity can't go lower`;
+            }
+            if (parseFloat(formData.price) < 0) newErrors.price = 'Price cannot be negative';
         }
 
         setErrors(newErrors);
@@ -140,46 +366,58 @@ const CreateEvent = () => {
             return;
         }
 
+        if (verificationRequired) {
+            toast.error('Verify your email', 'Confirm your email address before submitting events');
+            return;
+        }
+
         setIsSubmitting(true);
 
         try {
-            // Simulate API call
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-
-            // Create event with pending status
-            const newEvent = {
-                id: Date.now(),
-                title: formData.title,
-                description: formData.description,
-                category: formData.category,
-                date: formData.date,
-                time: formData.time,
-                endTime: formData.endTime,
-                location: formData.location,
-                address: formData.address,
-                price: parseFloat(formData.price) || 0,
-                capacity: parseInt(formData.capacity),
-                attendees: 0,
-                status: 'pending', // Pending admin approval
-                image: formData.imagePreview || 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800',
-                createdAt: new Date().toISOString(),
-                createdBy: JSON.parse(localStorage.getItem('user'))?.email || 'user@demo.com',
-            };
-
-            // Save to localStorage
-            const existingEvents = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-            existingEvents.push(newEvent);
-            localStorage.setItem('pendingEvents', JSON.stringify(existingEvents));
-
-            toast.success('Event Submitted!', 'Your event is pending admin approval');
-            navigate('/events');
+            if (isEditing) {
+                const response = await eventsAPI.update(id, {
+                    ...buildEventPayload(),
+                    ...(resubmits && { status: 'pending' }),
+                });
+                const { changesPending, attendeesNotified } = response.data;
+
+                if (resubmits) {
+                    toast.success('Event Resubmitted!', 'Your changes are pending admin approval');
+                } else if (changesPending) {
+                    toast.success('Changes Submitted', 'An admin will review them; the live event stays as it is until then');
+                } else {
+                    toast.success(
+                        'Event Updated',
+                        attendeesNotified
+                            ? `${attendeesNotified} ticket holder(s) were emailed about the change`
+                            : 'Your changes are saved'
+                    );
+                }
+            } else {
+                await eventsAPI.create(buildEventPayload());
+                toast.success('Event Submitted!', 'Your event is pending admin approval');
+            }
+            navigate(isEditing && isAdmin ? '/admin/events' : '/organizer');
         } catch (error) {
-            toast.error('Failed to create event', 'Please try again');
+            toast.error(
+                isEditing ? 'Failed to update event' : 'Failed to create event',
+                error.response?.data?.message || 'Please try again'
+            );
         } finally {
             setIsSubmitting(false);
         }
     };
 
+    if (isLoading) {
+        return (
+            <AnimatedPage className="create-event-page">
+                <div className="container create-event-loading">
+                    <Spinner />
+                </div>
+            </AnimatedPage>
+        );
+    }
+
     return (
         <AnimatedPage className="create-event-page">
             <div className="container">
@@ -191,10 +429,45 @@ const CreateEvent = () => {
                 >
                     {/* Header */}
                     <div className="create-header">
-                        <h1>Create New Event</h1>
-                        <p>Fill in the details to publish your event</p>
+                        <h1>{isEditing ? 'Edit Event' : 'Create New Event'}</h1>
+                        <p>
+                            {isEditing
+                                ? 'Update the details and resubmit your event for approval'
+                                : 'Fill in the details to publish your event'}
+                        </p>
                     </div>
 
+                    {editedEvent?.rejectionReason && (
+                        <div className="rejection-notice">
+                            <FiAlertCircle size={18} />
+                            <div>
+                                <strong>
+                                    {isLive ? 'Your last changes were rejected' : 'Rejected by an admin'}
+                                </strong>
+                                <span>{editedEvent.rejectionReason}</span>
+                            </div>
+                        </div>
+                    )}
+
+                    {needsReview && (
+                        <div className="edit-notice">
+                            <FiInfo size={18} />
+                            <div>
+                                <strong>This event is on sale</strong>
+                                <span>
+                                    Capacity changes apply right away. Anything else goes to an admin for review,
+                                    and the current version stays live until it's approved.
+                                </span>
+                                {editedEvent.pendingChanges && (
+                                    <span>
+                                        Changes you submitted on {formatDateTime(editedEvent.changesSubmittedAt)} are
+                                        in review and shown below; saving replaces them.
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
                     {/* Progress Steps */}
                     <div className="progress-steps">
                         {steps.map((step, index) => (
@@ -287,26 +560,28 @@ const CreateEvent = () => {
                                     </div>
 
                                     <div className="form-group">
-                                        <label className="form-label">Event Image</label>
+                                        <AnimatedInput
+                                            label="Event Image URL"
+                                            type="url"
+                                            name="image"
+                                            value={formData.image}
+                                            onChange={handleChange}
+                                            placeholder="https://..."
+                                            error={errors.image}
+                                            icon={<FiImage size={18} />}
+                                        />
                                         <div className="image-upload">
-                                            <input
-                                                type="file"
-                                                accept="image/*"
-                                                onChange={handleImageChange}
-                                                id="event-image"
-                                                className="image-input"
-                                            />
-                                            <label htmlFor="event-image" className="image-upload-label">
-                                                {formData.imagePreview ? (
-                                                    <img src={formData.imagePreview} alt="Preview" className="image-preview" />
+                                            <div className="image-upload-label">
+                                                {formData.image ? (
+                                                    <img src={formData.image} alt="Preview" className="image-preview" />
                                                 ) : (
                                                     <div className="image-placeholder">
                                                         <FiImage size={32} />
-                                                        <span>Click to upload event image</span>
+                                                        <span>Paste an image URL to preview it</span>
                                                         <span className="image-hint">Recommended: 1200x600px</span>
                                                     </div>
                                                 )}
-                                            </label>
+                                            </div>
                                         </div>
                                     </div>
                                 </motion.div>
@@ -354,6 +629,7 @@ const CreateEvent = () => {
                                                 name="endTime"
                                                 value={formData.endTime}
                                                 onChange={handleChange}
+                                                error={errors.endTime}
                                             />
                                         </div>
                                     </div>
@@ -380,6 +656,19 @@ const CreateEvent = () => {
                                             placeholder="Street address, city, state, zip"
                                         />
                                     </div>
+
+                                    {soldTickets > 0 && scheduleChanged && (
+                                        <div className="edit-notice">
+                                            <FiMail size={18} />
+                                            <div>
+                                                <span>
+                                                    Everyone holding one of the {soldTickets} tickets sold will be
+                                                    emailed the new date, time or venue
+                                                    {needsReview ? ' once an admin approves the change' : ''}.
+                                                </span>
+                                            </div>
+                                        </div>
+                                    )}
                                 </motion.div>
                             )}
 
@@ -394,32 +683,184 @@ const CreateEvent = () => {
                                     animate="center"
                                     exit="exit"
                                 >
-                                    <div className="form-row">
-                                        <div className="form-group">
-                                            <AnimatedInput
-                                                label="Ticket Price"
-                                                type="number"
-                                                name="price"
-                                                value={formData.price}
-                                                onChange={handleChange}
-                                                placeholder="0 for free events"
-                                                icon={<FiDollarSign size={18} />}
-                                            />
-                                            <span className="form-hint">Leave empty or 0 for free events</span>
+                                    {!hasTiers && (
+                                        <div className="form-row">
+                                            <div className="form-group">
+                                                <AnimatedInput
+                                                    label="Ticket Price"
+                                                    type="number"
+                                                    name="price"
+                                                    value={formData.price}
+                                                    onChange={handleChange}
+                                                    placeholder="0 for free events"
+                                                    error={errors.price}
+                                                    icon={<FiDollarSign size={18} />}
+                                                />
+                                                <span className="form-hint">Leave empty or 0 for free events</span>
+                                            </div>
+                                            <div className="form-group">
+                                                <AnimatedInput
+                                                    label="Capacity"
+                                                    type="number"
+                                                    name="capacity"
+                                                    value={formData.capacity}
+                                                    onChange={handleChange}
+                                                    placeholder="Maximum attendees"
+                                                    error={errors.capacity}
+                                                    icon={<FiUsers size={18} />}
+                                                    min={soldTickets || 1}
+                                                    required
+                                                />
+                                                {soldTickets > 0 && (
+                                                    <span className="form-hint">
+                                                        {soldTickets} tickets sold; capacity can't go lower
+                                                    </span>
+                                                )}
+                                            </div>
                                         </div>
-                                        <div className="form-group">
-                                            <AnimatedInput
-                                                label="Capacity"
-                                                type="number"
-                                                name="capacity"
-                                                value={formData.capacity}
-                                                onChange={handleChange}
-                                                placeholder="Maximum attendees"
-                                                error={errors.capacity}
-                                                icon={<FiUsers size={18} />}
-                                                required
-                                            />
+                                    )}
+
+                                    <div className="form-group">
+                                        <label className="form-label">Ticket Types</label>
+                                        <span className="form-hint tier-intro">
+                                            {hasTiers
+                                                ? `Capacity is the total of the ticket types (${tierCapacity}). Leave the sale dates empty to sell until the event starts.`
+                                                : 'Sell one kind of ticket, or add types such as early bird, VIP or student with their own price and stock.'}
+                                        </span>
+                                        {hasTiers && needsReview && (
+                                            <span className="form-hint tier-intro">
+                                                Changes to ticket types go to an admin for review.
+                                            </span>
+                                        )}
+
+                                        {formData.ticketTiers.map((tier, index) => {
+                                            const sold = soldByTier[tier._id] || 0;
+                                            const tierError = (field) => errors[`tiers.${index}.${field}`];
+                                            return (
+                                                <div key={tier.key} className="tier-card">
+                                                    <div className="tier-card-header">
+                                                        <span>
+                                                            {tier.name || `Ticket type ${index + 1}`}
+                                                            {sold > 0 && <span className="tier-sold">{sold} sold</span>}
+                                                        </span>
+                                                        <button
+                                                            type="button"
+                                                            className="tier-remove"
+                                                            onClick={() => removeTier(index)}
+                                                            disabled={sold > 0}
+                                                            title={sold > 0 ? 'Ticket types with sales can\'t be removed' : 'Remove'}
+                                                        >
+                                                            <FiTrash2 size={16} />
+                                                        </button>
+                                                    </div>
+                                                    <div className="form-row">
+                                                        <AnimatedInput
+                                                            label="Name"
+                                                            name="name"
+                                                            value={tier.name}
+                                                            onChange={(e) => handleTierChange(index, e)}
+                                                            placeholder="e.g., Early Bird"
+                                                            error={tierError('name')}
+                                                            required
+                                                        />
+                                                        <AnimatedInput
+                                                            label="Price"
+                                                            type="number"
+                                                            name="price"
+                                                            value={tier.price}
+                                                            onChange={(e) => handleTierChange(index, e)}
+                                                            placeholder="0 for free"
+                                                            error={tierError('price')}
+                                                            icon={<FiDollarSign size={18} />}
+                                                        />
+                                                        <AnimatedInput
+                                                            label="Quantity"
+                                                            type="number"
+                                                            name="quantity"
+                                                            value={tier.quantity}
+                                                            onChange={(e) => handleTierChange(index, e)}
+                                                            error={tierError('quantity')}
+                                                            icon={<FiUsers size={18} />}
+                                                            min={sold || 1}
+                                                            required
+                                                        />
+                                                    </div>
+                                                    <div className="form-row">
+                                                        <AnimatedInput
+                                                            label="Sales Start"
+                                                            type="datetime-local"
+                                                            name="salesStart"
+                                                            value={tier.salesStart}
+                                                            onChange={(e) => handleTierChange(index, e)}
+                                                            error={tierError('salesStart')}
+                                                        />
+                                                        <AnimatedInput
+                                                            label="Sales End"
+                                                            type="datetime-local"
+                                                            name="salesEnd"
+                                                            value={tier.salesEnd}
+                                                            onChange={(e) => handleTierChange(index, e)}
+                                                            error={tierError('salesEnd')}
+                                                        />
+                                                        <div className="tier-limits">
+                                                            <AnimatedInput
+                                                                label="Min / order"
+                                                                type="number"
+                                                                name="minPerOrder"
+                                                                value={tier.minPerOrder}
+                                                                onChange={(e) => handleTierChange(index, e)}
+                                                                error={tierError('minPerOrder')}
+                                                                min={1}
+                                                            />
+                                                            <AnimatedInput
+                                                                label="Max / order"
+                                                                type="number"
+                                                                name="maxPerOrder"
+                                                                value={tier.maxPerOrder}
+                                                                onChange={(e) => handleTierChange(index, e)}
+                                                                error={tierError('maxPerOrder')}
+                                                                max={MAX_TICKETS_PER_ORDER}
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                    <AnimatedInput
+                                                        label="Description"
+                                                        name="description"
+                                                        value={tier.description}
+                                                        onChange={(e) => handleTierChange(index, e)}
+                                                        placeholder="Optional, e.g., Valid student ID required at the door"
+                                                    />
+                                                </div>
+                                            );
+                                        })}
+
+                                        {formData.ticketTiers.length < MAX_TICKET_TIERS && (
+                                            <button type="button" className="tier-add" onClick={addTier}>
+                                                <FiPlus size={16} />
+                                                Add ticket type
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    <div className="form-group">
+                                        <label className="form-label">Refund Policy</label>
+                                        <div className="category-grid">
+                                            {refundOptions.map((preset) => (
+                                                <motion.button
+                                                    key={preset.id}
+                                                    type="button"
+                                                    className={`category-option ${formData.refundPolicy === preset.id ? 'selected' : ''}`}
+                                                    onClick={() => setFormData((prev) => ({ ...prev, refundPolicy: preset.id }))}
+                                                    whileHover={{ scale: 1.02 }}
+                                                    whileTap={{ scale: 0.98 }}
+                                                >
+                                                    {preset.label}
+                                                </motion.button>
+                                            ))}
                                         </div>
+                                        <span className="form-hint">
+                                            {describeRefundPolicy(refundPreset.rules).join(' · ')}
+                                        </span>
                                     </div>
 
                                     {/* Preview Card */}
@@ -427,8 +868,8 @@ const CreateEvent = () => {
                                         <h3>Event Preview</h3>
                                         <div className="preview-card">
                                             <div className="preview-image">
-                                                {formData.imagePreview ? (
-                                                    <img src={formData.imagePreview} alt="Event" />
+                                                {formData.image ? (
+                                                    <img src={formData.image} alt="Event" />
                                                 ) : (
                                                     <div className="preview-placeholder">
                                                         <FiImage size={40} />
@@ -441,7 +882,7 @@ const CreateEvent = () => {
                                                 <p>{formData.date && formData.time ? `${formData.date} at ${formData.time}` : 'Date & Time'}</p>
                                                 <p>{formData.location || 'Venue'}</p>
                                                 <span className="preview-price">
-                                                    {formData.price ? `$${formData.price}` : 'Free'}
+                                                    {previewPrice}
                                                 </span>
                                             </div>
                                         </div>
@@ -481,7 +922,9 @@ const CreateEvent = () => {
                                     loading={isSubmitting}
                                     icon={<FiCheck />}
                                 >
-                                    Submit for Approval
+                                    {!isEditing || resubmits
+                                        ? `${isEditing ? 'Resubmit' : 'Submit'} for Approval`
+                                        : needsReview ? 'Submit Changes' : 'Save Changes'}
                                 </AnimatedButton>
                             )}
                         </div>
@@ -21,85 +21,13 @@ import { Skeleton } from '../components/ui/Skeleton';
 import { useToast } from '../components/ui/Toast';
 import { PaymentModal } from '../components/payment';
 import { useAuth } from '../context/AuthContext';
+import { eventsAPI } from '../services/api';
+import {
+    countSelected, describeRefundPolicy, getInitialSelection, getSelectionTotal, getTicketOptions, stepSelection
+} from '../services/eventService';
 import './EventDetails.css';
 
-// Sample events data (expanded from Events.js to include details)
-const staticEvents = [
-    {
-        id: 1,
-        title: 'Tech Innovation Summit 2026',
-        description: `Join industry leaders and innovators for a transformative day of insights, networking, and inspiration. The Tech Innovation Summit brings together the brightest minds in technology to explore the future of digital transformation.
-        
-This year's summit features keynote speeches from Fortune 500 executives, hands-on workshops, and exclusive networking opportunities. Whether you're a startup founder, enterprise leader, or technology enthusiast, you'll gain valuable insights to drive innovation in your organization.`,
-        date: '2026-03-15',
-        time: '9:00 AM - 6:00 PM',
-        location: 'Moscone Center, San Francisco, CA',
-        category: 'Technology',
-        price: 299,
-        attendees: 2500,
-        capacity: 3000,
-        image: 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=1200',
-        organizer: {
-            name: 'TechEvents Inc.',
-            avatar: 'https://images.unsplash.com/photo-1560179707-f14e90ef3623?w=100',
-            events: 45,
-        },
-        highlights: [
-            'Keynote speeches from industry leaders',
-            'Hands-on workshops and demos',
-            'Exclusive networking sessions',
-            'Swag bags for all attendees',
-            'Catered lunch and refreshments',
-        ],
-        schedule: [
-            { time: '9:00 AM', title: 'Registration & Networking Breakfast' },
-            { time: '10:00 AM', title: 'Opening Keynote: Future of AI' },
-            { time: '11:30 AM', title: 'Workshop Sessions (Choose 1 of 3)' },
-            { time: '1:00 PM', title: 'Networking Lunch' },
-            { time: '2:30 PM', title: 'Panel Discussion: Tech Leadership' },
-            { time: '4:00 PM', title: 'Closing Keynote & Awards' },
-            { time: '5:30 PM', title: 'Evening Reception' },
-        ],
-    },
-    {
-        id: 2,
-        title: 'Sunset Music Festival',
-        description: 'Experience three days of incredible live music performances from world-class artists at the beautiful coastal venue.',
-        date: '2026-04-20',
-        time: '4:00 PM - 11:00 PM',
-        location: 'Broad Beach, Los Angeles, CA',
-        category: 'Music',
-        price: 150,
-        attendees: 15000,
-        capacity: 20000,
-        image: 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=1200',
-        organizer: {
-            name: 'Vibe Nation',
-            avatar: 'https://images.unsplash.com/photo-1531427186611-ecfd6d936c79?w=100',
-            events: 120,
-        }
-    },
-    {
-        id: 3,
-        title: 'Startup Pitch Competition',
-        description: 'Watch innovative startups compete for funding and mentorship opportunities in front of top-tier VCs.',
-        date: '2026-03-28',
-        time: '10:00 AM - 4:00 PM',
-        location: 'Tech Hub, New York, NY',
-        category: 'Business',
-        price: 0,
-        attendees: 320,
-        capacity: 500,
-        image: 'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=1200',
-        organizer: {
-            name: 'NYC Founders',
-            avatar: 'https://images.unsplash.com/photo-1573497019940-1c28c88b4f3e?w=100',
-            events: 12,
-        }
-    }
-];
-
-// Default data for new user-created events
+// Presentation extras the backend doesn't store yet
 const defaultEventExtras = {
     organizer: {
         name: 'Community Organizer',
@@ -121,6 +49,40 @@ const defaultEventExtras = {
     ]
 };
 
+// Labels for events that can't be booked yet (or anymore)
+const statusLabels = {
+    draft: 'Draft',
+    pending: 'Pending Approval',
+    rejected: 'Rejected',
+    cancelled: 'Cancelled',
+};
+
+// Default image for events without one
+const fallbackImage = 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=1200';
+
+const formatTime = (dateString) =>
+    new Date(dateString).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+// Map an API event onto the shape this page renders (price arrives in paise)
+const toEventView = (data) => ({
+    ...defaultEventExtras,
+    ...data,
+    id: data._id,
+    time: data.endDate
+        ? `${formatTime(data.date)} - ${formatTime(data.endDate)}`
+        : formatTime(data.date),
+    location: data.address ? `${data.location}, ${data.address}` : data.location,
+    image: data.image || fallbackImage,
+    price: (data.price || 0) / 100,
+    // Ticket types on offer, or a single general admission ticket
+    ticketOptions: getTicketOptions(data),
+    attendees: data.seatsBooked || 0,
+    organizer: {
+        ...defaultEventExtras.organizer,
+        name: data.createdBy?.name || defaultEventExtras.organizer.name,
+    },
+});
+
 // Animation variants
 const fadeInUp = {
     initial: { opacity: 0, y: 30 },
@@ -145,11 +107,11 @@ const EventDetails = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const { toast } = useToast();
-    const { user, isAuthenticated } = useAuth();
+    const { user, isAuthenticated, verificationRequired } = useAuth();
 
     const [event, setEvent] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [ticketCount, setTicketCount] = useState(1);
+    const [selection, setSelection] = useState({});
     const [isLiked, setIsLiked] = useState(false);
     const [isPaymentOpen, setIsPaymentOpen] = useState(false);
 
@@ -160,44 +122,26 @@ const EventDetails = () => {
 
     // Load event data
     useEffect(() => {
+        let cancelled = false;
         setLoading(true);
-        const timer = setTimeout(() => {
-            // Check static events
-            let foundEvent = staticEvents.find(e => e.id.toString() === id.toString());
-
-            // If not found, check approved events in localStorage
-            if (!foundEvent) {
-                const approvedEvents = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-                foundEvent = approvedEvents.find(e => e.id.toString() === id.toString());
-
-                // If found in localStorage, merge with default extras
-                if (foundEvent) {
-                    foundEvent = {
-                        ...defaultEventExtras,
-                        ...foundEvent,
-                        time: foundEvent.time || '9:00 AM - 5:00 PM'
-                    };
-                }
-            }
-
-            // Also check pending events if the user is the creator or an admin
-            if (!foundEvent) {
-                const pendingEvents = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-                foundEvent = pendingEvents.find(e => e.id.toString() === id.toString());
-                if (foundEvent) {
-                    foundEvent = {
-                        ...defaultEventExtras,
-                        ...foundEvent,
-                        time: foundEvent.time || '9:00 AM - 5:00 PM'
-                    };
-                }
-            }
-
-            setEvent(foundEvent);
-            setLoading(false);
-        }, 800);
-
-        return () => clearTimeout(timer);
+
+        eventsAPI.getById(id)
+            .then((response) => {
+                if (cancelled) return;
+                const view = toEventView(response.data.data);
+                setEvent(view);
+                setSelection(getInitialSelection(view.ticketOptions));
+            })
+            .catch(() => {
+                if (!cancelled) setEvent(null);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
     }, [id]);
 
     // Open payment modal
@@ -207,6 +151,10 @@ const EventDetails = () => {
             navigate('/login', { state: { from: `/events/${id}` } });
             return;
         }
+        if (verificationRequired) {
+            toast.error('Verify your email', 'Confirm your email address to book tickets');
+            return;
+        }
         setIsPaymentOpen(true);
     };
 
@@ -268,8 +216,20 @@ const EventDetails = () => {
         );
     }
 
-    const spotsLeft = event.capacity - event.attendees;
-    const totalPrice = event.price * ticketCount;
+    // Seats left come from the server, which reserves them atomically on booking
+    const spotsLeft = event.seatsAvailable ?? null;
+    const isSoldOut = spotsLeft === 0;
+    const hasTiers = event.ticketTiers?.length > 0;
+    const isOnSale = event.ticketOptions.some((option) => option.onSale);
+    const isAllFree = event.ticketOptions.every((option) => option.price === 0);
+    const ticketCount = countSelected(selection);
+    const totalPrice = getSelectionTotal(event.ticketOptions, selection);
+
+    let bookingLabel = 'Book Now';
+    if (event.status !== 'approved') bookingLabel = statusLabels[event.status];
+    else if (isSoldOut) bookingLabel = 'Sold Out';
+    else if (!isOnSale) bookingLabel = 'Not On Sale';
+    else if (ticketCount === 0) bookingLabel = 'Select Tickets';
 
     return (
         <AnimatedPage className="event-details-page">
@@ -328,7 +288,7 @@ const EventDetails = () => {
                             <motion.div variants={fadeInUp}>
                                 <span className="event-category">{event.category}</span>
                                 <h1 className="event-title">{event.title}</h1>
-                                {event.status === 'pending' && (
+                                {event.status !== 'approved' && statusLabels[event.status] && (
                                     <span style={{
                                         padding: '4px 12px',
                                         background: 'rgba(245, 158, 11, 0.15)',
@@ -337,9 +297,12 @@ const EventDetails = () => {
                                         borderRadius: '20px',
                                         fontWeight: '600'
                                     }}>
-                                        Pending Approval
+                                        {statusLabels[event.status]}
                                     </span>
                                 )}
+                                {event.status === 'rejected' && event.rejectionReason && (
+                                    <p className="booking-note">Rejected: {event.rejectionReason}</p>
+                                )}
                             </motion.div>
 
                             {/* Meta info */}
@@ -434,43 +397,68 @@ const EventDetails = () => {
                         >
                             <div className="booking-card">
                                 <div className="booking-price">
-                                    <span className="price-label">Price per ticket</span>
+                                    <span className="price-label">{hasTiers ? 'Tickets from' : 'Price per ticket'}</span>
                                     <span className="price-value">
                                         {event.price === 0 ? 'Free' : `₹${event.price}`}
                                     </span>
                                 </div>
 
-                                <div className="booking-availability">
-                                    <span className={`spots-badge ${spotsLeft < 100 ? 'low' : ''}`}>
-                                        {spotsLeft} spots left
-                                    </span>
-                                </div>
+                                {spotsLeft !== null && (
+                                    <div className="booking-availability">
+                                        <span className={`spots-badge ${spotsLeft < 100 ? 'low' : ''}`}>
+                                            {isSoldOut ? 'Sold out' : `${spotsLeft} spots left`}
+                                        </span>
+                                    </div>
+                                )}
 
-                                <div className="ticket-selector">
-                                    <span className="selector-label">Number of tickets</span>
-                                    <div className="selector-controls">
-                                        <button
-                                            className="selector-btn"
-                                            onClick={() => setTicketCount(Math.max(1, ticketCount - 1))}
-                                            disabled={ticketCount <= 1}
+                                {event.ticketOptions.map((option) => {
+                                    const count = selection[option.id] || 0;
+                                    return (
+                                        <div
+                                            key={option.id}
+                                            className={`ticket-selector ${option.onSale ? '' : 'unavailable'}`}
                                         >
-                                            <FiMinus />
-                                        </button>
-                                        <span className="ticket-count">{ticketCount}</span>
-                                        <button
-                                            className="selector-btn"
-                                            onClick={() => setTicketCount(Math.min(10, ticketCount + 1))}
-                                            disabled={ticketCount >= 10}
-                                        >
-                                            <FiPlus />
-                                        </button>
-                                    </div>
-                                </div>
+                                            {hasTiers ? (
+                                                <div className="selector-tier">
+                                                    <span className="selector-tier-name">{option.name}</span>
+                                                    <span className="selector-tier-price">
+                                                        {option.price === 0 ? 'Free' : `₹${option.price}`}
+                                                    </span>
+                                                    {option.description && (
+                                                        <span className="selector-tier-description">{option.description}</span>
+                                                    )}
+                                                    {option.note && (
+                                                        <span className="selector-tier-note">{option.note}</span>
+                                                    )}
+                                                </div>
+                                            ) : (
+                                                <span className="selector-label">Number of tickets</span>
+                                            )}
+                                            <div className="selector-controls">
+                                                <button
+                                                    className="selector-btn"
+                                                    onClick={() => setSelection(stepSelection(option, selection, -1))}
+                                                    disabled={count <= (hasTiers ? 0 : 1)}
+                                                >
+                                                    <FiMinus />
+                                                </button>
+                                                <span className="ticket-count">{count}</span>
+                                                <button
+                                                    className="selector-btn"
+                                                    onClick={() => setSelection(stepSelection(option, selection, 1))}
+                                                    disabled={stepSelection(option, selection, 1) === selection}
+                                                >
+                                                    <FiPlus />
+                                                </button>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
 
                                 <div className="booking-total">
                                     <span>Total</span>
                                     <span className="total-value">
-                                        {event.price === 0 ? 'Free' : `₹${totalPrice}`}
+                                        {totalPrice === 0 && isAllFree ? 'Free' : `₹${totalPrice}`}
                                     </span>
                                 </div>
 
@@ -479,13 +467,15 @@ const EventDetails = () => {
                                     size="lg"
                                     fullWidth
                                     onClick={handleBooking}
-                                    disabled={event.status === 'pending'}
+                                    disabled={bookingLabel !== 'Book Now'}
                                 >
-                                    {event.status === 'pending' ? 'Pending Approval' : 'Book Now'}
+                                    {bookingLabel}
                                 </AnimatedButton>
 
                                 <p className="booking-note">
-                                    Free cancellation up to 24 hours before the event
+                                    {isAllFree
+                                        ? 'Cancel any time before the event starts'
+                                        : describeRefundPolicy(event.refundPolicy).join(' · ')}
                                 </p>
                             </div>
                         </motion.div>
@@ -498,6 +488,7 @@ const EventDetails = () => {
                 isOpen={isPaymentOpen}
                 onClose={() => setIsPaymentOpen(false)}
                 event={event}
+                initialSelection={selection}
                 onPaymentSuccess={handlePaymentSuccess}
                 user={user || {
                     name: 'Guest User',
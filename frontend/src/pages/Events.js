@@ -2,124 +2,24 @@
  * Events Page
  * 
  * Full events listing with:
- * - Advanced filtering
- * - Search functionality
+ * - Server-side search, filters, sorting and pagination
+ * - Filters mirrored in the URL query string
  * - Category tabs with animations
  * - Event cards with hover effects
  */
 
 import { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
-import { FiSearch, FiFilter, FiMapPin, FiCalendar, FiGrid, FiList } from 'react-icons/fi';
+import { useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiSearch, FiFilter, FiGrid, FiList } from 'react-icons/fi';
 import { AnimatedPage } from '../components/animations/PageTransition';
 import EventCard from '../components/ui/EventCard';
 import { EventGridSkeleton } from '../components/ui/Skeleton';
 import AnimatedButton from '../components/ui/AnimatedButton';
+import { eventsAPI } from '../services/api';
+import { toEventCardProps, toMinorUnits } from '../services/eventService';
 import './Events.css';
 
-// Sample events data
-const staticEvents = [
-    {
-        id: 1,
-        title: 'Tech Innovation Summit 2026',
-        description: 'Join industry leaders for a day of insights into the future of technology and innovation.',
-        date: '2026-03-15',
-        location: 'San Francisco, CA',
-        category: 'Technology',
-        price: 299,
-        attendees: 2500,
-        image: 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800',
-    },
-    {
-        id: 2,
-        title: 'Sunset Music Festival',
-        description: 'Experience three days of incredible live music performances from world-class artists.',
-        date: '2026-04-20',
-        location: 'Los Angeles, CA',
-        category: 'Music',
-        price: 150,
-        attendees: 15000,
-        image: 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=800',
-    },
-    {
-        id: 3,
-        title: 'Startup Pitch Competition',
-        description: 'Watch innovative startups compete for funding and mentorship opportunities.',
-        date: '2026-03-28',
-        location: 'New York, NY',
-        category: 'Business',
-        price: 0,
-        attendees: 500,
-        image: 'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=800',
-    },
-    {
-        id: 4,
-        title: 'Art & Design Expo',
-        description: 'Explore contemporary art installations and connect with creative minds from around the world.',
-        date: '2026-05-10',
-        location: 'Chicago, IL',
-        category: 'Arts',
-        price: 45,
-        attendees: 3000,
-        image: 'https://images.unsplash.com/photo-1531243269054-5ebf6f34081e?w=800',
-    },
-    {
-        id: 5,
-        title: 'Marathon Championship',
-        description: 'Join thousands of runners in this prestigious annual marathon event.',
-        date: '2026-04-05',
-        location: 'Boston, MA',
-        category: 'Sports',
-        price: 75,
-        attendees: 30000,
-        image: 'https://images.unsplash.com/photo-1452626038306-9aae5e071dd3?w=800',
-    },
-    {
-        id: 6,
-        title: 'AI & Machine Learning Conference',
-        description: 'Deep dive into the latest developments in artificial intelligence and machine learning.',
-        date: '2026-06-15',
-        location: 'Seattle, WA',
-        category: 'Technology',
-        price: 399,
-        attendees: 1200,
-        image: 'https://images.unsplash.com/photo-1485827404703-89b55fcc595e?w=800',
-    },
-    {
-        id: 7,
-        title: 'Jazz Night Live',
-        description: 'An evening of smooth jazz performances featuring renowned artists.',
-        date: '2026-03-22',
-        location: 'New Orleans, LA',
-        category: 'Music',
-        price: 65,
-        attendees: 800,
-        image: 'https://images.unsplash.com/photo-1514320291840-2e0a9bf2a9ae?w=800',
-    },
-    {
-        id: 8,
-        title: 'Leadership Summit',
-        description: 'Learn from world-class leaders and executives about building successful organizations.',
-        date: '2026-04-12',
-        location: 'Miami, FL',
-        category: 'Business',
-        price: 499,
-        attendees: 1500,
-        image: 'https://images.unsplash.com/photo-1475721027785-f74eccf877e2?w=800',
-    },
-    {
-        id: 9,
-        title: 'Food & Wine Festival',
-        description: 'Taste exquisite cuisines and fine wines from around the world.',
-        date: '2026-05-25',
-        location: 'Napa Valley, CA',
-        category: 'Food',
-        price: 125,
-        attendees: 5000,
-        image: 'https://images.unsplash.com/photo-1414235077428-338989a2e8c0?w=800',
-    },
-];
-
 // Categories
 const categoriesList = [
     { id: 'all', label: 'All', icon: FiGrid },
@@ -131,6 +31,32 @@ const categoriesList = [
     { id: 'food', label: 'Food', icon: FiGrid },
 ];
 
+// Sort options understood by GET /api/events
+const sortOptions = [
+    { id: 'date', label: 'Soonest first' },
+    { id: '-date', label: 'Latest first' },
+    { id: 'price', label: 'Price: low to high' },
+    { id: '-price', label: 'Price: high to low' },
+    { id: 'newest', label: 'Recently added' },
+];
+
+// URL params that narrow the results (page size and sort excluded)
+const filterKeys = ['q', 'category', 'from', 'to', 'minPrice', 'maxPrice', 'location', 'free'];
+
+const PAGE_SIZE = 12;
+
+// Build API params from the URL; prices in the URL are rupees, the API wants paise
+const toApiParams = (searchParams, page) => {
+    const params = { page, limit: PAGE_SIZE };
+    searchParams.forEach((value, key) => {
+        if (!value) return;
+        if (key === 'minPrice' || key === 'maxPrice') params[key] = toMinorUnits(value);
+        else if (key === 'to') params.to = `${value}T23:59:59`; // inclusive end day
+        else params[key] = value;
+    });
+    return params;
+};
+
 // Animation variants
 const headerVariants = {
     hidden: { opacity: 0, y: -20 },
@@ -166,40 +92,80 @@ const itemVariants = {
 };
 
 const Events = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
     const [events, setEvents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [pages, setPages] = useState(1);
     const [loading, setLoading] = useState(true);
-    const [activeCategory, setActiveCategory] = useState('all');
-    const [searchQuery, setSearchQuery] = useState('');
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
     const [viewMode, setViewMode] = useState('grid'); // grid or list
     const [showFilters, setShowFilters] = useState(false);
 
-    // Simulate loading events
+    const activeCategory = searchParams.get('category') || 'all';
+    const searchQuery = searchParams.get('q') || '';
+    const hasFilters = filterKeys.some((key) => searchParams.get(key));
+    const paramsKey = searchParams.toString();
+
+    // Update one or more URL params; empty values are removed
+    const updateParams = (updates) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(updates).forEach(([key, value]) => {
+            if (value === '' || value === null || value === undefined || value === 'all') next.delete(key);
+            else next.set(key, value);
+        });
+        setSearchParams(next, { replace: true });
+    };
+
+    const clearFilters = () => {
+        const next = new URLSearchParams(searchParams);
+        filterKeys.forEach((key) => next.delete(key));
+        setSearchParams(next, { replace: true });
+    };
+
+    // Fetch the first page whenever the URL changes (debounced for typing)
     useEffect(() => {
+        let cancelled = false;
         setLoading(true);
-        const timer = setTimeout(() => {
-            // Load approved events from localStorage
-            const approvedEvents = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-            setEvents([...staticEvents, ...approvedEvents]);
-            setLoading(false);
-        }, 1000);
 
-        return () => clearTimeout(timer);
-    }, []);
+        const timer = setTimeout(async () => {
+            try {
+                const response = await eventsAPI.getAll(toApiParams(new URLSearchParams(paramsKey), 1));
+                if (cancelled) return;
+                setEvents(response.data.data.map(toEventCardProps));
+                setTotal(response.data.total);
+                setPages(response.data.pagination.pages);
+                setPage(1);
+                setError(null);
+            } catch (err) {
+                if (cancelled) return;
+                setEvents([]);
+                setTotal(0);
+                setError(err.response?.data?.message || 'Could not load events');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }, 300);
 
-    // Filter events
-    const filteredEvents = events.filter((event) => {
-        const matchesCategory = activeCategory === 'all' ||
-            event.category.toLowerCase() === activeCategory;
-        const matchesSearch = !searchQuery ||
-            event.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            event.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            event.location.toLowerCase().includes(searchQuery.toLowerCase());
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [paramsKey]);
 
-        return matchesCategory && matchesSearch;
-    });
-
-    const handleEventClick = (eventId) => {
-        console.log('Navigate to event:', eventId);
+    const loadMore = async () => {
+        setLoadingMore(true);
+        try {
+            const response = await eventsAPI.getAll(toApiParams(searchParams, page + 1));
+            setEvents((prev) => [...prev, ...response.data.data.map(toEventCardProps)]);
+            setPages(response.data.pagination.pages);
+            setPage(page + 1);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load more events');
+        } finally {
+            setLoadingMore(false);
+        }
     };
 
     return (
@@ -235,7 +201,7 @@ const Events = () => {
                                 type="text"
                                 placeholder="Search events..."
                                 value={searchQuery}
-                                onChange={(e) => setSearchQuery(e.target.value)}
+                                onChange={(e) => updateParams({ q: e.target.value })}
                                 className="search-input"
                             />
                         </div>
@@ -246,7 +212,7 @@ const Events = () => {
                                 <motion.button
                                     key={category.id}
                                     className={`category-tab ${activeCategory === category.id ? 'active' : ''}`}
-                                    onClick={() => setActiveCategory(category.id)}
+                                    onClick={() => updateParams({ category: category.id })}
                                     whileHover={{ scale: 1.05 }}
                                     whileTap={{ scale: 0.95 }}
                                 >
@@ -288,6 +254,84 @@ const Events = () => {
                             </AnimatedButton>
                         </div>
                     </div>
+
+                    {/* Advanced filters */}
+                    <AnimatePresence>
+                        {showFilters && (
+                            <motion.div
+                                className="advanced-filters"
+                                initial={{ opacity: 0, height: 0 }}
+                                animate={{ opacity: 1, height: 'auto' }}
+                                exit={{ opacity: 0, height: 0 }}
+                            >
+                                <label className="filter-field">
+                                    <span>From</span>
+                                    <input
+                                        type="date"
+                                        value={searchParams.get('from') || ''}
+                                        onChange={(e) => updateParams({ from: e.target.value })}
+                                    />
+                                </label>
+                                <label className="filter-field">
+                                    <span>To</span>
+                                    <input
+                                        type="date"
+                                        value={searchParams.get('to') || ''}
+                                        onChange={(e) => updateParams({ to: e.target.value })}
+                                    />
+                                </label>
+                                <label className="filter-field">
+                                    <span>Location</span>
+                                    <input
+                                        type="text"
+                                        placeholder="City or venue"
+                                        value={searchParams.get('location') || ''}
+                                        onChange={(e) => updateParams({ location: e.target.value })}
+                                    />
+                                </label>
+                                <label className="filter-field">
+                                    <span>Min price (₹)</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={searchParams.get('minPrice') || ''}
+                                        disabled={searchParams.get('free') === 'true'}
+                                        onChange={(e) => updateParams({ minPrice: e.target.value })}
+                                    />
+                                </label>
+                                <label className="filter-field">
+                                    <span>Max price (₹)</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={searchParams.get('maxPrice') || ''}
+                                        disabled={searchParams.get('free') === 'true'}
+                                        onChange={(e) => updateParams({ maxPrice: e.target.value })}
+                                    />
+                                </label>
+                                <label className="filter-field">
+                                    <span>Sort by</span>
+                                    <select
+                                        value={searchParams.get('sort') || ''}
+                                        onChange={(e) => updateParams({ sort: e.target.value })}
+                                    >
+                                        <option value="">{searchQuery ? 'Best match' : 'Soonest first'}</option>
+                                        {sortOptions.map((option) => (
+                                            <option key={option.id} value={option.id}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="filter-checkbox">
+                                    <input
+                                        type="checkbox"
+                                        checked={searchParams.get('free') === 'true'}
+                                        onChange={(e) => updateParams({ free: e.target.checked ? 'true' : '' })}
+                                    />
+                                    <span>Free events only</span>
+                                </label>
+                            </motion.div>
+                        )}
+                    </AnimatePresence>
                 </div>
             </motion.div>
 
@@ -302,14 +346,14 @@ const Events = () => {
                         transition={{ delay: 0.3 }}
                     >
                         <span className="results-count">
-                            {loading ? 'Loading...' : `${filteredEvents.length} events found`}
+                            {loading ? 'Loading...' : error || `${total} events found`}
                         </span>
-                        {activeCategory !== 'all' && (
+                        {hasFilters && (
                             <button
                                 className="clear-filter"
-                                onClick={() => setActiveCategory('all')}
+                                onClick={clearFilters}
                             >
-                                Clear filter
+                                Clear filters
                             </button>
                         )}
                     </motion.div>
@@ -317,20 +361,17 @@ const Events = () => {
                     {/* Events grid */}
                     {loading ? (
                         <EventGridSkeleton count={6} />
-                    ) : filteredEvents.length > 0 ? (
+                    ) : events.length > 0 ? (
                         <motion.div
                             className={`events-grid ${viewMode === 'list' ? 'list-view' : ''}`}
                             variants={containerVariants}
                             initial="hidden"
                             animate="visible"
-                            key={activeCategory + searchQuery}
+                            key={paramsKey}
                         >
-                            {filteredEvents.map((event) => (
+                            {events.map((event) => (
                                 <motion.div key={event.id} variants={itemVariants} layout>
-                                    <EventCard
-                                        {...event}
-                                        onClick={handleEventClick}
-                                    />
+                                    <EventCard {...event} />
                                 </motion.div>
                             ))}
                         </motion.div>
@@ -345,10 +386,7 @@ const Events = () => {
                             <p>Try adjusting your search or filter criteria</p>
                             <AnimatedButton
                                 variant="secondary"
-                                onClick={() => {
-                                    setActiveCategory('all');
-                                    setSearchQuery('');
-                                }}
+                                onClick={clearFilters}
                             >
                                 Clear all filters
                             </AnimatedButton>
@@ -356,14 +394,14 @@ const Events = () => {
                     )}
 
                     {/* Load more */}
-                    {!loading && filteredEvents.length > 0 && (
+                    {!loading && page < pages && (
                         <motion.div
                             className="load-more-section"
                             initial={{ opacity: 0 }}
                             animate={{ opacity: 1 }}
                             transition={{ delay: 0.5 }}
                         >
-                            <AnimatedButton variant="secondary">
+                            <AnimatedButton variant="secondary" onClick={loadMore} loading={loadingMore}>
                                 Load More Events
                             </AnimatedButton>
                         </motion.div>
@@ -0,0 +1,139 @@
+/**
+ * Forgot Password Page
+ *
+ * Asks for the account email and sends a password reset link. The server
+ * answers the same way whether or not the account exists.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiMail, FiSend } from 'react-icons/fi';
+import { AnimatedPage } from '../components/animations/PageTransition';
+import AnimatedInput from '../components/ui/AnimatedInput';
+import AnimatedButton from '../components/ui/AnimatedButton';
+import { useToast } from '../components/ui/Toast';
+import { authAPI } from '../services/api';
+import './Auth.css';
+
+// Form animation variants
+const formVariants = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: {
+      staggerChildren: 0.1,
+      delayChildren: 0.2,
+    },
+  },
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.4, ease: [0.25, 0.46, 0.45, 0.94] },
+  },
+};
+
+const ForgotPassword = () => {
+  const { toast } = useToast();
+
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSentTo(email);
+    } catch (err) {
+      toast.error('Request Failed', err.response?.data?.message || 'Please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AnimatedPage className="auth-page">
+      <div className="auth-container">
+        <motion.div
+          className="auth-card"
+          variants={formVariants}
+          initial="hidden"
+          animate="visible"
+        >
+          {sentTo ? (
+            <motion.div className="auth-header" variants={itemVariants}>
+              <h1>Check your inbox</h1>
+              <p>
+                If an account exists for {sentTo}, we've sent a link to reset
+                your password. It expires shortly and can only be used once.
+              </p>
+            </motion.div>
+          ) : (
+            <>
+              {/* Header */}
+              <motion.div className="auth-header" variants={itemVariants}>
+                <h1>Forgot password?</h1>
+                <p>Enter your email and we'll send you a reset link</p>
+              </motion.div>
+
+              {/* Form */}
+              <form onSubmit={handleSubmit} className="auth-form">
+                <motion.div variants={itemVariants}>
+                  <AnimatedInput
+                    label="Email"
+                    type="email"
+                    name="email"
+                    value={email}
+                    onChange={handleChange}
+                    error={error}
+                    icon={<FiMail />}
+                    placeholder="you@example.com"
+                  />
+                </motion.div>
+
+                <motion.div variants={itemVariants}>
+                  <AnimatedButton
+                    type="submit"
+                    variant="primary"
+                    fullWidth
+                    loading={isLoading}
+                    icon={<FiSend />}
+                  >
+                    Send Reset Link
+                  </AnimatedButton>
+                </motion.div>
+              </form>
+            </>
+          )}
+
+          {/* Footer */}
+          <motion.p className="auth-footer" variants={itemVariants}>
+            Remembered it?{' '}
+            <Link to="/login">Back to sign in</Link>
+          </motion.p>
+        </motion.div>
+      </div>
+    </AnimatedPage>
+  );
+};
+
+export default ForgotPassword;
@@ -7,83 +7,19 @@
  * - Feature highlights
  */
 
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Hero from '../components/sections/Hero';
 import EventGrid from '../components/sections/EventGrid';
 import { AnimatedPage } from '../components/animations/PageTransition';
 import AnimatedButton from '../components/ui/AnimatedButton';
 import { FiZap, FiShield, FiGlobe, FiArrowRight } from 'react-icons/fi';
+import { eventsAPI } from '../services/api';
+import { toEventCardProps } from '../services/eventService';
 import './Home.css';
 
-// Sample events data
-const sampleEvents = [
-    {
-        id: 1,
-        title: 'Tech Innovation Summit 2026',
-        description: 'Join industry leaders for a day of insights into the future of technology and innovation.',
-        date: '2026-03-15',
-        location: 'San Francisco, CA',
-        category: 'Technology',
-        price: 299,
-        attendees: 2500,
-        image: 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800',
-    },
-    {
-        id: 2,
-        title: 'Sunset Music Festival',
-        description: 'Experience three days of incredible live music performances from world-class artists.',
-        date: '2026-04-20',
-        location: 'Los Angeles, CA',
-        category: 'Music',
-        price: 150,
-        attendees: 15000,
-        image: 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=800',
-    },
-    {
-        id: 3,
-        title: 'Startup Pitch Competition',
-        description: 'Watch innovative startups compete for funding and mentorship opportunities.',
-        date: '2026-03-28',
-        location: 'New York, NY',
-        category: 'Business',
-        price: 0,
-        attendees: 500,
-        image: 'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=800',
-    },
-    {
-        id: 4,
-        title: 'Art & Design Expo',
-        description: 'Explore contemporary art installations and connect with creative minds from around the world.',
-        date: '2026-05-10',
-        location: 'Chicago, IL',
-        category: 'Arts',
-        price: 45,
-        attendees: 3000,
-        image: 'https://images.unsplash.com/photo-1531243269054-5ebf6f34081e?w=800',
-    },
-    {
-        id: 5,
-        title: 'Marathon Championship',
-        description: 'Join thousands of runners in this prestigious annual marathon event.',
-        date: '2026-04-05',
-        location: 'Boston, MA',
-        category: 'Sports',
-        price: 75,
-        attendees: 30000,
-        image: 'https://images.unsplash.com/photo-1452626038306-9aae5e071dd3?w=800',
-    },
-    {
-        id: 6,
-        title: 'AI & Machine Learning Conference',
-        description: 'Deep dive into the latest developments in artificial intelligence and machine learning.',
-        date: '2026-06-15',
-        location: 'Seattle, WA',
-        category: 'Technology',
-        price: 399,
-        attendees: 1200,
-        image: 'https://images.unsplash.com/photo-1485827404703-89b55fcc595e?w=800',
-    },
-];
+// Number of upcoming events featured on the landing page
+const FEATURED_COUNT = 6;
 
 // Features data
 const features = [
@@ -119,10 +55,36 @@ const featureVariants = {
 };
 
 const Home = () => {
-    const handleEventClick = (eventId) => {
-        console.log('Clicked event:', eventId);
-        // Navigate to event details
-    };
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filters, setFilters] = useState({ q: '', category: '' });
+
+    // Fetch upcoming events matching the grid's search and category
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await eventsAPI.getAll({
+                    from: new Date().toISOString(),
+                    limit: FEATURED_COUNT,
+                    ...(filters.q && { q: filters.q }),
+                    ...(filters.category && { category: filters.category }),
+                });
+                if (!cancelled) setEvents(response.data.data.map(toEventCardProps));
+            } catch (error) {
+                if (!cancelled) setEvents([]);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [filters]);
 
     return (
         <AnimatedPage className="home-page">
@@ -131,8 +93,9 @@ const Home = () => {
 
             {/* Events Section */}
             <EventGrid
-                events={sampleEvents}
-                onEventClick={handleEventClick}
+                events={events}
+                loading={loading}
+                onFiltersChange={setFilters}
             />
 
             {/* Features Section */}
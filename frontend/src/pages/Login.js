@@ -5,13 +5,14 @@
  * - Animated input fields
  * - Form validation with error animations
  * - Auth context integration
+ * - Two-factor challenge step
  * - Social login options
  */
 
 import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FiMail, FiLock, FiArrowRight } from 'react-icons/fi';
+import { FiMail, FiLock, FiArrowRight, FiShield } from 'react-icons/fi';
 import { AnimatedPage } from '../components/animations/PageTransition';
 import AnimatedInput from '../components/ui/AnimatedInput';
 import AnimatedButton from '../components/ui/AnimatedButton';
@@ -44,7 +45,7 @@ const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { toast } = useToast();
-  const { login, demoLogin, isAuthenticated } = useAuth();
+  const { login, completeTwoFactorLogin, isAuthenticated } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -53,6 +54,11 @@ const Login = () => {
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
+  // Second step when the account has 2FA on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
@@ -102,9 +108,9 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
 
       if (result.success) {
-        toast.success('Welcome back!', `Logged in as ${result.user.name}`);
-        const from = location.state?.from?.pathname || '/';
-        navigate(from, { replace: true });
+        finishLogin(result.user);
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         toast.error('Login Failed', result.error || 'Invalid credentials');
       }
@@ -115,24 +121,126 @@ const Login = () => {
     }
   };
 
-  // Demo login for testing
-  const handleDemoLogin = async (role) => {
+  const finishLogin = (user, message) => {
+    // Roles covered by the 2FA policy have to enrol before anything else
+    if (user.twoFactorSetupRequired) {
+      toast.error('Two-factor required', `Turn on two-factor authentication to use your ${user.role} account`);
+      navigate('/account/security', { replace: true });
+      return;
+    }
+
+    toast.success('Welcome back!', message && message !== 'Login successful' ? message : `Logged in as ${user.name}`);
+    const from = location.state?.from?.pathname || '/';
+    navigate(from, { replace: true });
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ twoFactorCode: useRecoveryCode ? 'Enter a recovery code' : 'Enter the 6-digit code' });
+      return;
+    }
+
     setIsLoading(true);
 
-    try {
-      const result = await demoLogin(role);
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() }
+    );
 
-      if (result.success) {
-        toast.success('Demo Login', `Logged in as ${result.user.name}`);
-        navigate(role === 'admin' ? '/admin' : '/');
-      }
-    } catch (error) {
-      toast.error('Demo Login Failed', 'Please try again');
-    } finally {
-      setIsLoading(false);
+    setIsLoading(false);
+
+    if (result.success) {
+      finishLogin(result.user, result.message);
+    } else if (result.challengeExpired) {
+      toast.error('Sign-in expired', 'Please enter your password again');
+      resetChallenge();
+    } else {
+      setErrors({ twoFactorCode: result.error });
     }
   };
 
+  const resetChallenge = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
+  if (challengeToken) {
+    return (
+      <AnimatedPage className="auth-page">
+        <div className="auth-container">
+          <motion.div
+            className="auth-card"
+            variants={formVariants}
+            initial="hidden"
+            animate="visible"
+          >
+            <motion.div className="auth-header" variants={itemVariants}>
+              <h1>Two-factor check</h1>
+              <p>
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you turned on 2FA'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </p>
+            </motion.div>
+
+            <form onSubmit={handleTwoFactorSubmit} className="auth-form">
+              <motion.div variants={itemVariants}>
+                <AnimatedInput
+                  label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                  name="twoFactorCode"
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setErrors({});
+                  }}
+                  error={errors.twoFactorCode}
+                  icon={<FiShield />}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                />
+              </motion.div>
+
+              <motion.div className="auth-options" variants={itemVariants}>
+                <button
+                  type="button"
+                  className="forgot-link auth-text-button"
+                  onClick={() => {
+                    setUseRecoveryCode((prev) => !prev);
+                    setTwoFactorCode('');
+                    setErrors({});
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button type="button" className="forgot-link auth-text-button" onClick={resetChallenge}>
+                  Back to sign in
+                </button>
+              </motion.div>
+
+              <motion.div variants={itemVariants}>
+                <AnimatedButton
+                  type="submit"
+                  variant="primary"
+                  fullWidth
+                  loading={isLoading}
+                  icon={<FiArrowRight />}
+                >
+                  Verify
+                </AnimatedButton>
+              </motion.div>
+            </form>
+          </motion.div>
+        </div>
+      </AnimatedPage>
+    );
+  }
+
   return (
     <AnimatedPage className="auth-page">
       <div className="auth-container">
@@ -199,29 +307,6 @@ const Login = () => {
             </motion.div>
           </form>
 
-          {/* Demo Login Buttons */}
-          <motion.div className="demo-login" variants={itemVariants}>
-            <p className="demo-label">Quick Demo Access:</p>
-            <div className="demo-buttons">
-              <button
-                type="button"
-                className="demo-btn user"
-                onClick={() => handleDemoLogin('user')}
-                disabled={isLoading}
-              >
-                Demo User
-              </button>
-              <button
-                type="button"
-                className="demo-btn admin"
-                onClick={() => handleDemoLogin('admin')}
-                disabled={isLoading}
-              >
-                Demo Admin
-              </button>
-            </div>
-          </motion.div>
-
           {/* Divider */}
           <motion.div className="auth-divider" variants={itemVariants}>
             <span>or continue with</span>
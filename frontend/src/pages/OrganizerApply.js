@@ -0,0 +1,226 @@
+/**
+ * Organizer Application Page
+ *
+ * Users apply here to become organizers:
+ * - Application form with organization details
+ * - Status of a submitted application
+ * - Reviewer's note and re-apply after a rejection
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiBriefcase, FiGlobe, FiSend, FiClock, FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { AnimatedPage } from '../components/animations/PageTransition';
+import AnimatedInput from '../components/ui/AnimatedInput';
+import AnimatedButton from '../components/ui/AnimatedButton';
+import { useToast } from '../components/ui/Toast';
+import { useAuth } from '../context/AuthContext';
+import { organizerAPI } from '../services/api';
+import './OrganizerApply.css';
+
+const EMPTY_FORM = { organizationName: '', website: '', description: '' };
+
+const formatDate = (value) =>
+    new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const OrganizerApply = () => {
+    const { toast } = useToast();
+    const { isOrganizer, verificationRequired } = useAuth();
+
+    const [application, setApplication] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [errors, setErrors] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        organizerAPI.getApplication()
+            .then((response) => {
+                const current = response.data.data;
+                setApplication(current);
+                // Start a re-application from the rejected details
+                if (current?.status === 'rejected') {
+                    setFormData({
+                        organizationName: current.organizationName || '',
+                        website: current.website || '',
+                        description: current.description || '',
+                    });
+                }
+            })
+            .catch(() => setApplication(null))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors((prev) => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    const validateForm = () => {
+        const newErrors = {};
+
+        if (!formData.organizationName.trim()) {
+            newErrors.organizationName = 'Organization name is required';
+        }
+        if (formData.website && !/^https?:\/\/\S+$/.test(formData.website.trim())) {
+            newErrors.website = 'Website must start with http:// or https://';
+        }
+        if (formData.description.trim().length < 20) {
+            newErrors.description = 'Tell us a little more (at least 20 characters)';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!validateForm()) return;
+
+        if (verificationRequired) {
+            toast.error('Verify your email', 'Confirm your email address before applying');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const response = await organizerAPI.apply(formData);
+            setApplication(response.data.data);
+            toast.success('Application submitted', 'We will email you once it has been reviewed');
+        } catch (error) {
+            toast.error('Application failed', error.response?.data?.message || 'Please try again');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const renderStatus = () => {
+        if (isOrganizer) {
+            return (
+                <div className="application-status approved">
+                    <FiCheckCircle size={28} />
+                    <div>
+                        <h3>You're an organizer</h3>
+                        <p>You can create events and manage their bookings.</p>
+                        <Link to="/create-event" className="application-link">Create an event</Link>
+                    </div>
+                </div>
+            );
+        }
+
+        if (application?.status === 'pending') {
+            return (
+                <div className="application-status pending">
+                    <FiClock size={28} />
+                    <div>
+                        <h3>Application under review</h3>
+                        <p>
+                            Submitted for <strong>{application.organizationName}</strong> on{' '}
+                            {formatDate(application.submittedAt)}. We'll email you when an admin has reviewed it.
+                        </p>
+                    </div>
+                </div>
+            );
+        }
+
+        if (application?.status === 'rejected') {
+            return (
+                <div className="application-status rejected">
+                    <FiXCircle size={28} />
+                    <div>
+                        <h3>Your last application wasn't approved</h3>
+                        {application.reviewNote && <p>Reviewer's note: {application.reviewNote}</p>}
+                        <p>Update your details below and apply again.</p>
+                    </div>
+                </div>
+            );
+        }
+
+        return null;
+    };
+
+    const showForm = !isOrganizer && application?.status !== 'pending';
+
+    return (
+        <AnimatedPage className="organizer-apply-page">
+            <div className="container">
+                <motion.div
+                    className="organizer-apply-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.5 }}
+                >
+                    <h1>Become an Organizer</h1>
+                    <p>Host your own events and sell tickets on EventFlow</p>
+                </motion.div>
+
+                <motion.div
+                    className="organizer-apply-card"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    {loading ? (
+                        <p className="organizer-apply-hint">Loading…</p>
+                    ) : (
+                        <>
+                            {renderStatus()}
+
+                            {showForm && (
+                                <form onSubmit={handleSubmit} className="organizer-apply-form">
+                                    <AnimatedInput
+                                        label="Organization Name"
+                                        name="organizationName"
+                                        value={formData.organizationName}
+                                        onChange={handleChange}
+                                        error={errors.organizationName}
+                                        icon={<FiBriefcase />}
+                                    />
+                                    <AnimatedInput
+                                        label="Website (optional)"
+                                        name="website"
+                                        value={formData.website}
+                                        onChange={handleChange}
+                                        error={errors.website}
+                                        icon={<FiGlobe />}
+                                        placeholder="https://"
+                                    />
+                                    <div className="organizer-apply-field">
+                                        <label htmlFor="organizer-description">About your events</label>
+                                        <textarea
+                                            id="organizer-description"
+                                            name="description"
+                                            rows={5}
+                                            value={formData.description}
+                                            onChange={handleChange}
+                                            placeholder="What kind of events do you run, and how often?"
+                                            className={errors.description ? 'error' : ''}
+                                        />
+                                        {errors.description && (
+                                            <span className="organizer-apply-error">{errors.description}</span>
+                                        )}
+                                    </div>
+                                    <AnimatedButton
+                                        type="submit"
+                                        variant="primary"
+                                        loading={isSubmitting}
+                                        icon={<FiSend />}
+                                    >
+                                        Submit Application
+                                    </AnimatedButton>
+                                </form>
+                            )}
+                        </>
+                    )}
+                </motion.div>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default OrganizerApply;
@@ -139,35 +139,13 @@ const Register = () => {
             });
 
             if (result.success) {
-                toast.success('Account Created!', 'Welcome to EventFlow');
+                toast.success('Account Created!', `Welcome to EventFlow, ${result.user.name}!`);
                 navigate('/');
             } else {
-                // Fallback: Create mock user session for demo mode
-                const mockUser = {
-                    id: 'user_' + Date.now(),
-                    name: formData.name,
-                    email: formData.email,
-                    role: 'user',
-                    createdAt: new Date().toISOString(),
-                };
-                localStorage.setItem('token', 'demo_token_' + Date.now());
-                localStorage.setItem('user', JSON.stringify(mockUser));
-                toast.success('Account Created!', `Welcome to EventFlow, ${formData.name}!`);
-                window.location.href = '/';
+                toast.error('Registration Failed', result.error);
             }
         } catch (error) {
-            // Fallback: Create mock user session for demo mode when API fails
-            const mockUser = {
-                id: 'user_' + Date.now(),
-                name: formData.name,
-                email: formData.email,
-                role: 'user',
-                createdAt: new Date().toISOString(),
-            };
-            localStorage.setItem('token', 'demo_token_' + Date.now());
-            localStorage.setItem('user', JSON.stringify(mockUser));
-            toast.success('Account Created!', `Welcome to EventFlow, ${formData.name}!`);
-            window.location.href = '/';
+            toast.error('Registration Failed', 'An unexpected error occurred');
         } finally {
             setIsLoading(false);
         }
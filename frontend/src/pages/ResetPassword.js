@@ -0,0 +1,165 @@
+/**
+ * Reset Password Page
+ *
+ * Opened from the emailed reset link. Sets a new password with the token
+ * in the URL and signs the user in.
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiLock, FiCheck } from 'react-icons/fi';
+import { AnimatedPage } from '../components/animations/PageTransition';
+import AnimatedInput from '../components/ui/AnimatedInput';
+import AnimatedButton from '../components/ui/AnimatedButton';
+import { useToast } from '../components/ui/Toast';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+// Form animation variants
+const formVariants = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: {
+      staggerChildren: 0.1,
+      delayChildren: 0.2,
+    },
+  },
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.4, ease: [0.25, 0.46, 0.45, 0.94] },
+  },
+};
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { resetPassword } = useAuth();
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+
+    if (formData.confirmPassword !== formData.password) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setIsLoading(true);
+
+    const result = await resetPassword(token, formData.password);
+
+    setIsLoading(false);
+
+    if (result.success && result.twoFactorRequired) {
+      toast.success('Password updated', result.message);
+      navigate('/login', { replace: true });
+    } else if (result.success) {
+      toast.success('Password updated', `Signed in as ${result.user.name}`);
+      navigate('/', { replace: true });
+    } else {
+      toast.error('Reset Failed', result.error);
+    }
+  };
+
+  return (
+    <AnimatedPage className="auth-page">
+      <div className="auth-container">
+        <motion.div
+          className="auth-card"
+          variants={formVariants}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.div className="auth-header" variants={itemVariants}>
+            <h1>Choose a new password</h1>
+            <p>Your reset link works once, so pick something you'll remember</p>
+          </motion.div>
+
+          {/* Form */}
+          <form onSubmit={handleSubmit} className="auth-form">
+            <motion.div variants={itemVariants}>
+              <AnimatedInput
+                label="New Password"
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                error={errors.password}
+                icon={<FiLock />}
+                placeholder="••••••••"
+              />
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <AnimatedInput
+                label="Confirm Password"
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                error={errors.confirmPassword}
+                icon={<FiLock />}
+                placeholder="••••••••"
+              />
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <AnimatedButton
+                type="submit"
+                variant="primary"
+                fullWidth
+                loading={isLoading}
+                icon={<FiCheck />}
+              >
+                Reset Password
+              </AnimatedButton>
+            </motion.div>
+          </form>
+
+          {/* Footer */}
+          <motion.p className="auth-footer" variants={itemVariants}>
+            Link expired?{' '}
+            <Link to="/forgot-password">Request a new one</Link>
+          </motion.p>
+        </motion.div>
+      </div>
+    </AnimatedPage>
+  );
+};
+
+export default ResetPassword;
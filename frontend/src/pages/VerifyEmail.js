@@ -0,0 +1,81 @@
+/**
+ * Verify Email Page
+ *
+ * Opened from the link emailed at registration. Confirms the address with
+ * the token in the URL and reports the result.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { AnimatedPage } from '../components/animations/PageTransition';
+import { useAuth } from '../context/AuthContext';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  // The token is single use, so only send it once (StrictMode mounts twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token).then((result) => {
+      setStatus(result.success ? 'verified' : 'failed');
+      setMessage(result.error || '');
+    });
+  }, [token, verifyEmail]);
+
+  return (
+    <AnimatedPage className="auth-page">
+      <div className="auth-container">
+        <motion.div
+          className="auth-card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <div className="auth-header">
+            {status === 'verifying' && (
+              <>
+                <h1>Verifying your email…</h1>
+                <p>This only takes a moment</p>
+              </>
+            )}
+            {status === 'verified' && (
+              <>
+                <FiCheckCircle size={48} color="#22c55e" />
+                <h1>Email verified</h1>
+                <p>You can now book events and submit your own.</p>
+              </>
+            )}
+            {status === 'failed' && (
+              <>
+                <FiXCircle size={48} color="#ef4444" />
+                <h1>Verification failed</h1>
+                <p>{message}. You can request a new link from the banner at the top of the page once signed in.</p>
+              </>
+            )}
+          </div>
+
+          {status !== 'verifying' && (
+            <p className="auth-footer">
+              {isAuthenticated
+                ? <Link to="/events">Browse events</Link>
+                : <Link to="/login">Sign in</Link>}
+            </p>
+          )}
+        </motion.div>
+      </div>
+    </AnimatedPage>
+  );
+};
+
+export default VerifyEmail;
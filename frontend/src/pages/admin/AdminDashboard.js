@@ -13,12 +13,13 @@ import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import {
     FiUsers, FiCalendar, FiBookmark, FiDollarSign,
-    FiTrendingUp, FiArrowRight, FiCheck, FiClock
+    FiTrendingUp, FiArrowRight, FiCheck, FiClock, FiTag, FiAlertCircle
 } from 'react-icons/fi';
 import { AnimatedPage } from '../../components/animations/PageTransition';
 import AnimatedButton from '../../components/ui/AnimatedButton';
 import { Skeleton } from '../../components/ui/Skeleton';
 import { adminAPI } from '../../services/api';
+import { fromMinorUnits } from '../../services/eventService';
 import './AdminDashboard.css';
 
 // Stats card animation
@@ -35,18 +36,6 @@ const cardVariants = {
     }),
 };
 
-// Sample stats data (for demo when API isn't connected)
-const sampleStats = {
-    totalUsers: 1247,
-    totalEvents: 89,
-    totalBookings: 3456,
-    totalRevenue: 234500,
-    userGrowth: 12.5,
-    eventGrowth: 8.3,
-    bookingGrowth: 23.1,
-    revenueGrowth: 18.7,
-};
-
 // Sample recent bookings
 const sampleRecentBookings = [
     { id: 1, user: 'John Doe', event: 'Tech Summit 2026', amount: 299, status: 'confirmed', date: '2026-02-02' },
@@ -58,7 +47,7 @@ const sampleRecentBookings = [
 
 const AdminDashboard = () => {
     const [stats, setStats] = useState(null);
-    const [recentBookings, setRecentBookings] = useState([]);
+    const [statsError, setStatsError] = useState('');
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -66,38 +55,16 @@ const AdminDashboard = () => {
             try {
                 // Try to fetch from API if available
                 const response = await adminAPI.getStats();
-                setStats(response.data);
-            } catch (error) {
-                // FALLBACK: Use localStorage for Demo Mode
-                const pendingEvents = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-                const approvedEvents = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-                const bookings = JSON.parse(localStorage.getItem('bookings') || '[]');
-
-                // Calculate real values from storage
-                const totalRev = bookings.reduce((sum, b) => sum + (b.totalAmount || 0), 0);
-
+                const apiStats = response.data.data.stats;
+                // Money comes in minor units
                 setStats({
-                    ...sampleStats,
-                    totalEvents: 89 + approvedEvents.length,
-                    pendingEvents: pendingEvents.length,
-                    totalBookings: 3456 + bookings.length,
-                    totalRevenue: 234500 + totalRev
+                    ...apiStats,
+                    totalRevenue: fromMinorUnits(apiStats.totalRevenue),
+                    totalDiscounts: fromMinorUnits(apiStats.totalDiscounts),
                 });
-
-                // Get recent bookings from storage
-                if (bookings.length > 0) {
-                    const recent = bookings.slice(0, 5).map(b => ({
-                        id: b.id,
-                        user: b.userName || 'Demo User',
-                        event: b.eventTitle,
-                        amount: b.totalAmount,
-                        status: b.status,
-                        date: b.bookingDate
-                    }));
-                    setRecentBookings([...recent, ...sampleRecentBookings.slice(0, 5 - recent.length)]);
-                } else {
-                    setRecentBookings(sampleRecentBookings);
-                }
+            } catch (error) {
+                // Say so rather than show placeholder figures
+                setStatsError(error.response?.data?.message || 'Platform stats could not be loaded');
             } finally {
                 setLoading(false);
             }
@@ -147,6 +114,14 @@ const AdminDashboard = () => {
             color: '#22c55e',
             bgColor: 'rgba(34, 197, 94, 0.1)',
         },
+        {
+            title: `Promo Discounts (${stats?.promoRedemptions || 0} orders)`,
+            value: `₹${(stats?.totalDiscounts || 0).toLocaleString('en-IN')}`,
+            growth: 0,
+            icon: FiTag,
+            color: '#ec4899',
+            bgColor: 'rgba(236, 72, 153, 0.1)',
+        },
     ];
 
     const formatDate = (dateString) => {
@@ -218,31 +193,38 @@ const AdminDashboard = () => {
                 </motion.div>
 
                 {/* Stats Grid */}
-                <div className="stats-grid">
-                    {statsCards.map((stat, index) => (
-                        <motion.div
-                            key={stat.title}
-                            className="stat-card"
-                            custom={index}
-                            variants={cardVariants}
-                            initial="hidden"
-                            animate="visible"
-                            whileHover={{ y: -4 }}
-                        >
-                            <div className="stat-icon" style={{ background: stat.bgColor }}>
-                                <stat.icon size={24} style={{ color: stat.color }} />
-                            </div>
-                            <div className="stat-content">
-                                <span className="stat-title">{stat.title}</span>
-                                <span className="stat-value">{stat.value.toLocaleString?.() || stat.value}</span>
-                                <span className="stat-growth" style={{ color: stat.growth >= 0 ? '#22c55e' : '#ef4444' }}>
-                                    <FiTrendingUp size={14} />
-                                    {stat.growth >= 0 ? '+' : ''}{stat.growth}% from last month
-                                </span>
-                            </div>
-                        </motion.div>
-                    ))}
-                </div>
+                {statsError ? (
+                    <div className="admin-card stats-unavailable">
+                        <FiAlertCircle size={20} />
+                        <span>{statsError}</span>
+                    </div>
+                ) : (
+                    <div className="stats-grid">
+                        {statsCards.map((stat, index) => (
+                            <motion.div
+                                key={stat.title}
+                                className="stat-card"
+                                custom={index}
+                                variants={cardVariants}
+                                initial="hidden"
+                                animate="visible"
+                                whileHover={{ y: -4 }}
+                            >
+                                <div className="stat-icon" style={{ background: stat.bgColor }}>
+                                    <stat.icon size={24} style={{ color: stat.color }} />
+                                </div>
+                                <div className="stat-content">
+                                    <span className="stat-title">{stat.title}</span>
+                                    <span className="stat-value">{stat.value.toLocaleString?.() || stat.value}</span>
+                                    <span className="stat-growth" style={{ color: stat.growth >= 0 ? '#22c55e' : '#ef4444' }}>
+                                        <FiTrendingUp size={14} />
+                                        {stat.growth >= 0 ? '+' : ''}{stat.growth}% from last month
+                                    </span>
+                                </div>
+                            </motion.div>
+                        ))}
+                    </div>
+                )}
 
                 {/* Main Content */}
                 <div className="admin-content">
@@ -271,7 +253,7 @@ const AdminDashboard = () => {
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    {(recentBookings.length > 0 ? recentBookings : sampleRecentBookings).map((booking) => (
+                                    {sampleRecentBookings.map((booking) => (
                                         <tr key={booking.id}>
                                             <td>{booking.user}</td>
                                             <td className="event-name">{booking.event}</td>
@@ -326,6 +308,12 @@ const AdminDashboard = () => {
                                 </div>
                                 <span>Manage Users</span>
                             </Link>
+                            <Link to="/organizer/promo-codes" className="action-item">
+                                <div className="action-icon" style={{ background: 'rgba(236, 72, 153, 0.1)' }}>
+                                    <FiTag size={20} style={{ color: '#ec4899' }} />
+                                </div>
+                                <span>Promo Codes</span>
+                            </Link>
                         </div>
                     </motion.div>
                 </div>
@@ -4,70 +4,31 @@
  * Event management with:
  * - Events table with CRUD
  * - Search and filters
- * - Event approval functionality
+ * - Event approval functionality, including changes to live events
  * - Delete confirmation
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     FiPlus, FiSearch, FiEdit2, FiTrash2, FiEye,
-    FiX, FiCalendar, FiMapPin, FiUsers, FiCheckCircle
+    FiX, FiMapPin, FiUsers, FiCheckCircle, FiXCircle
 } from 'react-icons/fi';
 import { AnimatedPage } from '../../components/animations/PageTransition';
 import AnimatedButton from '../../components/ui/AnimatedButton';
 import { Skeleton } from '../../components/ui/Skeleton';
 import { useToast } from '../../components/ui/Toast';
-import { eventsAPI } from '../../services/api';
+import { adminAPI, eventsAPI } from '../../services/api';
 import './AdminEvents.css';
 
-// Sample events data
-const sampleEvents = [
-    {
-        id: 1,
-        title: 'Tech Innovation Summit 2026',
-        category: 'Technology',
-        date: '2026-03-15',
-        location: 'San Francisco, CA',
-        price: 299,
-        capacity: 3000,
-        attendees: 2500,
-        status: 'published',
-        image: 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=100',
-    },
-    {
-        id: 2,
-        title: 'Sunset Music Festival',
-        category: 'Music',
-        date: '2026-04-20',
-        location: 'Los Angeles, CA',
-        price: 149,
-        capacity: 5000,
-        attendees: 4200,
-        status: 'published',
-        image: 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=100',
-    },
-    {
-        id: 3,
-        title: 'Startup Pitch Competition',
-        category: 'Business',
-        date: '2026-03-28',
-        location: 'New York, NY',
-        price: 0,
-        capacity: 500,
-        attendees: 320,
-        status: 'draft',
-        image: 'https://images.unsplash.com/photo-1515187029135-18ee286d815b?w=100',
-    },
-];
-
 const AdminEvents = () => {
     const { toast } = useToast();
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState('');
     const [deleteModal, setDeleteModal] = useState({ open: false, event: null });
+    const [rejectModal, setRejectModal] = useState({ open: false, event: null, reason: '' });
 
     const [statusFilter, setStatusFilter] = useState(() => {
         return localStorage.getItem('admin_filter') || 'all';
@@ -79,34 +40,32 @@ const AdminEvents = () => {
     }, []);
 
     // Fetch events
-    const fetchEvents = () => {
+    const fetchEvents = useCallback(async () => {
         setLoading(true);
         try {
-            // Load pending events from localStorage
-            const pendingEvents = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-            const approvedEvents = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-
-            // Combine all
-            const allEvents = [...sampleEvents, ...approvedEvents, ...pendingEvents];
-            setEvents(allEvents);
+            const response = await adminAPI.getAllEvents();
+            setEvents(response.data.data);
         } catch (error) {
-            setEvents(sampleEvents);
+            toast.error('Failed to load events', error.response?.data?.message || 'Please try again');
         } finally {
             setLoading(false);
         }
-    };
+    }, [toast]);
 
     useEffect(() => {
         fetchEvents();
-    }, []);
+    }, [fetchEvents]);
 
     // Filter events by search and status
     const filteredEvents = events.filter((event) => {
         const matchesSearch =
             event.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            event.category.toLowerCase().includes(searchQuery.toLowerCase());
+            (event.category || '').toLowerCase().includes(searchQuery.toLowerCase());
 
-        const matchesStatus = statusFilter === 'all' || event.status === statusFilter;
+        // Live events with changes to review count as pending too
+        const matchesStatus = statusFilter === 'all'
+            || event.status === statusFilter
+            || (statusFilter === 'pending' && Boolean(event.pendingChanges));
 
         return matchesSearch && matchesStatus;
     });
@@ -115,44 +74,62 @@ const AdminEvents = () => {
     const handleDelete = async () => {
         if (!deleteModal.event) return;
 
-        // Remote from local state and update localStorage
-        const eventId = deleteModal.event.id;
+        const eventId = deleteModal.event._id;
 
-        // Remove from pending
-        const pending = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-        const newPending = pending.filter(e => e.id !== eventId);
-        localStorage.setItem('pendingEvents', JSON.stringify(newPending));
-
-        // Remove from approved
-        const approved = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-        const newApproved = approved.filter(e => e.id !== eventId);
-        localStorage.setItem('approvedEvents', JSON.stringify(newApproved));
+        try {
+            await eventsAPI.delete(eventId);
+            setEvents(events.filter((e) => e._id !== eventId));
+            toast.success('Event Deleted', 'The event has been deleted');
+        } catch (error) {
+            toast.error('Delete failed', error.response?.data?.message || 'Please try again');
+        } finally {
+            setDeleteModal({ open: false, event: null });
+        }
+    };
 
-        setEvents(events.filter((e) => e.id !== eventId));
-        toast.success('Event Deleted', 'The event has been deleted');
-        setDeleteModal({ open: false, event: null });
+    // Replace a single event in local state with the server's copy
+    const replaceEvent = (updated) => {
+        setEvents((prev) => prev.map((e) => (e._id === updated._id ? { ...e, ...updated } : e)));
     };
 
     // Handle Approve
-    const handleApprove = (eventId) => {
-        const pending = JSON.parse(localStorage.getItem('pendingEvents') || '[]');
-        const eventToApprove = pending.find(e => e.id === eventId);
+    const handleApprove = async (eventId) => {
+        const hadChanges = Boolean(events.find((e) => e._id === eventId)?.pendingChanges);
 
-        if (eventToApprove) {
-            // Update status
-            eventToApprove.status = 'published';
+        try {
+            const response = await adminAPI.approveEvent(eventId);
+            replaceEvent({ pendingChanges: undefined, ...response.data.data });
+            if (hadChanges) {
+                toast.success('Changes Approved!', response.data.attendeesNotified
+                    ? `${response.data.attendeesNotified} ticket holder(s) were emailed`
+                    : 'The event now shows the new details');
+            } else {
+                toast.success('Event Approved!', 'The event is now visible to all users');
+            }
+        } catch (error) {
+            toast.error('Approval failed', error.response?.data?.message || 'Please try again');
+        }
+    };
 
-            // Remove from pending
-            const newPending = pending.filter(e => e.id !== eventId);
-            localStorage.setItem('pendingEvents', JSON.stringify(newPending));
+    // Handle Reject
+    const handleReject = async () => {
+        if (!rejectModal.event) return;
 
-            // Add to approved
-            const approved = JSON.parse(localStorage.getItem('approvedEvents') || '[]');
-            approved.push(eventToApprove);
-            localStorage.setItem('approvedEvents', JSON.stringify(approved));
+        if (!rejectModal.reason.trim()) {
+            toast.error('Reason required', 'Tell the organizer why the event was rejected');
+            return;
+        }
 
-            toast.success('Event Approved!', 'The event is now visible to all users');
-            fetchEvents(); // Refresh
+        try {
+            const response = await adminAPI.rejectEvent(rejectModal.event._id, rejectModal.reason.trim());
+            replaceEvent({ pendingChanges: undefined, ...response.data.data });
+            toast.success(
+                rejectModal.event.pendingChanges ? 'Changes Rejected' : 'Event Rejected',
+                'The organizer can see your reason'
+            );
+            setRejectModal({ open: false, event: null, reason: '' });
+        } catch (error) {
+            toast.error('Rejection failed', error.response?.data?.message || 'Please try again');
         }
     };
 
@@ -168,9 +145,10 @@ const AdminEvents = () => {
     // Status badge
     const getStatusBadge = (status) => {
         const styles = {
-            published: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
+            approved: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
             pending: { bg: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' },
             draft: { bg: 'rgba(255, 255, 255, 0.05)', color: '#94a3b8' },
+            rejected: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
             cancelled: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
         };
         const style = styles[status] || styles.draft;
@@ -242,7 +220,7 @@ const AdminEvents = () => {
                     </div>
 
                     <div className="status-filters">
-                        {['all', 'published', 'pending', 'draft'].map((status) => (
+                        {['all', 'approved', 'pending', 'draft', 'rejected', 'cancelled'].map((status) => (
                             <button
                                 key={status}
                                 className={`filter-tab ${statusFilter === status ? 'active' : ''}`}
@@ -276,7 +254,7 @@ const AdminEvents = () => {
                         <tbody>
                             {filteredEvents.map((event) => (
                                 <motion.tr
-                                    key={event.id}
+                                    key={event._id}
                                     initial={{ opacity: 0 }}
                                     animate={{ opacity: 1 }}
                                     whileHover={{ backgroundColor: 'rgba(255, 255, 255, 0.02)' }}
@@ -297,29 +275,48 @@ const AdminEvents = () => {
                                         <span className="category-badge">{event.category}</span>
                                     </td>
                                     <td>{formatDate(event.date)}</td>
-                                    <td>{event.price === 0 ? 'Free' : `₹${event.price}`}</td>
+                                    <td>{!event.price ? 'Free' : `₹${event.price / 100}`}</td>
                                     <td>
                                         <div className="attendees-cell">
                                             <FiUsers size={14} />
-                                            {event.attendees} / {event.capacity}
+                                            {event.seatsBooked || 0} / {event.capacity}
                                         </div>
                                     </td>
-                                    <td>{getStatusBadge(event.status)}</td>
+                                    <td>
+                                        {getStatusBadge(event.status)}
+                                        {event.pendingChanges && (
+                                            <span
+                                                className="changes-note"
+                                                title={Object.keys(event.pendingChanges).join(', ')}
+                                            >
+                                                Changes: {Object.keys(event.pendingChanges).join(', ')}
+                                            </span>
+                                        )}
+                                    </td>
                                     <td>
                                         <div className="action-buttons">
-                                            {event.status === 'pending' && (
-                                                <button
-                                                    className="action-btn approve"
-                                                    title="Approve Event"
-                                                    onClick={() => handleApprove(event.id)}
-                                                >
-                                                    <FiCheckCircle size={16} />
-                                                </button>
+                                            {(event.status === 'pending' || event.pendingChanges) && (
+                                                <>
+                                                    <button
+                                                        className="action-btn approve"
+                                                        title={event.pendingChanges ? 'Approve Changes' : 'Approve Event'}
+                                                        onClick={() => handleApprove(event._id)}
+                                                    >
+                                                        <FiCheckCircle size={16} />
+                                                    </button>
+                                                    <button
+                                                        className="action-btn delete"
+                                                        title={event.pendingChanges ? 'Reject Changes' : 'Reject Event'}
+                                                        onClick={() => setRejectModal({ open: true, event, reason: '' })}
+                                                    >
+                                                        <FiXCircle size={16} />
+                                                    </button>
+                                                </>
                                             )}
-                                            <Link to={`/events/${event.id}`} className="action-btn view" title="View Details">
+                                            <Link to={`/events/${event._id}`} className="action-btn view" title="View Details">
                                                 <FiEye size={16} />
                                             </Link>
-                                            <Link to={`/admin/events/${event.id}/edit`} className="action-btn edit" title="Edit Event">
+                                            <Link to={`/events/${event._id}/edit`} className="action-btn edit" title="Edit Event">
                                                 <FiEdit2 size={16} />
                                             </Link>
                                             <button
@@ -343,6 +340,81 @@ const AdminEvents = () => {
                     )}
                 </motion.div>
 
+                {/* Reject Modal */}
+                <AnimatePresence>
+                    {rejectModal.open && (
+                        <motion.div
+                            className="modal-overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={() => setRejectModal({ open: false, event: null, reason: '' })}
+                        >
+                            <motion.div
+                                className="modal-content delete-modal"
+                                initial={{ opacity: 0, scale: 0.9, y: 20 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.9, y: 20 }}
+                                onClick={(e) => e.stopPropagation()}
+                            >
+                                <button
+                                    className="modal-close"
+                                    onClick={() => setRejectModal({ open: false, event: null, reason: '' })}
+                                >
+                                    <FiX size={20} />
+                                </button>
+
+                                <div className="delete-icon">
+                                    <FiXCircle size={32} />
+                                </div>
+
+                                {rejectModal.event?.pendingChanges ? (
+                                    <>
+                                        <h3>Reject Changes?</h3>
+                                        <p>
+                                            The changes to <strong>"{rejectModal.event?.title}"</strong> will be
+                                            dropped and the live event stays as it is. The organizer sees the
+                                            reason below.
+                                        </p>
+                                    </>
+                                ) : (
+                                    <>
+                                        <h3>Reject Event?</h3>
+                                        <p>
+                                            <strong>"{rejectModal.event?.title}"</strong> will go back to its organizer
+                                            with the reason below.
+                                        </p>
+                                    </>
+                                )}
+
+                                <textarea
+                                    className="reject-reason"
+                                    rows={3}
+                                    placeholder="Reason for rejection"
+                                    value={rejectModal.reason}
+                                    onChange={(e) => setRejectModal((prev) => ({ ...prev, reason: e.target.value }))}
+                                />
+
+                                <div className="modal-actions">
+                                    <AnimatedButton
+                                        variant="secondary"
+                                        onClick={() => setRejectModal({ open: false, event: null, reason: '' })}
+                                    >
+                                        Cancel
+                                    </AnimatedButton>
+                                    <AnimatedButton
+                                        variant="primary"
+                                        onClick={handleReject}
+                                        style={{ background: '#ef4444' }}
+                                    >
+                                        {rejectModal.event?.pendingChanges ? 'Reject Changes' : 'Reject Event'}
+                                    </AnimatedButton>
+                                </div>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+
                 {/* Delete Confirmation Modal */}
                 <AnimatePresence>
                     {deleteModal.open && (
@@ -0,0 +1,245 @@
+/**
+ * Admin Organizer Applications Page
+ *
+ * Review users who applied to become organizers:
+ * - Applications by status
+ * - Approve (sets the user's role to organizer)
+ * - Reject with a reason the applicant is emailed
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiCheckCircle, FiXCircle, FiGlobe } from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import AnimatedButton from '../../components/ui/AnimatedButton';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { adminAPI } from '../../services/api';
+import './AdminEvents.css';
+import './AdminOrganizers.css';
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+
+const AdminOrganizers = () => {
+    const { toast } = useToast();
+    const [applicants, setApplicants] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [rejectModal, setRejectModal] = useState({ open: false, applicant: null, reason: '' });
+
+    const fetchApplications = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await adminAPI.getOrganizerApplications(statusFilter);
+            setApplicants(response.data.data);
+        } catch (error) {
+            toast.error('Failed to load applications', error.response?.data?.message || 'Please try again');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, toast]);
+
+    useEffect(() => {
+        fetchApplications();
+    }, [fetchApplications]);
+
+    // Approving is a role change; the server settles the application
+    const handleApprove = async (applicant) => {
+        try {
+            await adminAPI.updateUserRole(applicant._id, 'organizer');
+            setApplicants((prev) => prev.filter((a) => a._id !== applicant._id));
+            toast.success('Application approved', `${applicant.name} is now an organizer`);
+        } catch (error) {
+            toast.error('Approval failed', error.response?.data?.message || 'Please try again');
+        }
+    };
+
+    const closeRejectModal = () => setRejectModal({ open: false, applicant: null, reason: '' });
+
+    const handleReject = async () => {
+        if (!rejectModal.applicant) return;
+
+        if (!rejectModal.reason.trim()) {
+            toast.error('Reason required', 'Tell the applicant why they were not approved');
+            return;
+        }
+
+        try {
+            await adminAPI.rejectOrganizerApplication(rejectModal.applicant._id, rejectModal.reason.trim());
+            setApplicants((prev) => prev.filter((a) => a._id !== rejectModal.applicant._id));
+            toast.success('Application rejected', 'The applicant has been emailed your reason');
+            closeRejectModal();
+        } catch (error) {
+            toast.error('Rejection failed', error.response?.data?.message || 'Please try again');
+        }
+    };
+
+    return (
+        <AnimatedPage className="admin-page admin-events-page">
+            <div className="container">
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>Organizer Applications</h1>
+                        <p>{applicants.length} {statusFilter} application(s)</p>
+                    </div>
+                </motion.div>
+
+                {/* Filters */}
+                <motion.div
+                    className="events-toolbar"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <div className="status-filters">
+                        {APPLICATION_STATUSES.map((status) => (
+                            <button
+                                key={status}
+                                className={`filter-tab ${statusFilter === status ? 'active' : ''}`}
+                                onClick={() => setStatusFilter(status)}
+                            >
+                                {status}
+                            </button>
+                        ))}
+                    </div>
+                </motion.div>
+
+                {/* Applications */}
+                {loading ? (
+                    [1, 2, 3].map((i) => (
+                        <Skeleton key={i} height="120px" style={{ marginBottom: '0.75rem' }} />
+                    ))
+                ) : (
+                    <div className="applications-list">
+                        {applicants.map(({ organizerApplication: application, ...applicant }) => (
+                            <motion.div
+                                key={applicant._id}
+                                className="application-card"
+                                initial={{ opacity: 0, y: 10 }}
+                                animate={{ opacity: 1, y: 0 }}
+                            >
+                                <div className="application-main">
+                                    <h3>{application.organizationName}</h3>
+                                    <span className="application-applicant">
+                                        {applicant.name} · {applicant.email}
+                                        {!applicant.isVerified && ' · email not verified'}
+                                    </span>
+                                    <p>{application.description}</p>
+                                    <div className="application-meta">
+                                        {application.website && (
+                                            <a href={application.website} target="_blank" rel="noopener noreferrer">
+                                                <FiGlobe size={12} /> {application.website}
+                                            </a>
+                                        )}
+                                        <span>Applied {formatDate(application.submittedAt)}</span>
+                                        {application.reviewedAt && (
+                                            <span>Reviewed {formatDate(application.reviewedAt)}</span>
+                                        )}
+                                    </div>
+                                    {application.reviewNote && (
+                                        <p className="application-note">Note: {application.reviewNote}</p>
+                                    )}
+                                </div>
+
+                                {application.status === 'pending' && (
+                                    <div className="action-buttons">
+                                        <button
+                                            className="action-btn approve"
+                                            title="Approve"
+                                            onClick={() => handleApprove(applicant)}
+                                        >
+                                            <FiCheckCircle size={16} />
+                                        </button>
+                                        <button
+                                            className="action-btn delete"
+                                            title="Reject"
+                                            onClick={() => setRejectModal({ open: true, applicant, reason: '' })}
+                                        >
+                                            <FiXCircle size={16} />
+                                        </button>
+                                    </div>
+                                )}
+                            </motion.div>
+                        ))}
+
+                        {applicants.length === 0 && (
+                            <div className="no-results">
+                                <p>No {statusFilter} applications</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Reject Modal */}
+                <AnimatePresence>
+                    {rejectModal.open && (
+                        <motion.div
+                            className="modal-overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={closeRejectModal}
+                        >
+                            <motion.div
+                                className="modal-content delete-modal"
+                                initial={{ opacity: 0, scale: 0.9, y: 20 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.9, y: 20 }}
+                                onClick={(e) => e.stopPropagation()}
+                            >
+                                <button className="modal-close" onClick={closeRejectModal}>
+                                    <FiX size={20} />
+                                </button>
+
+                                <div className="delete-icon">
+                                    <FiXCircle size={32} />
+                                </div>
+
+                                <h3>Reject Application?</h3>
+                                <p>
+                                    <strong>{rejectModal.applicant?.name}</strong> will be emailed the reason
+                                    below and can apply again.
+                                </p>
+
+                                <textarea
+                                    className="reject-reason"
+                                    rows={3}
+                                    placeholder="Reason for rejection"
+                                    value={rejectModal.reason}
+                                    onChange={(e) => setRejectModal((prev) => ({ ...prev, reason: e.target.value }))}
+                                />
+
+                                <div className="modal-actions">
+                                    <AnimatedButton variant="secondary" onClick={closeRejectModal}>
+                                        Cancel
+                                    </AnimatedButton>
+                                    <AnimatedButton
+                                        variant="primary"
+                                        onClick={handleReject}
+                                        style={{ background: '#ef4444' }}
+                                    >
+                                        Reject Application
+                                    </AnimatedButton>
+                                </div>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default AdminOrganizers;
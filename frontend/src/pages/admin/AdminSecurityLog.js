@@ -0,0 +1,253 @@
+/**
+ * Admin Security Log Page
+ *
+ * Browse the security log:
+ * - Sign-ins, failures, throttling and lockouts
+ * - Password, 2FA and role changes
+ * - Filter by event type or email, newest first
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+    FiSearch, FiFilter, FiChevronLeft, FiChevronRight, FiCheck, FiX, FiLock, FiShield
+} from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { adminAPI } from '../../services/api';
+import './AdminEvents.css';
+import './AdminBookings.css';
+import './AdminSecurityLog.css';
+
+const PAGE_SIZE = 50;
+
+// Badge colour and icon per kind of event
+const EVENT_STYLES = {
+    login_success: { color: '#22c55e', bg: 'rgba(34, 197, 94, 0.1)', icon: FiCheck },
+    login_failure: { color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.1)', icon: FiX },
+    two_factor_failure: { color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.1)', icon: FiX },
+    login_throttled: { color: '#ef4444', bg: 'rgba(239, 68, 68, 0.1)', icon: FiLock },
+    account_locked: { color: '#ef4444', bg: 'rgba(239, 68, 68, 0.1)', icon: FiLock },
+    refresh_token_reuse: { color: '#ef4444', bg: 'rgba(239, 68, 68, 0.1)', icon: FiLock },
+};
+const DEFAULT_STYLE = { color: '#a78bfa', bg: 'rgba(139, 92, 246, 0.1)', icon: FiShield };
+
+const formatType = (type) => type.replace(/_/g, ' ');
+
+const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    });
+
+// One-line summary of an event's details
+const describeDetails = (event) => {
+    const { details = {}, actor } = event;
+    const parts = [];
+
+    if (details.from && details.to) parts.push(`${details.from} → ${details.to}`);
+    if (actor) parts.push(`by ${actor.name}`);
+    if (details.failures) parts.push(`${details.failures} failure(s)`);
+    if (details.code) parts.push(details.code);
+    if (details.twoFactor) parts.push(`2FA: ${details.twoFactor}`);
+    if (details.reason) parts.push(details.reason);
+    if (details.count !== undefined) parts.push(`${details.count} session(s)`);
+    if (details.sessionsRevoked) parts.push(`${details.sessionsRevoked} session(s) signed out`);
+
+    return parts.join(' · ') || '—';
+};
+
+const AdminSecurityLog = () => {
+    const { toast } = useToast();
+    const [events, setEvents] = useState([]);
+    const [types, setTypes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [typeFilter, setTypeFilter] = useState('');
+    const [emailQuery, setEmailQuery] = useState('');
+    const [emailFilter, setEmailFilter] = useState('');
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ total: 0, pages: 0 });
+
+    // Wait for typing to settle before searching
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setEmailFilter(emailQuery.trim());
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [emailQuery]);
+
+    const fetchEvents = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await adminAPI.getSecurityEvents({
+                type: typeFilter || undefined,
+                email: emailFilter || undefined,
+                page,
+                limit: PAGE_SIZE,
+            });
+            setEvents(response.data.data);
+            setTypes(response.data.types);
+            setPagination({ total: response.data.total, pages: response.data.pages });
+        } catch (error) {
+            toast.error('Failed to load security log', error.response?.data?.message || 'Please try again');
+        } finally {
+            setLoading(false);
+        }
+    }, [typeFilter, emailFilter, page, toast]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    const getTypeBadge = (type) => {
+        const style = EVENT_STYLES[type] || DEFAULT_STYLE;
+        const TypeIcon = style.icon;
+
+        return (
+            <span className="status-badge" style={{ background: style.bg, color: style.color }}>
+                <TypeIcon size={12} />
+                {formatType(type)}
+            </span>
+        );
+    };
+
+    return (
+        <AnimatedPage className="admin-page admin-bookings-page">
+            <div className="container">
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>Security Log</h1>
+                        <p>{pagination.total} event(s) · sign-ins, lockouts, password, 2FA and role changes</p>
+                    </div>
+                </motion.div>
+
+                {/* Toolbar */}
+                <motion.div
+                    className="bookings-toolbar"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <div className="search-box">
+                        <FiSearch size={18} />
+                        <input
+                            type="text"
+                            placeholder="Search by email..."
+                            value={emailQuery}
+                            onChange={(e) => setEmailQuery(e.target.value)}
+                        />
+                    </div>
+
+                    <div className="filter-group">
+                        <FiFilter size={16} />
+                        <select
+                            value={typeFilter}
+                            onChange={(e) => {
+                                setTypeFilter(e.target.value);
+                                setPage(1);
+                            }}
+                        >
+                            <option value="">All events</option>
+                            {types.map((type) => (
+                                <option key={type} value={type}>
+                                    {formatType(type)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </motion.div>
+
+                {/* Events Table */}
+                <motion.div
+                    className="bookings-table-wrapper"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    {loading ? (
+                        [1, 2, 3, 4, 5].map((i) => (
+                            <Skeleton key={i} height="56px" style={{ marginBottom: '0.5rem' }} />
+                        ))
+                    ) : (
+                        <table className="bookings-table">
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Event</th>
+                                    <th>Account</th>
+                                    <th>Details</th>
+                                    <th>IP</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {events.map((event) => (
+                                    <tr key={event._id}>
+                                        <td className="security-log-time">{formatDateTime(event.createdAt)}</td>
+                                        <td>{getTypeBadge(event.type)}</td>
+                                        <td>
+                                            <div className="user-cell">
+                                                <div>
+                                                    <span className="user-name">
+                                                        {event.user ? event.user.name : 'No account'}
+                                                    </span>
+                                                    <span className="user-email">
+                                                        {event.user ? event.user.email : event.email}
+                                                    </span>
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td className="security-log-details">{describeDetails(event)}</td>
+                                        <td>
+                                            <span className="security-log-ip" title={event.userAgent}>
+                                                {event.ip || '—'}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {!loading && events.length === 0 && (
+                        <div className="no-results">
+                            <p>No security events found</p>
+                        </div>
+                    )}
+                </motion.div>
+
+                {/* Pagination */}
+                {pagination.pages > 1 && (
+                    <div className="security-log-pagination">
+                        <button
+                            className="filter-tab"
+                            onClick={() => setPage((p) => p - 1)}
+                            disabled={page <= 1}
+                        >
+                            <FiChevronLeft size={14} /> Newer
+                        </button>
+                        <span>Page {page} of {pagination.pages}</span>
+                        <button
+                            className="filter-tab"
+                            onClick={() => setPage((p) => p + 1)}
+                            disabled={page >= pagination.pages}
+                        >
+                            Older <FiChevronRight size={14} />
+                        </button>
+                    </div>
+                )}
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default AdminSecurityLog;
@@ -2,3 +2,5 @@
 export { default as AdminDashboard } from './AdminDashboard';
 export { default as AdminEvents } from './AdminEvents';
 export { default as AdminBookings } from './AdminBookings';
+export { default as AdminOrganizers } from './AdminOrganizers';
+export { default as AdminSecurityLog } from './AdminSecurityLog';
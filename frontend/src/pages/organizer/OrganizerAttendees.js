@@ -0,0 +1,323 @@
+/**
+ * Organizer Attendees Page
+ *
+ * Bookings for one of the organizer's events:
+ * - Sales summary and seat fill
+ * - Search attendees by name or email, filter by status
+ * - Download the attendee list as CSV
+ * - Open the door check-in scanner
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiSearch, FiFilter, FiDownload, FiArrowLeft, FiEdit2, FiCamera } from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import AnimatedButton from '../../components/ui/AnimatedButton';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { eventsAPI } from '../../services/api';
+import { fromMinorUnits, getSeatFill, isEditableEvent } from '../../services/eventService';
+import '../admin/AdminDashboard.css';
+import '../admin/AdminEvents.css';
+import '../admin/AdminBookings.css';
+import './OrganizerDashboard.css';
+
+const statusOptions = [
+    { value: '', label: 'All Statuses' },
+    { value: 'booked', label: 'Booked' },
+    { value: 'confirmed', label: 'Confirmed' },
+    { value: 'attended', label: 'Attended' },
+    { value: 'pending', label: 'Awaiting Payment' },
+    { value: 'cancelled', label: 'Cancelled' },
+];
+
+const STATUS_STYLES = {
+    booked: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
+    confirmed: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
+    attended: { bg: 'rgba(6, 182, 212, 0.1)', color: '#06b6d4' },
+    pending: { bg: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' },
+    cancelled: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
+};
+
+// Amounts from the API are in paise
+const formatAmount = (amount) => `₹${fromMinorUnits(amount).toLocaleString('en-IN')}`;
+
+const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+const OrganizerAttendees = () => {
+    const { id } = useParams();
+    const { toast } = useToast();
+    const [event, setEvent] = useState(null);
+    const [bookings, setBookings] = useState([]);
+    const [summary, setSummary] = useState({ bookings: 0, tickets: 0, revenue: 0, refunded: 0 });
+    const [loading, setLoading] = useState(true);
+    const [searchInput, setSearchInput] = useState('');
+    const [searchQuery, setSearchQuery] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [exporting, setExporting] = useState(false);
+
+    useEffect(() => {
+        eventsAPI.getById(id)
+            .then((response) => setEvent(response.data.data))
+            .catch((error) => {
+                toast.error('Failed to load event', error.response?.data?.message || 'Please try again');
+            });
+    }, [id, toast]);
+
+    // Wait for typing to settle before searching
+    useEffect(() => {
+        const timer = setTimeout(() => setSearchQuery(searchInput.trim()), 300);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
+    useEffect(() => {
+        const fetchBookings = async () => {
+            try {
+                const response = await eventsAPI.getBookings(id, {
+                    q: searchQuery || undefined,
+                    status: statusFilter || undefined,
+                });
+                setBookings(response.data.data);
+                setSummary(response.data.summary);
+            } catch (error) {
+                toast.error('Failed to load attendees', error.response?.data?.message || 'Please try again');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchBookings();
+    }, [id, searchQuery, statusFilter, toast]);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const response = await eventsAPI.exportAttendees(id);
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `attendees-${id}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error('Export failed', 'Please try again');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const getStatusBadge = (status) => {
+        const style = STATUS_STYLES[status] || STATUS_STYLES.pending;
+        return (
+            <span className="status-badge" style={{ background: style.bg, color: style.color }}>
+                {status}
+            </span>
+        );
+    };
+
+    if (loading) {
+        return (
+            <AnimatedPage className="admin-page organizer-page">
+                <div className="container">
+                    <div className="admin-header">
+                        <Skeleton height="40px" width="300px" />
+                    </div>
+                    <div className="bookings-table-wrapper">
+                        {[1, 2, 3, 4, 5].map((i) => (
+                            <Skeleton key={i} height="60px" style={{ marginBottom: '0.5rem' }} />
+                        ))}
+                    </div>
+                </div>
+            </AnimatedPage>
+        );
+    }
+
+    return (
+        <AnimatedPage className="admin-page organizer-page">
+            <div className="container">
+                <Link to="/organizer" className="organizer-back-link">
+                    <FiArrowLeft size={14} />
+                    My Events
+                </Link>
+
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>{event ? event.title : 'Attendees'}</h1>
+                        <p>
+                            {event
+                                ? `${event.seatsBooked || 0} of ${event.capacity} seats taken (${getSeatFill(event)}%)`
+                                : 'Bookings for this event'}
+                        </p>
+                    </div>
+                    <div className="header-actions">
+                        {event && isEditableEvent(event) && (
+                            <Link to={`/events/${id}/edit`}>
+                                <AnimatedButton variant="secondary" icon={<FiEdit2 />}>
+                                    Edit Event
+                                </AnimatedButton>
+                            </Link>
+                        )}
+                        {event && event.status === 'approved' && (
+                            <Link to={`/organizer/events/${id}/checkin`}>
+                                <AnimatedButton variant="secondary" icon={<FiCamera />}>
+                                    Check In
+                                </AnimatedButton>
+                            </Link>
+                        )}
+                        <AnimatedButton
+                            variant="primary"
+                            icon={<FiDownload />}
+                            loading={exporting}
+                            onClick={handleExport}
+                        >
+                            Export CSV
+                        </AnimatedButton>
+                    </div>
+                </motion.div>
+
+                {/* Summary */}
+                <motion.div
+                    className="bookings-stats"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <div className="mini-stat">
+                        <span className="mini-stat-value">{summary.bookings}</span>
+                        <span className="mini-stat-label">Bookings</span>
+                    </div>
+                    <div className="mini-stat confirmed">
+                        <span className="mini-stat-value">{summary.tickets}</span>
+                        <span className="mini-stat-label">Tickets</span>
+                    </div>
+                    <div className="mini-stat revenue">
+                        <span className="mini-stat-value">{formatAmount(summary.revenue)}</span>
+                        <span className="mini-stat-label">Revenue</span>
+                    </div>
+                    <div className="mini-stat cancelled">
+                        <span className="mini-stat-value">{formatAmount(summary.refunded)}</span>
+                        <span className="mini-stat-label">Refunded</span>
+                    </div>
+                </motion.div>
+
+                {/* Toolbar */}
+                <motion.div
+                    className="bookings-toolbar"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    <div className="search-box">
+                        <FiSearch size={18} />
+                        <input
+                            type="text"
+                            placeholder="Search by name or email..."
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                    </div>
+
+                    <div className="filter-group">
+                        <FiFilter size={16} />
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                        >
+                            {statusOptions.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </motion.div>
+
+                {/* Bookings Table */}
+                <motion.div
+                    className="bookings-table-wrapper"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.3 }}
+                >
+                    <table className="bookings-table">
+                        <thead>
+                            <tr>
+                                <th>Attendee</th>
+                                <th>Phone</th>
+                                <th>Tickets</th>
+                                <th>Amount</th>
+                                <th>Status</th>
+                                <th>Booked</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {bookings.map((booking) => (
+                                <motion.tr
+                                    key={booking._id}
+                                    initial={{ opacity: 0 }}
+                                    animate={{ opacity: 1 }}
+                                    whileHover={{ backgroundColor: 'rgba(255, 255, 255, 0.02)' }}
+                                >
+                                    <td>
+                                        <div className="user-cell">
+                                            <div className="user-avatar-small">
+                                                {(booking.user?.name || '?').charAt(0)}
+                                            </div>
+                                            <div>
+                                                <span className="user-name">{booking.user?.name || 'Deleted user'}</span>
+                                                <span className="user-email">{booking.user?.email}</span>
+                                            </div>
+                                        </div>
+                                    </td>
+                                    <td>{booking.user?.phone || '—'}</td>
+                                    <td>
+                                        {booking.quantity}
+                                        {booking.items?.some((item) => item.tier) && (
+                                            <span className="attendee-tiers">
+                                                {booking.items.map((item) => `${item.quantity} × ${item.name}`).join(', ')}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="amount-cell">
+                                        {booking.amount ? formatAmount(booking.amount) : 'Free'}
+                                        {booking.amountRefunded > 0 && (
+                                            <span className="sales-refunded">
+                                                −{formatAmount(booking.amountRefunded)} refunded
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>{getStatusBadge(booking.status)}</td>
+                                    <td>{formatDateTime(booking.createdAt)}</td>
+                                </motion.tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {bookings.length === 0 && (
+                        <div className="no-results">
+                            <p>
+                                {searchQuery || statusFilter
+                                    ? 'No bookings match your search'
+                                    : 'No bookings for this event yet'}
+                            </p>
+                        </div>
+                    )}
+                </motion.div>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default OrganizerAttendees;
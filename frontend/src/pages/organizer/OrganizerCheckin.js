@@ -0,0 +1,623 @@
+/**
+ * Organizer Check-in Page
+ *
+ * Door scanner for one event:
+ * - Scan ticket QR codes with the device camera, or type the code in
+ * - Green or red result with the attendee's name
+ * - Live checked in / total counter, refreshed from the server
+ * - Keeps admitting people offline against the downloaded guest list;
+ *   queued scans sync once the connection is back
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import jsQR from 'jsqr';
+import {
+    FiArrowLeft, FiCamera, FiCameraOff, FiCheckCircle, FiXCircle, FiWifi, FiWifiOff, FiRefreshCw, FiAlertCircle
+} from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import AnimatedButton from '../../components/ui/AnimatedButton';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { checkinAPI } from '../../services/api';
+import {
+    parseTicketCode, isNetworkError, getQueuedScans, saveQueuedScans, getCachedGuestList, cacheGuestList
+} from '../../services/checkinService';
+import '../admin/AdminDashboard.css';
+import './OrganizerDashboard.css';
+import './OrganizerCheckin.css';
+
+// The camera sees a code many times a second; ignore repeats for a while
+const RESCAN_DELAY = 3000;
+const DECODE_INTERVAL = 200;
+const MAX_FRAME_WIDTH = 640;
+
+// How often the counter and guest list are refreshed, and queued scans retried
+const REFRESH_INTERVAL = 15000;
+
+// Matches the server's limit per sync request
+const SYNC_BATCH = 200;
+
+const REFUSALS = {
+    INVALID_TICKET: { title: 'Invalid ticket', detail: 'This is not a valid ticket code' },
+    WRONG_EVENT: { title: 'Wrong event', detail: 'This ticket is for a different event' },
+    NOT_FOUND: { title: 'Ticket not found', detail: 'There is no booking for this ticket' },
+    NOT_ON_LIST: {
+        title: 'Not on guest list',
+        detail: "This booking isn't on the downloaded guest list. Try again once back online.",
+    },
+    ALREADY_CHECKED_IN: { title: 'Already checked in', detail: 'This ticket has already been checked in' },
+    BOOKING_CANCELLED: { title: 'Booking cancelled', detail: 'This booking was cancelled' },
+    PAYMENT_PENDING: { title: 'Not paid', detail: 'This booking has not been paid for' },
+};
+
+// Guest list statuses that can't be admitted, by refusal
+const STATUS_REFUSALS = {
+    attended: 'ALREADY_CHECKED_IN',
+    cancelled: 'BOOKING_CANCELLED',
+    pending: 'PAYMENT_PENDING',
+};
+
+const refusal = (code, name, detail) => ({
+    ok: false,
+    title: (REFUSALS[code] || REFUSALS.NOT_FOUND).title,
+    name,
+    detail: detail || (REFUSALS[code] || REFUSALS.NOT_FOUND).detail,
+});
+
+const indexGuests = (tickets) =>
+    tickets.reduce((guests, ticket) => {
+        guests[ticket.bookingId] = ticket;
+        return guests;
+    }, {});
+
+const formatTime = (date) =>
+    new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+
+const cameraSupported = () => Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+const OrganizerCheckin = () => {
+    const { id } = useParams();
+    const { toast } = useToast();
+    const [event, setEvent] = useState(null);
+    const [counts, setCounts] = useState({ checkedIn: 0, total: 0 });
+    const [guests, setGuests] = useState({});
+    const [queue, setQueue] = useState(() => getQueuedScans(id));
+    const [online, setOnline] = useState(navigator.onLine);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState('');
+    const [syncing, setSyncing] = useState(false);
+    const [syncIssues, setSyncIssues] = useState([]);
+    const [checking, setChecking] = useState(false);
+    const [result, setResult] = useState(null);
+    const [recent, setRecent] = useState([]);
+    const [cameraOn, setCameraOn] = useState(false);
+    const [cameraError, setCameraError] = useState(
+        cameraSupported() ? '' : 'This browser can\'t use the camera here. Enter ticket codes by hand below.'
+    );
+    const [manualCode, setManualCode] = useState('');
+
+    // Latest values for callbacks that outlive a render
+    const guestsRef = useRef({});
+    const queueRef = useRef(queue);
+    const onlineRef = useRef(navigator.onLine);
+    const syncingRef = useRef(false);
+    const busyRef = useRef(false);
+    const lastScanRef = useRef({ code: '', at: 0 });
+    const handleCodeRef = useRef(null);
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    const setReachable = useCallback((value) => {
+        onlineRef.current = value;
+        setOnline(value);
+    }, []);
+
+    const updateQueue = useCallback((scans) => {
+        queueRef.current = scans;
+        setQueue(scans);
+        saveQueuedScans(id, scans);
+    }, [id]);
+
+    const applyGuestList = useCallback((guestList) => {
+        guestsRef.current = indexGuests(guestList.tickets);
+        setGuests(guestsRef.current);
+        setEvent(guestList.event);
+        setCounts(guestList.counts);
+    }, []);
+
+    const markGuest = (bookingId, status) => {
+        const guest = guestsRef.current[bookingId];
+        if (!guest) return;
+        guestsRef.current = { ...guestsRef.current, [bookingId]: { ...guest, status } };
+        setGuests(guestsRef.current);
+    };
+
+    const loadGuestList = useCallback(async () => {
+        try {
+            const response = await checkinAPI.getGuestList(id);
+            const { event: eventInfo, counts: eventCounts, tickets } = response.data;
+            const guestList = { event: eventInfo, counts: eventCounts, tickets };
+            cacheGuestList(id, guestList);
+            applyGuestList(guestList);
+            setReachable(true);
+            setLoadError('');
+        } catch (error) {
+            if (isNetworkError(error)) {
+                setReachable(false);
+                if (Object.keys(guestsRef.current).length === 0) {
+                    setLoadError('You are offline and this event\'s guest list hasn\'t been downloaded yet.');
+                }
+            } else {
+                setLoadError(error.response?.data?.message || 'Failed to load the guest list');
+            }
+        } finally {
+            setLoading(false);
+        }
+    }, [id, applyGuestList, setReachable]);
+
+    // Send queued scans; refused ones are listed for the organizer to follow up
+    const syncQueue = useCallback(async () => {
+        const batch = queueRef.current.slice(0, SYNC_BATCH);
+        if (batch.length === 0 || syncingRef.current) return;
+
+        syncingRef.current = true;
+        setSyncing(true);
+        try {
+            const response = await checkinAPI.sync(
+                id,
+                batch.map(({ code, scannedAt }) => ({ code, scannedAt }))
+            );
+            const refused = response.data.results
+                .map((scanResult, index) => ({ ...scanResult, scan: batch[index] }))
+                .filter((scanResult) => !scanResult.success);
+
+            // Scans made during the sync were queued after the batch
+            updateQueue(queueRef.current.slice(batch.length));
+            setCounts(response.data.counts);
+            setReachable(true);
+
+            if (refused.length > 0) {
+                setSyncIssues((prev) => [
+                    ...refused.map((scanResult) => ({
+                        ...refusal(scanResult.code, scanResult.attendee?.name || scanResult.scan.name, scanResult.message),
+                        at: scanResult.scan.scannedAt,
+                    })),
+                    ...prev,
+                ]);
+                toast.error(
+                    'Some offline scans were refused',
+                    `${refused.length} scan${refused.length === 1 ? '' : 's'} need${refused.length === 1 ? 's' : ''} checking`
+                );
+            }
+        } catch (error) {
+            if (isNetworkError(error)) {
+                setReachable(false);
+            } else {
+                toast.error('Sync failed', error.response?.data?.message || 'Queued scans will be retried');
+            }
+        } finally {
+            syncingRef.current = false;
+            setSyncing(false);
+        }
+    }, [id, updateQueue, setReachable, toast]);
+
+    const refresh = useCallback(async () => {
+        await syncQueue();
+        await loadGuestList();
+    }, [syncQueue, loadGuestList]);
+
+    // Start from the cached guest list, then keep it fresh
+    useEffect(() => {
+        updateQueue(getQueuedScans(id));
+        const cached = getCachedGuestList(id);
+        if (cached) {
+            applyGuestList(cached);
+            setLoading(false);
+        }
+
+        refresh();
+        const timer = setInterval(refresh, REFRESH_INTERVAL);
+        const handleOnline = () => refresh();
+        const handleOffline = () => setReachable(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            clearInterval(timer);
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [id, refresh, updateQueue, applyGuestList, setReachable]);
+
+    // Admit against the downloaded guest list; the server decides on sync
+    const checkInOffline = (code, ticket) => {
+        const guest = guestsRef.current[ticket.bookingId];
+        if (!guest) {
+            return refusal('NOT_ON_LIST');
+        }
+
+        const queued = queueRef.current.some((scan) => scan.bookingId === ticket.bookingId);
+        const refusalCode = queued ? 'ALREADY_CHECKED_IN' : STATUS_REFUSALS[guest.status];
+        if (refusalCode) {
+            return refusal(refusalCode, guest.name);
+        }
+
+        updateQueue([
+            ...queueRef.current,
+            {
+                code,
+                bookingId: ticket.bookingId,
+                name: guest.name,
+                quantity: guest.quantity,
+                scannedAt: new Date().toISOString(),
+            },
+        ]);
+        return {
+            ok: true,
+            offline: true,
+            title: 'Checked in',
+            name: guest.name,
+            detail: `${guest.quantity} ticket(s) · saved offline, will sync`,
+        };
+    };
+
+    const checkTicket = async (code) => {
+        const ticket = parseTicketCode(code);
+        if (!ticket) {
+            return refusal('INVALID_TICKET');
+        }
+        if (ticket.eventId !== id) {
+            return refusal('WRONG_EVENT');
+        }
+
+        // Don't keep the queue waiting on a connection that's known to be down
+        if (!onlineRef.current || !navigator.onLine) {
+            return checkInOffline(code, ticket);
+        }
+
+        try {
+            const response = await checkinAPI.checkIn(code, id);
+            setCounts(response.data.counts);
+            markGuest(ticket.bookingId, 'attended');
+            return {
+                ok: true,
+                title: 'Checked in',
+                name: response.data.attendee.name,
+                detail: response.data.message,
+            };
+        } catch (error) {
+            if (isNetworkError(error)) {
+                setReachable(false);
+                return checkInOffline(code, ticket);
+            }
+
+            const data = error.response.data;
+            if (data.counts) setCounts(data.counts);
+            if (data.code === 'ALREADY_CHECKED_IN') markGuest(ticket.bookingId, 'attended');
+            return refusal(data.code, data.attendee?.name, data.message);
+        }
+    };
+
+    const handleCode = async (rawCode, { manual = false } = {}) => {
+        const code = String(rawCode || '').trim();
+        if (!code || busyRef.current) return;
+
+        const now = Date.now();
+        if (!manual && lastScanRef.current.code === code && now - lastScanRef.current.at < RESCAN_DELAY) {
+            return;
+        }
+        lastScanRef.current = { code, at: now };
+
+        busyRef.current = true;
+        setChecking(true);
+        try {
+            const outcome = { ...(await checkTicket(code)), key: now, at: new Date() };
+            setResult(outcome);
+            setRecent((prev) => [outcome, ...prev].slice(0, 10));
+            if (navigator.vibrate) navigator.vibrate(outcome.ok ? 80 : [80, 60, 80]);
+        } finally {
+            busyRef.current = false;
+            setChecking(false);
+        }
+    };
+    handleCodeRef.current = handleCode;
+
+    // Decode frames from the rear camera while it's on
+    useEffect(() => {
+        if (!cameraOn) return undefined;
+
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        let stream = null;
+        let frame = null;
+        let stopped = false;
+        let lastDecode = 0;
+
+        const scan = (time) => {
+            if (stopped) return;
+            if (time - lastDecode >= DECODE_INTERVAL && video.readyState >= video.HAVE_ENOUGH_DATA) {
+                lastDecode = time;
+                const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+                canvas.width = Math.round(video.videoWidth * scale);
+                canvas.height = Math.round(video.videoHeight * scale);
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                const image = context.getImageData(0, 0, canvas.width, canvas.height);
+                const qr = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+                if (qr && qr.data) handleCodeRef.current(qr.data);
+            }
+            frame = requestAnimationFrame(scan);
+        };
+
+        const start = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: 'environment' },
+                    audio: false,
+                });
+                if (stopped) {
+                    stream.getTracks().forEach((track) => track.stop());
+                    return;
+                }
+                video.srcObject = stream;
+                await video.play();
+                setCameraError('');
+                frame = requestAnimationFrame(scan);
+            } catch (error) {
+                if (stopped) return;
+                setCameraError(
+                    error.name === 'NotAllowedError'
+                        ? 'Camera access was blocked. Allow it in your browser settings, or enter codes by hand below.'
+                        : 'The camera couldn\'t be started. Enter ticket codes by hand below.'
+                );
+                setCameraOn(false);
+            }
+        };
+
+        start();
+        return () => {
+            stopped = true;
+            cancelAnimationFrame(frame);
+            if (stream) stream.getTracks().forEach((track) => track.stop());
+            video.srcObject = null;
+        };
+    }, [cameraOn]);
+
+    const handleManualSubmit = async (e) => {
+        e.preventDefault();
+        await handleCode(manualCode, { manual: true });
+        setManualCode('');
+    };
+
+    const queuedTickets = queue.reduce((sum, scan) => sum + scan.quantity, 0);
+    const checkedIn = counts.checkedIn + queuedTickets;
+    const fill = counts.total > 0 ? Math.min(100, Math.round((checkedIn / counts.total) * 100)) : 0;
+
+    if (loading) {
+        return (
+            <AnimatedPage className="admin-page organizer-page checkin-page">
+                <div className="container">
+                    <div className="admin-header">
+                        <Skeleton height="40px" width="300px" />
+                    </div>
+                    <Skeleton height="120px" style={{ marginBottom: '1.5rem' }} />
+                    <Skeleton height="320px" />
+                </div>
+            </AnimatedPage>
+        );
+    }
+
+    if (!event) {
+        return (
+            <AnimatedPage className="admin-page organizer-page checkin-page">
+                <div className="container">
+                    <Link to="/organizer" className="organizer-back-link">
+                        <FiArrowLeft size={14} />
+                        My Events
+                    </Link>
+                    <div className="no-results">
+                        <p>{loadError || 'Failed to load the guest list'}</p>
+                        <AnimatedButton variant="secondary" icon={<FiRefreshCw />} onClick={loadGuestList}>
+                            Try Again
+                        </AnimatedButton>
+                    </div>
+                </div>
+            </AnimatedPage>
+        );
+    }
+
+    return (
+        <AnimatedPage className="admin-page organizer-page checkin-page">
+            <div className="container">
+                <Link to={`/organizer/events/${id}`} className="organizer-back-link">
+                    <FiArrowLeft size={14} />
+                    Attendees
+                </Link>
+
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>{event.title}</h1>
+                        <p>Door check-in · {Object.keys(guests).length} bookings on the guest list</p>
+                    </div>
+                    <div className="header-actions">
+                        <span className={`checkin-connection ${online ? 'online' : 'offline'}`}>
+                            {online ? <FiWifi size={14} /> : <FiWifiOff size={14} />}
+                            {online ? 'Online' : 'Offline'}
+                        </span>
+                        {queue.length > 0 && (
+                            <AnimatedButton
+                                variant="secondary"
+                                size="sm"
+                                icon={<FiRefreshCw />}
+                                loading={syncing}
+                                onClick={refresh}
+                            >
+                                Sync {queue.length}
+                            </AnimatedButton>
+                        )}
+                    </div>
+                </motion.div>
+
+                {/* Counter */}
+                <motion.div
+                    className="checkin-counter"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.05 }}
+                >
+                    <div className="checkin-counter-value">
+                        <span className="checkin-counter-count">{checkedIn}</span>
+                        <span className="checkin-counter-total">/ {counts.total}</span>
+                        <span className="checkin-counter-label">checked in</span>
+                    </div>
+                    <div className="seat-gauge-track">
+                        <motion.div
+                            className="seat-gauge-fill"
+                            initial={false}
+                            animate={{ width: `${fill}%` }}
+                            transition={{ duration: 0.4 }}
+                        />
+                    </div>
+                    {queuedTickets > 0 && (
+                        <span className="checkin-counter-note">
+                            {queuedTickets} ticket{queuedTickets === 1 ? '' : 's'} checked in offline, waiting to sync
+                        </span>
+                    )}
+                </motion.div>
+
+                <div className="checkin-grid">
+                    {/* Scanner */}
+                    <motion.div
+                        className="checkin-panel"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: 0.1 }}
+                    >
+                        <div className={`checkin-viewfinder ${cameraOn ? 'active' : ''}`}>
+                            <video ref={videoRef} muted playsInline />
+                            {!cameraOn && (
+                                <div className="checkin-viewfinder-idle">
+                                    <FiCameraOff size={32} />
+                                    <span>Camera is off</span>
+                                </div>
+                            )}
+                            {checking && <div className="checkin-viewfinder-busy">Checking…</div>}
+                        </div>
+                        <canvas ref={canvasRef} hidden />
+
+                        {cameraSupported() && (
+                            <AnimatedButton
+                                variant={cameraOn ? 'secondary' : 'primary'}
+                                icon={cameraOn ? <FiCameraOff /> : <FiCamera />}
+                                fullWidth
+                                onClick={() => setCameraOn((on) => !on)}
+                            >
+                                {cameraOn ? 'Stop Camera' : 'Start Camera'}
+                            </AnimatedButton>
+                        )}
+                        {cameraError && (
+                            <p className="checkin-camera-error">
+                                <FiAlertCircle size={14} />
+                                {cameraError}
+                            </p>
+                        )}
+
+                        <form className="checkin-manual" onSubmit={handleManualSubmit}>
+                            <label htmlFor="ticket-code">Ticket code</label>
+                            <div className="checkin-manual-row">
+                                <input
+                                    id="ticket-code"
+                                    type="text"
+                                    placeholder="EF1.…"
+                                    autoComplete="off"
+                                    autoCapitalize="off"
+                                    spellCheck={false}
+                                    value={manualCode}
+                                    onChange={(e) => setManualCode(e.target.value)}
+                                />
+                                <AnimatedButton type="submit" variant="primary" disabled={!manualCode.trim() || checking}>
+                                    Check In
+                                </AnimatedButton>
+                            </div>
+                        </form>
+                    </motion.div>
+
+                    {/* Results */}
+                    <motion.div
+                        className="checkin-panel"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: 0.15 }}
+                    >
+                        <AnimatePresence mode="wait">
+                            {result ? (
+                                <motion.div
+                                    key={result.key}
+                                    className={`checkin-result ${result.ok ? 'success' : 'error'}`}
+                                    initial={{ opacity: 0, scale: 0.95 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    exit={{ opacity: 0 }}
+                                >
+                                    {result.ok ? <FiCheckCircle size={40} /> : <FiXCircle size={40} />}
+                                    <div>
+                                        <h2>{result.title}</h2>
+                                        {result.name && <p className="checkin-result-name">{result.name}</p>}
+                                        <p>{result.detail}</p>
+                                    </div>
+                                </motion.div>
+                            ) : (
+                                <motion.div key="empty" className="checkin-result empty">
+                                    <FiCamera size={40} />
+                                    <div>
+                                        <h2>Ready to scan</h2>
+                                        <p>Point the camera at a ticket's QR code, or enter its code.</p>
+                                    </div>
+                                </motion.div>
+                            )}
+                        </AnimatePresence>
+
+                        {syncIssues.length > 0 && (
+                            <div className="checkin-list">
+                                <h3>Refused when synced</h3>
+                                {syncIssues.map((issue, index) => (
+                                    <div key={`${issue.at}-${index}`} className="checkin-list-item error">
+                                        <FiXCircle size={16} />
+                                        <span className="checkin-list-name">{issue.name || 'Unknown ticket'}</span>
+                                        <span className="checkin-list-detail">{issue.title}</span>
+                                        <span className="checkin-list-time">{formatTime(issue.at)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {recent.length > 0 && (
+                            <div className="checkin-list">
+                                <h3>Recent scans</h3>
+                                {recent.map((scan) => (
+                                    <div key={scan.key} className={`checkin-list-item ${scan.ok ? 'success' : 'error'}`}>
+                                        {scan.ok ? <FiCheckCircle size={16} /> : <FiXCircle size={16} />}
+                                        <span className="checkin-list-name">{scan.name || 'Unknown ticket'}</span>
+                                        <span className="checkin-list-detail">
+                                            {scan.title}{scan.offline ? ' (offline)' : ''}
+                                        </span>
+                                        <span className="checkin-list-time">{formatTime(scan.at)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </motion.div>
+                </div>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default OrganizerCheckin;
@@ -0,0 +1,386 @@
+/**
+ * Organizer Dashboard Page
+ *
+ * The organizer's own events:
+ * - Approval status, with the reason for rejected events or changes
+ * - Tickets sold, seat fill and revenue per event
+ * - Links to each event's attendee list, door check-in and promo codes
+ * - Edit any event that isn't cancelled, submit drafts for review
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+    FiPlus, FiSearch, FiEdit2, FiEye, FiUsers, FiMapPin, FiSend, FiAlertCircle, FiClock, FiCamera, FiTag
+} from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import AnimatedButton from '../../components/ui/AnimatedButton';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { useAuth } from '../../context/AuthContext';
+import { eventsAPI } from '../../services/api';
+import {
+    FALLBACK_EVENT_IMAGE, fromMinorUnits, getSeatFill, isEditableEvent
+} from '../../services/eventService';
+import '../admin/AdminDashboard.css';
+import '../admin/AdminEvents.css';
+import '../admin/AdminBookings.css';
+import './OrganizerDashboard.css';
+
+const STATUS_FILTERS = ['all', 'approved', 'pending', 'draft', 'rejected', 'cancelled'];
+
+const STATUS_STYLES = {
+    approved: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
+    pending: { bg: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' },
+    draft: { bg: 'rgba(255, 255, 255, 0.05)', color: '#94a3b8' },
+    rejected: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
+    cancelled: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
+};
+
+// Amounts from the API are in paise
+const formatAmount = (amount) => `₹${fromMinorUnits(amount).toLocaleString('en-IN')}`;
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+
+const OrganizerDashboard = () => {
+    const { toast } = useToast();
+    const { verificationRequired } = useAuth();
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchQuery, setSearchQuery] = useState('');
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [submittingId, setSubmittingId] = useState(null);
+
+    useEffect(() => {
+        const fetchEvents = async () => {
+            try {
+                const response = await eventsAPI.getMine();
+                setEvents(response.data.data);
+            } catch (error) {
+                toast.error('Failed to load your events', error.response?.data?.message || 'Please try again');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchEvents();
+    }, [toast]);
+
+    const filteredEvents = events.filter((event) => {
+        const matchesSearch = event.title.toLowerCase().includes(searchQuery.toLowerCase());
+        const matchesStatus = statusFilter === 'all' || event.status === statusFilter;
+        return matchesSearch && matchesStatus;
+    });
+
+    const totals = events.reduce(
+        (sum, event) => ({
+            tickets: sum.tickets + event.sales.tickets,
+            revenue: sum.revenue + event.sales.revenue,
+        }),
+        { tickets: 0, revenue: 0 }
+    );
+    const countByStatus = (status) => events.filter((event) => event.status === status).length;
+
+    // Send a draft to the admins for approval
+    const handleSubmitForReview = async (event) => {
+        if (verificationRequired) {
+            toast.error('Verify your email', 'Confirm your email address before submitting events');
+            return;
+        }
+
+        setSubmittingId(event._id);
+        try {
+            const response = await eventsAPI.update(event._id, { status: 'pending' });
+            setEvents((prev) =>
+                prev.map((e) => (e._id === event._id ? { ...e, ...response.data.data } : e))
+            );
+            toast.success('Event Submitted!', 'Your event is pending admin approval');
+        } catch (error) {
+            toast.error('Submission failed', error.response?.data?.message || 'Please try again');
+        } finally {
+            setSubmittingId(null);
+        }
+    };
+
+    const getStatusBadge = (status) => {
+        const style = STATUS_STYLES[status] || STATUS_STYLES.draft;
+        return (
+            <span className="status-badge" style={{ background: style.bg, color: style.color }}>
+                {status}
+            </span>
+        );
+    };
+
+    if (loading) {
+        return (
+            <AnimatedPage className="admin-page admin-events-page organizer-page">
+                <div className="container">
+                    <div className="admin-header">
+                        <Skeleton height="40px" width="250px" />
+                    </div>
+                    <div className="events-table-wrapper">
+                        {[1, 2, 3, 4].map((i) => (
+                            <Skeleton key={i} height="72px" style={{ marginBottom: '0.5rem' }} />
+                        ))}
+                    </div>
+                </div>
+            </AnimatedPage>
+        );
+    }
+
+    return (
+        <AnimatedPage className="admin-page admin-events-page organizer-page">
+            <div className="container">
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>My Events</h1>
+                        <p>{events.length} event{events.length === 1 ? '' : 's'} you organize</p>
+                    </div>
+                    <div className="header-actions">
+                        <Link to="/organizer/promo-codes">
+                            <AnimatedButton variant="secondary" icon={<FiTag />}>
+                                Promo Codes
+                            </AnimatedButton>
+                        </Link>
+                        <Link to="/create-event">
+                            <AnimatedButton variant="primary" icon={<FiPlus />}>
+                                Create Event
+                            </AnimatedButton>
+                        </Link>
+                    </div>
+                </motion.div>
+
+                {/* Totals */}
+                <motion.div
+                    className="bookings-stats"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.05 }}
+                >
+                    <div className="mini-stat confirmed">
+                        <span className="mini-stat-value">{countByStatus('approved')}</span>
+                        <span className="mini-stat-label">Live</span>
+                    </div>
+                    <div className="mini-stat pending">
+                        <span className="mini-stat-value">{countByStatus('pending')}</span>
+                        <span className="mini-stat-label">In Review</span>
+                    </div>
+                    <div className="mini-stat">
+                        <span className="mini-stat-value">{totals.tickets}</span>
+                        <span className="mini-stat-label">Tickets Sold</span>
+                    </div>
+                    <div className="mini-stat revenue">
+                        <span className="mini-stat-value">{formatAmount(totals.revenue)}</span>
+                        <span className="mini-stat-label">Revenue</span>
+                    </div>
+                </motion.div>
+
+                {/* Search & Filters */}
+                <motion.div
+                    className="events-toolbar"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <div className="search-box">
+                        <FiSearch size={18} />
+                        <input
+                            type="text"
+                            placeholder="Search your events..."
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                        />
+                    </div>
+
+                    <div className="status-filters">
+                        {STATUS_FILTERS.map((status) => (
+                            <button
+                                key={status}
+                                className={`filter-tab ${statusFilter === status ? 'active' : ''}`}
+                                onClick={() => setStatusFilter(status)}
+                            >
+                                {status.charAt(0).toUpperCase() + status.slice(1)}
+                            </button>
+                        ))}
+                    </div>
+                </motion.div>
+
+                {/* Events Table */}
+                <motion.div
+                    className="events-table-wrapper"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    <table className="events-table">
+                        <thead>
+                            <tr>
+                                <th>Event</th>
+                                <th>Date</th>
+                                <th>Status</th>
+                                <th>Sales</th>
+                                <th>Seats</th>
+                                <th>Revenue</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredEvents.map((event) => {
+                                const fill = getSeatFill(event);
+
+                                return (
+                                    <motion.tr
+                                        key={event._id}
+                                        initial={{ opacity: 0 }}
+                                        animate={{ opacity: 1 }}
+                                        whileHover={{ backgroundColor: 'rgba(255, 255, 255, 0.02)' }}
+                                    >
+                                        <td>
+                                            <div className="event-cell">
+                                                <img src={event.image || FALLBACK_EVENT_IMAGE} alt="" className="event-thumb" />
+                                                <div>
+                                                    <span className="event-title">{event.title}</span>
+                                                    <span className="event-location">
+                                                        <FiMapPin size={12} />
+                                                        {event.location}
+                                                    </span>
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>{formatDate(event.date)}</td>
+                                        <td>
+                                            {getStatusBadge(event.status)}
+                                            {event.pendingChanges && (
+                                                <span className="changes-pending">
+                                                    <FiClock size={12} />
+                                                    Changes in review
+                                                </span>
+                                            )}
+                                            {event.rejectionReason && (
+                                                <span className="rejection-reason" title={event.rejectionReason}>
+                                                    <FiAlertCircle size={12} />
+                                                    {event.status === 'approved' ? 'Changes rejected: ' : ''}
+                                                    {event.rejectionReason}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div className="sales-cell">
+                                                <span>{event.sales.tickets} ticket{event.sales.tickets === 1 ? '' : 's'}</span>
+                                                <span className="sales-bookings">
+                                                    {event.sales.bookings} booking{event.sales.bookings === 1 ? '' : 's'}
+                                                </span>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div
+                                                className="seat-gauge"
+                                                title={`${event.seatsBooked || 0} of ${event.capacity} seats taken`}
+                                            >
+                                                <div className="seat-gauge-track">
+                                                    <motion.div
+                                                        className={`seat-gauge-fill ${fill >= 90 ? 'full' : ''}`}
+                                                        initial={{ width: 0 }}
+                                                        animate={{ width: `${fill}%` }}
+                                                        transition={{ duration: 0.6, delay: 0.2 }}
+                                                    />
+                                                </div>
+                                                <span className="seat-gauge-label">
+                                                    {event.seatsBooked || 0}/{event.capacity} · {fill}%
+                                                </span>
+                                            </div>
+                                        </td>
+                                        <td className="amount-cell">
+                                            {formatAmount(event.sales.revenue)}
+                                            {event.sales.refunded > 0 && (
+                                                <span className="sales-refunded">
+                                                    −{formatAmount(event.sales.refunded)} refunded
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div className="action-buttons">
+                                                <Link to={`/events/${event._id}`} className="action-btn view" title="View Event">
+                                                    <FiEye size={16} />
+                                                </Link>
+                                                <Link
+                                                    to={`/organizer/events/${event._id}`}
+                                                    className="action-btn view"
+                                                    title="Attendees"
+                                                >
+                                                    <FiUsers size={16} />
+                                                </Link>
+                                                {event.status === 'approved' && (
+                                                    <Link
+                                                        to={`/organizer/events/${event._id}/checkin`}
+                                                        className="action-btn view"
+                                                        title="Check In Attendees"
+                                                    >
+                                                        <FiCamera size={16} />
+                                                    </Link>
+                                                )}
+                                                {event.status !== 'cancelled' && (
+                                                    <Link
+                                                        to={`/organizer/promo-codes?event=${event._id}`}
+                                                        className="action-btn view"
+                                                        title="Promo Codes"
+                                                    >
+                                                        <FiTag size={16} />
+                                                    </Link>
+                                                )}
+                                                {isEditableEvent(event) && (
+                                                    <Link
+                                                        to={`/events/${event._id}/edit`}
+                                                        className="action-btn edit"
+                                                        title="Edit Event"
+                                                    >
+                                                        <FiEdit2 size={16} />
+                                                    </Link>
+                                                )}
+                                                {event.status === 'draft' && (
+                                                    <button
+                                                        className="action-btn approve"
+                                                        title="Submit for Approval"
+                                                        disabled={submittingId === event._id}
+                                                        onClick={() => handleSubmitForReview(event)}
+                                                    >
+                                                        <FiSend size={16} />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </motion.tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    {filteredEvents.length === 0 && (
+                        <div className="no-results">
+                            {events.length === 0 ? (
+                                <p>
+                                    You haven't created any events yet. <Link to="/create-event">Create your first one</Link>
+                                </p>
+                            ) : (
+                                <p>No events match your filters</p>
+                            )}
+                        </div>
+                    )}
+                </motion.div>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default OrganizerDashboard;
@@ -0,0 +1,644 @@
+/**
+ * Organizer Promo Codes Page
+ *
+ * Discount codes for the organizer's events (every event for admins):
+ * - Percentage or fixed discounts, optionally for some ticket types only
+ * - Overall and per-buyer usage limits, validity window
+ * - Orders, discount given and status per code
+ * - Edit, switch off, or delete codes that were never used
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FiArrowLeft, FiPlus, FiFilter, FiEdit2, FiTrash2, FiX, FiTag, FiToggleLeft, FiToggleRight
+} from 'react-icons/fi';
+import { AnimatedPage } from '../../components/animations/PageTransition';
+import AnimatedButton from '../../components/ui/AnimatedButton';
+import { Skeleton } from '../../components/ui/Skeleton';
+import { useToast } from '../../components/ui/Toast';
+import { useAuth } from '../../context/AuthContext';
+import { adminAPI, eventsAPI, promoCodesAPI } from '../../services/api';
+import { fromMinorUnits, toDateTimeInput, toMinorUnits } from '../../services/eventService';
+import '../admin/AdminDashboard.css';
+import '../admin/AdminEvents.css';
+import '../admin/AdminBookings.css';
+import './OrganizerDashboard.css';
+import './OrganizerPromoCodes.css';
+
+// As the server accepts them
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+const STATUS_STYLES = {
+    active: { bg: 'rgba(34, 197, 94, 0.1)', color: '#22c55e' },
+    scheduled: { bg: 'rgba(6, 182, 212, 0.1)', color: '#06b6d4' },
+    'used up': { bg: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' },
+    expired: { bg: 'rgba(255, 255, 255, 0.05)', color: '#94a3b8' },
+    inactive: { bg: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' },
+};
+
+const EMPTY_FORM = {
+    code: '',
+    description: '',
+    discountType: 'percent',
+    value: '',
+    usageLimit: '',
+    perUserLimit: '',
+    validFrom: '',
+    validUntil: '',
+    eventId: '',
+    tierIds: [],
+    active: true,
+};
+
+// Amounts from the API are in paise
+const formatAmount = (amount) => `₹${fromMinorUnits(amount).toLocaleString('en-IN')}`;
+
+const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-IN', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+
+const describeDiscount = (promo) =>
+    promo.discountType === 'percent' ? `${promo.value}% off` : `${formatAmount(promo.value)} off`;
+
+const describeValidity = (promo) => {
+    if (promo.validFrom && promo.validUntil) return `${formatDate(promo.validFrom)} – ${formatDate(promo.validUntil)}`;
+    if (promo.validUntil) return `Until ${formatDate(promo.validUntil)}`;
+    if (promo.validFrom) return `From ${formatDate(promo.validFrom)}`;
+    return 'Always';
+};
+
+const getPromoStatus = (promo) => {
+    const now = new Date();
+    if (!promo.active) return 'inactive';
+    if (promo.validUntil && new Date(promo.validUntil) <= now) return 'expired';
+    if (promo.validFrom && new Date(promo.validFrom) > now) return 'scheduled';
+    if (promo.usageLimit && promo.timesUsed >= promo.usageLimit) return 'used up';
+    return 'active';
+};
+
+// Map an API promo code onto the form fields (fixed discounts in rupees)
+const toPromoForm = (promo) => ({
+    code: promo.code,
+    description: promo.description || '',
+    discountType: promo.discountType,
+    value: String(promo.discountType === 'percent' ? promo.value : fromMinorUnits(promo.value)),
+    usageLimit: promo.usageLimit ? String(promo.usageLimit) : '',
+    perUserLimit: promo.perUserLimit ? String(promo.perUserLimit) : '',
+    validFrom: toDateTimeInput(promo.validFrom),
+    validUntil: toDateTimeInput(promo.validUntil),
+    eventId: promo.event?._id || '',
+    tierIds: promo.tiers.map((tier) => tier._id),
+    active: promo.active,
+});
+
+// Map the form fields onto the API payload (fixed discounts in paise).
+// Empty limits and dates are sent as '' so an edit clears them.
+const toPromoPayload = (form) => ({
+    description: form.description.trim(),
+    discountType: form.discountType,
+    value: form.discountType === 'percent' ? Number(form.value) : toMinorUnits(form.value),
+    usageLimit: form.usageLimit ? Number(form.usageLimit) : '',
+    perUserLimit: form.perUserLimit ? Number(form.perUserLimit) : '',
+    validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : '',
+    validUntil: form.validUntil ? new Date(form.validUntil).toISOString() : '',
+    eventId: form.eventId || null,
+    tierIds: form.tierIds,
+    active: form.active,
+});
+
+const OrganizerPromoCodes = () => {
+    const { toast } = useToast();
+    const { isAdmin } = useAuth();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const eventFilter = searchParams.get('event') || '';
+    const [promoCodes, setPromoCodes] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // The code being edited (null for a new one), or undefined when the form is closed
+    const [editing, setEditing] = useState(undefined);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [deleteModal, setDeleteModal] = useState({ open: false, promo: null });
+
+    // Events a code can be scoped to
+    useEffect(() => {
+        const request = isAdmin ? adminAPI.getAllEvents() : eventsAPI.getMine();
+        request
+            .then((response) => setEvents(response.data.data.filter((event) => event.status !== 'cancelled')))
+            .catch((error) => {
+                toast.error('Failed to load your events', error.response?.data?.message || 'Please try again');
+            });
+    }, [isAdmin, toast]);
+
+    useEffect(() => {
+        const fetchPromoCodes = async () => {
+            try {
+                const response = await promoCodesAPI.getAll({ event: eventFilter || undefined });
+                setPromoCodes(response.data.promoCodes);
+            } catch (error) {
+                toast.error('Failed to load promo codes', error.response?.data?.message || 'Please try again');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchPromoCodes();
+    }, [eventFilter, toast]);
+
+    const selectedEvent = events.find((event) => event._id === form.eventId);
+    const eventTiers = selectedEvent?.ticketTiers || [];
+
+    const openForm = (promo = null) => {
+        setEditing(promo);
+        setForm(promo ? toPromoForm(promo) : { ...EMPTY_FORM, eventId: eventFilter });
+        setFormError('');
+    };
+
+    const closeForm = () => setEditing(undefined);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm((prev) => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value,
+            // Ticket types belong to one event
+            ...(name === 'eventId' && { tierIds: [] }),
+        }));
+        setFormError('');
+    };
+
+    const toggleTier = (tierId) => {
+        setForm((prev) => ({
+            ...prev,
+            tierIds: prev.tierIds.includes(tierId)
+                ? prev.tierIds.filter((id) => id !== tierId)
+                : [...prev.tierIds, tierId],
+        }));
+    };
+
+    const validateForm = () => {
+        const value = Number(form.value);
+        if (!editing && !CODE_PATTERN.test(form.code.trim().toUpperCase())) {
+            return 'Codes are 3-30 letters, digits, dashes or underscores';
+        }
+        if (!form.value || !(value > 0)) return 'Enter the discount';
+        if (form.discountType === 'percent' && (!Number.isInteger(value) || value > 100)) {
+            return 'A percentage discount is a whole number up to 100';
+        }
+        if (!isAdmin && !form.eventId) return 'Choose the event this code is for';
+        if (form.validFrom && form.validUntil && new Date(form.validUntil) <= new Date(form.validFrom)) {
+            return 'A code must expire after it becomes valid';
+        }
+        return '';
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const error = validateForm();
+        if (error) {
+            setFormError(error);
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const payload = toPromoPayload(form);
+            if (editing) {
+                const response = await promoCodesAPI.update(editing._id, payload);
+                setPromoCodes((prev) =>
+                    prev.map((promo) => (promo._id === editing._id ? response.data.promoCode : promo))
+                );
+                toast.success('Promo code updated', `${editing.code} has been saved`);
+            } else {
+                const response = await promoCodesAPI.create({ ...payload, code: form.code.trim().toUpperCase() });
+                setPromoCodes((prev) => [response.data.promoCode, ...prev]);
+                toast.success('Promo code created', `Buyers can now use ${response.data.promoCode.code}`);
+            }
+            closeForm();
+        } catch (err) {
+            setFormError(err.response?.data?.message || 'Could not save the promo code');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (promo) => {
+        try {
+            const response = await promoCodesAPI.update(promo._id, { active: !promo.active });
+            setPromoCodes((prev) => prev.map((p) => (p._id === promo._id ? response.data.promoCode : p)));
+            toast.success(
+                promo.active ? 'Promo code switched off' : 'Promo code switched on',
+                promo.active ? `${promo.code} can no longer be used` : `${promo.code} can be used again`
+            );
+        } catch (error) {
+            toast.error('Update failed', error.response?.data?.message || 'Please try again');
+        }
+    };
+
+    const handleDelete = async () => {
+        const { promo } = deleteModal;
+        try {
+            await promoCodesAPI.delete(promo._id);
+            setPromoCodes((prev) => prev.filter((p) => p._id !== promo._id));
+            toast.success('Promo code deleted', `${promo.code} has been removed`);
+        } catch (error) {
+            toast.error('Delete failed', error.response?.data?.message || 'Please try again');
+        } finally {
+            setDeleteModal({ open: false, promo: null });
+        }
+    };
+
+    const getStatusBadge = (promo) => {
+        const status = getPromoStatus(promo);
+        const style = STATUS_STYLES[status];
+        return (
+            <span className="status-badge" style={{ background: style.bg, color: style.color }}>
+                {status}
+            </span>
+        );
+    };
+
+    if (loading) {
+        return (
+            <AnimatedPage className="admin-page organizer-page">
+                <div className="container">
+                    <div className="admin-header">
+                        <Skeleton height="40px" width="250px" />
+                    </div>
+                    <div className="bookings-table-wrapper">
+                        {[1, 2, 3, 4].map((i) => (
+                            <Skeleton key={i} height="60px" style={{ marginBottom: '0.5rem' }} />
+                        ))}
+                    </div>
+                </div>
+            </AnimatedPage>
+        );
+    }
+
+    return (
+        <AnimatedPage className="admin-page organizer-page">
+            <div className="container">
+                <Link to={isAdmin ? '/admin' : '/organizer'} className="organizer-back-link">
+                    <FiArrowLeft size={14} />
+                    {isAdmin ? 'Dashboard' : 'My Events'}
+                </Link>
+
+                {/* Header */}
+                <motion.div
+                    className="admin-header"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div>
+                        <h1>Promo Codes</h1>
+                        <p>Discounts buyers enter at checkout</p>
+                    </div>
+                    <div className="header-actions">
+                        <AnimatedButton variant="primary" icon={<FiPlus />} onClick={() => openForm()}>
+                            New Code
+                        </AnimatedButton>
+                    </div>
+                </motion.div>
+
+                {/* Toolbar */}
+                <motion.div
+                    className="bookings-toolbar"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <div className="filter-group">
+                        <FiFilter size={16} />
+                        <select
+                            value={eventFilter}
+                            onChange={(e) => setSearchParams(e.target.value ? { event: e.target.value } : {})}
+                        >
+                            <option value="">All Events</option>
+                            {events.map((event) => (
+                                <option key={event._id} value={event._id}>{event.title}</option>
+                            ))}
+                        </select>
+                    </div>
+                </motion.div>
+
+                {/* Promo Codes Table */}
+                <motion.div
+                    className="bookings-table-wrapper"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    <table className="bookings-table">
+                        <thead>
+                            <tr>
+                                <th>Code</th>
+                                <th>Discount</th>
+                                <th>Applies To</th>
+                                <th>Uses</th>
+                                <th>Valid</th>
+                                <th>Discount Given</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {promoCodes.map((promo) => (
+                                <motion.tr
+                                    key={promo._id}
+                                    initial={{ opacity: 0 }}
+                                    animate={{ opacity: 1 }}
+                                    whileHover={{ backgroundColor: 'rgba(255, 255, 255, 0.02)' }}
+                                >
+                                    <td>
+                                        <span className="promo-code">{promo.code}</span>
+                                        {promo.description && (
+                                            <span className="promo-detail">{promo.description}</span>
+                                        )}
+                                    </td>
+                                    <td>{describeDiscount(promo)}</td>
+                                    <td>
+                                        {promo.event ? promo.event.title : 'All events'}
+                                        {promo.tiers.length > 0 && (
+                                            <span className="promo-detail">
+                                                {promo.tiers.map((tier) => tier.name).join(', ')}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        {promo.timesUsed}{promo.usageLimit ? ` / ${promo.usageLimit}` : ''}
+                                        {promo.perUserLimit && (
+                                            <span className="promo-detail">{promo.perUserLimit} per buyer</span>
+                                        )}
+                                    </td>
+                                    <td>{describeValidity(promo)}</td>
+                                    <td className="amount-cell">
+                                        {formatAmount(promo.stats.discount)}
+                                        <span className="sales-refunded">
+                                            {promo.stats.orders} paid order{promo.stats.orders === 1 ? '' : 's'}
+                                        </span>
+                                    </td>
+                                    <td>{getStatusBadge(promo)}</td>
+                                    <td>
+                                        <div className="action-buttons">
+                                            <button
+                                                className="action-btn edit"
+                                                title="Edit Code"
+                                                onClick={() => openForm(promo)}
+                                            >
+                                                <FiEdit2 size={16} />
+                                            </button>
+                                            <button
+                                                className="action-btn view"
+                                                title={promo.active ? 'Switch Off' : 'Switch On'}
+                                                onClick={() => handleToggleActive(promo)}
+                                            >
+                                                {promo.active ? <FiToggleRight size={16} /> : <FiToggleLeft size={16} />}
+                                            </button>
+                                            {promo.timesUsed === 0 && (
+                                                <button
+                                                    className="action-btn delete"
+                                                    title="Delete Code"
+                                                    onClick={() => setDeleteModal({ open: true, promo })}
+                                                >
+                                                    <FiTrash2 size={16} />
+                                                </button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </motion.tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {promoCodes.length === 0 && (
+                        <div className="no-results">
+                            <p>
+                                {eventFilter
+                                    ? 'No promo codes for this event yet'
+                                    : 'No promo codes yet. Create one to run a discount.'}
+                            </p>
+                        </div>
+                    )}
+                </motion.div>
+
+                {/* Create / Edit Modal */}
+                <AnimatePresence>
+                    {editing !== undefined && (
+                        <motion.div
+                            className="modal-overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={closeForm}
+                        >
+                            <motion.form
+                                className="modal-content promo-modal"
+                                initial={{ opacity: 0, scale: 0.9, y: 20 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.9, y: 20 }}
+                                onClick={(e) => e.stopPropagation()}
+                                onSubmit={handleSave}
+                            >
+                                <button type="button" className="modal-close" onClick={closeForm}>
+                                    <FiX size={20} />
+                                </button>
+
+                                <h3><FiTag /> {editing ? `Edit ${editing.code}` : 'New Promo Code'}</h3>
+
+                                <div className="promo-form-grid">
+                                    <label className="promo-field">
+                                        <span>Code</span>
+                                        <input
+                                            name="code"
+                                            value={form.code}
+                                            onChange={handleChange}
+                                            placeholder="EARLYBIRD"
+                                            maxLength={30}
+                                            disabled={Boolean(editing)}
+                                            className="promo-code-input"
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Description (optional)</span>
+                                        <input
+                                            name="description"
+                                            value={form.description}
+                                            onChange={handleChange}
+                                            placeholder="Launch week offer"
+                                            maxLength={200}
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Discount Type</span>
+                                        <select name="discountType" value={form.discountType} onChange={handleChange}>
+                                            <option value="percent">Percentage off</option>
+                                            <option value="fixed">Fixed amount off</option>
+                                        </select>
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>{form.discountType === 'percent' ? 'Discount (%)' : 'Discount (₹)'}</span>
+                                        <input
+                                            type="number"
+                                            name="value"
+                                            value={form.value}
+                                            onChange={handleChange}
+                                            min="1"
+                                            max={form.discountType === 'percent' ? 100 : undefined}
+                                            step={form.discountType === 'percent' ? 1 : 0.01}
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Total Uses (blank for no limit)</span>
+                                        <input
+                                            type="number"
+                                            name="usageLimit"
+                                            value={form.usageLimit}
+                                            onChange={handleChange}
+                                            min="1"
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Uses per Buyer (blank for no limit)</span>
+                                        <input
+                                            type="number"
+                                            name="perUserLimit"
+                                            value={form.perUserLimit}
+                                            onChange={handleChange}
+                                            min="1"
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Valid From (optional)</span>
+                                        <input
+                                            type="datetime-local"
+                                            name="validFrom"
+                                            value={form.validFrom}
+                                            onChange={handleChange}
+                                        />
+                                    </label>
+                                    <label className="promo-field">
+                                        <span>Valid Until (optional)</span>
+                                        <input
+                                            type="datetime-local"
+                                            name="validUntil"
+                                            value={form.validUntil}
+                                            onChange={handleChange}
+                                        />
+                                    </label>
+                                    <label className="promo-field full">
+                                        <span>Event</span>
+                                        <select name="eventId" value={form.eventId} onChange={handleChange}>
+                                            <option value="">{isAdmin ? 'All events' : 'Choose an event'}</option>
+                                            {events.map((event) => (
+                                                <option key={event._id} value={event._id}>{event.title}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {eventTiers.length > 0 && (
+                                        <div className="promo-field full">
+                                            <span>Ticket Types (none checked for all)</span>
+                                            <div className="promo-tiers">
+                                                {eventTiers.map((tier) => (
+                                                    <label key={tier._id} className="promo-tier">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={form.tierIds.includes(tier._id)}
+                                                            onChange={() => toggleTier(tier._id)}
+                                                        />
+                                                        {tier.name}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+                                    <label className="promo-tier full">
+                                        <input
+                                            type="checkbox"
+                                            name="active"
+                                            checked={form.active}
+                                            onChange={handleChange}
+                                        />
+                                        Active - buyers can use this code
+                                    </label>
+                                </div>
+
+                                {formError && <p className="promo-form-error">{formError}</p>}
+
+                                <div className="modal-actions">
+                                    <AnimatedButton type="button" variant="secondary" onClick={closeForm}>
+                                        Cancel
+                                    </AnimatedButton>
+                                    <AnimatedButton type="submit" variant="primary" loading={saving}>
+                                        {editing ? 'Save Changes' : 'Create Code'}
+                                    </AnimatedButton>
+                                </div>
+                            </motion.form>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+
+                {/* Delete Confirmation Modal */}
+                <AnimatePresence>
+                    {deleteModal.open && (
+                        <motion.div
+                            className="modal-overlay"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={() => setDeleteModal({ open: false, promo: null })}
+                        >
+                            <motion.div
+                                className="modal-content delete-modal"
+                                initial={{ opacity: 0, scale: 0.9, y: 20 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.9, y: 20 }}
+                                onClick={(e) => e.stopPropagation()}
+                            >
+                                <button
+                                    className="modal-close"
+                                    onClick={() => setDeleteModal({ open: false, promo: null })}
+                                >
+                                    <FiX size={20} />
+                                </button>
+
+                                <div className="delete-icon">
+                                    <FiTrash2 size={32} />
+                                </div>
+
+                                <h3>Delete Promo Code?</h3>
+                                <p>
+                                    <strong>{deleteModal.promo?.code}</strong> will stop working at checkout.
+                                    This action cannot be undone.
+                                </p>
+
+                                <div className="modal-actions">
+                                    <AnimatedButton
+                                        variant="secondary"
+                                        onClick={() => setDeleteModal({ open: false, promo: null })}
+                                    >
+                                        Cancel
+                                    </AnimatedButton>
+                                    <AnimatedButton
+                                        variant="primary"
+                                        onClick={handleDelete}
+                                        style={{ background: '#ef4444' }}
+                                    >
+                                        Delete Code
+                                    </AnimatedButton>
+                                </div>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </AnimatedPage>
+    );
+};
+
+export default OrganizerPromoCodes;
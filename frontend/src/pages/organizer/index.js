@@ -0,0 +1,5 @@
+// Organizer Pages Index
+export { default as OrganizerDashboard } from './OrganizerDashboard';
+export { default as OrganizerAttendees } from './OrganizerAttendees';
+export { default as OrganizerCheckin } from './OrganizerCheckin';
+export { default as OrganizerPromoCodes } from './OrganizerPromoCodes';
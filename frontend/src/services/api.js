@@ -4,7 +4,7 @@
  * Configured axios instance with:
  * - Base URL from environment
  * - JWT token auto-attachment
- * - Response interceptor for 401 handling
+ * - Silent access token refresh on 401
  */
 
 import axios from 'axios';
@@ -16,8 +16,35 @@ const api = axios.create({
         'Content-Type': 'application/json',
     },
     timeout: 10000,
+    // Send the httpOnly refresh token cookie to /auth/refresh
+    withCredentials: true,
 });
 
+// Fired when the session can't be refreshed; AuthContext signs the user out
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+// Auth calls whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time; requests that fail meanwhile wait for it
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = api.post('/auth/refresh')
+            .then((response) => {
+                const { token, user } = response.data;
+                localStorage.setItem('token', token);
+                localStorage.setItem('user', JSON.stringify(user));
+                return token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
 // Request interceptor - Attach JWT token
 api.interceptors.request.use(
     (config) => {
@@ -32,31 +59,58 @@ api.interceptors.request.use(
     }
 );
 
-// Response interceptor - Handle 401 errors
+// Response interceptor - On 401, refresh the access token and retry once
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            // Clear auth data
+    async (error) => {
+        const request = error.config;
+        const canRefresh = error.response?.status === 401
+            && request
+            && !request._retried
+            && !NO_REFRESH_URLS.includes(request.url)
+            && localStorage.getItem('token');
+
+        if (!canRefresh) {
+            return Promise.reject(error);
+        }
+
+        request._retried = true;
+
+        try {
+            const token = await refreshAccessToken();
+            request.headers.Authorization = `Bearer ${token}`;
+            return api(request);
+        } catch (refreshError) {
+            // The session is over: drop it and let the app decide where to go
             localStorage.removeItem('token');
             localStorage.removeItem('user');
-
-            // Redirect to login if not already there
-            if (window.location.pathname !== '/login') {
-                window.location.href = '/login';
-            }
+            window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+            return Promise.reject(error);
         }
-        return Promise.reject(error);
     }
 );
 
 // Auth API
 export const authAPI = {
     login: (credentials) => api.post('/auth/login', credentials),
+    loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
     register: (userData) => api.post('/auth/register', userData),
     logout: () => api.post('/auth/logout'),
     getMe: () => api.get('/auth/me'),
     updateProfile: (data) => api.put('/auth/updateprofile', data),
+    forgotPassword: (email) => api.post('/auth/forgotpassword', { email }),
+    resetPassword: (token, password) => api.put(`/auth/resetpassword/${token}`, { password }),
+    verifyEmail: (token) => api.post(`/auth/verifyemail/${token}`),
+    resendVerification: () => api.post('/auth/verifyemail/resend'),
+    updatePassword: (data) => api.put('/auth/updatepassword', data),
+    getSessions: () => api.get('/auth/sessions'),
+    revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+    logoutAll: () => api.post('/auth/logoutall'),
+    getTwoFactorStatus: () => api.get('/auth/2fa'),
+    setupTwoFactor: () => api.post('/auth/2fa/setup'),
+    enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+    disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+    regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
 };
 
 // Events API
@@ -67,6 +121,12 @@ export const eventsAPI = {
     update: (id, data) => api.put(`/events/${id}`, data),
     delete: (id) => api.delete(`/events/${id}`),
     getCategories: () => api.get('/events/categories'),
+    getMine: () => api.get('/events/my'),
+    // Organizer of the event or admin
+    getBookings: (id, params) => api.get(`/events/${id}/bookings`, { params }),
+    getAttendees: (id) => api.get(`/events/${id}/attendees`),
+    exportAttendees: (id) =>
+        api.get(`/events/${id}/attendees`, { params: { format: 'csv' }, responseType: 'blob' }),
 };
 
 // Bookings API
@@ -74,6 +134,9 @@ export const bookingsAPI = {
     getMyBookings: () => api.get('/bookings/my'),
     getAll: () => api.get('/bookings'),
     getById: (id) => api.get(`/bookings/${id}`),
+    getTicket: (id) => api.get(`/bookings/${id}/ticket`),
+    downloadTicket: (id) => api.get(`/bookings/${id}/ticket.pdf`, { responseType: 'blob' }),
+    downloadInvoice: (id) => api.get(`/bookings/${id}/invoice.pdf`, { responseType: 'blob' }),
     create: (data) => api.post('/bookings', data),
     cancel: (id) => api.put(`/bookings/${id}/cancel`),
     updateStatus: (id, status) => api.put(`/bookings/${id}/status`, { status }),
@@ -81,8 +144,30 @@ export const bookingsAPI = {
 
 // Payments API
 export const paymentsAPI = {
+    getConfig: () => api.get('/payments/config'),
+    getQuote: (data) => api.post('/payments/quote', data),
     createOrder: (data) => api.post('/payments/create-order', data),
     verifyPayment: (data) => api.post('/payments/verify', data),
+    completeMockPayment: (orderId, outcome) =>
+        api.post(`/payments/mock/${orderId}/complete`, { outcome }),
+    getOrder: (orderId) => api.get(`/payments/order/${orderId}`),
+    requestRefund: (data) => api.post('/payments/refund', data),
+    issueRefund: (data) => api.post('/payments/admin/refund', data),
+};
+
+// Check-in API (organizer of the event or admin)
+export const checkinAPI = {
+    checkIn: (code, eventId) => api.post('/checkin', { code, eventId }),
+    getGuestList: (eventId) => api.get(`/checkin/events/${eventId}`),
+    sync: (eventId, scans) => api.post(`/checkin/events/${eventId}/sync`, { scans }),
+};
+
+// Promo codes API (organizers for their events, admins for all)
+export const promoCodesAPI = {
+    getAll: (params) => api.get('/promo-codes', { params }),
+    create: (data) => api.post('/promo-codes', data),
+    update: (id, data) => api.put(`/promo-codes/${id}`, data),
+    delete: (id) => api.delete(`/promo-codes/${id}`),
 };
 
 // Users API (Admin)
@@ -93,12 +178,26 @@ export const usersAPI = {
     delete: (id) => api.delete(`/users/${id}`),
 };
 
+// Organizer applications (the applicant's side)
+export const organizerAPI = {
+    getApplication: () => api.get('/users/organizer-application'),
+    apply: (data) => api.post('/users/organizer-application', data),
+};
+
 // Admin Stats API
 export const adminAPI = {
     getStats: () => api.get('/admin/stats'),
-    getAllEvents: () => api.get('/admin/events'),
+    getAllEvents: (params) => api.get('/admin/events', { params }),
+    approveEvent: (id) => api.put(`/admin/events/${id}/approve`),
+    rejectEvent: (id, reason) => api.put(`/admin/events/${id}/reject`, { reason }),
     getAllBookings: () => api.get('/admin/bookings'),
     getAllUsers: () => api.get('/admin/users'),
+    updateUserRole: (id, role, note) => api.put(`/admin/users/${id}/role`, { role, note }),
+    getOrganizerApplications: (status) => api.get('/admin/organizer-applications', { params: { status } }),
+    rejectOrganizerApplication: (id, reason) => api.put(`/admin/organizer-applications/${id}/reject`, { reason }),
+    getSecuritySettings: () => api.get('/admin/settings/security'),
+    updateSecuritySettings: (data) => api.put('/admin/settings/security', data),
+    getSecurityEvents: (params) => api.get('/admin/security-events', { params }),
 };
 
 export default api;
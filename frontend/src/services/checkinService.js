@@ -0,0 +1,61 @@
+/**
+ * Check-in Service
+ *
+ * Keeps the door scanner working on a patchy connection. The guest list
+ * and scans not yet sent to the server are kept in localStorage per event,
+ * so they survive a reload until the scanner is back online.
+ *
+ * Ticket signatures can only be checked by the server. Offline, a scan is
+ * admitted when its booking is on the guest list and not used, cancelled
+ * or unpaid; the server has the final say when the scan is synced.
+ */
+
+const TICKET_CODE = /^EF1\.([a-f0-9]{24})\.([a-f0-9]{24})\.[\w-]+$/;
+
+const queueKey = (eventId) => `checkin_queue:${eventId}`;
+const guestListKey = (eventId) => `checkin_guests:${eventId}`;
+
+const read = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+};
+
+/**
+ * Read the booking and event ids of a ticket code, or null when it isn't
+ * shaped like one
+ */
+export const parseTicketCode = (code) => {
+    const match = TICKET_CODE.exec(String(code || '').trim());
+    return match ? { bookingId: match[1], eventId: match[2] } : null;
+};
+
+/**
+ * Whether a request failed because the server couldn't be reached
+ */
+export const isNetworkError = (error) => !error.response;
+
+/**
+ * Scans waiting to be synced for an event: [{ code, bookingId, quantity, scannedAt }]
+ */
+export const getQueuedScans = (eventId) => read(queueKey(eventId), []);
+
+export const saveQueuedScans = (eventId, scans) => {
+    if (scans.length === 0) {
+        localStorage.removeItem(queueKey(eventId));
+    } else {
+        localStorage.setItem(queueKey(eventId), JSON.stringify(scans));
+    }
+};
+
+/**
+ * The last guest list downloaded for an event ({ event, counts, tickets }),
+ * or null
+ */
+export const getCachedGuestList = (eventId) => read(guestListKey(eventId), null);
+
+export const cacheGuestList = (eventId, guestList) => {
+    localStorage.setItem(guestListKey(eventId), JSON.stringify(guestList));
+};
@@ -0,0 +1,251 @@
+/**
+ * Event Service
+ *
+ * Helpers for mapping API events onto the props the UI components expect.
+ * The API stores prices in minor units (paise); the UI shows rupees.
+ */
+
+// Default image for events without one
+export const FALLBACK_EVENT_IMAGE = 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800';
+
+/**
+ * Convert a minor-unit amount (paise) to rupees
+ */
+export const fromMinorUnits = (amount) => (amount || 0) / 100;
+
+/**
+ * Convert rupees to a minor-unit amount (paise)
+ */
+export const toMinorUnits = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local yyyy-mm-dd and hh:mm, as the date and time inputs expect
+export const toDateInput = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+export const toTimeInput = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+// Local yyyy-mm-ddThh:mm for datetime-local inputs, '' for no date
+export const toDateTimeInput = (value) => (value ? `${toDateInput(new Date(value))}T${toTimeInput(new Date(value))}` : '');
+
+/**
+ * Map an API event onto EventCard props
+ */
+export const toEventCardProps = (event) => ({
+    id: event._id,
+    title: event.title,
+    description: event.description || '',
+    date: event.date,
+    location: event.location,
+    category: event.category,
+    price: fromMinorUnits(event.price),
+    attendees: event.seatsBooked || 0,
+    image: event.image || FALLBACK_EVENT_IMAGE,
+});
+
+// Statuses in which an organizer can edit an event. Edits to an approved
+// event wait for admin review, apart from capacity.
+export const EDITABLE_EVENT_STATUSES = ['draft', 'rejected', 'pending', 'approved'];
+
+// Statuses that go back to the admins when saved from the wizard
+export const RESUBMIT_EVENT_STATUSES = ['draft', 'rejected'];
+
+/**
+ * Whether the organizer can edit the event
+ */
+export const isEditableEvent = (event) => EDITABLE_EVENT_STATUSES.includes(event.status);
+
+/**
+ * Percentage of the event's seats that are taken (0-100)
+ */
+export const getSeatFill = (event) =>
+    event.capacity ? Math.min(Math.round(((event.seatsBooked || 0) / event.capacity) * 100), 100) : 0;
+
+// Refund policies organizers can pick; mirrors backend/services/refundPolicy.js.
+// Each rule: cancelling at least hoursBefore hours ahead refunds percent.
+export const REFUND_POLICY_PRESETS = [
+    {
+        id: 'flexible',
+        label: 'Flexible',
+        rules: [{ hoursBefore: 168, percent: 100 }, { hoursBefore: 48, percent: 50 }],
+    },
+    {
+        id: 'moderate',
+        label: 'Moderate',
+        rules: [{ hoursBefore: 72, percent: 100 }, { hoursBefore: 24, percent: 50 }],
+    },
+    {
+        id: 'strict',
+        label: 'Strict',
+        rules: [{ hoursBefore: 168, percent: 50 }],
+    },
+    {
+        id: 'none',
+        label: 'Non-refundable',
+        rules: [{ hoursBefore: 0, percent: 0 }],
+    },
+];
+
+// Events without a policy of their own use the flexible one
+export const DEFAULT_REFUND_POLICY = REFUND_POLICY_PRESETS[0].rules;
+
+const formatNotice = (hours) => {
+    if (hours % 24 === 0) {
+        const days = hours / 24;
+        return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Describe a refund policy in plain words, one line per rule
+ */
+export const describeRefundPolicy = (rules) => {
+    const policy = (rules && rules.length ? rules : DEFAULT_REFUND_POLICY)
+        .filter((rule) => rule.percent > 0)
+        .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+    if (policy.length === 0) return ['Tickets are non-refundable'];
+
+    const lines = policy.map((rule) => {
+        const refund = rule.percent === 100 ? 'Full refund' : `${rule.percent}% refund`;
+        return rule.hoursBefore === 0
+            ? `${refund} until the event starts`
+            : `${refund} up to ${formatNotice(rule.hoursBefore)} before the event`;
+    });
+
+    if (policy[policy.length - 1].hoursBefore > 0) lines.push('No refund after that');
+    return lines;
+};
+
+// Most tickets in one order, across all ticket types (as on the server)
+export const MAX_TICKETS_PER_ORDER = 10;
+
+// Option id of the single ticket sold by events without ticket types
+export const GENERAL_ADMISSION = 'general';
+
+const formatSaleDate = (date) =>
+    new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * The tickets a buyer can pick from for an API event (prices in paise):
+ * one option per ticket type, or a single general admission option.
+ * Each option: { id, name, description, price (rupees), left, min, max,
+ * onSale, note }.
+ */
+export const getTicketOptions = (event, now = new Date()) => {
+    if (!event.ticketTiers || event.ticketTiers.length === 0) {
+        const left = event.seatsAvailable ?? MAX_TICKETS_PER_ORDER;
+        return [{
+            id: GENERAL_ADMISSION,
+            name: 'General Admission',
+            description: '',
+            price: fromMinorUnits(event.price),
+            left,
+            min: 1,
+            max: MAX_TICKETS_PER_ORDER,
+            onSale: left > 0,
+            note: left > 0 ? '' : 'Sold out',
+        }];
+    }
+
+    return event.ticketTiers.map((tier) => {
+        const left = Math.max(tier.quantity - (tier.sold || 0), 0);
+        // Sales close when the event starts unless the tier ends them earlier
+        const salesEnd = tier.salesEnd && new Date(tier.salesEnd) < new Date(event.date)
+            ? new Date(tier.salesEnd)
+            : new Date(event.date);
+        const upcoming = Boolean(tier.salesStart) && new Date(tier.salesStart) > now;
+        const ended = salesEnd <= now;
+
+        let note = '';
+        if (upcoming) note = `On sale ${formatSaleDate(tier.salesStart)}`;
+        else if (ended) note = 'Sales ended';
+        else if (left === 0) note = 'Sold out';
+        else if (left <= 20) note = `Only ${left} left`;
+        else if (tier.salesEnd) note = `On sale until ${formatSaleDate(tier.salesEnd)}`;
+
+        return {
+            id: tier._id,
+            name: tier.name,
+            description: tier.description || '',
+            price: fromMinorUnits(tier.price),
+            left,
+            min: tier.minPerOrder || 1,
+            max: tier.maxPerOrder || MAX_TICKETS_PER_ORDER,
+            onSale: !upcoming && !ended && left > 0,
+            note,
+        };
+    });
+};
+
+/**
+ * The opening ticket selection ({ optionId: count }): one general admission
+ * ticket, or nothing picked yet when the event has ticket types
+ */
+export const getInitialSelection = (options) =>
+    options.length === 1 && options[0].id === GENERAL_ADMISSION && options[0].onSale
+        ? { [GENERAL_ADMISSION]: 1 }
+        : {};
+
+/**
+ * Tickets picked across all options
+ */
+export const countSelected = (selection) =>
+    Object.values(selection).reduce((sum, count) => sum + count, 0);
+
+/**
+ * Ticket price total of a selection in rupees, before fees and tax
+ */
+export const getSelectionTotal = (options, selection) =>
+    options.reduce((sum, option) => sum + option.price * (selection[option.id] || 0), 0);
+
+/**
+ * The count `option` can step to from its current one (+1 or -1), keeping
+ * within its per-order limits, the tickets left and the order limit.
+ * Below the minimum per order steps straight to 0 (and back).
+ */
+export const stepSelection = (option, selection, direction) => {
+    if (direction > 0 && !option.onSale) return selection;
+
+    const current = selection[option.id] || 0;
+    const others = countSelected(selection) - current;
+    const max = Math.min(option.max, option.left, MAX_TICKETS_PER_ORDER - others);
+
+    let next = current + direction;
+    if (direction > 0 && next < option.min) next = option.min;
+    if (direction < 0 && next < option.min) next = 0;
+    if (next > max) return selection;
+
+    const updated = { ...selection, [option.id]: next };
+    if (next === 0) delete updated[option.id];
+    return updated;
+};
+
+/**
+ * The tickets part of a quote, order or booking request for a selection
+ */
+export const toOrderRequest = (event, selection) => {
+    if (GENERAL_ADMISSION in selection) {
+        return { eventId: event.id, ticketCount: selection[GENERAL_ADMISSION] };
+    }
+    return {
+        eventId: event.id,
+        items: Object.entries(selection).map(([tierId, quantity]) => ({ tierId, quantity })),
+    };
+};
+
+const eventService = {
+    fromMinorUnits,
+    toMinorUnits,
+    toEventCardProps,
+    isEditableEvent,
+    getSeatFill,
+    describeRefundPolicy,
+    getTicketOptions,
+    getInitialSelection,
+    countSelected,
+    getSelectionTotal,
+    stepSelection,
+    toOrderRequest,
+};
+
+export default eventService;
@@ -1,2 +1,4 @@
 // Services Index
 export * from './paymentService';
+export * from './eventService';
+export * from './checkinService';
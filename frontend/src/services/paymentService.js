@@ -1,31 +1,38 @@
 /**
  * Payment Service
  * 
- * Handles payment operations with Razorpay.
- * Includes demo mode for testing without backend/Razorpay.
+ * Handles payment operations through the backend's payment provider:
+ * Razorpay checkout, or the backend's local mock gateway in development.
  */
 
-import axios from 'axios';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { paymentsAPI } from './api';
 
 // Razorpay test key (public key only - safe to expose)
 const RAZORPAY_KEY_ID = process.env.REACT_APP_RAZORPAY_KEY_ID || 'rzp_test_YOUR_KEY_ID';
 
-// Demo mode - set to true to bypass Razorpay and simulate payments
-const DEMO_MODE = true;
+let configRequest = null;
+
+/**
+ * Get the active payment provider ({ provider, keyId }) from the backend.
+ * Fetched once per page load.
+ */
+export const getPaymentConfig = () => {
+    if (!configRequest) {
+        configRequest = paymentsAPI.getConfig()
+            .then((response) => response.data.config)
+            .catch((error) => {
+                configRequest = null;
+                throw new Error(error.response?.data?.message || 'Payments are unavailable right now');
+            });
+    }
+    return configRequest;
+};
 
 /**
  * Load Razorpay SDK script dynamically
  */
 export const loadRazorpayScript = () => {
     return new Promise((resolve, reject) => {
-        // In demo mode, skip loading Razorpay
-        if (DEMO_MODE) {
-            resolve(true);
-            return;
-        }
-
         // Check if already loaded
         if (window.Razorpay) {
             resolve(true);
@@ -42,15 +49,16 @@ export const loadRazorpayScript = () => {
 };
 
 /**
- * Create a payment order on the backend
+ * Create a payment order on the backend.
+ * The server prices the order from the event and promo code; no amount is sent.
  */
 export const createPaymentOrder = async (bookingDetails) => {
     try {
-        const response = await axios.post(`${API_BASE_URL}/payments/create-order`, {
+        const response = await paymentsAPI.createOrder({
             eventId: bookingDetails.eventId,
             ticketCount: bookingDetails.ticketCount,
-            amount: bookingDetails.amount,
-            currency: bookingDetails.currency || 'INR',
+            items: bookingDetails.items,
+            promoCode: bookingDetails.promoCode,
         });
 
         return response.data;
@@ -65,11 +73,10 @@ export const createPaymentOrder = async (bookingDetails) => {
  */
 export const verifyPayment = async (paymentData) => {
     try {
-        const response = await axios.post(`${API_BASE_URL}/payments/verify`, {
+        const response = await paymentsAPI.verifyPayment({
             razorpay_order_id: paymentData.razorpay_order_id,
             razorpay_payment_id: paymentData.razorpay_payment_id,
             razorpay_signature: paymentData.razorpay_signature,
-            bookingId: paymentData.bookingId,
         });
 
         return response.data;
@@ -80,10 +87,31 @@ export const verifyPayment = async (paymentData) => {
 };
 
 /**
- * Initialize and open Razorpay checkout (or simulate in demo mode)
+ * Finish checkout on the backend's mock gateway.
+ * outcome is 'success' or 'failure'.
+ */
+const completeMockCheckout = async ({ orderId, outcome, onSuccess, onFailure }) => {
+    try {
+        const response = await paymentsAPI.completeMockPayment(orderId, outcome);
+        if (onSuccess) onSuccess(response.data.response);
+    } catch (error) {
+        if (onFailure) {
+            onFailure({
+                description: error.response?.data?.message || 'Payment failed',
+            });
+        }
+    }
+};
+
+/**
+ * Open checkout for an order created by createPaymentOrder.
+ * Razorpay orders open the Razorpay widget; mock orders complete with mockOutcome.
  */
 export const initiatePayment = async (options) => {
     const {
+        provider = 'razorpay',
+        keyId,
+        mockOutcome = 'success',
         orderId,
         amount,
         currency = 'INR',
@@ -97,25 +125,11 @@ export const initiatePayment = async (options) => {
         onDismiss,
     } = options;
 
-    // DEMO MODE: Simulate payment success after a delay
-    if (DEMO_MODE) {
-        console.log('🔶 DEMO MODE: Simulating payment...');
-
-        // Simulate payment processing time
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Simulate successful payment
-        if (onSuccess) {
-            onSuccess({
-                razorpay_payment_id: `pay_demo_${Date.now()}`,
-                razorpay_order_id: orderId,
-                razorpay_signature: `sig_demo_${Date.now()}`,
-            });
-        }
+    if (provider === 'mock') {
+        await completeMockCheckout({ orderId, outcome: mockOutcome, onSuccess, onFailure });
         return;
     }
 
-    // Production mode: Use real Razorpay
     try {
         await loadRazorpayScript();
     } catch (error) {
@@ -125,7 +139,7 @@ export const initiatePayment = async (options) => {
 
     // Razorpay checkout options
     const razorpayOptions = {
-        key: RAZORPAY_KEY_ID,
+        key: keyId || RAZORPAY_KEY_ID,
         amount: amount * 100, // Razorpay expects amount in paise
         currency: currency,
         name: 'EventFlow',
@@ -196,49 +210,13 @@ export const formatPrice = (amount, currency = 'INR') => {
     return formatter.format(amount);
 };
 
-/**
- * Create a mock order for testing (when backend isn't available)
- */
-export const createMockOrder = (bookingDetails) => {
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            const bookingId = `BK${Date.now().toString().slice(-8)}`;
-
-            resolve({
-                success: true,
-                order: {
-                    id: `order_${Date.now()}`,
-                    amount: bookingDetails.amount,
-                    currency: bookingDetails.currency || 'INR',
-                    receipt: `booking_${bookingDetails.eventId}_${Date.now()}`,
-                },
-                bookingId: bookingId,
-            });
-
-            // Store booking in localStorage for demo purposes
-            const existingBookings = JSON.parse(localStorage.getItem('bookings') || '[]');
-            const newBooking = {
-                id: bookingId,
-                eventId: bookingDetails.eventId,
-                ticketCount: bookingDetails.ticketCount,
-                amount: bookingDetails.amount,
-                status: 'confirmed',
-                createdAt: new Date().toISOString(),
-            };
-            existingBookings.push(newBooking);
-            localStorage.setItem('bookings', JSON.stringify(existingBookings));
-
-        }, 800);
-    });
-};
-
 const paymentService = {
+    getPaymentConfig,
     loadRazorpayScript,
     createPaymentOrder,
     verifyPayment,
     initiatePayment,
     formatPrice,
-    createMockOrder,
 };
 
 export default paymentService;